@@ -0,0 +1,267 @@
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import { createHash, randomBytes } from 'crypto';
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { config } from '../config.js';
+import { getLogger } from '../logging/index.js';
+
+const logger = getLogger('api');
+
+export const RECORDER_MODES = ['record', 'replay'];
+
+// Champs masqués dans les réponses enregistrées (données personnelles et coordonnées)
+const PII_FIELDS = [
+  'email', 'phone', 'mobile', 'fax', 'website',
+  'first_name', 'last_name', 'company_name', 'short_name', 'civility',
+  'street', 'address', 'zip_code', 'city',
+  'siret', 'siren', 'vat_number', 'iban', 'bic', 'rib'
+];
+
+// Champs de texte libre, masqués par défaut : notes des documents, libellés des lignes, commentaires des règlements
+// y citent souvent des noms, des montants négociés ou des détails de projet (voir keepFreeText)
+const FREE_TEXT_FIELDS = ['information', 'notes', 'title', 'description', 'comment'];
+
+// En-têtes de réponse conservés : x-pagination est indispensable au rejeu de getPaginated
+const KEPT_HEADERS = ['x-pagination', 'content-type'];
+
+// Paramètres calculés à partir de la date du jour (fenêtres de règlements, documents récents) :
+// seuls paramètres ignorés au rejeu quand aucune fixture ne correspond exactement
+const DATE_DEPENDENT_PARAMS = ['payment_date_from', 'payment_date_to', 'created_at_from', 'created_at_to'];
+
+// PDF de remplacement : le contenu des documents n'est jamais enregistré
+const PLACEHOLDER_PDF = Buffer.from('%PDF-1.4\n% contenu retiré à l\'enregistrement\n%%EOF\n', 'latin1');
+
+/**
+ * Enregistrement et rejeu des échanges avec l'API Facturation.PRO, pour reproduire une synchronisation hors ligne.
+ * - record : chaque réponse réelle est aussi écrite dans un fichier du dossier de fixtures, une fois masqués
+ *   les données personnelles et les textes libres ; les identifiants API ne sont jamais écrits
+ * - replay : aucune requête ne part, les réponses viennent des fixtures
+ * Une fixture est identifiée par la méthode, le chemin (ID de société remplacé par {firm}) et les paramètres.
+ */
+export class ApiRecorder {
+  /**
+   * @param {Object} options
+   * @param {string} options.mode - record ou replay
+   * @param {string} options.dir - Dossier des fixtures de la société
+   * @param {Object} options.firm - Société (identifiants à ne jamais écrire)
+   * @param {Array<string>} [options.redact] - Champs à masquer en plus de PII_FIELDS et FREE_TEXT_FIELDS
+   * @param {boolean} [options.keepFreeText=false] - Conserver en clair les champs de texte libre (FREE_TEXT_FIELDS)
+   */
+  constructor({ mode, dir, firm, redact = [], keepFreeText = false }) {
+    if (!RECORDER_MODES.includes(mode)) {
+      throw new Error(`Mode d'enregistrement inconnu: ${mode} (attendu: ${RECORDER_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.dir = resolve(dir);
+    this.secrets = [firm.apiId, firm.apiKey].filter(Boolean).map(String);
+    this.redactedFields = new Set([...PII_FIELDS, ...(keepFreeText ? [] : FREE_TEXT_FIELDS), ...redact]);
+    // Sel propre à l'enregistrement : une même valeur masquée donne le même jeton, sans être retrouvable
+    this.salt = randomBytes(16).toString('hex');
+    this.fixtures = null;
+  }
+
+  /**
+   * Enregistreur configuré pour une société (FACTURATION_API_MODE)
+   * @param {Object} firm - Société, voir config.firms
+   * @returns {ApiRecorder|null} null hors enregistrement et rejeu
+   */
+  static fromConfig(firm, recorderConfig = config.facturation.recorder) {
+    if (!recorderConfig?.mode) return null;
+    return new ApiRecorder({
+      mode: recorderConfig.mode,
+      dir: join(recorderConfig.dir, firm.key || 'default'),
+      firm,
+      redact: recorderConfig.redact,
+      keepFreeText: recorderConfig.keepFreeText
+    });
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Branche l'enregistreur sur un client axios (adaptateur : les intercepteurs restent actifs)
+   * @param {import('axios').AxiosInstance} client
+   */
+  install(client) {
+    if (this.replaying) {
+      client.defaults.adapter = (requestConfig) => this.replay(requestConfig);
+      return;
+    }
+    const adapter = axios.getAdapter(client.defaults.adapter);
+    client.defaults.adapter = (requestConfig) => this.record(requestConfig, adapter);
+  }
+
+  /**
+   * Requête telle qu'enregistrée : méthode, chemin neutralisé, paramètres triés
+   */
+  describeRequest(requestConfig) {
+    // Sans l'ID de société : les fixtures se rejouent avec un autre compte
+    const path = (requestConfig.url || '').replace(/^\/?firms\/[^/]+\//, '/firms/{firm}/');
+    const params = Object.fromEntries(
+      Object.entries(requestConfig.params || {})
+        .filter(([, value]) => value !== undefined)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => [key, String(value)])
+    );
+    const method = (requestConfig.method || 'get').toUpperCase();
+    const query = new URLSearchParams(params).toString();
+    // Clé sans les paramètres dépendant de la date du jour, pour le rejeu approché
+    const stableQuery = new URLSearchParams(
+      Object.entries(params).filter(([key]) => !DATE_DEPENDENT_PARAMS.includes(key))
+    ).toString();
+    return {
+      method,
+      path,
+      params,
+      key: `${method} ${path}${query ? `?${query}` : ''}`,
+      stableKey: `${method} ${path}${stableQuery ? `?${stableQuery}` : ''}`
+    };
+  }
+
+  fileNameFor(request) {
+    const slug = request.path.replace(/\{firm\}/g, '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const hash = createHash('sha1').update(request.key).digest('hex').slice(0, 10);
+    return `${request.method.toLowerCase()}_${slug}_${hash}.json`;
+  }
+
+  async record(requestConfig, adapter) {
+    try {
+      const response = await adapter(requestConfig);
+      await this.save(requestConfig, response);
+      return response;
+    } catch (error) {
+      // 429 : la requête sera rejouée par l'intercepteur, seule la réponse finale est utile
+      if (error.response && error.response.status !== 429) {
+        await this.save(requestConfig, error.response);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Écrit la fixture d'un échange. Un échec d'écriture n'interrompt pas la requête.
+   */
+  async save(requestConfig, response) {
+    const request = this.describeRequest(requestConfig);
+    try {
+      const fixture = {
+        request: { method: request.method, path: request.path, params: request.params },
+        response: {
+          status: response.status,
+          headers: Object.fromEntries(KEPT_HEADERS
+            .filter(name => response.headers?.[name] !== undefined)
+            .map(name => [name, String(response.headers[name])])),
+          ...this.encodeBody(response.data, response.headers?.['content-type'])
+        },
+        recorded_at: new Date().toISOString()
+      };
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(join(this.dir, this.fileNameFor(request)), JSON.stringify(fixture, null, 2) + '\n');
+      this.fixtures = null;
+    } catch (error) {
+      logger.warning(`Fixture non enregistrée pour ${request.key}:`, error.message);
+    }
+  }
+
+  /**
+   * Corps de réponse masqué : JSON (données personnelles et textes libres remplacés), texte, ou PDF de remplacement
+   */
+  encodeBody(data, contentType = '') {
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      const bytes = Buffer.from(data);
+      const isPdf = bytes.subarray(0, 5).toString('latin1') === '%PDF-' || String(contentType).includes('pdf');
+      return { encoding: 'base64', body: (isPdf ? PLACEHOLDER_PDF : Buffer.alloc(0)).toString('base64') };
+    }
+    let parsed = data;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch {
+        return { encoding: 'text', body: this.scrubSecrets(data) };
+      }
+    }
+    return { encoding: 'json', body: JSON.parse(this.scrubSecrets(JSON.stringify(this.redact(parsed)))) };
+  }
+
+  /**
+   * Remplace récursivement les champs masqués par un jeton stable (même valeur -> même jeton)
+   */
+  redact(value, field = null) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, field));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, this.redact(child, key)]));
+    }
+    if (field && this.redactedFields.has(field) && value !== null && value !== '') {
+      const token = createHash('sha256').update(this.salt + String(value)).digest('hex').slice(0, 8);
+      return field === 'email' ? `redacted-${token}@example.invalid` : `redacted-${token}`;
+    }
+    return value;
+  }
+
+  /**
+   * Retire les identifiants API qui apparaîtraient dans un corps de réponse
+   */
+  scrubSecrets(text) {
+    return this.secrets.reduce((result, secret) => result.split(secret).join('[credentials]'), text);
+  }
+
+  /**
+   * Fixtures du dossier, indexées par requête exacte et par requête hors paramètres dépendant
+   * de la date du jour (repli quand seuls ceux-ci diffèrent, ex: payment_date_to, voir DATE_DEPENDENT_PARAMS)
+   */
+  async loadFixtures() {
+    if (this.fixtures) return this.fixtures;
+    const byKey = new Map();
+    const byStableKey = new Map();
+    let files = [];
+    try {
+      files = (await readdir(this.dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const file of files) {
+      const fixture = JSON.parse(await readFile(join(this.dir, file), 'utf8'));
+      const request = this.describeRequest({ ...fixture.request, url: fixture.request.path });
+      byKey.set(request.key, fixture);
+      if (!byStableKey.has(request.stableKey)) byStableKey.set(request.stableKey, fixture);
+    }
+    this.fixtures = { byKey, byStableKey };
+    return this.fixtures;
+  }
+
+  async replay(requestConfig) {
+    const request = this.describeRequest(requestConfig);
+    const { byKey, byStableKey } = await this.loadFixtures();
+    let fixture = byKey.get(request.key);
+    if (!fixture) {
+      // Tout autre paramètre (updated_at_from, invoice_id, page...) doit correspondre exactement
+      fixture = byStableKey.get(request.stableKey);
+      if (!fixture) {
+        throw new Error(`Aucune fixture pour ${request.key} (${this.dir})`);
+      }
+      logger.debug(`Rejeu approché pour ${request.key} (dates relatives différentes)`);
+    }
+
+    const { status, headers = {}, encoding, body } = fixture.response;
+    const data = encoding === 'base64' ? Buffer.from(body, 'base64')
+      : encoding === 'json' ? JSON.stringify(body)
+      : body;
+    const response = { data, status, statusText: '', headers: new AxiosHeaders(headers), config: requestConfig, request: {} };
+
+    const validateStatus = requestConfig.validateStatus;
+    if (validateStatus && !validateStatus(status)) {
+      throw new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        requestConfig,
+        response.request,
+        response
+      );
+    }
+    return response;
+  }
+}
@@ -1,36 +1,59 @@
 import axios from 'axios';
-import { config } from '../config.js';
+import { config, getFirmConfig } from '../config.js';
+import { getLogger } from '../logging/index.js';
+import { ApiRecorder } from './ApiRecorder.js';
 
-// Logger pour l'API client
-const apiLogger = {
-  log: (...args) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      process.stderr.write(`[API DEBUG] ${args.join(' ')}\n`);
-    }
-  },
-  error: (...args) => {
-    process.stderr.write(`[API ERROR] ${args.join(' ')}\n`);
-  }
-};
+const logger = getLogger('api');
+
+/**
+ * Attente interruptible par un AbortSignal
+ * @param {number} ms - Durée en millisecondes
+ * @param {AbortSignal} [signal] - Signal d'annulation
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function createAbortError() {
+  const error = new Error('Requête API annulée');
+  error.name = 'AbortError';
+  return error;
+}
 
 /**
  * Client de base pour l'API Facturation.PRO
  * Principe SOLID : Single Responsibility - Gère uniquement la communication HTTP
  */
 export class BaseApiClient {
-  constructor() {
+  /**
+   * @param {Object} [firm] - Société (credentials et ID Facturation.PRO), voir config.firms
+   */
+  constructor(firm = getFirmConfig()) {
+    this.firm = firm;
     this.baseURL = config.facturation.baseUrl;
-    this.apiId = config.facturation.apiId;
-    this.apiKey = config.facturation.apiKey;
-    this.firmId = config.facturation.firmId;
+    this.apiId = firm.apiId;
+    this.apiKey = firm.apiKey;
+    this.firmId = firm.firmId;
     this.userAgent = config.facturation.userAgent;
+    this.signal = null;
     
     // Rate limiting
     this.requestQueue = [];
     this.isProcessing = false;
     this.maxRequestsPerMinute = 30; // Limite conservatrice
-    this.requestCount = 0;
-    this.lastResetTime = Date.now();
+    // Compteur partagé avec les vues créées par withSignal()
+    this.rateLimit = { requestCount: 0, lastResetTime: Date.now() };
     
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -47,17 +70,23 @@ export class BaseApiClient {
     });
 
     this._setupInterceptors();
+
+    // Enregistrement ou rejeu des échanges (FACTURATION_API_MODE)
+    this.recorder = ApiRecorder.fromConfig(firm);
+    if (this.recorder) {
+      this.recorder.install(this.client);
+    }
   }
 
   _setupInterceptors() {
     // Intercepteur pour les requêtes
     this.client.interceptors.request.use(
       (config) => {
-        apiLogger.log(`Request: ${config.method?.toUpperCase()} ${config.url}`);
+        logger.debug(`Request: ${config.method?.toUpperCase()} ${config.url}`);
         return config;
       },
       (error) => {
-        apiLogger.error('Erreur de requête:', error.message);
+        logger.error('Erreur de requête:', error.message);
         return Promise.reject(error);
       }
     );
@@ -65,7 +94,7 @@ export class BaseApiClient {
     // Intercepteur pour les réponses avec retry automatique
     this.client.interceptors.response.use(
       (response) => {
-        apiLogger.log(`Response: ${response.status} ${response.config.url}`);
+        logger.debug(`Response: ${response.status} ${response.config.url}`);
         return response;
       },
       async (error) => {
@@ -73,53 +102,60 @@ export class BaseApiClient {
         
         // Gestion des erreurs 429 (Too Many Requests)
         if (error.response?.status === 429) {
-          apiLogger.log(`Rate limit atteint, attente avant retry...`);
+          logger.warning(`Rate limit atteint (429), attente avant retry...`);
           
-          // Attendre avant de retry
-          await this._waitForRateLimit();
+          // Attendre avant de retry (interruptible si la requête porte un signal d'annulation)
+          await this._waitForRateLimit(originalRequest?.signal);
           
           // Retry la requête
           return this.client(originalRequest);
         }
         
-        apiLogger.error(`${error.response?.status || 'Network'} ${error.config?.url}:`, error.message);
+        logger.error(`${error.response?.status || 'Network'} ${error.config?.url}:`, error.message);
         return Promise.reject(this._handleApiError(error));
       }
     );
   }
 
-  async _waitForRateLimit() {
+  async _waitForRateLimit(signal = this.signal) {
     const waitTime = 60000; // Attendre 1 minute
-    apiLogger.log(`Attente de ${waitTime/1000}s pour respecter les limites de taux...`);
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-    this.requestCount = 0;
-    this.lastResetTime = Date.now();
+    logger.info(`Attente de ${waitTime/1000}s pour respecter les limites de taux...`);
+    await sleep(waitTime, signal);
+    this.rateLimit.requestCount = 0;
+    this.rateLimit.lastResetTime = Date.now();
   }
 
   async _checkRateLimit() {
+    // Rejeu : aucune requête ne part, inutile d'attendre
+    if (this.recorder?.replaying) return;
+
     const now = Date.now();
+    const rateLimit = this.rateLimit;
     
     // Reset du compteur chaque minute
-    if (now - this.lastResetTime >= 60000) {
-      this.requestCount = 0;
-      this.lastResetTime = now;
+    if (now - rateLimit.lastResetTime >= 60000) {
+      rateLimit.requestCount = 0;
+      rateLimit.lastResetTime = now;
     }
     
     // Si on dépasse la limite, attendre
-    if (this.requestCount >= this.maxRequestsPerMinute) {
-      const waitTime = 60000 - (now - this.lastResetTime);
+    if (rateLimit.requestCount >= this.maxRequestsPerMinute) {
+      const waitTime = 60000 - (now - rateLimit.lastResetTime);
       if (waitTime > 0) {
-        apiLogger.log(`Limite de taux atteinte, attente de ${Math.ceil(waitTime/1000)}s...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        this.requestCount = 0;
-        this.lastResetTime = Date.now();
+        logger.info(`Limite de taux atteinte, attente de ${Math.ceil(waitTime/1000)}s...`);
+        await sleep(waitTime, this.signal);
+        rateLimit.requestCount = 0;
+        rateLimit.lastResetTime = Date.now();
       }
     }
     
-    this.requestCount++;
+    rateLimit.requestCount++;
   }
 
   _handleApiError(error) {
+    if (axios.isCancel(error) || error.name === 'AbortError') {
+      return createAbortError();
+    }
     if (error.response) {
       // Erreur de l'API
       const { status, data } = error.response;
@@ -139,12 +175,16 @@ export class BaseApiClient {
    * Effectue une requête GET avec gestion de la pagination et rate limiting
    * @param {string} endpoint - Point d'accès API
    * @param {Object} params - Paramètres de requête
-   * @returns {Promise<Object>} Données paginées
+   * @param {Object} [options]
+   * @param {number} [options.startPage=1] - Première page demandée (reprise d'une synchronisation interrompue)
+   * @param {Function} [options.onPage] - async (items, { page, totalPages }) : traite chaque page dès sa réception.
+   *   Les pages ne sont alors pas conservées en mémoire.
+   * @returns {Promise<Array>} Éléments de toutes les pages (vide si onPage est fourni)
    */
-  async getPaginated(endpoint, params = {}) {
+  async getPaginated(endpoint, params = {}, { startPage = 1, onPage = null } = {}) {
     const results = [];
-    let currentPage = 1;
-    let totalPages = 1;
+    let currentPage = startPage;
+    let totalPages = startPage;
 
     do {
       try {
@@ -155,13 +195,12 @@ export class BaseApiClient {
           params: {
             ...params,
             page: currentPage
-          }
+          },
+          signal: this.signal || undefined
         });
 
-        const data = response.data;
-        if (Array.isArray(data)) {
-          results.push(...data);
-        }
+        const items = Array.isArray(response.data) ? response.data : [];
+        const page = currentPage;
 
         // Récupérer les informations de pagination depuis les headers
         const paginationHeader = response.headers['x-pagination'];
@@ -169,18 +208,24 @@ export class BaseApiClient {
           const pagination = JSON.parse(paginationHeader);
           totalPages = pagination.total_pages;
           currentPage = pagination.current_page + 1;
+        }
+
+        if (onPage) {
+          await onPage(items, { page, totalPages });
         } else {
-          // Si pas de pagination, on s'arrête
-          break;
+          results.push(...items);
         }
 
+        // Si pas de pagination, on s'arrête
+        if (!paginationHeader) break;
+
         // Petite pause entre les pages pour éviter le rate limiting
-        if (currentPage <= totalPages) {
-          await new Promise(resolve => setTimeout(resolve, 1000)); // 1 seconde entre les pages
+        if (currentPage <= totalPages && !this.recorder?.replaying) {
+          await sleep(1000, this.signal); // 1 seconde entre les pages
         }
 
       } catch (error) {
-        apiLogger.error(`Erreur page ${currentPage}:`, error.message);
+        logger.error(`Erreur page ${currentPage}:`, error.message);
         throw error;
       }
     } while (currentPage <= totalPages);
@@ -196,10 +241,26 @@ export class BaseApiClient {
    */
   async get(endpoint, params = {}) {
     await this._checkRateLimit();
-    const response = await this.client.get(endpoint, { params });
+    const response = await this.client.get(endpoint, { params, signal: this.signal || undefined });
     return response.data;
   }
 
+  /**
+   * Télécharge un fichier (ex: PDF d'un document) avec rate limiting
+   * @param {string} endpoint - Point d'accès API
+   * @param {string} [accept='application/pdf'] - Type de contenu attendu
+   * @returns {Promise<Buffer>} Contenu du fichier
+   */
+  async getFile(endpoint, accept = 'application/pdf') {
+    await this._checkRateLimit();
+    const response = await this.client.get(endpoint, {
+      responseType: 'arraybuffer',
+      headers: { Accept: accept },
+      signal: this.signal || undefined
+    });
+    return Buffer.from(response.data);
+  }
+
   /**
    * Effectue une requête POST
    * @param {string} endpoint - Point d'accès API
@@ -232,12 +293,25 @@ export class BaseApiClient {
     return response.data;
   }
 
+  /**
+   * Vue du client liée à un signal d'annulation (AbortSignal).
+   * Les requêtes GET et les attentes de rate limiting sont interrompues quand le signal est déclenché.
+   * @param {AbortSignal} signal
+   * @returns {BaseApiClient} Vue partageant le client HTTP et le compteur de rate limiting
+   */
+  withSignal(signal) {
+    const scoped = Object.create(this);
+    scoped.signal = signal;
+    return scoped;
+  }
+
   /**
    * Construit l'URL complète pour un endpoint
    * @param {string} resource - Ressource API
+   * @param {string} [format='json'] - Extension (json, pdf)
    * @returns {string} URL complète
    */
-  buildUrl(resource) {
-    return `/firms/${this.firmId}/${resource}.json`;
+  buildUrl(resource, format = 'json') {
+    return `/firms/${this.firmId}/${resource}.${format}`;
   }
 }
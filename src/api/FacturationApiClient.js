@@ -1,30 +1,29 @@
 import { BaseApiClient } from './BaseApiClient.js';
+import { getLogger } from '../logging/index.js';
 
-// Logger pour FacturationApiClient
-const facturationApiLogger = {
-  error: (...args) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      process.stderr.write(`[FACTURATION API ERROR] ${args.join(' ')}\n`);
-    }
-  },
-};
+const logger = getLogger('api');
 
 /**
  * Client spécifique pour l'API Facturation.PRO
  * Étend BaseApiClient pour gérer les endpoints spécifiques et la logique métier
  */
 export class FacturationApiClient extends BaseApiClient {
-  constructor() {
-    super();
+  /**
+   * @param {Object} [firm] - Société à interroger (défaut: société par défaut)
+   */
+  constructor(firm) {
+    super(firm);
   }
 
   /**
    * Récupère tous les clients
+   * @param {Object} filters - Filtres optionnels (ex: { updated_at_from })
+   * @param {Object} [pageOptions] - { startPage, onPage } (voir getPaginated)
    * @returns {Promise<Array>} Liste des clients
    */
-  async getCustomers() {
+  async getCustomers(filters = {}, pageOptions = {}) {
     const endpoint = this.buildUrl('customers');
-    return this.getPaginated(endpoint, { with_details: 1 });
+    return this.getPaginated(endpoint, { ...filters, with_details: 1 }, pageOptions);
   }
 
   /**
@@ -39,11 +38,13 @@ export class FacturationApiClient extends BaseApiClient {
 
   /**
    * Récupère tous les produits
+   * @param {Object} filters - Filtres optionnels (ex: { updated_at_from })
+   * @param {Object} [pageOptions] - { startPage, onPage } (voir getPaginated)
    * @returns {Promise<Array>} Liste des produits
    */
-  async getProducts() {
+  async getProducts(filters = {}, pageOptions = {}) {
     const endpoint = this.buildUrl('products');
-    return this.getPaginated(endpoint);
+    return this.getPaginated(endpoint, filters, pageOptions);
   }
 
   /**
@@ -56,6 +57,28 @@ export class FacturationApiClient extends BaseApiClient {
     return this.get(endpoint);
   }
 
+  /**
+   * Récupère tous les fournisseurs
+   * @param {Object} filters - Filtres optionnels (ex: { updated_at_from })
+   * @param {Object} [pageOptions] - { startPage, onPage } (voir getPaginated)
+   * @returns {Promise<Array>} Liste des fournisseurs
+   */
+  async getSuppliers(filters = {}, pageOptions = {}) {
+    const endpoint = this.buildUrl('suppliers');
+    return this.getPaginated(endpoint, filters, pageOptions);
+  }
+
+  /**
+   * Récupère tous les achats (factures fournisseurs)
+   * @param {Object} filters - Filtres optionnels (ex: { updated_at_from })
+   * @param {Object} [pageOptions] - { startPage, onPage } (voir getPaginated)
+   * @returns {Promise<Array>} Liste des achats
+   */
+  async getPurchases(filters = {}, pageOptions = {}) {
+    const endpoint = this.buildUrl('purchases');
+    return this.getPaginated(endpoint, filters, pageOptions);
+  }
+
   /**
    * Récupère toutes les catégories
    * @returns {Promise<Array>} Liste des catégories
@@ -68,11 +91,21 @@ export class FacturationApiClient extends BaseApiClient {
   /**
    * Récupère tous les devis
    * @param {Object} filters - Filtres optionnels
+   * @param {Object} [pageOptions] - { startPage, onPage } (voir getPaginated)
    * @returns {Promise<Array>} Liste des devis
    */
-  async getQuotes(filters = {}) {
+  async getQuotes(filters = {}, pageOptions = {}) {
     const endpoint = this.buildUrl('quotes');
-    return this.getPaginated(endpoint, { ...filters, with_details: 1 });
+    return this.getPaginated(endpoint, { ...filters, with_details: 1 }, pageOptions);
+  }
+
+  /**
+   * Liste les IDs de tous les devis existants (sans le détail, pour le rapprochement des suppressions)
+   * @returns {Promise<Array<number>>} IDs Facturation.PRO
+   */
+  async getQuoteIds() {
+    const quotes = await this.getPaginated(this.buildUrl('quotes'));
+    return quotes.map(quote => quote.id);
   }
 
   /**
@@ -85,15 +118,34 @@ export class FacturationApiClient extends BaseApiClient {
     return this.get(endpoint);
   }
 
+  /**
+   * Télécharge le PDF officiel d'un devis
+   * @param {number} quoteId - ID du devis
+   * @returns {Promise<Buffer>} Contenu du PDF
+   */
+  async getQuotePdf(quoteId) {
+    return this.getFile(this.buildUrl(`quotes/${quoteId}`, 'pdf'));
+  }
+
 
   /**
    * Récupère toutes les factures
    * @param {Object} filters - Filtres optionnels
+   * @param {Object} [pageOptions] - { startPage, onPage } (voir getPaginated)
    * @returns {Promise<Array>} Liste des factures
    */
-  async getInvoices(filters = {}) {
+  async getInvoices(filters = {}, pageOptions = {}) {
     const endpoint = this.buildUrl('invoices');
-    return this.getPaginated(endpoint, { ...filters, with_details: 1 });
+    return this.getPaginated(endpoint, { ...filters, with_details: 1 }, pageOptions);
+  }
+
+  /**
+   * Liste les IDs de toutes les factures existantes (sans le détail, pour le rapprochement des suppressions)
+   * @returns {Promise<Array<number>>} IDs Facturation.PRO
+   */
+  async getInvoiceIds() {
+    const invoices = await this.getPaginated(this.buildUrl('invoices'));
+    return invoices.map(invoice => invoice.id);
   }
 
   /**
@@ -106,6 +158,15 @@ export class FacturationApiClient extends BaseApiClient {
     return this.get(endpoint);
   }
 
+  /**
+   * Télécharge le PDF officiel d'une facture
+   * @param {number} invoiceId - ID de la facture
+   * @returns {Promise<Buffer>} Contenu du PDF
+   */
+  async getInvoicePdf(invoiceId) {
+    return this.getFile(this.buildUrl(`invoices/${invoiceId}`, 'pdf'));
+  }
+
 
   /**
    * Récupère les devis récents (derniers 30 jours)
@@ -142,7 +203,7 @@ export class FacturationApiClient extends BaseApiClient {
       const response = await this.get('firms');
       return response.length > 0;
     } catch (error) {
-      facturationApiLogger.error('Test de connexion échoué:', error.message);
+      logger.error('Test de connexion échoué:', error.message);
       throw error;
     }
   }
@@ -160,7 +221,8 @@ export class FacturationApiClient extends BaseApiClient {
       const res = await this.get(endpoint);
       if (Array.isArray(res)) return res;
     } catch (error) {
-      facturationApiLogger.error(`settlements (en) indisponible pour invoice ${invoiceId}:`, error.message);
+      if (error.name === 'AbortError') throw error;
+      logger.warning(`settlements (en) indisponible pour invoice ${invoiceId}:`, error.message);
     }
     // Tentative 2: français
     try {
@@ -168,7 +230,8 @@ export class FacturationApiClient extends BaseApiClient {
       const res = await this.get(endpoint);
       if (Array.isArray(res)) return res;
     } catch (error) {
-      facturationApiLogger.error(`reglements (fr) indisponible pour invoice ${invoiceId}:`, error.message);
+      if (error.name === 'AbortError') throw error;
+      logger.warning(`reglements (fr) indisponible pour invoice ${invoiceId}:`, error.message);
     }
     return [];
   }
@@ -185,7 +248,8 @@ export class FacturationApiClient extends BaseApiClient {
       const res = await this.get(endpoint, filters);
       if (Array.isArray(res)) return res;
     } catch (error) {
-      facturationApiLogger.error('settlements/find (en) indisponible:', error.message);
+      if (error.name === 'AbortError') throw error;
+      logger.warning('settlements/find (en) indisponible:', error.message);
     }
     // Tentative 2: français
     try {
@@ -193,7 +257,8 @@ export class FacturationApiClient extends BaseApiClient {
       const res = await this.get(endpoint, filters);
       if (Array.isArray(res)) return res;
     } catch (error) {
-      facturationApiLogger.error('reglements/find (fr) indisponible:', error.message);
+      if (error.name === 'AbortError') throw error;
+      logger.warning('reglements/find (fr) indisponible:', error.message);
     }
     return [];
   }
@@ -0,0 +1,241 @@
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getLogger } from '../../logging/index.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const logger = getLogger('fake-api');
+
+// Jeu de données fourni avec le projet
+export const DEFAULT_DATASET = join(__dirname, 'dataset.json');
+
+// Collections servies sous /firms/{firm}/<collection>.json
+const COLLECTIONS = ['customers', 'products', 'categories', 'suppliers', 'purchases', 'quotes', 'invoices'];
+
+/**
+ * Date comparable (les dates de l'API sont en ISO, avec ou sans heure)
+ */
+function timestamp(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * PDF minimal (une page, une ligne de texte) avec une table xref valide
+ * @param {string} text - Texte affiché
+ * @returns {Buffer}
+ */
+function buildPdf(text) {
+  const escaped = text.replace(/[\\()]/g, '\\$&');
+  const stream = `BT /F1 18 Tf 72 720 Td (${escaped}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Serveur HTTP local imitant les points d'accès de l'API Facturation.PRO utilisés par le projet,
+ * alimenté par un jeu de données JSON : synchronisation et outils testables sans compte ni identifiants.
+ * - GET /firms, /firms/{firm}/<collection>.json (pagination X-Pagination, filtres updated_at_from / created_at_from)
+ * - GET /firms/{firm}/<collection>/{id}.json, /firms/{firm}/(invoices|quotes)/{id}.pdf
+ * - GET /firms/{firm}/invoices/{id}/(settlements|reglements).json, /firms/{firm}/(settlements|reglements)/find.json
+ * Les identifiants et l'ID de société ne sont pas vérifiés. Des réponses 429 peuvent être simulées.
+ */
+export class FakeFacturationServer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.dataset] - { firm, customers, products, categories, suppliers, purchases, quotes, invoices, settlements }
+   * @param {number} [options.perPage=30] - Éléments par page des listes
+   * @param {number} [options.rateLimit=0] - Requêtes admises par minute avant de répondre 429 (0 = illimité)
+   * @param {number} [options.throttleEvery=0] - Répondre 429 à une requête sur N (0 = jamais)
+   */
+  constructor({ dataset = {}, perPage = 30, rateLimit = 0, throttleEvery = 0 } = {}) {
+    this.dataset = dataset;
+    this.perPage = perPage;
+    this.rateLimit = rateLimit;
+    this.throttleEvery = throttleEvery;
+    this.requestCount = 0;
+    this.recentRequests = [];
+    this.httpServer = null;
+  }
+
+  /**
+   * Serveur alimenté par un fichier JSON
+   * @param {string} [path] - Jeu de données (défaut: dataset.json fourni)
+   * @param {Object} [options] - Voir constructor
+   */
+  static fromFile(path = DEFAULT_DATASET, options = {}) {
+    return new FakeFacturationServer({ ...options, dataset: JSON.parse(readFileSync(path, 'utf8')) });
+  }
+
+  /**
+   * Démarre l'écoute HTTP
+   * @param {number} [port=0] - Port (0 = port libre choisi par le système)
+   * @param {string} [host='127.0.0.1']
+   * @returns {Promise<string>} URL de base, à utiliser comme FACTURATION_BASE_URL
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    this.httpServer = createServer((req, res) => {
+      try {
+        this.handle(req, res);
+      } catch (error) {
+        logger.error('Erreur non gérée:', error.message);
+        this.sendJson(res, 500, { error: error.message });
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.url = `http://${host}:${this.httpServer.address().port}/`;
+    logger.info(`API Facturation.PRO simulée à l'écoute sur ${this.url}`);
+    return this.url;
+  }
+
+  /**
+   * Arrête le serveur
+   */
+  async stop() {
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * Aiguille une requête HTTP
+   */
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+    logger.debug(`${req.method} ${url.pathname}${url.search}`);
+
+    if (this.isThrottled()) {
+      res.setHeader('Retry-After', '60');
+      return this.sendJson(res, 429, { error: 'Too Many Requests' });
+    }
+    if (req.method !== 'GET') {
+      return this.sendJson(res, 405, { error: `Méthode non prise en charge: ${req.method}` });
+    }
+
+    const path = url.pathname.replace(/\/+$/, '');
+    let match;
+
+    if (/^\/firms(\.json)?$/.test(path)) {
+      return this.sendJson(res, 200, [this.dataset.firm || { id: 1, name: 'Société de démonstration' }]);
+    }
+    if ((match = path.match(/^\/firms\/[^/]+\/(settlements|reglements)\/find\.json$/))) {
+      return this.sendJson(res, 200, this.findSettlements(query));
+    }
+    if ((match = path.match(/^\/firms\/[^/]+\/invoices\/(\d+)\/(settlements|reglements)\.json$/))) {
+      return this.sendJson(res, 200, this.findSettlements({ invoice_id: match[1] }));
+    }
+    if ((match = path.match(/^\/firms\/[^/]+\/(invoices|quotes)\/(\d+)\.pdf$/))) {
+      const document = this.findById(match[1], match[2]);
+      if (!document) return this.sendJson(res, 404, { error: 'Document introuvable' });
+      const number = match[1] === 'invoices' ? document.invoice_number : document.quote_number;
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      return res.end(buildPdf(`${match[1] === 'invoices' ? 'Facture' : 'Devis'} ${number || document.id}`));
+    }
+    if ((match = path.match(/^\/firms\/[^/]+\/([a-z]+)\/(\d+)\.json$/)) && COLLECTIONS.includes(match[1])) {
+      const record = this.findById(match[1], match[2]);
+      return record ? this.sendJson(res, 200, record) : this.sendJson(res, 404, { error: 'Élément introuvable' });
+    }
+    if ((match = path.match(/^\/firms\/[^/]+\/([a-z]+)\.json$/)) && COLLECTIONS.includes(match[1])) {
+      return this.sendPage(res, this.filterRecords(this.dataset[match[1]] || [], query), query.page);
+    }
+
+    return this.sendJson(res, 404, { error: `Point d'accès inconnu: ${url.pathname}` });
+  }
+
+  /**
+   * Limite de requêtes simulée (par minute glissante, ou une requête sur N)
+   */
+  isThrottled() {
+    this.requestCount++;
+    if (this.throttleEvery > 0 && this.requestCount % this.throttleEvery === 0) {
+      return true;
+    }
+    if (this.rateLimit > 0) {
+      const now = Date.now();
+      this.recentRequests = this.recentRequests.filter(time => now - time < 60000);
+      if (this.recentRequests.length >= this.rateLimit) return true;
+      this.recentRequests.push(now);
+    }
+    return false;
+  }
+
+  findById(collection, id) {
+    return (this.dataset[collection] || []).find(record => String(record.id) === String(id)) || null;
+  }
+
+  /**
+   * Filtres de date des listes (updated_at_from, created_at_from), tri par ID
+   */
+  filterRecords(records, query) {
+    const updatedFrom = timestamp(query.updated_at_from);
+    const createdFrom = timestamp(query.created_at_from);
+    return records
+      .filter(record => updatedFrom === null || (timestamp(record.updated_at) ?? 0) >= updatedFrom)
+      .filter(record => createdFrom === null || (timestamp(record.created_at) ?? 0) >= createdFrom)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Règlements filtrés comme settlements/find : facture, date de paiement, date de création
+   */
+  findSettlements(query) {
+    const inRange = (value, from, to) => {
+      const time = timestamp(value);
+      if (timestamp(from) !== null && (time === null || time < timestamp(from))) return false;
+      if (timestamp(to) !== null && (time === null || time > timestamp(to))) return false;
+      return true;
+    };
+    return (this.dataset.settlements || []).filter(settlement =>
+      (!query.invoice_id || String(settlement.invoice_id) === String(query.invoice_id)) &&
+      inRange(settlement.payment_date || settlement.paid_on, query.payment_date_from, query.payment_date_to) &&
+      inRange(settlement.created_at, query.created_at_from, query.created_at_to)
+    );
+  }
+
+  /**
+   * Page d'une liste avec l'en-tête X-Pagination de Facturation.PRO
+   */
+  sendPage(res, records, requestedPage) {
+    const page = Math.max(1, parseInt(requestedPage, 10) || 1);
+    const totalPages = Math.max(1, Math.ceil(records.length / this.perPage));
+    res.setHeader('X-Pagination', JSON.stringify({
+      current_page: page,
+      total_pages: totalPages,
+      total_entries: records.length,
+      per_page: this.perPage
+    }));
+    this.sendJson(res, 200, records.slice((page - 1) * this.perPage, page * this.perPage));
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -8,20 +8,74 @@ const __dirname = dirname(__filename);
 // Charger les variables d'environnement
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
+/**
+ * Sociétés Facturation.PRO configurées.
+ * - Sans FACTURATION_FIRMS : une seule société "default" (FACTURATION_API_ID/API_KEY/FIRM_ID, DB_PATH, PDF_DIR)
+ * - FACTURATION_FIRMS=holding,studio : chaque société lit FACTURATION_<CLE>_API_ID, _API_KEY, _FIRM_ID,
+ *   _NAME, _DB_PATH et _PDF_DIR ; les identifiants API partagés servent de repli (un même compte gère plusieurs sociétés)
+ */
+function loadFirms() {
+  const keys = (process.env.FACTURATION_FIRMS || '').split(',').map(k => k.trim()).filter(Boolean);
+
+  if (keys.length === 0) {
+    return [{
+      key: 'default',
+      name: process.env.FACTURATION_FIRM_NAME || 'Société principale',
+      apiId: process.env.FACTURATION_API_ID,
+      apiKey: process.env.FACTURATION_API_KEY,
+      firmId: process.env.FACTURATION_FIRM_ID,
+      dbPath: process.env.DB_PATH || './data/facturation.db',
+      pdfDir: process.env.PDF_DIR || './data/pdf'
+    }];
+  }
+
+  return keys.map(key => {
+    const prefix = `FACTURATION_${key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    return {
+      key,
+      name: process.env[`${prefix}NAME`] || key,
+      apiId: process.env[`${prefix}API_ID`] || process.env.FACTURATION_API_ID,
+      apiKey: process.env[`${prefix}API_KEY`] || process.env.FACTURATION_API_KEY,
+      firmId: process.env[`${prefix}FIRM_ID`],
+      dbPath: process.env[`${prefix}DB_PATH`] || `./data/facturation-${key}.db`,
+      pdfDir: process.env[`${prefix}PDF_DIR`] || `./data/pdf-${key}`
+    };
+  });
+}
+
+const firms = loadFirms();
+
 export const config = {
   // Configuration API Facturation.PRO
   facturation: {
     apiId: process.env.FACTURATION_API_ID,
     apiKey: process.env.FACTURATION_API_KEY,
     firmId: process.env.FACTURATION_FIRM_ID,
-    baseUrl: 'https://www.facturation.pro/',
-    userAgent: 'FacturationPro-MCP (willy@example.com)'
+    // Surchargeable pour viser le serveur local simulé (npm run fake-api)
+    baseUrl: process.env.FACTURATION_BASE_URL || 'https://www.facturation.pro/',
+    userAgent: 'FacturationPro-MCP (willy@example.com)',
+    // Enregistrement ('record') ou rejeu ('replay') des échanges avec l'API, voir ApiRecorder
+    recorder: {
+      mode: process.env.FACTURATION_API_MODE || null,
+      dir: process.env.FACTURATION_FIXTURES_DIR || './fixtures/api',
+      // Champs masqués en plus des coordonnées et des textes libres (ex: "ref,term")
+      redact: (process.env.FACTURATION_FIXTURES_REDACT || '').split(',').map(f => f.trim()).filter(Boolean),
+      // Textes libres (notes, libellés, commentaires) conservés en clair : à réserver aux comptes de test
+      keepFreeText: process.env.FACTURATION_FIXTURES_KEEP_TEXT === 'true'
+    }
   },
   
   // Configuration base de données
   database: {
-    path: process.env.DB_PATH || './data/facturation.db'
+    path: process.env.DB_PATH || './data/facturation.db',
+    // Champs de la réponse brute de l'API promus en colonnes ou en vues (voir FieldPromotions)
+    promotedFieldsFile: process.env.PROMOTED_FIELDS_FILE || null
   },
+
+  // Sociétés (credentials et base SQLite propres à chacune), voir loadFirms()
+  firms,
+  // Société utilisée quand un outil est appelé sans argument "firm"
+  defaultFirm: process.env.FACTURATION_DEFAULT_FIRM || firms[0].key,
   
   // Configuration synchronisation
   sync: {
@@ -30,29 +84,124 @@ export const config = {
     // Mode de synchronisation des paiements: 'bulk' (par défaut), 'none', ou 'per_invoice'
     payments_mode: process.env.SYNC_PAYMENTS_MODE || 'bulk',
     // Nombre d'années à couvrir pour le bulk
-    payments_years: parseInt(process.env.SYNC_PAYMENTS_YEARS || '2', 10)
+    payments_years: parseInt(process.env.SYNC_PAYMENTS_YEARS || '2', 10),
+    // Délai minimal entre deux rapprochements des documents supprimés sur Facturation.PRO (en heures)
+    reconcile_hours: parseInt(process.env.SYNC_RECONCILE_HOURS || '24', 10),
+    // Délai maximal (en jours) entre l'acceptation d'un devis et une facture rapprochée par son seul montant
+    quote_link_days: parseInt(process.env.SYNC_QUOTE_LINK_DAYS || '90', 10),
+    // Téléchargement des PDF des factures et devis à chaque synchronisation complète (voir PdfCache)
+    pdfs: process.env.SYNC_PDFS === 'true',
+    // Nombre d'années de documents dont les PDF sont mis en cache
+    pdfs_years: parseInt(process.env.SYNC_PDFS_YEARS || '2', 10),
+    // Synchronisation planifiée dans le serveur MCP (désactivée par défaut)
+    schedule: {
+      enabled: process.env.SYNC_SCHEDULE === 'true',
+      // Expression cron explicite ; à défaut, déduite de SYNC_INTERVAL
+      cron: process.env.SYNC_CRON || null,
+      // Délai aléatoire avant chaque exécution (en secondes) pour étaler les appels API
+      jitter: parseInt(process.env.SYNC_JITTER || '60', 10),
+      // Plage horaire sans synchronisation, ex: "22-7" (de 22h à 7h)
+      quietHours: process.env.SYNC_QUIET_HOURS || null,
+      timezone: process.env.SYNC_TIMEZONE || undefined
+    }
   },
   
+  // Configuration des logs
+  logging: {
+    // Niveau de la sortie locale (stderr et fichier) : debug, info, notice, warning, error...
+    level: process.env.LOG_LEVEL || (process.env.MCP_DEBUG === 'true' ? 'debug' : 'error'),
+    // Niveaux par module, ex: "api=debug,sync=info"
+    modules: Object.fromEntries(
+      (process.env.LOG_MODULES || '').split(',')
+        .map(entry => entry.split('=').map(part => part.trim()))
+        .filter(([name, level]) => name && level)
+    ),
+    // Fichier de log optionnel (ajout en fin de fichier)
+    file: process.env.LOG_FILE || null,
+    // Niveau initial des notifications MCP envoyées au client (modifiable via logging/setLevel)
+    clientLevel: process.env.MCP_LOG_LEVEL || 'info'
+  },
+
   // Configuration MCP
   mcp: {
-    serverName: process.env.MCP_SERVER_NAME || 'facturation-pro-mcp'
+    serverName: process.env.MCP_SERVER_NAME || 'facturation-pro-mcp',
+    // Nombre de ressources renvoyées par page pour resources/list
+    resourcesPageSize: parseInt(process.env.MCP_RESOURCES_PAGE_SIZE || '100', 10),
+    // Outils exposés : noms ou catégories (search, revenue, pricing, projects, brief, sync), séparés par des virgules.
+    // MCP_TOOLS_FILE peut pointer vers un JSON { "enabled": [...], "disabled": [...] } complétant ces listes.
+    tools: {
+      enabled: (process.env.MCP_TOOLS_ENABLED || '').split(',').map(t => t.trim()).filter(Boolean),
+      disabled: (process.env.MCP_TOOLS_DISABLED || '').split(',').map(t => t.trim()).filter(Boolean),
+      file: process.env.MCP_TOOLS_FILE || null
+    },
+    // Répertoire des outils personnalisés (sous-classes de BaseTool) chargés au démarrage
+    pluginsDir: process.env.MCP_PLUGINS_DIR || join(__dirname, '..', 'plugins'),
+    // Fichier JSON des prompts (par défaut: src/mcp/prompts/prompts.json)
+    promptsFile: process.env.MCP_PROMPTS_FILE || null,
+    // Transport: 'stdio' (par défaut) ou 'http' (Streamable HTTP + repli SSE)
+    transport: process.env.MCP_TRANSPORT || 'stdio',
+    http: {
+      host: process.env.MCP_HTTP_HOST || '127.0.0.1',
+      port: parseInt(process.env.MCP_HTTP_PORT || '3333', 10),
+      path: '/mcp',
+      ssePath: '/sse',
+      messagesPath: '/messages',
+      // Jeton Bearer exigé des clients si défini
+      token: process.env.MCP_HTTP_TOKEN || null,
+      // Origines autorisées (séparées par des virgules) ; par défaut localhost uniquement
+      allowedOrigins: (process.env.MCP_HTTP_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+      sessionTtlMinutes: parseInt(process.env.MCP_HTTP_SESSION_TTL || '60', 10)
+    }
   }
 };
 
+/**
+ * Configuration d'une société
+ * @param {string} [key] - Clé de la société (défaut: config.defaultFirm)
+ * @returns {Object} { key, name, apiId, apiKey, firmId, dbPath, pdfDir }
+ */
+export function getFirmConfig(key = config.defaultFirm) {
+  const firm = config.firms.find(f => f.key === key);
+  if (!firm) {
+    throw new Error(`Société inconnue: ${key} (disponibles: ${config.firms.map(f => f.key).join(', ')})`);
+  }
+  return firm;
+}
+
 // Validation de la configuration
 export function validateConfig() {
   const errors = [];
   
-  if (!config.facturation.apiId) {
-    errors.push('FACTURATION_API_ID est requis');
+  const recorderMode = config.facturation.recorder.mode;
+  if (recorderMode && !['record', 'replay'].includes(recorderMode)) {
+    errors.push(`FACTURATION_API_MODE inconnu: ${recorderMode} (attendu: record, replay)`);
   }
-  
-  if (!config.facturation.apiKey) {
-    errors.push('FACTURATION_API_KEY est requis');
+
+  // Rejeu de fixtures : aucune requête ne part, les identifiants sont inutiles
+  const firmsWithCredentials = recorderMode === 'replay' ? [] : config.firms;
+
+  for (const firm of firmsWithCredentials) {
+    // Variables attendues : celles d'origine pour la société unique, préfixées sinon
+    const prefix = firm.key === 'default' && !process.env.FACTURATION_FIRMS
+      ? 'FACTURATION_'
+      : `FACTURATION_${firm.key.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const suffix = prefix === 'FACTURATION_' ? '' : ` (société ${firm.key})`;
+
+    if (!firm.apiId) {
+      errors.push(`${prefix}API_ID est requis${suffix}`);
+    }
+    
+    if (!firm.apiKey) {
+      errors.push(`${prefix}API_KEY est requis${suffix}`);
+    }
+    
+    if (!firm.firmId) {
+      errors.push(`${prefix}FIRM_ID est requis${suffix}`);
+    }
   }
-  
-  if (!config.facturation.firmId) {
-    errors.push('FACTURATION_FIRM_ID est requis');
+
+  if (!config.firms.some(f => f.key === config.defaultFirm)) {
+    errors.push(`FACTURATION_DEFAULT_FIRM inconnue: ${config.defaultFirm}`);
   }
   
   if (errors.length > 0) {
@@ -0,0 +1,117 @@
+import { readFileSync } from 'fs';
+import { config } from '../config.js';
+import { getLogger } from '../logging/index.js';
+
+const logger = getLogger('db');
+
+// Nom accepté pour une colonne ou une vue promue
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Chemin JSON accepté : $.champ, $.champ.sous_champ, $.liste[0].champ
+const JSON_PATH = /^\$(\.[A-Za-z_][A-Za-z0-9_]*|\[\d+\])+$/;
+
+/**
+ * Champs de la réponse brute de l'API (colonne raw_json) promus en colonnes ou en vues interrogeables.
+ * Les colonnes promues sont des colonnes générées (json_extract) : elles sont aussitôt remplies à partir
+ * des données déjà synchronisées, sans resynchronisation, puis suivent les synchronisations suivantes.
+ *
+ * Fichier (PROMOTED_FIELDS_FILE) :
+ * {
+ *   "columns": { "customers": { "siret": "$.siret" } },
+ *   "views": { "customer_terms": { "table": "customers", "fields": { "payment_terms": "$.term" } } }
+ * }
+ */
+export class FieldPromotions {
+  /**
+   * @param {Object} [definition]
+   * @param {Object} [definition.columns] - { table: { colonne: chemin JSON } }
+   * @param {Object} [definition.views] - { vue: { table, fields: { colonne: chemin JSON } } }
+   */
+  constructor({ columns = {}, views = {} } = {}) {
+    this.columns = columns;
+    this.views = views;
+    this.validate();
+  }
+
+  /**
+   * Charge le fichier configuré (config.database.promotedFieldsFile)
+   * @param {string|null} file - Fichier JSON
+   * @returns {FieldPromotions|null} null si aucun fichier n'est configuré
+   */
+  static fromConfig(file = config.database.promotedFieldsFile) {
+    if (!file) return null;
+    try {
+      return new FieldPromotions(JSON.parse(readFileSync(file, 'utf8')));
+    } catch (error) {
+      throw new Error(`Fichier de champs promus invalide (${file}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Vérifie les noms et les chemins : ils sont insérés tels quels dans le SQL
+   */
+  validate() {
+    const checkFields = (fields, label) => {
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new Error(`${label} : un objet { colonne: "$.chemin" } est attendu`);
+      }
+      for (const [column, path] of Object.entries(fields)) {
+        if (!IDENTIFIER.test(column)) throw new Error(`${label} : nom de colonne invalide "${column}"`);
+        if (typeof path !== 'string' || !JSON_PATH.test(path)) {
+          throw new Error(`${label} : chemin JSON invalide pour ${column} ("${path}", attendu: $.champ ou $.liste[0].champ)`);
+        }
+      }
+    };
+
+    for (const [table, fields] of Object.entries(this.columns)) {
+      checkFields(fields, `columns.${table}`);
+    }
+    for (const [view, definition] of Object.entries(this.views)) {
+      if (!IDENTIFIER.test(view)) throw new Error(`views : nom de vue invalide "${view}"`);
+      if (!definition?.table) throw new Error(`views.${view} : "table" manquant`);
+      checkFields(definition.fields, `views.${view}.fields`);
+    }
+  }
+
+  /**
+   * Crée les colonnes générées manquantes et (re)crée les vues
+   * @param {Database} database - Base connectée
+   * @param {Array<string>} tables - Tables synchronisées (munies de raw_json)
+   */
+  async apply(database, tables) {
+    const checkTable = (table, label) => {
+      if (!tables.includes(table)) {
+        throw new Error(`${label} : ${table} n'est pas une table synchronisée (${tables.join(', ')})`);
+      }
+    };
+
+    for (const [table, fields] of Object.entries(this.columns)) {
+      checkTable(table, `columns.${table}`);
+      const existing = await database.all(`PRAGMA table_xinfo(${table})`);
+
+      for (const [column, path] of Object.entries(fields)) {
+        const current = existing.find(c => c.name === column);
+        if (current) {
+          // hidden 2 ou 3 : colonne générée (déjà promue)
+          if (current.hidden !== 2 && current.hidden !== 3) {
+            throw new Error(`columns.${table} : la colonne ${column} existe déjà et n'est pas un champ promu`);
+          }
+          continue;
+        }
+        await database.run(`ALTER TABLE ${table} ADD COLUMN ${column} GENERATED ALWAYS AS (json_extract(raw_json, '${path}')) VIRTUAL`);
+        logger.info(`Champ ${path} promu en colonne ${table}.${column}`);
+      }
+    }
+
+    for (const [view, { table, fields }] of Object.entries(this.views)) {
+      checkTable(table, `views.${view}`);
+      const conflict = await database.get("SELECT type FROM sqlite_master WHERE name = ? AND type <> 'view'", [view]);
+      if (conflict) throw new Error(`views.${view} : le nom est déjà pris par un objet de type ${conflict.type}`);
+
+      const extracted = Object.entries(fields).map(([column, path]) => `json_extract(t.raw_json, '${path}') AS ${column}`);
+      await database.run(`DROP VIEW IF EXISTS ${view}`);
+      await database.run(`CREATE VIEW ${view} AS SELECT t.*, ${extracted.join(', ')} FROM ${table} t`);
+      logger.debug(`Vue ${view} créée sur ${table}`);
+    }
+  }
+}
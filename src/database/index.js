@@ -1,42 +1,108 @@
 import sqlite3 from 'sqlite3';
 import { readFileSync } from 'fs';
+import { rm } from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { config } from '../config.js';
+import { getLogger } from '../logging/index.js';
+import { FieldPromotions } from './FieldPromotions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Logger pour la base de données
-const dbLogger = {
-  log: (...args) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      process.stderr.write(`[DB DEBUG] ${args.join(' ')}\n`);
-    }
-  },
-  error: (...args) => {
-    process.stderr.write(`[DB ERROR] ${args.join(' ')}\n`);
+const logger = getLogger('db');
+
+// Tables alimentées par la synchronisation (clé facturation_id)
+const SYNCED_TABLES = ['categories', 'customers', 'suppliers', 'products', 'quotes', 'invoices', 'purchases'];
+
+// Colonnes ajoutées au schéma après coup : créées sur les bases existantes à l'initialisation
+const COLUMN_MIGRATIONS = [
+  { table: 'sync_metadata', column: 'high_water_mark', definition: 'TEXT' },
+  { table: 'sync_metadata', column: 'last_reconciled_at', definition: 'DATETIME' },
+  { table: 'sync_metadata', column: 'checkpoint_filters', definition: 'TEXT' },
+  { table: 'quotes', column: 'deleted_at', definition: 'DATETIME' },
+  { table: 'invoices', column: 'deleted_at', definition: 'DATETIME' },
+  { table: 'invoices', column: 'is_credit_note', definition: 'INTEGER DEFAULT 0' },
+  { table: 'invoices', column: 'credited_invoice_id', definition: 'INTEGER' },
+  { table: 'invoices', column: 'quote_id', definition: 'INTEGER' },
+  { table: 'invoices', column: 'quote_link', definition: 'TEXT' },
+  { table: 'quotes', column: 'accepted_on', definition: 'DATE' },
+  ...SYNCED_TABLES.map(table => ({ table, column: 'raw_json', definition: 'TEXT' }))
+];
+
+// Tables propres à la base publiée : ni remplacées par une synchronisation, ni restaurées par un retour arrière
+// (document_pdfs décrit les fichiers du cache PDF, qu'un retour arrière ne restaure pas non plus)
+const LOCAL_TABLES = ['sync_runs', 'document_pdfs'];
+
+// Colonne portant le numéro lisible des documents rapprochés
+const DOCUMENT_NUMBERS = { quotes: 'quote_number', invoices: 'invoice_number' };
+
+
+/**
+ * Supprime un fichier SQLite et ses fichiers WAL associés
+ * @param {string} path - Fichier de base
+ */
+export async function removeDatabaseFiles(path) {
+  for (const file of [path, `${path}-wal`, `${path}-shm`]) {
+    await rm(file, { force: true });
   }
-};
+}
+
+/**
+ * Convertit une date SQLite CURRENT_TIMESTAMP (UTC, "YYYY-MM-DD HH:MM:SS") en ISO 8601
+ */
+function sqliteTimestampToIso(value) {
+  return value ? `${value.replace(' ', 'T')}Z` : null;
+}
+
+/**
+ * Vrai si le texte cite ce numéro de document, sans le confondre avec un numéro plus long ("D-10" dans "D-101")
+ */
+function citesNumber(text, number) {
+  if (!text || !number) return false;
+  const escaped = number.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^0-9a-z])${escaped}($|[^0-9a-z])`, 'i').test(text);
+}
+
+function createAbortError() {
+  const error = new Error('Requête annulée');
+  error.name = 'AbortError';
+  return error;
+}
 
 class Database {
-  constructor() {
+  /**
+   * @param {string} [dbPath] - Fichier SQLite (une base par société)
+   * @param {Object} [options] - { readOnly } : ouverture en lecture seule, sans créer le fichier
+   */
+  constructor(dbPath = config.database.path, { readOnly = false } = {}) {
     this.db = null;
-    this.dbPath = config.database.path;
+    this.dbPath = dbPath;
+    this.readOnly = readOnly;
+    this.signal = null;
+    // Partagé avec les vues créées par withSignal()
+    this.queryState = { active: 0 };
   }
 
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
+    await new Promise((resolve, reject) => {
+      const mode = this.readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+      this.db = new sqlite3.Database(this.dbPath, mode, (err) => {
         if (err) {
-          dbLogger.error('Erreur lors de la connexion à la base de données:', err.message);
+          logger.error('Erreur lors de la connexion à la base de données:', err.message);
           reject(err);
         } else {
-          dbLogger.log('Connexion à la base de données établie');
+          logger.debug('Connexion à la base de données établie');
           resolve();
         }
       });
     });
+
+    // WAL : les lecteurs (serveur MCP) voient le dernier état validé pendant qu'une synchronisation écrit
+    this.db.configure('busyTimeout', 5000);
+    if (!this.readOnly) {
+      await this.run('PRAGMA journal_mode = WAL');
+    }
   }
 
   async initialize() {
@@ -48,7 +114,7 @@ class Database {
       // Diviser le schéma en requêtes individuelles
       const statements = this.parseSQLStatements(schema);
       
-      dbLogger.log(`Exécution de ${statements.length} requêtes SQL...`);
+      logger.debug(`Exécution de ${statements.length} requêtes SQL...`);
       
       // Exécuter chaque requête individuellement
       for (let i = 0; i < statements.length; i++) {
@@ -56,22 +122,47 @@ class Database {
         if (statement.trim()) {
           try {
             await this.run(statement);
-            dbLogger.log(`Requête ${i + 1}/${statements.length} exécutée`);
+            logger.debug(`Requête ${i + 1}/${statements.length} exécutée`);
           } catch (error) {
-            dbLogger.error(`Erreur requête ${i + 1}:`, statement.substring(0, 50) + '...');
-            dbLogger.error('Erreur:', error.message);
+            logger.error(`Erreur requête ${i + 1}:`, statement.substring(0, 50) + '...');
+            logger.error('Erreur:', error.message);
             throw error;
           }
         }
       }
       
-      dbLogger.log('Schéma de base de données initialisé');
+      await this.migrateColumns();
+      await this.applyFieldPromotions();
+      logger.debug('Schéma de base de données initialisé');
     } catch (error) {
-      dbLogger.error('Erreur lors de l\'initialisation de la base de données:', error.message);
+      logger.error('Erreur lors de l\'initialisation de la base de données:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Ajoute aux bases existantes les colonnes absentes (CREATE TABLE IF NOT EXISTS ne modifie pas une table existante)
+   */
+  async migrateColumns() {
+    for (const { table, column, definition } of COLUMN_MIGRATIONS) {
+      const columns = await this.all(`PRAGMA table_info(${table})`);
+      if (!columns.some(c => c.name === column)) {
+        await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        logger.info(`Colonne ${table}.${column} ajoutée`);
+      }
+    }
+  }
+
+  /**
+   * Promeut en colonnes ou en vues les champs de raw_json choisis (voir FieldPromotions)
+   * @param {FieldPromotions|null} [promotions] - Défaut: fichier PROMOTED_FIELDS_FILE
+   */
+  async applyFieldPromotions(promotions = FieldPromotions.fromConfig()) {
+    if (promotions) {
+      await promotions.apply(this, SYNCED_TABLES);
+    }
+  }
+
   parseSQLStatements(sql) {
     const statements = [];
     let currentStatement = '';
@@ -138,50 +229,153 @@ class Database {
   }
 
   async run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
+    return this.execute('run', sql, params, function(statement) {
+      return { id: statement.lastID, changes: statement.changes };
     });
   }
 
   async get(sql, params = []) {
+    return this.execute('get', sql, params, (statement, row) => row);
+  }
+
+  async all(sql, params = []) {
+    return this.execute('all', sql, params, (statement, rows) => rows);
+  }
+
+  /**
+   * Exécute une requête en respectant le signal d'annulation éventuel (voir withSignal)
+   * @param {string} method - Méthode sqlite3 (run, get, all)
+   * @param {string} sql - Requête SQL
+   * @param {Array} params - Paramètres
+   * @param {Function} mapResult - (statement, result) => valeur résolue
+   */
+  execute(method, sql, params, mapResult) {
+    const signal = this.signal;
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    const state = this.queryState;
     return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
+      let settled = false;
+      let retry = null;
+
+      const onAbort = () => {
+        if (settled) return;
+        settled = true;
+        // La connexion est partagée : n'interrompre SQLite que si cette requête est la seule en cours.
+        // Une requête encore en file d'attente n'est pas touchée par interrupt() : on réessaie jusqu'à sa fin
+        const interrupt = () => {
+          if (state.active === 1) this.db.interrupt();
+        };
+        interrupt();
+        retry = setInterval(interrupt, 50);
+        reject(createAbortError());
+      };
+
+      state.active++;
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.db[method](sql, params, function(err, result) {
+        clearInterval(retry);
+        state.active--;
+        signal?.removeEventListener('abort', onAbort);
+        if (settled) return;
+        settled = true;
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve(mapResult(this, result));
         }
       });
     });
   }
 
-  async all(sql, params = []) {
+  /**
+   * Vue de la base liée à un signal d'annulation (AbortSignal).
+   * Toutes les requêtes passant par cette vue sont abandonnées quand le signal est déclenché.
+   * @param {AbortSignal} signal
+   * @returns {Database} Vue partageant la même connexion
+   */
+  withSignal(signal) {
+    const scoped = Object.create(this);
+    scoped.signal = signal;
+    return scoped;
+  }
+
+  /**
+   * Exécute un script SQL (plusieurs requêtes) en un seul appel : aucune autre requête
+   * de la connexion ne peut s'intercaler entre ses instructions
+   * @param {string} sql - Requêtes séparées par des points-virgules
+   */
+  async exec(sql) {
     return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      });
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
     });
   }
 
+  /**
+   * Copie cohérente de la base dans un fichier (VACUUM INTO). Un fichier existant est remplacé.
+   * Passe par une connexion dédiée : VACUUM échoue si des requêtes sont en cours sur la connexion partagée.
+   * @param {string} path - Fichier de destination
+   */
+  async snapshotTo(path) {
+    await removeDatabaseFiles(path);
+    const snapshot = new Database(this.dbPath);
+    await snapshot.connect();
+    try {
+      await snapshot.run('VACUUM INTO ?', [path]);
+    } finally {
+      await snapshot.close();
+    }
+  }
+
+  /**
+   * Remplace le contenu de toutes les tables par celui d'une autre base (staging ou snapshot)
+   * dans une seule transaction : les lecteurs voient l'ancien état ou le nouveau, jamais un mélange.
+   * Seules les colonnes communes aux deux bases sont copiées.
+   * @param {string} path - Base source
+   */
+  async replaceContentsFrom(path) {
+    await this.run('ATTACH DATABASE ? AS source', [path]);
+    try {
+      const tables = await this.all("SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+      const statements = [];
+
+      for (const { name } of tables) {
+        if (LOCAL_TABLES.includes(name)) continue;
+        const sourceColumns = new Set((await this.all(`PRAGMA source.table_info(${name})`)).map(c => c.name));
+        // Table absente de la source (ajoutée depuis) : conservée telle quelle
+        if (sourceColumns.size === 0) continue;
+
+        const columns = (await this.all(`PRAGMA main.table_info(${name})`))
+          .map(c => c.name)
+          .filter(column => sourceColumns.has(column))
+          .join(', ');
+        statements.push(`DELETE FROM main.${name}`);
+        statements.push(`INSERT INTO main.${name} (${columns}) SELECT ${columns} FROM source.${name}`);
+      }
+
+      try {
+        await this.exec(`BEGIN IMMEDIATE;\n${statements.join(';\n')};\nCOMMIT;`);
+      } catch (error) {
+        await this.exec('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    } finally {
+      await this.run('DETACH DATABASE source');
+    }
+  }
+
   async close() {
     return new Promise((resolve, reject) => {
       if (this.db) {
         this.db.close((err) => {
           if (err) {
-            dbLogger.error('Erreur lors de la fermeture de la base de données:', err.message);
+            logger.error('Erreur lors de la fermeture de la base de données:', err.message);
             reject(err);
           } else {
-            dbLogger.log('Connexion à la base de données fermée');
+            logger.debug('Connexion à la base de données fermée');
             resolve();
           }
         });
@@ -192,11 +386,26 @@ class Database {
   }
 
   // Méthodes utilitaires pour les opérations courantes
+  // Les upserts mettent à jour la ligne existante (ON CONFLICT ... DO UPDATE) : l'id local reste stable,
+  // contrairement à INSERT OR REPLACE qui supprime puis recrée la ligne et détache les règlements déjà liés
   async upsertCustomer(customerData) {
     const sql = `
-      INSERT OR REPLACE INTO customers 
-      (facturation_id, name, email, phone, address, city, postal_code, country, vat_number, created_at, updated_at, last_sync)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO customers
+      (facturation_id, name, email, phone, address, city, postal_code, country, vat_number, raw_json, created_at, updated_at, last_sync)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(facturation_id) DO UPDATE SET
+        name = excluded.name,
+        email = excluded.email,
+        phone = excluded.phone,
+        address = excluded.address,
+        city = excluded.city,
+        postal_code = excluded.postal_code,
+        country = excluded.country,
+        vat_number = excluded.vat_number,
+        raw_json = excluded.raw_json,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at,
+        last_sync = CURRENT_TIMESTAMP
     `;
     
     const params = [
@@ -209,6 +418,7 @@ class Database {
       customerData.postal_code || null,
       customerData.country || null,
       customerData.vat_number || null,
+      customerData.raw_json || null,
       customerData.created_at || null,
       customerData.updated_at || null
     ];
@@ -216,11 +426,102 @@ class Database {
     return this.run(sql, params);
   }
 
+  async upsertSupplier(supplierData) {
+    const sql = `
+      INSERT INTO suppliers
+      (facturation_id, name, email, phone, address, city, postal_code, country, vat_number, raw_json, created_at, updated_at, last_sync)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(facturation_id) DO UPDATE SET
+        name = excluded.name,
+        email = excluded.email,
+        phone = excluded.phone,
+        address = excluded.address,
+        city = excluded.city,
+        postal_code = excluded.postal_code,
+        country = excluded.country,
+        vat_number = excluded.vat_number,
+        raw_json = excluded.raw_json,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at,
+        last_sync = CURRENT_TIMESTAMP
+    `;
+    
+    const params = [
+      supplierData.id,
+      supplierData.name,
+      supplierData.email || null,
+      supplierData.phone || null,
+      supplierData.address || null,
+      supplierData.city || null,
+      supplierData.postal_code || null,
+      supplierData.country || null,
+      supplierData.vat_number || null,
+      supplierData.raw_json || null,
+      supplierData.created_at || null,
+      supplierData.updated_at || null
+    ];
+
+    return this.run(sql, params);
+  }
+
+  async upsertPurchase(purchaseData) {
+    const sql = `
+      INSERT INTO purchases
+      (facturation_id, supplier_id, category_id, customer_id, purchase_ref, title, purchase_date, paid_on, total_ht, total_ttc, vat_amount, raw_json, created_at, updated_at, last_sync)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(facturation_id) DO UPDATE SET
+        supplier_id = excluded.supplier_id,
+        category_id = excluded.category_id,
+        customer_id = excluded.customer_id,
+        purchase_ref = excluded.purchase_ref,
+        title = excluded.title,
+        purchase_date = excluded.purchase_date,
+        paid_on = excluded.paid_on,
+        total_ht = excluded.total_ht,
+        total_ttc = excluded.total_ttc,
+        vat_amount = excluded.vat_amount,
+        raw_json = excluded.raw_json,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at,
+        last_sync = CURRENT_TIMESTAMP
+    `;
+    
+    const params = [
+      purchaseData.id,
+      purchaseData.supplier_id || null,
+      purchaseData.category_id || null,
+      purchaseData.customer_id || null,
+      purchaseData.purchase_ref || null,
+      purchaseData.title || null,
+      purchaseData.purchase_date,
+      purchaseData.paid_on || null,
+      purchaseData.total_ht || 0,
+      purchaseData.total_ttc || 0,
+      purchaseData.vat_amount || 0,
+      purchaseData.raw_json || null,
+      purchaseData.created_at || null,
+      purchaseData.updated_at || null
+    ];
+
+    return this.run(sql, params);
+  }
+
   async upsertProduct(productData) {
     const sql = `
-      INSERT OR REPLACE INTO products 
-      (facturation_id, name, description, price, vat_rate, category_id, unit, created_at, updated_at, last_sync)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO products
+      (facturation_id, name, description, price, vat_rate, category_id, unit, raw_json, created_at, updated_at, last_sync)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(facturation_id) DO UPDATE SET
+        name = excluded.name,
+        description = excluded.description,
+        price = excluded.price,
+        vat_rate = excluded.vat_rate,
+        category_id = excluded.category_id,
+        unit = excluded.unit,
+        raw_json = excluded.raw_json,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at,
+        last_sync = CURRENT_TIMESTAMP
     `;
     
     const params = [
@@ -231,6 +532,7 @@ class Database {
       productData.vat_rate || 0,
       productData.category_id || null,
       productData.unit || null,
+      productData.raw_json || null,
       productData.created_at || null,
       productData.updated_at || null
     ];
@@ -240,9 +542,29 @@ class Database {
 
   async upsertQuote(quoteData) {
     const sql = `
-      INSERT OR REPLACE INTO quotes 
-      (facturation_id, customer_id, quote_number, quote_ref, quote_date, due_date, status, total_ht, total_ttc, vat_amount, notes, created_at, updated_at, last_sync)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO quotes
+      (facturation_id, customer_id, quote_number, quote_ref, quote_date, due_date, status, total_ht, total_ttc, vat_amount, notes, accepted_on, raw_json, created_at, updated_at, last_sync)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(facturation_id) DO UPDATE SET
+        customer_id = excluded.customer_id,
+        quote_number = excluded.quote_number,
+        quote_ref = excluded.quote_ref,
+        quote_date = excluded.quote_date,
+        due_date = excluded.due_date,
+        status = excluded.status,
+        total_ht = excluded.total_ht,
+        total_ttc = excluded.total_ttc,
+        vat_amount = excluded.vat_amount,
+        notes = excluded.notes,
+        -- date fournie par l'API, sinon date déjà connue, sinon date du passage au statut accepté
+        accepted_on = COALESCE(excluded.accepted_on, quotes.accepted_on,
+          CASE WHEN excluded.status = 1 AND quotes.status <> 1 THEN DATE('now') END),
+        raw_json = excluded.raw_json,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at,
+        last_sync = CURRENT_TIMESTAMP,
+        -- Renvoyé par l'API : le document existe de nouveau en amont
+        deleted_at = NULL
     `;
     
     const params = [
@@ -257,6 +579,8 @@ class Database {
       quoteData.total_ttc || 0,
       quoteData.vat_amount || 0,
       quoteData.notes || null,
+      quoteData.accepted_on || null,
+      quoteData.raw_json || null,
       quoteData.created_at || null,
       quoteData.updated_at || null
     ];
@@ -266,11 +590,38 @@ class Database {
 
   async upsertInvoice(invoiceData) {
     const sql = `
-      INSERT OR REPLACE INTO invoices 
-      (facturation_id, customer_id, invoice_number, invoice_ref, invoice_date, due_date, payment_mode, payment_date, status, paid_on, balance, total_ht, total_ttc, vat_amount, notes, created_at, updated_at, last_sync)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      INSERT INTO invoices
+      (facturation_id, customer_id, invoice_number, invoice_ref, invoice_date, due_date, payment_mode, payment_date, status, paid_on, balance, total_ht, total_ttc, vat_amount, notes, is_credit_note, credited_invoice_id, quote_id, quote_link, raw_json, created_at, updated_at, last_sync)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(facturation_id) DO UPDATE SET
+        customer_id = excluded.customer_id,
+        invoice_number = excluded.invoice_number,
+        invoice_ref = excluded.invoice_ref,
+        invoice_date = excluded.invoice_date,
+        due_date = excluded.due_date,
+        payment_mode = excluded.payment_mode,
+        payment_date = excluded.payment_date,
+        status = excluded.status,
+        paid_on = excluded.paid_on,
+        balance = excluded.balance,
+        total_ht = excluded.total_ht,
+        total_ttc = excluded.total_ttc,
+        vat_amount = excluded.vat_amount,
+        notes = excluded.notes,
+        is_credit_note = excluded.is_credit_note,
+        -- Rattachement déjà établi conservé
+        credited_invoice_id = COALESCE(excluded.credited_invoice_id, invoices.credited_invoice_id),
+        -- Devis d'origine : lien de l'API, sinon rapprochement déjà établi
+        quote_id = COALESCE(excluded.quote_id, invoices.quote_id),
+        quote_link = COALESCE(excluded.quote_link, invoices.quote_link),
+        raw_json = excluded.raw_json,
+        created_at = excluded.created_at,
+        updated_at = excluded.updated_at,
+        last_sync = CURRENT_TIMESTAMP,
+        -- Renvoyé par l'API : le document existe de nouveau en amont
+        deleted_at = NULL
     `;
-    
+
     const params = [
       invoiceData.id,
       invoiceData.customer_id,
@@ -287,6 +638,11 @@ class Database {
       invoiceData.total_ttc || 0,
       invoiceData.vat_amount || 0,
       invoiceData.notes || null,
+      invoiceData.is_credit_note ? 1 : 0,
+      invoiceData.credited_invoice_id || null,
+      invoiceData.quote_id || null,
+      invoiceData.quote_id ? 'api' : null,
+      invoiceData.raw_json || null,
       invoiceData.created_at || null,
       invoiceData.updated_at || null
     ];
@@ -294,13 +650,193 @@ class Database {
     return this.run(sql, params);
   }
 
+  /**
+   * Rattache les avoirs sans lien à la facture qu'ils annulent :
+   * 1. facture du même client dont le numéro figure dans les notes de l'avoir
+   * 2. à défaut, facture antérieure du même client de même montant TTC, pas encore annulée par un autre avoir
+   * @returns {Promise<number>} Nombre d'avoirs rattachés
+   */
+  async linkCreditNotes() {
+    const creditNotes = await this.all(`
+      SELECT facturation_id, customer_id, invoice_date, total_ttc, notes
+      FROM invoices
+      WHERE is_credit_note = 1 AND credited_invoice_id IS NULL AND deleted_at IS NULL
+      ORDER BY invoice_date
+    `);
+
+    let linked = 0;
+    for (const creditNote of creditNotes) {
+      let original = null;
+      if (creditNote.notes) {
+        // Le numéro le plus long d'abord : "F-10" ne doit pas l'emporter sur "F-101"
+        original = await this.get(`
+          SELECT facturation_id FROM invoices
+          WHERE is_credit_note = 0 AND deleted_at IS NULL AND customer_id = ?
+            AND INSTR(?, invoice_number) > 0
+          ORDER BY LENGTH(invoice_number) DESC
+          LIMIT 1
+        `, [creditNote.customer_id, creditNote.notes]);
+      }
+      if (!original) {
+        original = await this.get(`
+          SELECT facturation_id FROM invoices
+          WHERE is_credit_note = 0 AND deleted_at IS NULL AND customer_id = ?
+            AND ROUND(total_ttc, 2) = ROUND(ABS(?), 2)
+            AND invoice_date <= ?
+            AND facturation_id NOT IN (SELECT credited_invoice_id FROM invoices WHERE credited_invoice_id IS NOT NULL)
+          ORDER BY invoice_date DESC
+          LIMIT 1
+        `, [creditNote.customer_id, creditNote.total_ttc, creditNote.invoice_date]);
+      }
+
+      if (original) {
+        await this.run('UPDATE invoices SET credited_invoice_id = ? WHERE facturation_id = ?', [original.facturation_id, creditNote.facturation_id]);
+        linked++;
+      }
+    }
+    return linked;
+  }
+
+  /**
+   * Avoirs rattachés à une facture
+   * @param {number} facturationId - ID Facturation.PRO de la facture annulée
+   * @returns {Promise<Array<Object>>} { invoice_number, invoice_date, total_ht, total_ttc }
+   */
+  async getCreditNotesForInvoice(facturationId) {
+    return this.all(`
+      SELECT invoice_number, invoice_date, total_ht, total_ttc
+      FROM invoices
+      WHERE credited_invoice_id = ? AND is_credit_note = 1 AND deleted_at IS NULL
+      ORDER BY invoice_date
+    `, [facturationId]);
+  }
+
+  /**
+   * Rattache les factures sans lien au devis accepté dont elles sont issues, quand l'API ne le précise pas.
+   * Candidats : devis acceptés du même client, antérieurs à la facture et dont le montant HT n'est pas
+   * entièrement facturé (un devis peut donner plusieurs factures, par exemple un acompte puis le solde).
+   * Une facture correspond à un candidat :
+   * 1. si elle cite le numéro du devis (notes ou libellés de ses lignes) ;
+   * 2. sinon si elle en reprend les lignes (libellé, quantité, prix unitaire) ;
+   * 3. sinon si son montant HT est le reste à facturer du devis et qu'elle suit son acceptation de maxDays jours au plus.
+   * À critère égal, le devis le plus récent l'emporte.
+   * @param {number} [maxDays] - Délai maximal entre l'acceptation du devis et la facture pour un rapprochement par montant
+   * @returns {Promise<number>} Nombre de factures rattachées
+   */
+  async linkQuotesToInvoices(maxDays = config.sync.quote_link_days) {
+    const invoices = await this.all(`
+      SELECT facturation_id, customer_id, invoice_date, total_ht, notes
+      FROM invoices
+      WHERE quote_id IS NULL AND is_credit_note = 0 AND deleted_at IS NULL
+      ORDER BY invoice_date
+    `);
+    if (invoices.length === 0) return 0;
+
+    // Reste à facturer : montant HT du devis moins celui des factures déjà rattachées
+    const quotes = await this.all(`
+      SELECT q.facturation_id, q.customer_id, q.quote_number, q.quote_date,
+             COALESCE(q.accepted_on, q.quote_date) AS accepted_on,
+             q.total_ht - COALESCE((
+               SELECT SUM(i.total_ht) FROM invoices i
+               WHERE i.quote_id = q.facturation_id AND i.is_credit_note = 0 AND i.deleted_at IS NULL
+             ), 0) AS remaining_ht
+      FROM quotes q
+      WHERE q.status = 1 AND q.deleted_at IS NULL
+      ORDER BY q.quote_date DESC
+    `);
+    if (quotes.length === 0) return 0;
+
+    const quoteLines = await this.lineSignatures('quote_lines', 'quote_id');
+    const invoiceLines = await this.lineSignatures('invoice_lines', 'invoice_id');
+    const invoiceTexts = new Map((await this.all(`
+      SELECT invoice_id, GROUP_CONCAT(description, ' ') AS text FROM invoice_lines GROUP BY invoice_id
+    `)).map(row => [row.invoice_id, row.text]));
+    let linked = 0;
+
+    for (const invoice of invoices) {
+      const invoiceSignature = invoiceLines.get(invoice.facturation_id);
+      const invoiceText = `${invoice.notes || ''} ${invoiceTexts.get(invoice.facturation_id) || ''}`;
+      const daysSinceAcceptance = quote => (Date.parse(invoice.invoice_date) - Date.parse(quote.accepted_on)) / 86400000;
+      let best = null;
+      let bestScore = 0;
+      for (const quote of quotes) {
+        if (quote.customer_id !== invoice.customer_id || quote.quote_date > invoice.invoice_date || quote.remaining_ht < 0.005) {
+          continue;
+        }
+        const cited = citesNumber(invoiceText, quote.quote_number);
+        const sameLines = Boolean(invoiceSignature) && invoiceSignature === quoteLines.get(quote.facturation_id);
+        const sameAmount = Math.abs(quote.remaining_ht - (invoice.total_ht || 0)) < 0.005
+          && daysSinceAcceptance(quote) <= maxDays;
+        const score = cited ? 3 : sameLines ? 2 : sameAmount ? 1 : 0;
+        // Devis triés du plus récent au plus ancien : à score égal, le premier rencontré est conservé
+        if (score > bestScore) {
+          best = quote;
+          bestScore = score;
+        }
+      }
+
+      if (best) {
+        await this.run(
+          "UPDATE invoices SET quote_id = ?, quote_link = 'matched' WHERE facturation_id = ?",
+          [best.facturation_id, invoice.facturation_id]
+        );
+        best.remaining_ht -= invoice.total_ht || 0;
+        linked++;
+      }
+    }
+    return linked;
+  }
+
+  /**
+   * Empreinte des lignes de chaque document (libellé, quantité, prix unitaire), indépendante de leur ordre
+   * @param {string} table - quote_lines ou invoice_lines
+   * @param {string} documentColumn - Colonne de l'ID Facturation.PRO du document
+   * @returns {Promise<Map<number, string>>}
+   */
+  async lineSignatures(table, documentColumn) {
+    const rows = await this.all(`SELECT ${documentColumn} AS document_id, description, quantity, unit_price FROM ${table}`);
+    const lines = new Map();
+    for (const row of rows) {
+      const line = `${(row.description || '').trim().toLowerCase()}|${Number(row.quantity) || 0}|${Math.round((Number(row.unit_price) || 0) * 100)}`;
+      if (!lines.has(row.document_id)) lines.set(row.document_id, []);
+      lines.get(row.document_id).push(line);
+    }
+    return new Map([...lines].map(([documentId, documentLines]) => [documentId, documentLines.sort().join('\n')]));
+  }
+
+  /**
+   * Factures issues d'un devis
+   * @param {number} quoteFacturationId - ID Facturation.PRO du devis
+   * @returns {Promise<Array<Object>>} { invoice_number, invoice_date, total_ht, total_ttc, quote_link }
+   */
+  async getInvoicesForQuote(quoteFacturationId) {
+    return this.all(`
+      SELECT invoice_number, invoice_date, total_ht, total_ttc, quote_link
+      FROM invoices
+      WHERE quote_id = ? AND deleted_at IS NULL
+      ORDER BY invoice_date
+    `, [quoteFacturationId]);
+  }
+
+  /**
+   * Ligne locale d'une entité synchronisée à partir de son ID Facturation.PRO
+   * @param {string} table - Table synchronisée (voir SYNCED_TABLES)
+   * @param {number} facturationId - ID Facturation.PRO
+   */
+  async getRowByFacturationId(table, facturationId) {
+    if (!SYNCED_TABLES.includes(table)) {
+      throw new Error(`Table non synchronisée: ${table}`);
+    }
+    return this.get(`SELECT * FROM ${table} WHERE facturation_id = ?`, [facturationId]);
+  }
+
   // Méthodes de recherche pour le MCP
   async searchQuotes(query, limit = 50) {
     const sql = `
       SELECT q.*, c.name as customer_name, c.email as customer_email
       FROM quotes q
       LEFT JOIN customers c ON q.customer_id = c.id
-      WHERE q.quote_number LIKE ? OR q.notes LIKE ? OR c.name LIKE ?
+      WHERE q.deleted_at IS NULL AND (q.quote_number LIKE ? OR q.notes LIKE ? OR c.name LIKE ?)
       ORDER BY q.quote_date DESC
       LIMIT ?
     `;
@@ -314,7 +850,7 @@ class Database {
       SELECT i.*, c.name as customer_name, c.email as customer_email
       FROM invoices i
       LEFT JOIN customers c ON i.customer_id = c.id
-      WHERE i.invoice_number LIKE ? OR i.notes LIKE ? OR c.name LIKE ?
+      WHERE i.deleted_at IS NULL AND (i.invoice_number LIKE ? OR i.notes LIKE ? OR c.name LIKE ?)
       ORDER BY i.invoice_date DESC
       LIMIT ?
     `;
@@ -339,7 +875,7 @@ class Database {
     const sql = `
       SELECT ql.*, p.name as product_name
       FROM quote_lines ql
-      LEFT JOIN products p ON ql.product_id = p.id
+      LEFT JOIN products p ON ql.product_id = p.facturation_id
       WHERE ql.quote_id = ?
       ORDER BY ql.line_order ASC
     `;
@@ -351,7 +887,7 @@ class Database {
     const sql = `
       SELECT il.*, p.name as product_name
       FROM invoice_lines il
-      LEFT JOIN products p ON il.product_id = p.id
+      LEFT JOIN products p ON il.product_id = p.facturation_id
       WHERE il.invoice_id = ?
       ORDER BY il.line_order ASC
     `;
@@ -359,6 +895,79 @@ class Database {
     return this.all(sql, [invoiceId]);
   }
 
+  // Méthodes d'accès pour les ressources MCP
+  async countDocuments(table) {
+    // Devis et factures supprimés sur Facturation.PRO exclus
+    const where = DOCUMENT_NUMBERS[table] ? ' WHERE deleted_at IS NULL' : '';
+    const row = await this.get(`SELECT COUNT(1) as c FROM ${table}${where}`);
+    return row?.c || 0;
+  }
+
+  async listInvoiceSummaries(limit, offset = 0) {
+    const sql = `
+      SELECT i.facturation_id, i.invoice_number, i.invoice_ref, i.invoice_date, i.total_ttc, i.status, c.name as customer_name
+      FROM invoices i
+      LEFT JOIN customers c ON i.customer_id = c.facturation_id
+      WHERE i.deleted_at IS NULL
+      ORDER BY i.invoice_date DESC, i.invoice_number DESC
+      LIMIT ? OFFSET ?
+    `;
+    return this.all(sql, [limit, offset]);
+  }
+
+  async listQuoteSummaries(limit, offset = 0) {
+    const sql = `
+      SELECT q.facturation_id, q.quote_number, q.quote_ref, q.quote_date, q.total_ttc, q.status, c.name as customer_name
+      FROM quotes q
+      LEFT JOIN customers c ON q.customer_id = c.facturation_id
+      WHERE q.deleted_at IS NULL
+      ORDER BY q.quote_date DESC, q.quote_number DESC
+      LIMIT ? OFFSET ?
+    `;
+    return this.all(sql, [limit, offset]);
+  }
+
+  async listCustomerSummaries(limit, offset = 0) {
+    const sql = `
+      SELECT facturation_id, name, city, email
+      FROM customers
+      ORDER BY name ASC, facturation_id ASC
+      LIMIT ? OFFSET ?
+    `;
+    return this.all(sql, [limit, offset]);
+  }
+
+  // Documents supprimés sur Facturation.PRO exclus (ressources MCP)
+  async getInvoiceByNumber(invoiceNumber) {
+    return this.get('SELECT * FROM invoices WHERE invoice_number = ? AND deleted_at IS NULL', [invoiceNumber]);
+  }
+
+  async getQuoteByNumber(quoteNumber) {
+    return this.get('SELECT * FROM quotes WHERE quote_number = ? AND deleted_at IS NULL', [quoteNumber]);
+  }
+
+  async getCustomerByFacturationId(facturationId) {
+    return this.get('SELECT * FROM customers WHERE facturation_id = ?', [facturationId]);
+  }
+
+  async getPaymentsForInvoice(invoiceId) {
+    return this.all('SELECT * FROM payments WHERE invoice_id = ? ORDER BY payment_date ASC', [invoiceId]);
+  }
+
+  /**
+   * Règlements avec le numéro de leur facture (rapport de changements de la synchronisation)
+   * @param {number|null} [invoiceId] - Facture locale (défaut: toutes)
+   */
+  async listPaymentsWithInvoiceNumber(invoiceId = null) {
+    return this.all(
+      `SELECT p.*, i.invoice_number FROM payments p
+       JOIN invoices i ON i.id = p.invoice_id
+       ${invoiceId ? 'WHERE p.invoice_id = ?' : ''}
+       ORDER BY p.invoice_id, p.payment_date, p.id`,
+      invoiceId ? [invoiceId] : []
+    );
+  }
+
   async getPricingStats() {
     const sql = `
       SELECT 
@@ -370,7 +979,9 @@ class Database {
         COUNT(DISTINCT il.invoice_id) as invoice_count
       FROM products p
       LEFT JOIN quote_lines ql ON p.id = ql.product_id
+        AND ql.quote_id IN (SELECT facturation_id FROM quotes WHERE deleted_at IS NULL)
       LEFT JOIN invoice_lines il ON p.id = il.product_id
+        AND il.invoice_id IN (SELECT facturation_id FROM invoices WHERE deleted_at IS NULL)
       GROUP BY p.id, p.name, p.price
       HAVING quote_count > 0 OR invoice_count > 0
       ORDER BY p.name
@@ -424,10 +1035,219 @@ class Database {
     return this.run('DELETE FROM payments WHERE payment_date >= ? AND payment_date <= ?', [startDate, endDate]);
   }
 
+  /**
+   * État de synchronisation d'une table (high-water mark, dernière synchronisation)
+   * @param {string} tableName - Table synchronisée
+   * @returns {Promise<Object|undefined>}
+   */
+  async getSyncMetadata(tableName) {
+    return this.get('SELECT * FROM sync_metadata WHERE table_name = ?', [tableName]);
+  }
+
+  /**
+   * Enregistre la fin de synchronisation d'une table (le point de reprise est effacé)
+   * @param {string} tableName - Table synchronisée
+   * @param {Object} metadata - { highWaterMark, totalRecords }
+   */
+  async saveSyncMetadata(tableName, { highWaterMark = null, totalRecords = 0 } = {}) {
+    return this.run(`
+      INSERT INTO sync_metadata (table_name, last_sync, total_records, high_water_mark)
+      VALUES (?, CURRENT_TIMESTAMP, ?, ?)
+      ON CONFLICT(table_name) DO UPDATE SET
+        last_sync = CURRENT_TIMESTAMP,
+        total_records = excluded.total_records,
+        high_water_mark = COALESCE(excluded.high_water_mark, sync_metadata.high_water_mark),
+        last_page = 0,
+        checkpoint_filters = NULL
+    `, [tableName, totalRecords, highWaterMark]);
+  }
+
+  /**
+   * Enregistre le point de reprise d'une synchronisation en cours : dernière page traitée
+   * @param {string} tableName - Table synchronisée
+   * @param {number} page - Page entièrement enregistrée
+   * @param {string} filters - Filtres API sérialisés
+   */
+  async saveSyncCheckpoint(tableName, page, filters) {
+    // last_sync reste vide tant que la table n'a jamais été synchronisée jusqu'au bout
+    return this.run(`
+      INSERT INTO sync_metadata (table_name, last_sync, last_page, checkpoint_filters)
+      VALUES (?, NULL, ?, ?)
+      ON CONFLICT(table_name) DO UPDATE SET
+        last_page = excluded.last_page,
+        checkpoint_filters = excluded.checkpoint_filters
+    `, [tableName, page, filters]);
+  }
+
+  /**
+   * Efface tous les points de reprise (la prochaine synchronisation repart de la première page)
+   */
+  async clearSyncCheckpoints() {
+    return this.run('UPDATE sync_metadata SET last_page = 0, checkpoint_filters = NULL WHERE last_page > 0 OR checkpoint_filters IS NOT NULL');
+  }
+
+  /**
+   * Indique si une synchronisation interrompue a laissé des points de reprise
+   * @returns {Promise<boolean>}
+   */
+  async hasSyncCheckpoints() {
+    const row = await this.get('SELECT COUNT(1) AS c FROM sync_metadata WHERE last_page > 0');
+    return (row?.c || 0) > 0;
+  }
+
+  /**
+   * Date de la dernière synchronisation, toutes tables confondues
+   * @returns {Promise<string|null>} Date ISO 8601 (UTC), ou null si jamais synchronisée
+   */
+  async getLastSyncTime() {
+    const row = await this.get('SELECT MAX(last_sync) AS last_sync FROM sync_metadata');
+    return sqliteTimestampToIso(row?.last_sync);
+  }
+
+  /**
+   * État de synchronisation de chaque table
+   * @returns {Promise<Array<Object>>} { table_name, last_sync (ISO), total_records, high_water_mark, last_page, last_reconciled_at }
+   */
+  async listSyncMetadata() {
+    const rows = await this.all(`
+      SELECT table_name, last_sync, total_records, high_water_mark, last_page, last_reconciled_at
+      FROM sync_metadata
+      ORDER BY table_name
+    `);
+    return rows.map(row => ({
+      ...row,
+      last_sync: sqliteTimestampToIso(row.last_sync),
+      last_reconciled_at: sqliteTimestampToIso(row.last_reconciled_at)
+    }));
+  }
+
+  /**
+   * Enregistre une exécution de synchronisation dans l'historique (sync_runs)
+   * @param {Object} run - { scope, origin, status, startedAt, finishedAt, durationMs, changes, error }
+   */
+  async recordSyncRun({ scope, origin = null, status, startedAt, finishedAt = null, durationMs = null, changes = null, error = null }) {
+    return this.run(`
+      INSERT INTO sync_runs (scope, origin, status, started_at, finished_at, duration_ms, changes, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [scope, origin, status, startedAt, finishedAt, durationMs, changes ? JSON.stringify(changes) : null, error]);
+  }
+
+  /**
+   * Dernières exécutions de synchronisation, de la plus récente à la plus ancienne
+   * @param {number} [limit=10]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSyncRuns(limit = 10) {
+    const rows = await this.all('SELECT * FROM sync_runs ORDER BY started_at DESC, id DESC LIMIT ?', [limit]);
+    return rows.map(row => ({ ...row, changes: row.changes ? JSON.parse(row.changes) : {} }));
+  }
+
+  /**
+   * Documents locaux non supprimés (rapprochement avec Facturation.PRO)
+   * @param {string} table - quotes ou invoices
+   * @returns {Promise<Array<{facturation_id: number, number: string}>>}
+   */
+  async listActiveDocumentIds(table) {
+    return this.all(`SELECT facturation_id, ${DOCUMENT_NUMBERS[table]} AS number FROM ${table} WHERE deleted_at IS NULL`);
+  }
+
+  /**
+   * Marque des documents comme supprimés sur Facturation.PRO (suppression logique)
+   * @param {string} table - quotes ou invoices
+   * @param {Array<number>} facturationIds - IDs Facturation.PRO
+   */
+  async markDocumentsDeleted(table, facturationIds) {
+    let changes = 0;
+    // Par lots : SQLite limite le nombre de paramètres d'une requête
+    for (let i = 0; i < facturationIds.length; i += 500) {
+      const batch = facturationIds.slice(i, i + 500);
+      const result = await this.run(
+        `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP WHERE deleted_at IS NULL AND facturation_id IN (${batch.map(() => '?').join(', ')})`,
+        batch
+      );
+      changes += result.changes;
+    }
+    return { changes };
+  }
+
+  /**
+   * Documents marqués supprimés mais de nouveau présents sur Facturation.PRO
+   * @param {string} table - quotes ou invoices
+   * @param {Array<number>} facturationIds - IDs présents sur Facturation.PRO
+   * @returns {Promise<Array<{facturation_id: number, number: string}>>} Documents restaurés
+   */
+  async restoreDocuments(table, facturationIds) {
+    const remote = new Set(facturationIds.map(Number));
+    const deleted = await this.all(`SELECT facturation_id, ${DOCUMENT_NUMBERS[table]} AS number FROM ${table} WHERE deleted_at IS NOT NULL`);
+    const restored = deleted.filter(row => remote.has(Number(row.facturation_id)));
+    for (const row of restored) {
+      await this.run(`UPDATE ${table} SET deleted_at = NULL WHERE facturation_id = ?`, [row.facturation_id]);
+    }
+    return restored;
+  }
+
+  /**
+   * Enregistre la date du dernier rapprochement des suppressions d'une table
+   * @param {string} tableName - quotes ou invoices
+   */
+  async saveReconciliation(tableName) {
+    return this.run(`
+      INSERT INTO sync_metadata (table_name, last_reconciled_at)
+      VALUES (?, CURRENT_TIMESTAMP)
+      ON CONFLICT(table_name) DO UPDATE SET last_reconciled_at = CURRENT_TIMESTAMP
+    `, [tableName]);
+  }
+
   async getPaymentsCountBetween(startDate, endDate) {
     const row = await this.get('SELECT COUNT(1) as c FROM payments WHERE payment_date >= ? AND payment_date <= ?', [startDate, endDate]);
     return row?.c || 0;
   }
+
+  /**
+   * PDF en cache d'une facture ou d'un devis
+   * @param {string} documentType - invoice ou quote
+   * @param {number} facturationId - ID Facturation.PRO
+   */
+  async getDocumentPdf(documentType, facturationId) {
+    return this.get('SELECT * FROM document_pdfs WHERE document_type = ? AND facturation_id = ?', [documentType, facturationId]);
+  }
+
+  /**
+   * Enregistre (ou remplace) le PDF en cache d'un document
+   * @param {Object} pdf - { documentType, facturationId, documentNumber, filePath, sourceUpdatedAt, size }
+   */
+  async saveDocumentPdf({ documentType, facturationId, documentNumber, filePath, sourceUpdatedAt = null, size = null }) {
+    return this.run(`
+      INSERT OR REPLACE INTO document_pdfs (document_type, facturation_id, document_number, file_path, source_updated_at, size, fetched_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [documentType, facturationId, documentNumber, filePath, sourceUpdatedAt, size]);
+  }
+
+  /**
+   * PDF en cache de toutes les factures et devis
+   * @returns {Promise<Map<string, Object>>} Lignes document_pdfs par clé "type:ID Facturation.PRO"
+   */
+  async getDocumentPdfs() {
+    const rows = await this.all('SELECT * FROM document_pdfs');
+    return new Map(rows.map(row => [`${row.document_type}:${row.facturation_id}`, row]));
+  }
+
+  /**
+   * Factures et devis non supprimés dont le PDF peut être mis en cache (voir PdfCache)
+   * @param {string} sinceDate - Date de document minimale (YYYY-MM-DD)
+   * @returns {Promise<Array<{document_type: string, facturation_id: number, document_number: string, updated_at: string}>>}
+   */
+  async listPdfDocuments(sinceDate) {
+    return this.all(`
+      SELECT 'invoice' as document_type, facturation_id, invoice_number as document_number, updated_at
+      FROM invoices
+      WHERE deleted_at IS NULL AND invoice_date >= ?
+      UNION ALL
+      SELECT 'quote', facturation_id, quote_number, updated_at
+      FROM quotes
+      WHERE deleted_at IS NULL AND quote_date >= ?
+    `, [sinceDate, sinceDate]);
+  }
 }
 
 export default Database;
@@ -15,7 +15,26 @@ CREATE TABLE IF NOT EXISTS customers (
     vat_number TEXT,
     created_at DATETIME,
     updated_at DATETIME,
-    last_sync DATETIME DEFAULT CURRENT_TIMESTAMP
+    last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
+    raw_json TEXT -- réponse complète de l'API (JSON), voir PROMOTED_FIELDS_FILE
+);
+
+-- Table des fournisseurs
+CREATE TABLE IF NOT EXISTS suppliers (
+    id INTEGER PRIMARY KEY,
+    facturation_id INTEGER UNIQUE NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    address TEXT,
+    city TEXT,
+    postal_code TEXT,
+    country TEXT,
+    vat_number TEXT,
+    created_at DATETIME,
+    updated_at DATETIME,
+    last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
+    raw_json TEXT -- réponse complète de l'API (JSON), voir PROMOTED_FIELDS_FILE
 );
 
 -- Table des catégories
@@ -26,7 +45,8 @@ CREATE TABLE IF NOT EXISTS categories (
     status INTEGER DEFAULT 0, -- 0: Achats/Ventes, 1: Ventes uniquement, 2: Achats uniquement
     created_at DATETIME,
     updated_at DATETIME,
-    last_sync DATETIME DEFAULT CURRENT_TIMESTAMP
+    last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
+    raw_json TEXT -- réponse complète de l'API (JSON), voir PROMOTED_FIELDS_FILE
 );
 
 -- Table des produits
@@ -42,6 +62,7 @@ CREATE TABLE IF NOT EXISTS products (
     created_at DATETIME,
     updated_at DATETIME,
     last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
+    raw_json TEXT, -- réponse complète de l'API (JSON), voir PROMOTED_FIELDS_FILE
     FOREIGN KEY (category_id) REFERENCES categories(id)
 );
 
@@ -62,6 +83,9 @@ CREATE TABLE IF NOT EXISTS quotes (
     created_at DATETIME,
     updated_at DATETIME,
     last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME, -- supprimé sur Facturation.PRO (rapprochement), exclu des outils
+    accepted_on DATE, -- date d'acceptation (API, sinon passage au statut accepté constaté à la synchronisation)
+    raw_json TEXT, -- réponse complète de l'API (JSON), voir PROMOTED_FIELDS_FILE
     FOREIGN KEY (customer_id) REFERENCES customers(id)
 );
 
@@ -105,6 +129,12 @@ CREATE TABLE IF NOT EXISTS invoices (
     created_at DATETIME,
     updated_at DATETIME,
     last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
+    deleted_at DATETIME, -- supprimé sur Facturation.PRO (rapprochement), exclu des outils
+    is_credit_note INTEGER DEFAULT 0, -- 1: avoir (montants négatifs)
+    credited_invoice_id INTEGER, -- avoir : ID Facturation.PRO de la facture annulée
+    quote_id INTEGER, -- ID Facturation.PRO du devis facturé
+    quote_link TEXT, -- origine du lien avec le devis : 'api' ou 'matched' (rapprochement client : numéro cité, lignes ou montant)
+    raw_json TEXT, -- réponse complète de l'API (JSON), voir PROMOTED_FIELDS_FILE
     FOREIGN KEY (customer_id) REFERENCES customers(id)
 );
 
@@ -127,6 +157,26 @@ CREATE TABLE IF NOT EXISTS invoice_lines (
     FOREIGN KEY (product_id) REFERENCES products(id)
 );
 
+-- Table des achats (dépenses fournisseurs)
+CREATE TABLE IF NOT EXISTS purchases (
+    id INTEGER PRIMARY KEY,
+    facturation_id INTEGER UNIQUE NOT NULL,
+    supplier_id INTEGER, -- ID Facturation.PRO du fournisseur
+    category_id INTEGER, -- ID Facturation.PRO de la catégorie (categories.facturation_id)
+    customer_id INTEGER, -- ID Facturation.PRO du client associé (achat affecté à un projet client)
+    purchase_ref TEXT, -- Référence de la facture fournisseur
+    title TEXT,
+    purchase_date DATE NOT NULL,
+    paid_on DATE,
+    total_ht REAL NOT NULL,
+    total_ttc REAL NOT NULL,
+    vat_amount REAL NOT NULL,
+    created_at DATETIME,
+    updated_at DATETIME,
+    last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
+    raw_json TEXT -- réponse complète de l'API (JSON), voir PROMOTED_FIELDS_FILE
+);
+
 -- Table des paiements
 CREATE TABLE IF NOT EXISTS payments (
     id INTEGER PRIMARY KEY,
@@ -149,8 +199,36 @@ CREATE TABLE IF NOT EXISTS sync_metadata (
     id INTEGER PRIMARY KEY,
     table_name TEXT UNIQUE NOT NULL,
     last_sync DATETIME DEFAULT CURRENT_TIMESTAMP,
-    last_page INTEGER DEFAULT 0,
-    total_records INTEGER DEFAULT 0
+    last_page INTEGER DEFAULT 0, -- dernière page enregistrée d'une synchronisation en cours (reprise)
+    checkpoint_filters TEXT, -- filtres API de la synchronisation en cours (la reprise exige les mêmes)
+    total_records INTEGER DEFAULT 0,
+    high_water_mark TEXT, -- updated_at le plus récent reçu de l'API (synchronisation incrémentale)
+    last_reconciled_at DATETIME -- dernier rapprochement des suppressions
+);
+
+-- Historique des synchronisations (propre à la base publiée : jamais remplacé par une synchronisation)
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL,
+    origin TEXT, -- cli, mcp, schedule
+    status TEXT NOT NULL, -- success, error, cancelled
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    duration_ms INTEGER,
+    changes TEXT, -- compteurs par table (JSON)
+    error TEXT
+);
+
+-- PDF officiels des factures et devis mis en cache sur disque (voir PdfCache)
+CREATE TABLE IF NOT EXISTS document_pdfs (
+    document_type TEXT NOT NULL, -- invoice, quote
+    facturation_id INTEGER NOT NULL,
+    document_number TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    source_updated_at DATETIME, -- updated_at du document lors du téléchargement
+    size INTEGER,
+    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (document_type, facturation_id)
 );
 
 -- Index pour améliorer les performances de recherche
@@ -168,3 +246,9 @@ CREATE INDEX IF NOT EXISTS idx_quote_lines_quote ON quote_lines(quote_id);
 CREATE INDEX IF NOT EXISTS idx_invoice_lines_invoice ON invoice_lines(invoice_id);
 CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
 CREATE INDEX IF NOT EXISTS idx_payments_date ON payments(payment_date);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started ON sync_runs(started_at);
+CREATE INDEX IF NOT EXISTS idx_suppliers_name ON suppliers(name);
+CREATE INDEX IF NOT EXISTS idx_purchases_date ON purchases(purchase_date);
+CREATE INDEX IF NOT EXISTS idx_purchases_supplier ON purchases(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_category ON purchases(category_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_customer ON purchases(customer_id);
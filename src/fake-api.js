@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+import chalk from 'chalk';
+import { FakeFacturationServer, DEFAULT_DATASET } from './api/fake/FakeFacturationServer.js';
+import { getLogger } from './logging/index.js';
+
+const logger = getLogger('cli');
+
+/**
+ * Valeur d'une option --nom <valeur>
+ */
+function option(name, defaultValue) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : defaultValue;
+}
+
+async function main() {
+  try {
+    // --dataset <fichier> : jeu de données JSON (défaut: src/api/fake/dataset.json)
+    // --per-page <n> : éléments par page des listes, pour tester la pagination
+    // --rate-limit <n> : répondre 429 au-delà de n requêtes par minute
+    // --throttle-every <n> : répondre 429 à une requête sur n
+    const server = FakeFacturationServer.fromFile(option('dataset', DEFAULT_DATASET), {
+      perPage: parseInt(option('per-page', '30'), 10),
+      rateLimit: parseInt(option('rate-limit', '0'), 10),
+      throttleEvery: parseInt(option('throttle-every', '0'), 10)
+    });
+    const url = await server.start(parseInt(option('port', '4100'), 10), option('host', '127.0.0.1'));
+
+    // Sortie standard plutôt que le logger : ces lignes doivent s'afficher quel que soit LOG_LEVEL
+    process.stdout.write([
+      chalk.green.bold(`🧪 API Facturation.PRO simulée : ${url}`),
+      'Variables à utiliser pour la synchronisation et le serveur MCP :',
+      chalk.white(`  FACTURATION_BASE_URL=${url}`),
+      chalk.white('  FACTURATION_API_ID=demo FACTURATION_API_KEY=demo FACTURATION_FIRM_ID=1')
+    ].join('\n') + '\n');
+
+    const shutdown = async () => {
+      await server.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    logger.error(chalk.red(`❌ Démarrage impossible: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+main();
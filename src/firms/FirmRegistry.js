@@ -0,0 +1,87 @@
+import { mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import Database from '../database/index.js';
+import { SyncService } from '../sync/SyncService.js';
+import { config } from '../config.js';
+
+/**
+ * Registre des sociétés Facturation.PRO gérées par le serveur
+ * Chaque société dispose de sa propre base SQLite et de son service de synchronisation.
+ */
+export class FirmRegistry {
+  /**
+   * @param {Array<Object>} [firms] - Sociétés configurées (config.firms)
+   * @param {string} [defaultKey] - Clé de la société par défaut (config.defaultFirm)
+   */
+  constructor(firms = config.firms, defaultKey = config.defaultFirm) {
+    this.firms = new Map();
+    for (const firm of firms) {
+      const database = new Database(firm.dbPath);
+      this.firms.set(firm.key, {
+        ...firm,
+        database,
+        syncService: new SyncService({ database, firm })
+      });
+    }
+    this.defaultKey = defaultKey;
+  }
+
+  /**
+   * Société par défaut (utilisée quand un outil est appelé sans argument "firm")
+   */
+  get default() {
+    return this.firms.get(this.defaultKey);
+  }
+
+  /**
+   * Retourne une société par sa clé
+   * @param {string} [key] - Clé de la société (défaut: société par défaut)
+   * @returns {Object} { key, name, firmId, dbPath, database, syncService }
+   */
+  get(key) {
+    if (key === undefined || key === null || key === '') return this.default;
+
+    const firm = this.firms.get(key);
+    if (!firm) {
+      throw Object.assign(
+        new Error(`Société inconnue: ${key} (disponibles: ${this.keys().join(', ')})`),
+        { code: -32602 }
+      );
+    }
+    return firm;
+  }
+
+  /**
+   * @returns {Array<string>} Clés des sociétés
+   */
+  keys() {
+    return [...this.firms.keys()];
+  }
+
+  /**
+   * @returns {Array<Object>} Sociétés
+   */
+  list() {
+    return [...this.firms.values()];
+  }
+
+  /**
+   * Ouvre et initialise la base de chaque société
+   */
+  async connectAll() {
+    for (const firm of this.firms.values()) {
+      await mkdir(dirname(firm.database.dbPath), { recursive: true });
+      await firm.database.connect();
+      await firm.database.initialize();
+    }
+  }
+
+  /**
+   * Ferme la base de chaque société
+   */
+  async closeAll() {
+    for (const firm of this.firms.values()) {
+      await firm.database.close();
+    }
+  }
+}
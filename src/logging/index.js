@@ -0,0 +1,196 @@
+import { createWriteStream, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { config } from '../config.js';
+
+// Niveaux syslog (RFC 5424) utilisés par MCP, du moins au plus sévère
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+function severity(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+/**
+ * Met en forme les arguments d'un appel de log en une ligne de texte
+ */
+function formatArgs(args) {
+  return args.map(arg => {
+    if (arg instanceof Error) return arg.message;
+    if (arg !== null && typeof arg === 'object') return JSON.stringify(arg);
+    return String(arg);
+  }).join(' ').replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Système de logs unifié
+ * - sortie locale (stderr et fichier optionnel) filtrée par niveau global ou par module
+ * - notifications MCP notifications/message vers les clients connectés, au niveau choisi par chacun (logging/setLevel)
+ * Principe SOLID : Single Responsibility - Achemine les messages de log, sans les produire
+ */
+export class LogManager {
+  /**
+   * @param {Object} options - Voir config.logging
+   */
+  constructor({ level = 'error', modules = {}, file = null, clientLevel = 'info' } = {}) {
+    this.level = level;
+    this.modules = { ...modules };
+    this.clientLevel = clientLevel;
+    this.filePath = file;
+    this.fileStream = null;
+    this.clients = new Map();
+    this.loggers = new Map();
+    // Empêche qu'un log émis pendant l'envoi d'une notification ne reboucle
+    this.emitting = false;
+  }
+
+  /**
+   * Logger nommé d'un module (api, db, sync, mcp, http...)
+   * @param {string} name - Nom du module
+   * @returns {Logger}
+   */
+  getLogger(name) {
+    if (!this.loggers.has(name)) {
+      this.loggers.set(name, new Logger(name, this));
+    }
+    return this.loggers.get(name);
+  }
+
+  /**
+   * Niveau local effectif d'un module (surcharge par module, sinon niveau global)
+   */
+  levelFor(name) {
+    return this.modules[name] || this.level;
+  }
+
+  /**
+   * Modifie le niveau d'un module pour la sortie locale
+   */
+  setModuleLevel(name, level) {
+    this.assertLevel(level);
+    this.modules[name] = level;
+  }
+
+  assertLevel(level) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw Object.assign(new Error(`Niveau de log invalide: ${level} (attendu: ${LOG_LEVELS.join(', ')})`), { code: -32602 });
+    }
+  }
+
+  /**
+   * Enregistre un client MCP destinataire des notifications/message.
+   * Le client ne reçoit rien avant markReady() (fin de l'initialisation).
+   * @param {string} key - 'stdio' ou identifiant de session HTTP
+   * @param {Function} send - Envoie une notification JSON-RPC au client
+   */
+  addClient(key, send) {
+    this.clients.set(key, { send, level: this.clientLevel, ready: false });
+  }
+
+  markReady(key) {
+    const client = this.clients.get(key);
+    if (client) client.ready = true;
+  }
+
+  removeClient(key) {
+    this.clients.delete(key);
+  }
+
+  /**
+   * Niveau minimal des notifications envoyées à un client (logging/setLevel)
+   */
+  setClientLevel(key, level) {
+    this.assertLevel(level);
+    const client = this.clients.get(key);
+    if (client) client.level = level;
+  }
+
+  /**
+   * Achemine un message vers les sorties dont le niveau le permet
+   */
+  write(name, level, args) {
+    const levelIndex = severity(level);
+    const local = levelIndex >= severity(this.levelFor(name));
+    const clients = [...this.clients.values()].filter(c => c.ready && levelIndex >= severity(c.level));
+    if (!local && clients.length === 0) return;
+
+    const message = formatArgs(args);
+
+    if (local) {
+      const line = `[${name.toUpperCase()} ${level.toUpperCase()}] ${message}`;
+      process.stderr.write(`${line}\n`);
+      this.writeFile(`${new Date().toISOString()} ${line}\n`);
+    }
+
+    if (clients.length === 0 || this.emitting) return;
+    this.emitting = true;
+    try {
+      for (const client of clients) {
+        try {
+          client.send({
+            jsonrpc: '2.0',
+            method: 'notifications/message',
+            params: { level, logger: name, data: message }
+          });
+        } catch (error) {
+          // Client déconnecté : ne pas interrompre l'appelant
+        }
+      }
+    } finally {
+      this.emitting = false;
+    }
+  }
+
+  writeFile(line) {
+    if (!this.filePath) return;
+    if (!this.fileStream) {
+      try {
+        mkdirSync(dirname(this.filePath), { recursive: true });
+        this.fileStream = createWriteStream(this.filePath, { flags: 'a' });
+        this.fileStream.on('error', (error) => {
+          process.stderr.write(`[LOGGING ERROR] Écriture impossible dans ${this.filePath}: ${error.message}\n`);
+          this.filePath = null;
+        });
+      } catch (error) {
+        process.stderr.write(`[LOGGING ERROR] Ouverture impossible de ${this.filePath}: ${error.message}\n`);
+        this.filePath = null;
+        return;
+      }
+    }
+    this.fileStream.write(line);
+  }
+
+  /**
+   * Ferme le fichier de log éventuel
+   */
+  close() {
+    if (this.fileStream) {
+      this.fileStream.end();
+      this.fileStream = null;
+    }
+  }
+}
+
+/**
+ * Logger d'un module
+ */
+export class Logger {
+  constructor(name, manager) {
+    this.name = name;
+    this.manager = manager;
+  }
+
+  debug(...args) { this.manager.write(this.name, 'debug', args); }
+  info(...args) { this.manager.write(this.name, 'info', args); }
+  notice(...args) { this.manager.write(this.name, 'notice', args); }
+  warning(...args) { this.manager.write(this.name, 'warning', args); }
+  error(...args) { this.manager.write(this.name, 'error', args); }
+  critical(...args) { this.manager.write(this.name, 'critical', args); }
+}
+
+// Instance partagée par tout le serveur
+export const logging = new LogManager(config.logging);
+
+export function getLogger(name) {
+  return logging.getLogger(name);
+}
@@ -1,4 +1,5 @@
-import Database from '../database/index.js';
+import { FirmRegistry } from '../firms/FirmRegistry.js';
+import { SyncScheduler } from '../sync/SyncScheduler.js';
 import { SearchQuotesTool } from './tools/SearchQuotesTool.js';
 import { SearchInvoicesTool } from './tools/SearchInvoicesTool.js';
 import { AnalyzePricingTool } from './tools/AnalyzePricingTool.js';
@@ -8,23 +9,41 @@ import { AnalyzeProjectBriefTool } from './tools/AnalyzeProjectBriefTool.js';
 import { FindSimilarProjectsAdvancedTool } from './tools/FindSimilarProjectsAdvancedTool.js';
 import { EstimateProjectCostTool } from './tools/EstimateProjectCostTool.js';
 import { CalculateQuotesRevenueTool } from './tools/CalculateQuotesRevenueTool.js';
+import { QuoteConversionTool } from './tools/QuoteConversionTool.js';
 import { VentilerEncaissementsTool } from './tools/VentilerEncaissementsTool.js';
 import { EncaissementsPeriodeTool } from './tools/EncaissementsPeriodeTool.js';
+import { AnalyzeExpensesTool } from './tools/AnalyzeExpensesTool.js';
+import { GrossMarginTool } from './tools/GrossMarginTool.js';
+import { CustomerMarginTool } from './tools/CustomerMarginTool.js';
+import { SyncNowTool } from './tools/SyncNowTool.js';
+import { SyncStatusTool } from './tools/SyncStatusTool.js';
+import { GetDocumentPdfTool } from './tools/GetDocumentPdfTool.js';
+import { ConsolidatedRevenueTool } from './tools/ConsolidatedRevenueTool.js';
+import { ToolAllowlist } from './tools/ToolAllowlist.js';
+import { ToolPluginLoader } from './tools/ToolPluginLoader.js';
+import { InvoiceResource } from './resources/InvoiceResource.js';
+import { QuoteResource } from './resources/QuoteResource.js';
+import { CustomerResource } from './resources/CustomerResource.js';
+import { PromptRegistry, DEFAULT_PROMPTS_FILE } from './prompts/PromptRegistry.js';
+import { HttpTransport } from './transports/HttpTransport.js';
 import { config } from '../config.js';
 import { createInterface } from 'readline';
+import { logging, getLogger } from '../logging/index.js';
 
-// Custom logger to control console.error output
-const customLogger = {
-  error: (...args) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      process.stderr.write(`[MCP ERROR] ${args.join(' ')}\n`);
-    }
-  },
-  log: (message) => {
-    // Les messages de log pour stdout ne devraient être que des réponses JSON-RPC
-    process.stdout.write(message + '\n');
-  }
-};
+// Versions du protocole MCP supportées (la plus récente en premier)
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const logger = getLogger('mcp');
+
+// Durée pendant laquelle la date de dernière synchronisation d'une société est réutilisée (_meta.last_sync)
+const LAST_SYNC_CACHE_MS = 60000;
+
+/**
+ * Écrit un message JSON-RPC sur stdout (réservé au protocole : aucun log ne doit y passer)
+ */
+function writeStdout(message) {
+  process.stdout.write(JSON.stringify(message) + '\n');
+}
 
 /**
  * Serveur MCP fonctionnel pour Facturation.PRO
@@ -32,39 +51,279 @@ const customLogger = {
  */
 export class FunctionalFacturationMCPServer {
   constructor() {
-    this.database = new Database();
+    // Une base SQLite et un service de synchronisation par société
+    this.firms = new FirmRegistry();
     this.tools = new Map();
+    this.resources = [];
+    this.httpTransport = null;
+    // Requêtes en cours d'exécution (clé: session + id JSON-RPC) pour l'annulation
+    this.inFlightRequests = new Map();
+    // Date de la dernière synchronisation par société : { value, at }
+    this.lastSyncCache = new Map();
     this.setupTools();
+    this.setupResources();
+    this.setupPrompts();
   }
 
   /**
-   * Configure les outils disponibles
+   * Configure les outils disponibles (filtrés par la liste d'autorisation configurée)
    */
   setupTools() {
     const tools = [
       new SearchQuotesTool(),
       new SearchInvoicesTool(),
+      new GetDocumentPdfTool(this.firms),
       new AnalyzePricingTool(),
       new GetSimilarProjectsTool(),
       new CalculateRevenueTool(),
       new CalculateQuotesRevenueTool(),
+      new QuoteConversionTool(),
       new VentilerEncaissementsTool(),
       new EncaissementsPeriodeTool(),
+      new AnalyzeExpensesTool(),
+      new GrossMarginTool(),
+      new CustomerMarginTool(),
       new AnalyzeProjectBriefTool(),
       new FindSimilarProjectsAdvancedTool(),
-      new EstimateProjectCostTool()
+      new EstimateProjectCostTool(),
+      new SyncNowTool(this.firms),
+      new SyncStatusTool()
     ];
 
-    tools.forEach(tool => {
+    // Plusieurs sociétés : variantes consolidées des outils de chiffre d'affaires
+    if (this.firms.keys().length > 1) {
+      const revenueTools = ['calculate_revenue', 'calculate_quotes_revenue', 'ventiler_encaissements', 'encaissements_periode'];
+      tools.push(...tools
+        .filter(tool => revenueTools.includes(tool.name))
+        .map(tool => new ConsolidatedRevenueTool(tool, this.firms)));
+    }
+
+    this.toolAllowlist = ToolAllowlist.fromConfig();
+    tools.filter(tool => this.toolAllowlist.isEnabled(tool)).forEach(tool => {
       this.tools.set(tool.name, tool);
     });
   }
 
+  /**
+   * Charge les outils personnalisés du répertoire de plugins (config.mcp.pluginsDir).
+   * Comme les outils intégrés, ils reçoivent à l'exécution la base de la société visée par l'argument "firm"
+   * et passent par la même liste d'autorisation. Le constructeur reçoit le registre des sociétés (firms)
+   * ainsi que la base et le service de synchronisation de la société par défaut.
+   */
+  async loadPlugins() {
+    const loader = new ToolPluginLoader(config.mcp.pluginsDir);
+    const tools = await loader.load({
+      firms: this.firms,
+      database: this.firms.default.database,
+      syncService: this.firms.default.syncService
+    });
+
+    for (const tool of tools) {
+      if (this.tools.has(tool.name)) {
+        logger.warning(`Plugin ignoré: un outil nommé ${tool.name} existe déjà`);
+        continue;
+      }
+      if (this.toolAllowlist.isEnabled(tool)) {
+        this.tools.set(tool.name, tool);
+      }
+    }
+  }
+
+  /**
+   * Configure les ressources exposées (factures, devis, clients)
+   */
+  setupResources() {
+    this.resources = [
+      new InvoiceResource(),
+      new QuoteResource(),
+      new CustomerResource()
+    ];
+  }
+
+  /**
+   * Charge les prompts depuis le fichier configuré.
+   * En cas de fichier invalide, retombe sur les prompts fournis par défaut.
+   */
+  setupPrompts() {
+    const options = { firmKeys: this.firms.keys() };
+    try {
+      this.prompts = new PromptRegistry(undefined, options);
+    } catch (error) {
+      logger.error(`Chargement des prompts impossible (${config.mcp.promptsFile}):`, error.message);
+      this.prompts = new PromptRegistry(DEFAULT_PROMPTS_FILE, options);
+    }
+  }
+
+  /**
+   * Liste une page de ressources, tous types et toutes sociétés confondus.
+   * Avec plusieurs sociétés, chaque URI indique sa société (?firm=).
+   * Le curseur opaque encode la société courante, le type de ressource et le décalage dans ce type.
+   * @param {string} [cursor] - Curseur renvoyé par la page précédente
+   * @returns {Promise<Object>} { resources, nextCursor? }
+   */
+  async listResources(cursor) {
+    let position = { f: 0, r: 0, o: 0 };
+    if (cursor) {
+      try {
+        position = { f: 0, ...JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) };
+      } catch {
+        position = null;
+      }
+      if (!position || ['f', 'r', 'o'].some(field => !Number.isInteger(position[field]) || position[field] < 0)) {
+        throw Object.assign(new Error('Curseur invalide'), { code: -32602 });
+      }
+    }
+
+    const firms = this.firms.list();
+    const multiFirm = firms.length > 1;
+    const pageSize = config.mcp.resourcesPageSize > 0 ? config.mcp.resourcesPageSize : 100;
+    const page = [];
+    let { f: firmIndex, r: resourceIndex, o: offset } = position;
+
+    while (firmIndex < firms.length && page.length < pageSize) {
+      const firm = firms[firmIndex];
+      const resource = this.resources[resourceIndex];
+      const items = await resource.list(firm.database, offset, pageSize - page.length, multiFirm ? firm.key : null);
+      page.push(...items);
+      offset += items.length;
+
+      // Page vide : le type est épuisé même si count() annonce davantage (documents supprimés entre-temps)
+      if (items.length === 0 || offset >= await resource.count(firm.database)) {
+        offset = 0;
+        resourceIndex++;
+        if (resourceIndex >= this.resources.length) {
+          resourceIndex = 0;
+          firmIndex++;
+        }
+      }
+    }
+
+    const result = { resources: page };
+    if (firmIndex < firms.length) {
+      result.nextCursor = Buffer.from(JSON.stringify({ f: firmIndex, r: resourceIndex, o: offset })).toString('base64url');
+    }
+    return result;
+  }
+
+  /**
+   * Lit une ressource à partir de son URI
+   * @param {string} uri - URI facturation://{type}/{clé}[?firm={société}]
+   * @returns {Promise<Object|null>} Contenu MCP ou null si introuvable
+   */
+  async readResource(uri) {
+    for (const resource of this.resources) {
+      const parsed = resource.parseUri(uri);
+      if (parsed === null) continue;
+
+      // Société inconnue : erreur -32602 (voir FirmRegistry.get)
+      const firm = this.firms.get(parsed.firm);
+      const document = await resource.read(parsed.key, firm.database);
+      if (!document) return null;
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: resource.mimeType,
+            text: JSON.stringify(document, null, 2),
+          },
+        ],
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Date de la dernière synchronisation d'une société, relue au plus une fois par minute
+   * @param {Object} firm - Société (voir FirmRegistry)
+   * @returns {Promise<string|null>}
+   */
+  async getLastSync(firm) {
+    const cached = this.lastSyncCache.get(firm.key);
+    if (cached && Date.now() - cached.at < LAST_SYNC_CACHE_MS) return cached.value;
+    const value = await firm.database.getLastSyncTime();
+    this.lastSyncCache.set(firm.key, { value, at: Date.now() });
+    return value;
+  }
+
+  /**
+   * Fraîcheur des données d'un résultat d'outil (_meta) : date de la dernière synchronisation
+   * de la société interrogée, ou de chaque société pour un outil consolidé
+   */
+  async getFreshnessMeta(tool, firm) {
+    if (tool.firmScoped) {
+      return { last_sync: await this.getLastSync(firm) };
+    }
+    const lastSync = {};
+    for (const each of this.firms.list()) {
+      lastSync[each.key] = await this.getLastSync(each);
+    }
+    return { last_sync: lastSync };
+  }
+
+  /**
+   * Clé d'une requête en cours (les id JSON-RPC ne sont uniques que par session)
+   */
+  getInFlightKey(context, requestId) {
+    return `${context.sessionId || 'stdio'}:${requestId}`;
+  }
+
+  /**
+   * Crée le contexte d'exécution d'un outil : signal d'annulation et remontée de progression
+   * @param {Object} request - Requête tools/call
+   * @param {Object} context - Contexte transport { sessionId, sendNotification }
+   * @param {AbortController} controller - Contrôleur d'annulation de la requête
+   */
+  createToolContext(request, context, controller) {
+    const progressToken = request.params?._meta?.progressToken;
+    let lastProgress = -Infinity;
+
+    return {
+      signal: controller.signal,
+      progressToken,
+      reportProgress: (progress, total, message) => {
+        if (progressToken === undefined || controller.signal.aborted || typeof context.sendNotification !== 'function') return;
+        // La progression doit strictement augmenter
+        if (progress <= lastProgress) return;
+        lastProgress = progress;
+        context.sendNotification({
+          jsonrpc: '2.0',
+          method: 'notifications/progress',
+          params: {
+            progressToken,
+            progress,
+            ...(total !== undefined ? { total } : {}),
+            ...(message ? { message } : {}),
+          },
+        });
+      },
+    };
+  }
+
   /**
    * Traite une requête MCP
+   * @param {Object} request - Message JSON-RPC
+   * @param {Object} [context] - Contexte transport { sessionId, sendNotification(message), signal }
+   *   (signal : interrompu par le transport quand le client se déconnecte)
    */
-  async handleRequest(request) {
+  async handleRequest(request, context = {}) {
     try {
+      if (request.method === 'notifications/cancelled') {
+        const requestId = request.params?.requestId;
+        const controller = this.inFlightRequests.get(this.getInFlightKey(context, requestId));
+        if (controller) {
+          logger.info(`Requête ${requestId} annulée par le client: ${request.params?.reason || 'sans motif'}`);
+          controller.abort(request.params?.reason);
+        }
+        return null;
+      }
+
+      if (request.method === 'notifications/initialized') {
+        // Le client peut désormais recevoir les logs (notifications/message)
+        logging.markReady(context.sessionId || 'stdio');
+        return null;
+      }
+
       // Gérer les notifications (pas de réponse requise selon JSON-RPC 2.0)
       if (request.method && request.method.startsWith('notifications/')) {
         // Les notifications ne doivent pas avoir de réponse
@@ -72,13 +331,20 @@ export class FunctionalFacturationMCPServer {
       }
 
       if (request.method === 'initialize') {
+        const requestedVersion = request.params?.protocolVersion;
+        const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requestedVersion)
+          ? requestedVersion
+          : SUPPORTED_PROTOCOL_VERSIONS[0];
         return {
           jsonrpc: '2.0',
           id: request.id,
           result: {
-            protocolVersion: '2024-11-05',
+            protocolVersion,
             capabilities: {
+              logging: {},
               tools: {},
+              resources: {},
+              prompts: {},
             },
             serverInfo: {
               name: config.mcp.serverName,
@@ -88,30 +354,35 @@ export class FunctionalFacturationMCPServer {
         };
       }
 
-      if (request.method === 'tools/list') {
-        const toolsList = Array.from(this.tools.values()).map(tool => {
-          // Construire un schéma JSON valide et strict (sans "required" dans les propriétés)
-          const properties = {};
-          const required = [];
-          if (tool.parameters) {
-            for (const [key, param] of Object.entries(tool.parameters)) {
-              const { required: isRequired, ...rest } = param || {};
-              properties[key] = rest;
-              if (isRequired) required.push(key);
-            }
-          }
-
+      if (request.method === 'logging/setLevel') {
+        try {
+          logging.setClientLevel(context.sessionId || 'stdio', request.params?.level);
           return {
-            name: tool.name,
-            description: tool.description,
-            inputSchema: {
-              type: 'object',
-              additionalProperties: false,
-              properties,
-              required,
+            jsonrpc: '2.0',
+            id: request.id,
+            result: {},
+          };
+        } catch (error) {
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+              code: error.code || -32603,
+              message: error.message,
             },
           };
-        });
+        }
+      }
+
+      if (request.method === 'tools/list') {
+        const toolsList = Array.from(this.tools.values()).map(tool => ({
+          name: tool.name,
+          title: tool.title,
+          description: tool.description,
+          inputSchema: tool.getInputSchema(),
+          ...(tool.outputSchema ? { outputSchema: tool.outputSchema } : {}),
+          annotations: tool.annotations,
+        }));
 
         return {
           jsonrpc: '2.0',
@@ -126,7 +397,7 @@ export class FunctionalFacturationMCPServer {
         const { name, arguments: args } = request.params;
         
         if (!this.tools.has(name)) {
-          customLogger.error(`Outil inconnu: ${name} pour requête ID ${request.id}`);
+          logger.warning(`Outil inconnu: ${name} pour requête ID ${request.id}`);
           return {
             jsonrpc: '2.0',
             id: request.id,
@@ -138,23 +409,77 @@ export class FunctionalFacturationMCPServer {
         }
 
         const tool = this.tools.get(name);
-        
+        const toolArgs = args || {};
+        let firm;
+
+        // Validation JSON Schema avant exécution (les valeurs par défaut sont appliquées à toolArgs)
         try {
-          const result = await tool.execute(args || {}, this.database);
+          tool.validateArgs(toolArgs);
+          firm = this.firms.get(toolArgs.firm);
+        } catch (error) {
           return {
             jsonrpc: '2.0',
             id: request.id,
-            result: {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(result, null, 2),
-                },
-              ],
+            error: {
+              code: -32602,
+              message: `Arguments invalides pour ${name}: ${error.message}`,
+              data: { errors: error.errors || [error.message] },
             },
           };
+        }
+
+        const controller = new AbortController();
+        const inFlightKey = this.getInFlightKey(context, request.id);
+        this.inFlightRequests.set(inFlightKey, controller);
+        // Déconnexion du client (transport HTTP) : même effet qu'un notifications/cancelled
+        const abortOnDisconnect = () => controller.abort(context.signal.reason);
+        if (context.signal?.aborted) abortOnDisconnect();
+        context.signal?.addEventListener('abort', abortOnDisconnect, { once: true });
+        
+        try {
+          const toolContext = { ...this.createToolContext(request, context, controller), firm };
+          const result = await tool.execute(toolArgs, firm.database.withSignal(controller.signal), toolContext);
+
+          // Requête annulée : aucune réponse ne doit être envoyée
+          if (controller.signal.aborted) return null;
+
+          // Une synchronisation vient peut-être d'avoir lieu : la date en cache est périmée
+          if (tool.category === 'sync') {
+            this.lastSyncCache.clear();
+          }
+
+          // Contenus joints par l'outil (ex: PDF embarqué) : transmis tels quels, hors du JSON
+          const attachments = result?.attachments || [];
+          if (result?.attachments) delete result.attachments;
+
+          const callResult = {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+              ...attachments,
+            ],
+          };
+
+          // Erreur métier signalée par l'outil (handleError)
+          if (result && result.success === false) {
+            callResult.isError = true;
+          } else {
+            const structuredContent = tool.getStructuredContent(result);
+            if (structuredContent) callResult.structuredContent = structuredContent;
+            // Fraîcheur des données locales, hors du résultat validé par outputSchema
+            callResult._meta = await this.getFreshnessMeta(tool, firm);
+          }
+
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: callResult,
+          };
         } catch (error) {
-          customLogger.error(`Erreur lors de l'exécution de l'outil ${name} (ID requête: ${request.id}):`, error.message);
+          if (controller.signal.aborted) return null;
+          logger.error(`Erreur lors de l'exécution de l'outil ${name} (ID requête: ${request.id}):`, error.message);
           return {
             jsonrpc: '2.0',
             id: request.id,
@@ -163,10 +488,109 @@ export class FunctionalFacturationMCPServer {
               message: `Erreur lors de l'exécution de l'outil ${name}: ${error.message}`,
             },
           };
+        } finally {
+          context.signal?.removeEventListener('abort', abortOnDisconnect);
+          this.inFlightRequests.delete(inFlightKey);
         }
       }
 
-      customLogger.error(`Méthode non trouvée: ${request.method} pour requête ID ${request.id}`);
+      if (request.method === 'resources/list') {
+        try {
+          const result = await this.listResources(request.params?.cursor);
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result,
+          };
+        } catch (error) {
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+              code: error.code || -32603,
+              message: error.message,
+            },
+          };
+        }
+      }
+
+      if (request.method === 'resources/templates/list') {
+        return {
+          jsonrpc: '2.0',
+          id: request.id,
+          result: {
+            resourceTemplates: this.resources.map(resource => resource.toTemplate()),
+          },
+        };
+      }
+
+      if (request.method === 'resources/read') {
+        const uri = request.params?.uri;
+        let result;
+        try {
+          result = await this.readResource(uri);
+        } catch (error) {
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+              code: error.code || -32603,
+              message: error.message,
+              data: { uri },
+            },
+          };
+        }
+        if (!result) {
+          logger.warning(`Ressource introuvable: ${uri} pour requête ID ${request.id}`);
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+              code: -32002,
+              message: 'Ressource introuvable',
+              data: { uri },
+            },
+          };
+        }
+        return {
+          jsonrpc: '2.0',
+          id: request.id,
+          result,
+        };
+      }
+
+      if (request.method === 'prompts/list') {
+        return {
+          jsonrpc: '2.0',
+          id: request.id,
+          result: {
+            prompts: this.prompts.list(),
+          },
+        };
+      }
+
+      if (request.method === 'prompts/get') {
+        const { name, arguments: args } = request.params || {};
+        try {
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: this.prompts.get(name, args || {}),
+          };
+        } catch (error) {
+          logger.warning(`Erreur prompt ${name} (ID requête: ${request.id}):`, error.message);
+          return {
+            jsonrpc: '2.0',
+            id: request.id,
+            error: {
+              code: -32602,
+              message: error.message,
+            },
+          };
+        }
+      }
+
+      logger.warning(`Méthode non trouvée: ${request.method} pour requête ID ${request.id}`);
       return {
         jsonrpc: '2.0',
         id: request.id,
@@ -178,7 +602,7 @@ export class FunctionalFacturationMCPServer {
     } catch (error) {
       // S'assurer que request et request.id existent avant d'essayer de les utiliser
       const responseId = (request && request.id !== undefined) ? request.id : null;
-      customLogger.error(`Erreur interne du serveur lors du traitement de la requête (ID: ${responseId}):`, error.message);
+      logger.error(`Erreur interne du serveur lors du traitement de la requête (ID: ${responseId}):`, error.message);
       return {
         jsonrpc: '2.0',
         id: responseId,
@@ -195,73 +619,83 @@ export class FunctionalFacturationMCPServer {
    */
   async start() {
     try {
-      // Initialiser la base de données
-      await this.database.connect();
-      await this.database.initialize();
-
-      if (process.env.MCP_DEBUG === 'true') {
-        customLogger.error('Serveur MCP Facturation.PRO démarré');
-        customLogger.error('Base de données initialisée');
-        customLogger.error('Outils disponibles:', Array.from(this.tools.keys()).join(', '));
+      // Initialiser la base de données de chaque société
+      await this.firms.connectAll();
+
+      // Synchronisation planifiée (SYNC_SCHEDULE=true)
+      if (config.sync.schedule.enabled) {
+        this.scheduler = new SyncScheduler(this.firms.list());
+        this.scheduler.start();
       }
 
-      // Gérer les requêtes stdin (NDJSON: une requête JSON par ligne)
-      const rl = createInterface({ input: process.stdin, crlfDelay: Infinity });
-      rl.on('line', async (line) => {
-        const input = line.trim();
-        if (!input) return;
-        
-        // Log temporaire pour diagnostic (TOUJOURS actif)
-        if (process.env.MCP_DEBUG === 'true') {
-          process.stderr.write(`[DIAGNOSTIC] Reçu: ${input}\n`);
-        }
-        
-        try {
-          const request = JSON.parse(input);
-          if (process.env.MCP_DEBUG === 'true') {
-            process.stderr.write(`[DIAGNOSTIC] Requête parsée: ${JSON.stringify(request, null, 2)}\n`);
-          }
-          
-          const response = await this.handleRequest(request);
-          
-          if (response !== null) {
-            if (process.env.MCP_DEBUG === 'true') {
-              process.stderr.write(`[DIAGNOSTIC] Réponse générée: ${JSON.stringify(response, null, 2)}\n`);
-            }
-            customLogger.log(JSON.stringify(response)); // stdout
-            if (process.env.MCP_DEBUG === 'true') {
-              process.stderr.write(`[DIAGNOSTIC] Réponse envoyée sur stdout\n`);
-            }
-          } else {
-            if (process.env.MCP_DEBUG === 'true') {
-              process.stderr.write(`[DIAGNOSTIC] Notification traitée, aucune réponse nécessaire\n`);
-            }
-          }
-        } catch (error) {
-          if (process.env.MCP_DEBUG === 'true') {
-            process.stderr.write(`[DIAGNOSTIC] Erreur parsing: ${error.message}\n`);
-          }
-          customLogger.error('Erreur parsing ligne stdin:', error.message);
-        }
-      });
+      // Outils personnalisés
+      await this.loadPlugins();
+
+      logger.info('Serveur MCP Facturation.PRO démarré');
+      logger.debug('Outils disponibles:', Array.from(this.tools.keys()).join(', '));
 
+      if (config.mcp.transport === 'http') {
+        this.httpTransport = new HttpTransport(this);
+        await this.httpTransport.start();
+        return;
+      }
+
+      this.startStdio();
     } catch (error) {
-      customLogger.error('Erreur lors du démarrage du serveur MCP:', error.message);
+      logger.critical('Erreur lors du démarrage du serveur MCP:', error.message);
       process.exit(1);
     }
   }
 
+  /**
+   * Transport stdio : une requête JSON-RPC par ligne (NDJSON)
+   */
+  startStdio() {
+    // Le client stdio reçoit aussi les logs (notifications/message) une fois initialisé
+    logging.addClient('stdio', writeStdout);
+
+    // Gérer les requêtes stdin (NDJSON: une requête JSON par ligne)
+    const rl = createInterface({ input: process.stdin, crlfDelay: Infinity });
+    rl.on('line', async (line) => {
+      const input = line.trim();
+      if (!input) return;
+      
+      try {
+        const request = JSON.parse(input);
+        logger.debug(`Reçu: ${request.method || 'réponse'} (ID: ${request.id ?? '-'})`);
+
+        const response = await this.handleRequest(request, {
+          sessionId: 'stdio',
+          sendNotification: writeStdout,
+        });
+
+        if (response !== null) {
+          writeStdout(response);
+        }
+      } catch (error) {
+        logger.error('Erreur parsing ligne stdin:', error.message);
+      }
+    });
+  }
+
   /**
    * Arrête le serveur MCP
    */
   async stop() {
     try {
-      await this.database.close();
-      if (process.env.MCP_DEBUG === 'true') {
-        customLogger.error('Serveur MCP arrêté');
+      if (this.httpTransport) {
+        await this.httpTransport.stop();
+        this.httpTransport = null;
+      }
+      if (this.scheduler) {
+        await this.scheduler.stop();
+        this.scheduler = null;
       }
+      await this.firms.closeAll();
+      logger.info('Serveur MCP arrêté');
+      logging.close();
     } catch (error) {
-      customLogger.error('Erreur lors de l\'arrêt du serveur:', error.message);
+      logger.error('Erreur lors de l\'arrêt du serveur:', error.message);
     }
   }
 }
@@ -0,0 +1,137 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_PROMPTS_FILE = join(__dirname, 'prompts.json');
+
+/**
+ * Registre des prompts MCP
+ * Charge les prompts paramétrés depuis un fichier JSON (MCP_PROMPTS_FILE ou prompts.json)
+ * et les rend en substituant les {{arguments}}.
+ * Avec plusieurs sociétés, chaque prompt accepte un argument "firm" : les outils sont alors appelés pour cette société.
+ */
+export class PromptRegistry {
+  /**
+   * @param {string} [filePath] - Fichier de prompts
+   * @param {Object} [options]
+   * @param {Array<string>} [options.firmKeys] - Clés des sociétés (argument "firm" ajouté s'il y en a plusieurs)
+   */
+  constructor(filePath = config.mcp.promptsFile || DEFAULT_PROMPTS_FILE, { firmKeys = [] } = {}) {
+    this.filePath = filePath;
+    this.firmKeys = firmKeys;
+    this.prompts = new Map();
+    this.load();
+  }
+
+  /**
+   * Charge (ou recharge) le fichier de prompts
+   */
+  load() {
+    const content = JSON.parse(readFileSync(this.filePath, 'utf8'));
+    const prompts = Array.isArray(content) ? content : content.prompts;
+    if (!Array.isArray(prompts)) {
+      throw new Error(`Fichier de prompts invalide (${this.filePath}): tableau "prompts" attendu`);
+    }
+
+    this.prompts.clear();
+    for (const prompt of prompts) {
+      if (!prompt?.name || !Array.isArray(prompt.messages) || prompt.messages.length === 0) {
+        throw new Error(`Prompt invalide dans ${this.filePath}: "name" et "messages" sont requis`);
+      }
+      this.prompts.set(prompt.name, prompt);
+    }
+  }
+
+  /**
+   * Arguments d'un prompt, complétés de "firm" quand plusieurs sociétés sont configurées
+   */
+  argumentsOf(prompt) {
+    const args = prompt.arguments || [];
+    if (this.firmKeys.length < 2 || args.some(argument => argument.name === 'firm')) return args;
+    return [...args, {
+      name: 'firm',
+      description: `Société concernée (${this.firmKeys.join(', ')} ; défaut: société par défaut)`,
+      required: false,
+      default: ''
+    }];
+  }
+
+  /**
+   * Liste les prompts au format MCP (prompts/list)
+   * @returns {Array<Object>} Prompts sans leurs messages
+   */
+  list() {
+    return Array.from(this.prompts.values()).map(prompt => ({
+      name: prompt.name,
+      ...(prompt.title ? { title: prompt.title } : {}),
+      description: prompt.description,
+      arguments: this.argumentsOf(prompt).map(({ name, description, required }) => ({
+        name,
+        description,
+        required: Boolean(required),
+      })),
+    }));
+  }
+
+  has(name) {
+    return this.prompts.has(name);
+  }
+
+  /**
+   * Rend un prompt avec ses arguments (prompts/get)
+   * @param {string} name - Nom du prompt
+   * @param {Object} args - Valeurs des arguments (chaînes)
+   * @returns {Object} { description, messages }
+   */
+  get(name, args = {}) {
+    const prompt = this.prompts.get(name);
+    if (!prompt) {
+      throw new Error(`Prompt inconnu: ${name}`);
+    }
+
+    const builtins = { today: new Date().toISOString().split('T')[0] };
+    const values = { ...builtins };
+
+    for (const argument of this.argumentsOf(prompt)) {
+      const provided = args[argument.name];
+      if (provided !== undefined && provided !== null && String(provided) !== '') {
+        values[argument.name] = String(provided);
+      } else if (argument.required) {
+        throw new Error(`Argument requis manquant: ${argument.name}`);
+      } else {
+        values[argument.name] = this.render(argument.default ?? '', builtins);
+      }
+    }
+
+    // Société visée : rappelée à la fin de chaque message (sauf si le prompt utilise lui-même {{firm}})
+    const firm = this.firmKeys.length > 1 ? values.firm : '';
+    if (firm && !this.firmKeys.includes(firm)) {
+      throw new Error(`Société inconnue: ${firm} (disponibles: ${this.firmKeys.join(', ')})`);
+    }
+
+    return {
+      description: prompt.description,
+      messages: prompt.messages.map(message => ({
+        role: message.role || 'user',
+        content: {
+          type: 'text',
+          text: this.render(message.text, values)
+            + (firm && !/\{\{\s*firm\s*\}\}/.test(message.text) ? `\n\nSociété : ${firm}. Passe firm="${firm}" à chaque appel d'outil.` : ''),
+        },
+      })),
+    };
+  }
+
+  /**
+   * Remplace les {{placeholders}} connus ; les inconnus sont laissés tels quels
+   */
+  render(template, values) {
+    return String(template).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+    );
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Classe de base pour les ressources MCP
+ * Principe SOLID : Open/Closed - Base pour l'extension des ressources
+ *
+ * Une ressource expose un type de document de la base locale sous une URI
+ * de la forme facturation://{type}/{clé}, suivie de ?firm={société} pour viser une autre société
+ * que la société par défaut.
+ */
+export class BaseResource {
+  constructor(type, keyName, name, description) {
+    this.type = type;
+    this.keyName = keyName;
+    this.name = name;
+    this.description = description;
+    this.mimeType = 'application/json';
+  }
+
+  /**
+   * Gabarit d'URI publié via resources/templates/list
+   * @returns {string} Gabarit RFC 6570
+   */
+  get uriTemplate() {
+    return `facturation://${this.type}/{${this.keyName}}{?firm}`;
+  }
+
+  /**
+   * Construit l'URI d'un document
+   * @param {string|number} key - Clé du document (numéro, ID...)
+   * @param {string} [firmKey] - Société du document (omise : société par défaut)
+   * @returns {string} URI de la ressource
+   */
+  buildUri(key, firmKey = null) {
+    const uri = `facturation://${this.type}/${encodeURIComponent(String(key))}`;
+    return firmKey ? `${uri}?firm=${encodeURIComponent(firmKey)}` : uri;
+  }
+
+  /**
+   * Extrait la clé (et la société) d'une URI si elle correspond à ce type de ressource
+   * @param {string} uri - URI demandée
+   * @returns {{key: string, firm: string|null}|null} Clé décodée, ou null
+   */
+  parseUri(uri) {
+    const prefix = `facturation://${this.type}/`;
+    if (typeof uri !== 'string' || !uri.startsWith(prefix)) return null;
+    const [key, query = ''] = uri.slice(prefix.length).split('?');
+    if (!key) return null;
+    try {
+      return {
+        key: decodeURIComponent(key),
+        firm: new URLSearchParams(query).get('firm') || null
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Description du gabarit pour resources/templates/list
+   * @returns {Object} Gabarit de ressource MCP
+   */
+  toTemplate() {
+    return {
+      uriTemplate: this.uriTemplate,
+      name: this.name,
+      description: this.description,
+      mimeType: this.mimeType
+    };
+  }
+
+  /**
+   * Remplace la colonne raw_json d'un enregistrement par la réponse de l'API décodée (raw)
+   * @param {Object} row - Ligne de la base locale
+   * @returns {Object} Ligne avec raw (null si le document n'a pas encore été resynchronisé)
+   */
+  withRaw(row) {
+    const { raw_json: rawJson, ...fields } = row;
+    let raw = null;
+    if (rawJson) {
+      try {
+        raw = JSON.parse(rawJson);
+      } catch {
+        raw = null;
+      }
+    }
+    return { ...fields, raw };
+  }
+
+  /**
+   * Nombre total de documents exposés
+   * @param {Database} database - Instance de la base de données
+   * @returns {Promise<number>}
+   */
+  async count(database) {
+    throw new Error('Méthode count() doit être implémentée par les classes dérivées');
+  }
+
+  /**
+   * Liste une page de ressources
+   * @param {Database} database - Instance de la base de données
+   * @param {number} offset - Décalage
+   * @param {number} limit - Taille de la page
+   * @param {string} [firmKey] - Société à indiquer dans les URIs (voir buildUri)
+   * @returns {Promise<Array>} Descripteurs de ressources MCP
+   */
+  async list(database, offset, limit, firmKey = null) {
+    throw new Error('Méthode list() doit être implémentée par les classes dérivées');
+  }
+
+  /**
+   * Lit le contenu d'un document
+   * @param {string} key - Clé extraite de l'URI
+   * @param {Database} database - Instance de la base de données
+   * @returns {Promise<Object|null>} Document ou null s'il n'existe pas
+   */
+  async read(key, database) {
+    throw new Error('Méthode read() doit être implémentée par les classes dérivées');
+  }
+}
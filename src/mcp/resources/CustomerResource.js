@@ -0,0 +1,37 @@
+import { BaseResource } from './BaseResource.js';
+
+/**
+ * Ressource MCP pour les clients
+ * URI : facturation://customer/{id} (ID Facturation.PRO)
+ */
+export class CustomerResource extends BaseResource {
+  constructor() {
+    super(
+      'customer',
+      'id',
+      'Client',
+      'Fiche client synchronisée, identifiée par son ID Facturation.PRO'
+    );
+  }
+
+  async count(database) {
+    return database.countDocuments('customers');
+  }
+
+  async list(database, offset, limit, firmKey = null) {
+    const customers = await database.listCustomerSummaries(limit, offset);
+    return customers.map(customer => ({
+      uri: this.buildUri(customer.facturation_id, firmKey),
+      name: customer.name,
+      description: [customer.city, customer.email].filter(Boolean).join(' - ') || `Client ${customer.facturation_id}`,
+      mimeType: this.mimeType
+    }));
+  }
+
+  async read(key, database) {
+    const facturationId = parseInt(key, 10);
+    if (!Number.isInteger(facturationId) || String(facturationId) !== key) return null;
+    const customer = await database.getCustomerByFacturationId(facturationId);
+    return customer ? this.withRaw(customer) : null;
+  }
+}
@@ -0,0 +1,61 @@
+import { BaseResource } from './BaseResource.js';
+
+/**
+ * Ressource MCP pour les factures
+ * URI : facturation://invoice/{number}
+ */
+export class InvoiceResource extends BaseResource {
+  constructor() {
+    super(
+      'invoice',
+      'number',
+      'Facture',
+      'Facture synchronisée (en-tête, client, lignes et règlements), identifiée par son numéro'
+    );
+  }
+
+  async count(database) {
+    return database.countDocuments('invoices');
+  }
+
+  async list(database, offset, limit, firmKey = null) {
+    const invoices = await database.listInvoiceSummaries(limit, offset);
+    return invoices.map(invoice => ({
+      uri: this.buildUri(invoice.invoice_number, firmKey),
+      name: `Facture ${invoice.invoice_number}`,
+      description: `${invoice.customer_name || 'Client inconnu'} - ${invoice.invoice_date} - ${invoice.total_ttc} € TTC`,
+      mimeType: this.mimeType
+    }));
+  }
+
+  async read(key, database) {
+    const invoice = await database.getInvoiceByNumber(key);
+    if (!invoice) return null;
+
+    const customer = await database.getCustomerByFacturationId(invoice.customer_id);
+    const lines = await database.getInvoiceLines(invoice.facturation_id);
+    const payments = await database.getPaymentsForInvoice(invoice.id);
+
+    return {
+      ...this.withRaw(invoice),
+      customer: customer ? this.withRaw(customer) : null,
+      lines: lines.map(line => ({
+        description: line.description,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        vat_rate: line.vat_rate,
+        total_ht: line.total_ht,
+        total_ttc: line.total_ttc,
+        product_name: line.product_name
+      })),
+      payments: payments.map(payment => ({
+        payment_date: payment.payment_date,
+        amount_ht: payment.amount_ht,
+        amount_ttc: payment.amount_ttc,
+        amount_vat: payment.amount_vat,
+        payment_mode: payment.payment_mode,
+        source: payment.source
+      }))
+    };
+  }
+}
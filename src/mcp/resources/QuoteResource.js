@@ -0,0 +1,52 @@
+import { BaseResource } from './BaseResource.js';
+
+/**
+ * Ressource MCP pour les devis
+ * URI : facturation://quote/{number}
+ */
+export class QuoteResource extends BaseResource {
+  constructor() {
+    super(
+      'quote',
+      'number',
+      'Devis',
+      'Devis synchronisé (en-tête, client et lignes), identifié par son numéro'
+    );
+  }
+
+  async count(database) {
+    return database.countDocuments('quotes');
+  }
+
+  async list(database, offset, limit, firmKey = null) {
+    const quotes = await database.listQuoteSummaries(limit, offset);
+    return quotes.map(quote => ({
+      uri: this.buildUri(quote.quote_number, firmKey),
+      name: `Devis ${quote.quote_number}`,
+      description: `${quote.customer_name || 'Client inconnu'} - ${quote.quote_date} - ${quote.total_ttc} € TTC`,
+      mimeType: this.mimeType
+    }));
+  }
+
+  async read(key, database) {
+    const quote = await database.getQuoteByNumber(key);
+    if (!quote) return null;
+
+    const customer = await database.getCustomerByFacturationId(quote.customer_id);
+    const lines = await database.getQuoteLines(quote.facturation_id);
+
+    return {
+      ...this.withRaw(quote),
+      customer: customer ? this.withRaw(customer) : null,
+      lines: lines.map(line => ({
+        description: line.description,
+        quantity: line.quantity,
+        unit_price: line.unit_price,
+        vat_rate: line.vat_rate,
+        total_ht: line.total_ht,
+        total_ttc: line.total_ttc,
+        product_name: line.product_name
+      }))
+    };
+  }
+}
@@ -0,0 +1,190 @@
+import { BaseTool } from './BaseTool.js';
+
+const totalsSchema = {
+  type: 'object',
+  properties: {
+    purchase_count: { type: 'number' },
+    total_ht: { type: 'number' },
+    total_ttc: { type: 'number' },
+    total_vat: { type: 'number' }
+  }
+};
+
+/**
+ * Outil d'analyse des dépenses (achats fournisseurs) par période, catégorie et fournisseur
+ * Principe SOLID : Single Responsibility - Agrège uniquement les achats
+ */
+export class AnalyzeExpensesTool extends BaseTool {
+  constructor() {
+    super(
+      'analyze_expenses',
+      'Analyse les dépenses (achats fournisseurs synchronisés depuis Facturation.PRO) sur une période : totaux HT/TTC/TVA, répartition par catégorie, par mois et principaux fournisseurs. Les achats sont datés par la date de la facture fournisseur.',
+      {
+        year: {
+          type: 'integer',
+          description: 'Année analysée (défaut: année en cours, ignorée si start_date est fourni)',
+          minimum: 2000,
+          maximum: 2100,
+          required: false
+        },
+        start_date: {
+          type: 'string',
+          description: 'Date de début (YYYY-MM-DD)',
+          format: 'date',
+          required: false
+        },
+        end_date: {
+          type: 'string',
+          description: 'Date de fin (YYYY-MM-DD, défaut: aujourd\'hui)',
+          format: 'date',
+          required: false
+        },
+        category_id: {
+          type: 'integer',
+          description: 'ID Facturation.PRO de la catégorie pour filtrer (optionnel)',
+          minimum: 1,
+          required: false
+        },
+        supplier_id: {
+          type: 'integer',
+          description: 'ID Facturation.PRO du fournisseur pour filtrer (optionnel)',
+          minimum: 1,
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          period: {
+            type: 'object',
+            properties: {
+              start_date: { type: 'string' },
+              end_date: { type: 'string' }
+            }
+          },
+          totals: totalsSchema,
+          by_category: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                category_id: { type: ['number', 'null'] },
+                category_name: { type: 'string' },
+                ...totalsSchema.properties,
+                share: { type: 'number', description: 'Part du total HT, en %' }
+              }
+            }
+          },
+          by_month: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                month: { type: 'string', description: 'YYYY-MM' },
+                ...totalsSchema.properties
+              }
+            }
+          },
+          top_suppliers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                supplier_id: { type: ['number', 'null'] },
+                supplier_name: { type: 'string' },
+                ...totalsSchema.properties
+              }
+            }
+          }
+        },
+        required: ['period', 'totals', 'by_category', 'by_month', 'top_suppliers']
+      },
+      {
+        title: 'Analyse des dépenses',
+        category: 'expenses'
+      }
+    );
+  }
+
+  async execute(args, database) {
+    try {
+      this.validateArgs(args);
+
+      const { category_id, supplier_id } = args || {};
+      const period = this.resolvePeriod(args || {});
+
+      let where = 'WHERE p.purchase_date >= ? AND p.purchase_date <= ?';
+      const params = [period.start_date, period.end_date];
+      if (category_id) {
+        where += ' AND p.category_id = ?';
+        params.push(category_id);
+      }
+      if (supplier_id) {
+        where += ' AND p.supplier_id = ?';
+        params.push(supplier_id);
+      }
+
+      const aggregates = `
+        COUNT(p.id) as purchase_count,
+        SUM(p.total_ht) as total_ht,
+        SUM(p.total_ttc) as total_ttc,
+        SUM(p.vat_amount) as total_vat
+      `;
+
+      const totals = this.roundTotals(await database.get(`SELECT ${aggregates} FROM purchases p ${where}`, params));
+
+      const byCategory = await database.all(`
+        SELECT p.category_id, COALESCE(cat.name, 'Sans catégorie') as category_name, ${aggregates}
+        FROM purchases p
+        LEFT JOIN categories cat ON cat.facturation_id = p.category_id
+        ${where}
+        GROUP BY p.category_id, cat.name
+        ORDER BY total_ht DESC
+      `, params);
+
+      const byMonth = await database.all(`
+        SELECT strftime('%Y-%m', p.purchase_date) as month, ${aggregates}
+        FROM purchases p
+        ${where}
+        GROUP BY month
+        ORDER BY month
+      `, params);
+
+      const topSuppliers = await database.all(`
+        SELECT p.supplier_id, COALESCE(s.name, 'Fournisseur inconnu') as supplier_name, ${aggregates}
+        FROM purchases p
+        LEFT JOIN suppliers s ON s.facturation_id = p.supplier_id
+        ${where}
+        GROUP BY p.supplier_id, s.name
+        ORDER BY total_ht DESC
+        LIMIT 10
+      `, params);
+
+      return this.formatResult({
+        period,
+        totals,
+        by_category: byCategory.map(row => ({
+          ...this.roundTotals(row),
+          share: totals.total_ht ? Math.round((row.total_ht / totals.total_ht) * 1000) / 10 : 0
+        })),
+        by_month: byMonth.map(row => this.roundTotals(row)),
+        top_suppliers: topSuppliers.map(row => this.roundTotals(row))
+      });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Arrondit les montants d'une ligne d'agrégats
+   */
+  roundTotals(row) {
+    return {
+      ...row,
+      purchase_count: row?.purchase_count || 0,
+      total_ht: this.roundAmount(row?.total_ht),
+      total_ttc: this.roundAmount(row?.total_ttc),
+      total_vat: this.roundAmount(row?.total_vat)
+    };
+  }
+}
@@ -8,7 +8,7 @@ export class AnalyzePricingTool extends BaseTool {
   constructor() {
     super(
       'analyze_pricing',
-      'Analyse les tarifs, moyennes et statistiques de facturation',
+      'Analyse les tarifs, moyennes et statistiques de facturation (montants facturés bruts, avoirs et nets)',
       {
         product_name: {
           type: 'string',
@@ -16,15 +16,66 @@ export class AnalyzePricingTool extends BaseTool {
           required: false
         },
         customer_id: {
-          type: 'number',
+          type: 'integer',
           description: 'ID du client pour filtrer (optionnel)',
+          minimum: 1,
           required: false
         },
         period_months: {
-          type: 'number',
+          type: 'integer',
           description: 'Période d\'analyse en mois (défaut: 12)',
+          minimum: 1,
+          maximum: 120,
+          default: 12,
           required: false
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          period: {
+            type: 'object',
+            properties: {
+              start_date: { type: 'string' },
+              end_date: { type: 'string' },
+              months: { type: 'number' }
+            }
+          },
+          general_stats: {
+            type: 'object',
+            properties: {
+              total_quotes: { type: 'number' },
+              avg_quote_amount: { type: ['number', 'null'] },
+              total_quoted: { type: ['number', 'null'] },
+              unique_customers_quotes: { type: 'number' },
+              total_invoices: { type: 'number' },
+              avg_invoice_amount: { type: ['number', 'null'] },
+              total_invoiced: { type: ['number', 'null'], description: 'Brut, hors avoirs' },
+              unique_customers_invoices: { type: 'number' },
+              total_credit_notes: { type: 'number' },
+              total_credited: { type: 'number', description: 'Montant TTC des avoirs' },
+              net_invoiced: { type: 'number', description: 'Brut moins avoirs' }
+            }
+          },
+          product_analysis: { type: 'array', items: { type: 'object' } },
+          customer_analysis: { type: 'array', items: { type: 'object' } },
+          price_evolution: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string' },
+                avg_quote_price: { type: ['number', 'null'] },
+                quote_line_count: { type: 'number' }
+              }
+            }
+          }
+        },
+        required: ['period', 'general_stats', 'product_analysis', 'customer_analysis', 'price_evolution']
+      },
+      {
+        title: 'Analyse des tarifs',
+        category: 'pricing'
       }
     );
   }
@@ -78,14 +129,14 @@ export class AnalyzePricingTool extends BaseTool {
         SUM(total_ttc) as total_quoted,
         COUNT(DISTINCT customer_id) as unique_customers_quotes
       FROM quotes 
-      WHERE quote_date >= ?
+      WHERE quote_date >= ? AND deleted_at IS NULL
     `;
 
     let quotesParams = [startDate];
 
     if (product_name) {
       quotesSql += `
-        AND id IN (
+        AND facturation_id IN (
           SELECT ql.quote_id FROM quote_lines ql 
           WHERE ql.description LIKE ?
         )
@@ -100,22 +151,14 @@ export class AnalyzePricingTool extends BaseTool {
 
     const quotesResult = await database.get(quotesSql, quotesParams);
 
-    // Requête séparée pour les factures
-    let invoicesSql = `
-      SELECT 
-        COUNT(*) as total_invoices,
-        AVG(total_ttc) as avg_invoice_amount,
-        SUM(total_ttc) as total_invoiced,
-        COUNT(DISTINCT customer_id) as unique_customers_invoices
-      FROM invoices 
-      WHERE invoice_date >= ?
-    `;
+    // Requêtes séparées pour les factures (brut) et les avoirs, avec les mêmes filtres
+    let invoicesFilter = 'invoice_date >= ? AND deleted_at IS NULL';
 
     let invoicesParams = [startDate];
 
     if (product_name) {
-      invoicesSql += `
-        AND id IN (
+      invoicesFilter += `
+        AND facturation_id IN (
           SELECT il.invoice_id FROM invoice_lines il 
           WHERE il.description LIKE ?
         )
@@ -124,16 +167,35 @@ export class AnalyzePricingTool extends BaseTool {
     }
 
     if (customer_id) {
-      invoicesSql += ' AND customer_id = ?';
+      invoicesFilter += ' AND customer_id = ?';
       invoicesParams.push(customer_id);
     }
 
-    const invoicesResult = await database.get(invoicesSql, invoicesParams);
+    const invoicesResult = await database.get(`
+      SELECT 
+        COUNT(*) as total_invoices,
+        AVG(total_ttc) as avg_invoice_amount,
+        SUM(total_ttc) as total_invoiced,
+        COUNT(DISTINCT customer_id) as unique_customers_invoices
+      FROM invoices 
+      WHERE ${invoicesFilter} AND is_credit_note = 0
+    `, invoicesParams);
+
+    const creditNotesResult = await database.get(`
+      SELECT 
+        COUNT(*) as total_credit_notes,
+        SUM(ABS(total_ttc)) as total_credited
+      FROM invoices 
+      WHERE ${invoicesFilter} AND is_credit_note = 1
+    `, invoicesParams);
 
     // Combiner les résultats
     return {
       ...quotesResult,
-      ...invoicesResult
+      ...invoicesResult,
+      total_credit_notes: creditNotesResult?.total_credit_notes || 0,
+      total_credited: this.roundAmount(creditNotesResult?.total_credited),
+      net_invoiced: this.roundAmount((invoicesResult?.total_invoiced || 0) - (creditNotesResult?.total_credited || 0))
     };
   }
 
@@ -151,16 +213,24 @@ export class AnalyzePricingTool extends BaseTool {
         COUNT(DISTINCT ql.quote_id) as quote_count,
         COUNT(DISTINCT il.invoice_id) as invoice_count,
         SUM(ql.total_ht) as total_quoted,
-        SUM(il.total_ht) as total_invoiced
+        SUM(il.total_ht) as total_invoiced,
+        (
+          SELECT SUM(ABS(cl.total_ht)) FROM invoice_lines cl
+          JOIN invoices ci ON cl.invoice_id = ci.facturation_id
+          WHERE cl.product_id = p.facturation_id AND ci.is_credit_note = 1
+            AND ci.deleted_at IS NULL AND ci.invoice_date >= ?${customer_id ? ' AND ci.customer_id = ?' : ''}
+        ) as total_credited
       FROM products p
-      LEFT JOIN quote_lines ql ON p.id = ql.product_id
-      LEFT JOIN invoice_lines il ON p.id = il.product_id
-      LEFT JOIN quotes q ON ql.quote_id = q.id
-      LEFT JOIN invoices i ON il.invoice_id = i.id
+      LEFT JOIN quote_lines ql ON p.facturation_id = ql.product_id
+      LEFT JOIN invoice_lines il ON p.facturation_id = il.product_id
+        AND il.invoice_id NOT IN (SELECT facturation_id FROM invoices WHERE is_credit_note = 1)
+      LEFT JOIN quotes q ON ql.quote_id = q.facturation_id AND q.deleted_at IS NULL
+      LEFT JOIN invoices i ON il.invoice_id = i.facturation_id AND i.deleted_at IS NULL
       WHERE (q.quote_date >= ? OR i.invoice_date >= ?)
     `;
 
-    const params = [startDate, startDate];
+    // Les avoirs suivent le même filtre client que les factures
+    const params = customer_id ? [startDate, customer_id, startDate, startDate] : [startDate, startDate, startDate];
 
     if (product_name) {
       sql += ' AND p.name LIKE ?';
@@ -179,7 +249,7 @@ export class AnalyzePricingTool extends BaseTool {
     `;
 
     const results = await database.all(sql, params);
-    return results;
+    return results.map(row => this.withNetInvoiced(row));
   }
 
   async getCustomerAnalysis(database, startDate, product_name, customer_id) {
@@ -194,20 +264,26 @@ export class AnalyzePricingTool extends BaseTool {
         SUM(q.total_ttc) as total_quoted,
         SUM(i.total_ttc) as total_invoiced,
         MAX(q.quote_date) as last_quote_date,
-        MAX(i.invoice_date) as last_invoice_date
+        MAX(i.invoice_date) as last_invoice_date,
+        (
+          SELECT SUM(ABS(ci.total_ttc)) FROM invoices ci
+          WHERE ci.customer_id = c.facturation_id AND ci.is_credit_note = 1
+            AND ci.deleted_at IS NULL AND ci.invoice_date >= ?
+        ) as total_credited
       FROM customers c
-      LEFT JOIN quotes q ON c.id = q.customer_id AND q.quote_date >= ?
-      LEFT JOIN invoices i ON c.id = i.customer_id AND i.invoice_date >= ?
+      LEFT JOIN quotes q ON c.facturation_id = q.customer_id AND q.quote_date >= ? AND q.deleted_at IS NULL
+      LEFT JOIN invoices i ON c.facturation_id = i.customer_id AND i.invoice_date >= ? AND i.deleted_at IS NULL
+        AND i.is_credit_note = 0
     `;
 
-    const params = [startDate, startDate];
+    const params = [startDate, startDate, startDate];
 
     if (product_name) {
       sql += `
-        AND (q.id IN (
+        AND (q.facturation_id IN (
           SELECT ql.quote_id FROM quote_lines ql 
           WHERE ql.description LIKE ?
-        ) OR i.id IN (
+        ) OR i.facturation_id IN (
           SELECT il.invoice_id FROM invoice_lines il 
           WHERE il.description LIKE ?
         ))
@@ -216,7 +292,7 @@ export class AnalyzePricingTool extends BaseTool {
     }
 
     if (customer_id) {
-      sql += ' AND c.id = ?';
+      sql += ' AND c.facturation_id = ?';
       params.push(customer_id);
     }
 
@@ -228,7 +304,19 @@ export class AnalyzePricingTool extends BaseTool {
     `;
 
     const results = await database.all(sql, params);
-    return results;
+    return results.map(row => this.withNetInvoiced(row));
+  }
+
+  /**
+   * Ajoute le montant net (facturé brut moins avoirs) à une ligne d'analyse
+   */
+  withNetInvoiced(row) {
+    const totalCredited = row.total_credited || 0;
+    return {
+      ...row,
+      total_credited: this.roundAmount(totalCredited),
+      net_invoiced: this.roundAmount((row.total_invoiced || 0) - totalCredited)
+    };
   }
 
   async getPriceEvolution(database, startDate, product_name, customer_id) {
@@ -238,8 +326,8 @@ export class AnalyzePricingTool extends BaseTool {
         AVG(ql.unit_price) as avg_quote_price,
         COUNT(ql.id) as quote_line_count
       FROM quotes q
-      JOIN quote_lines ql ON q.id = ql.quote_id
-      WHERE q.quote_date >= ?
+      JOIN quote_lines ql ON q.facturation_id = ql.quote_id
+      WHERE q.quote_date >= ? AND q.deleted_at IS NULL
     `;
 
     const params = [startDate];
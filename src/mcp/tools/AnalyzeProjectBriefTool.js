@@ -13,8 +13,33 @@ export class AnalyzeProjectBriefTool extends BaseTool {
         brief: {
           type: 'string',
           description: 'Brief de projet à analyser',
+          minLength: 1,
           required: true
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          brief: { type: 'string' },
+          analysis: {
+            type: 'object',
+            properties: {
+              project_type: { type: 'string' },
+              complexity: { type: 'string' },
+              features: { type: 'array', items: { type: 'string' } },
+              technologies: { type: 'array', items: { type: 'string' } },
+              size: { type: 'string' },
+              constraints: { type: 'object' },
+              keywords: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          suggestions: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['brief', 'analysis', 'suggestions']
+      },
+      {
+        title: 'Analyse de brief projet',
+        category: 'brief'
       }
     );
   }
@@ -1,51 +1,209 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { config } from '../../config.js';
+
+// Validateur JSON Schema partagé par tous les outils.
+// useDefaults : les valeurs `default` du schéma sont appliquées aux arguments validés.
+const ajv = new Ajv({ allErrors: true, useDefaults: true, verbose: true, strict: false });
+addFormats(ajv);
+
+const TYPE_LABELS = {
+  string: 'une chaîne de caractères',
+  number: 'un nombre',
+  integer: 'un entier',
+  boolean: 'un booléen',
+  array: 'un tableau',
+  object: 'un objet',
+  null: 'null'
+};
+
+const FORMAT_LABELS = {
+  date: 'une date valide au format YYYY-MM-DD',
+  'date-time': 'une date-heure ISO 8601 valide',
+  email: 'une adresse e-mail valide',
+  uri: 'une URI valide'
+};
+
+/**
+ * Chemin lisible d'un argument à partir du pointeur JSON d'Ajv (/lines/0/qty -> lines[0].qty)
+ */
+function formatPath(instancePath, property) {
+  const segments = instancePath.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) segments.push(property);
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+    return path ? `${path}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * Traduit une erreur Ajv en message précis (en français)
+ */
+function formatValidationError(error) {
+  const { keyword, params, instancePath, data } = error;
+  const name = formatPath(instancePath);
+  const received = data === undefined ? '' : ` (reçu: ${JSON.stringify(data)})`;
+
+  switch (keyword) {
+    case 'required':
+      return `Paramètre requis manquant: ${formatPath(instancePath, params.missingProperty)}`;
+    case 'additionalProperties':
+      return `Paramètre inconnu: ${formatPath(instancePath, params.additionalProperty)}`;
+    case 'type': {
+      const types = String(params.type).split(',').map(t => TYPE_LABELS[t] || t);
+      return `Paramètre ${name} doit être ${types.join(' ou ')}${received}`;
+    }
+    case 'enum':
+      return `Paramètre ${name} doit valoir l'une des valeurs: ${params.allowedValues.join(', ')}${received}`;
+    case 'format':
+      return `Paramètre ${name} doit être ${FORMAT_LABELS[params.format] || `au format ${params.format}`}${received}`;
+    case 'minimum':
+    case 'maximum':
+    case 'exclusiveMinimum':
+    case 'exclusiveMaximum': {
+      const comparison = { '>=': 'supérieur ou égal à', '<=': 'inférieur ou égal à', '>': 'strictement supérieur à', '<': 'strictement inférieur à' }[params.comparison];
+      return `Paramètre ${name} doit être ${comparison} ${params.limit}${received}`;
+    }
+    case 'minLength':
+      return `Paramètre ${name} doit contenir au moins ${params.limit} caractère(s)`;
+    case 'maxLength':
+      return `Paramètre ${name} doit contenir au plus ${params.limit} caractère(s)`;
+    case 'minItems':
+      return `Paramètre ${name} doit contenir au moins ${params.limit} élément(s)`;
+    case 'maxItems':
+      return `Paramètre ${name} doit contenir au plus ${params.limit} élément(s)`;
+    case 'pattern':
+      return `Paramètre ${name} doit respecter le motif ${params.pattern}${received}`;
+    default:
+      return `Paramètre ${name || '(arguments)'}: ${error.message}`;
+  }
+}
+
 /**
  * Classe de base pour les outils MCP
  * Principe SOLID : Open/Closed - Base pour l'extension des outils
  */
 export class BaseTool {
-  constructor(name, description, parameters) {
+  /**
+   * @param {string} name - Nom de l'outil
+   * @param {string} description - Description publiée dans tools/list
+   * @param {Object} parameters - Paramètres d'entrée : un schéma JSON par paramètre (type, enum, format,
+   *   minimum/maximum, default, items, properties...) plus `required: true` pour les paramètres obligatoires
+   * @param {Object} [outputSchema] - Schéma JSON de `data` (publié comme outputSchema)
+   * @param {Object} [metadata] - Métadonnées publiées dans tools/list
+   * @param {string} [metadata.title] - Titre lisible
+   * @param {string} [metadata.category] - Catégorie (search, revenue, pricing, expenses, projects, brief, sync), utilisée par la liste d'autorisation
+   * @param {boolean} [metadata.readOnlyHint=true] - L'outil ne modifie pas son environnement
+   * @param {boolean} [metadata.idempotentHint=true] - Rappeler l'outil avec les mêmes arguments n'a pas d'effet supplémentaire
+   * @param {boolean} [metadata.openWorldHint=false] - L'outil interagit avec un système externe (API Facturation.PRO)
+   */
+  constructor(name, description, parameters, outputSchema = null, metadata = {}) {
     this.name = name;
     this.description = description;
     this.parameters = parameters;
+    this.outputSchema = outputSchema;
+    this.title = metadata.title || name;
+    this.category = metadata.category || null;
+    // Outil exécuté sur la base d'une seule société : paramètre `firm` ajouté automatiquement
+    this.firmScoped = metadata.firmScoped ?? true;
+    this.annotations = {
+      title: this.title,
+      readOnlyHint: metadata.readOnlyHint ?? true,
+      idempotentHint: metadata.idempotentHint ?? true,
+      openWorldHint: metadata.openWorldHint ?? false
+    };
+    // destructiveHint n'a de sens que pour un outil qui écrit
+    if (!this.annotations.readOnlyHint) {
+      this.annotations.destructiveHint = metadata.destructiveHint ?? false;
+    }
   }
 
   /**
    * Méthode abstraite à implémenter par les outils concrets
    * @param {Object} args - Arguments de l'outil
    * @param {Database} database - Instance de la base de données
+   * @param {Object} [context] - Contexte d'appel : { signal, reportProgress(progress, total, message) }
    * @returns {Promise<Object>} Résultat de l'outil
    */
-  async execute(args, database) {
+  async execute(args, database, context = {}) {
     throw new Error('Méthode execute() doit être implémentée par les classes dérivées');
   }
 
   /**
-   * Valide les arguments de l'outil
-   * @param {Object} args - Arguments à valider
+   * Signale l'avancement d'un traitement long (notifications/progress si le client l'a demandé)
+   * @param {Object} context - Contexte reçu par execute()
+   * @param {number} progress - Avancement courant (croissant)
+   * @param {number} [total] - Total attendu si connu
+   * @param {string} [message] - Message lisible
+   */
+  reportProgress(context, progress, total, message) {
+    if (context && typeof context.reportProgress === 'function') {
+      context.reportProgress(progress, total, message);
+    }
+  }
+
+  /**
+   * Interrompt le traitement si la requête a été annulée par le client
+   * @param {Object} context - Contexte reçu par execute()
+   */
+  throwIfCancelled(context) {
+    if (context?.signal?.aborted) {
+      const error = new Error('Requête annulée');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Schéma JSON des arguments publié comme inputSchema dans tools/list
+   * @returns {Object} Schéma JSON (objet strict)
+   */
+  getInputSchema() {
+    const properties = {};
+    const required = [];
+    for (const [key, param] of Object.entries(this.parameters || {})) {
+      // `required` booléen propre à nos définitions : le remonter dans la liste "required" du schéma
+      const { required: isRequired, ...schema } = param || {};
+      properties[key] = schema;
+      if (isRequired === true) required.push(key);
+    }
+
+    if (this.firmScoped && !properties.firm) {
+      properties.firm = {
+        type: 'string',
+        description: `Société interrogée (défaut: ${config.defaultFirm})`,
+        enum: config.firms.map(firm => firm.key)
+      };
+    }
+
+    return {
+      type: 'object',
+      additionalProperties: false,
+      properties,
+      required
+    };
+  }
+
+  /**
+   * Valide les arguments de l'outil contre son inputSchema et applique les valeurs par défaut
+   * @param {Object} args - Arguments à valider (complétés en place par les valeurs `default`)
    * @returns {boolean} True si valide
+   * @throws {Error} Erreur (code -32602) listant précisément les arguments invalides
    */
   validateArgs(args) {
     // Tolérer les appels sans arguments (sera validé contre les requis)
     args = args || {};
-    if (!this.parameters) return true;
-
-    for (const [key, param] of Object.entries(this.parameters)) {
-      if (param.required && !(key in args)) {
-        throw new Error(`Paramètre requis manquant: ${key}`);
-      }
-
-      if (key in args) {
-        const value = args[key];
-        if (param.type === 'string' && typeof value !== 'string') {
-          throw new Error(`Paramètre ${key} doit être une chaîne de caractères`);
-        }
-        if (param.type === 'number' && typeof value !== 'number') {
-          throw new Error(`Paramètre ${key} doit être un nombre`);
-        }
-        if (param.type === 'boolean' && typeof value !== 'boolean') {
-          throw new Error(`Paramètre ${key} doit être un booléen`);
-        }
-      }
+
+    if (!this.argsValidator) {
+      this.argsValidator = ajv.compile(this.getInputSchema());
+    }
+
+    if (!this.argsValidator(args)) {
+      const errors = [...new Set(this.argsValidator.errors.map(formatValidationError))];
+      const error = new Error(errors.join(' ; '));
+      error.code = -32602;
+      error.errors = errors;
+      throw error;
     }
 
     return true;
@@ -54,16 +212,50 @@ export class BaseTool {
   /**
    * Formate le résultat de l'outil
    * @param {Object} result - Résultat brut
+   * @param {Array<Object>} [attachments] - Contenus MCP joints à la réponse, hors du JSON (ex: ressource embarquée)
    * @returns {Object} Résultat formaté
    */
-  formatResult(result) {
+  formatResult(result, attachments = []) {
     return {
       success: true,
       data: result,
+      ...(attachments.length > 0 ? { attachments } : {}),
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Arrondit un montant au centime (les sommes SQLite de REAL accumulent des erreurs d'arrondi)
+   * @param {number|null} value - Montant
+   * @returns {number}
+   */
+  roundAmount(value) {
+    return Math.round((value || 0) * 100) / 100;
+  }
+
+  /**
+   * Période analysée : start_date (end_date par défaut aujourd'hui), sinon l'année demandée, sinon l'année en cours
+   * @param {Object} args - { year, start_date, end_date }
+   * @returns {{start_date: string, end_date: string}}
+   */
+  resolvePeriod({ year, start_date, end_date } = {}) {
+    if (start_date) {
+      return { start_date, end_date: end_date || new Date().toISOString().split('T')[0] };
+    }
+    const periodYear = year || new Date().getFullYear();
+    return { start_date: `${periodYear}-01-01`, end_date: `${periodYear}-12-31` };
+  }
+
+  /**
+   * Extrait le contenu structuré (structuredContent) d'un résultat formaté
+   * @param {Object} result - Résultat renvoyé par execute()
+   * @returns {Object|null} Données conformes à outputSchema, ou null
+   */
+  getStructuredContent(result) {
+    if (!this.outputSchema || !result || result.success === false) return null;
+    return result.data ?? null;
+  }
+
   /**
    * Gère les erreurs de l'outil
    * @param {Error} error - Erreur à gérer
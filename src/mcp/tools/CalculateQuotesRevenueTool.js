@@ -11,25 +11,70 @@ export class CalculateQuotesRevenueTool extends BaseTool {
       "Calcule les montants de devis (HT/TTC/TVA) par année/période en un seul appel. Utiliser cet outil pour obtenir un total annuel de devis plutôt que d'additionner des mois.",
       {
         year: {
-          type: 'number',
+          type: 'integer',
           description: 'Année à analyser (optionnel)',
+          minimum: 1900,
+          maximum: 2100,
           required: false,
         },
         start_date: {
           type: 'string',
           description: 'Date de début (YYYY-MM-DD)',
+          format: 'date',
           required: false,
         },
         end_date: {
           type: 'string',
           description: 'Date de fin (YYYY-MM-DD)',
+          format: 'date',
           required: false,
         },
         status: {
           type: 'string',
           description: "Filtre statut: 'tous' | 'acceptes' | 'en_attente' | 'refuses'",
+          enum: ['tous', 'acceptes', 'en_attente', 'refuses'],
+          default: 'tous',
           required: false,
         },
+      },
+      {
+        type: 'object',
+        properties: {
+          year: { type: 'number' },
+          query_type: { type: 'string', enum: ['quotes'] },
+          quotes: {
+            type: 'object',
+            properties: {
+              total_quotes: { type: 'number' },
+              total_quouted_ttc: { type: 'number' },
+              total_quouted_ht: { type: 'number' },
+              total_vat_amount: { type: 'number' },
+              avg_quote_amount: { type: 'number' },
+              unique_customers: { type: 'number' },
+              monthly_breakdown: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    month: { type: 'number' },
+                    month_name: { type: 'string' },
+                    total_quotes: { type: 'number' },
+                    total_quouted_ttc: { type: ['number', 'null'] },
+                    total_quouted_ht: { type: ['number', 'null'] },
+                    total_vat_amount: { type: ['number', 'null'] }
+                  },
+                  required: ['month', 'month_name']
+                }
+              }
+            },
+            required: ['total_quotes', 'total_quouted_ttc', 'total_quouted_ht', 'total_vat_amount', 'monthly_breakdown']
+          }
+        },
+        required: ['year', 'query_type', 'quotes']
+      },
+      {
+        title: 'Montants des devis',
+        category: 'revenue'
       }
     );
   }
@@ -71,7 +116,7 @@ export class CalculateQuotesRevenueTool extends BaseTool {
           AVG(total_ttc) as avg_quote_amount,
           COUNT(DISTINCT customer_id) as unique_customers
         FROM quotes
-        WHERE quote_date >= ? AND quote_date <= ?${statusFilter}
+        WHERE quote_date >= ? AND quote_date <= ? AND deleted_at IS NULL${statusFilter}
       `;
       const yearSummary = await database.get(sql, [currentStartDate, currentEndDate]);
 
@@ -83,7 +128,7 @@ export class CalculateQuotesRevenueTool extends BaseTool {
           SUM(total_ht) as total_quouted_ht,
           SUM(vat_amount) as total_vat_amount
         FROM quotes
-        WHERE quote_date >= ? AND quote_date <= ?${statusFilter}
+        WHERE quote_date >= ? AND quote_date <= ? AND deleted_at IS NULL${statusFilter}
         GROUP BY month
         ORDER BY month
       `;
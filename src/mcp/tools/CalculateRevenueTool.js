@@ -1,4 +1,22 @@
 import { BaseTool } from './BaseTool.js';
+import { getLogger } from '../../logging/index.js';
+
+const logger = getLogger('tools');
+
+// Factures prises en compte (montants bruts) : avoirs et documents supprimés sur Facturation.PRO (deleted_at) exclus
+const ACTIVE_INVOICES = '(SELECT * FROM invoices WHERE deleted_at IS NULL AND is_credit_note = 0)';
+
+// Avoirs (montants stockés négatifs), remis en valeur absolue pour passer par les mêmes requêtes que les factures
+const ACTIVE_CREDIT_NOTES = `(SELECT id, customer_id, status, paid_on, payment_date, updated_at, invoice_date,
+  ABS(total_ttc) AS total_ttc, ABS(total_ht) AS total_ht, ABS(vat_amount) AS vat_amount, ABS(balance) AS balance
+  FROM invoices WHERE deleted_at IS NULL AND is_credit_note = 1)`;
+
+// Sources additionnées : factures (brut) et avoirs (déduits).
+// Les règlements d'un avoir sont ses remboursements, enregistrés en négatif par l'API
+const DOCUMENT_SOURCES = {
+  invoices: { table: ACTIVE_INVOICES, settled: column => `p.${column}` },
+  credit_notes: { table: ACTIVE_CREDIT_NOTES, settled: column => `ABS(p.${column})` }
+};
 
 /**
  * Outil de calcul des revenus par année
@@ -8,43 +26,105 @@ export class CalculateRevenueTool extends BaseTool {
   constructor() {
     super(
       'calculate_revenue',
-      'Calcule les montants encaissés (HT/TTC/TVA) par année/période en un seul appel, et fournit monthly_breakdown pour la ventilation mois par mois. Préférez cet outil à toute addition mensuelle. Par défaut filtre par date de paiement (encaissé réel).',
+      'Calcule les montants encaissés (HT/TTC/TVA) par année/période en un seul appel, et fournit monthly_breakdown pour la ventilation mois par mois. Préférez cet outil à toute addition mensuelle. Par défaut filtre par date de paiement (encaissé réel). Les avoirs sont déduits séparément : montants bruts (total_invoiced_*), avoirs (total_credited_*) et nets (net_*). En mode encaissé, les avoirs comptent à la date de leur remboursement (règlements de l\'avoir) ; en mode facturé, à leur date d\'émission, avec le même filtre de statut que les factures.',
       {
         year: {
-          type: 'number',
+          type: 'integer',
           description: 'Année spécifique à analyser (optionnel)',
+          minimum: 1900,
+          maximum: 2100,
           required: false
         },
         start_year: {
-          type: 'number',
+          type: 'integer',
           description: 'Année de début pour la période (optionnel)',
+          minimum: 1900,
+          maximum: 2100,
           required: false
         },
         end_year: {
-          type: 'number',
+          type: 'integer',
           description: 'Année de fin pour la période (optionnel)',
+          minimum: 1900,
+          maximum: 2100,
           required: false
         },
         start_date: {
           type: 'string',
           description: 'Date de début (YYYY-MM-DD) pour calcul précis',
+          format: 'date',
           required: false
         },
         end_date: {
           type: 'string',
           description: 'Date de fin (YYYY-MM-DD) pour calcul précis',
+          format: 'date',
           required: false
         },
         status: {
           type: 'string',
           description: 'Statut des factures (paye, non_paye, tous)',
+          enum: ['paye', 'non_paye', 'tous'],
+          default: 'tous',
           required: false
         },
         filter_by_payment_date: {
           type: 'boolean',
           description: 'Si true, filtre par date de paiement au lieu de date de facture (pour calculer l\'encaissé réel)',
+          default: true,
           required: false
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          year: { type: 'number' },
+          query_type: { type: 'string', enum: ['paid', 'invoiced'] },
+          revenue: {
+            type: 'object',
+            properties: {
+              total_invoices: { type: 'number' },
+              total_invoiced_ttc: { type: 'number' },
+              total_invoiced_ht: { type: 'number' },
+              total_vat_amount: { type: 'number' },
+              avg_invoice_amount: { type: 'number' },
+              unique_customers: { type: 'number' },
+              total_credit_notes: { type: 'number', description: 'Avoirs remboursés (encaissé) ou émis (facturé) sur la période' },
+              total_credited_ttc: { type: 'number' },
+              total_credited_ht: { type: 'number' },
+              total_credited_vat: { type: 'number' },
+              net_ttc: { type: 'number', description: 'Brut moins avoirs' },
+              net_ht: { type: 'number' },
+              net_vat: { type: 'number' },
+              monthly_breakdown: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    month: { type: 'number' },
+                    month_name: { type: 'string' },
+                    total_invoices: { type: 'number' },
+                    total_invoiced_ttc: { type: ['number', 'null'] },
+                    total_invoiced_ht: { type: ['number', 'null'] },
+                    total_vat_amount: { type: ['number', 'null'] },
+                    total_credit_notes: { type: 'number' },
+                    total_credited_ttc: { type: 'number' },
+                    total_credited_ht: { type: 'number' },
+                    net_ttc: { type: 'number' },
+                    net_ht: { type: 'number' }
+                  },
+                  required: ['month', 'month_name']
+                }
+              }
+            },
+            required: ['total_invoices', 'total_invoiced_ttc', 'total_invoiced_ht', 'total_vat_amount', 'total_credited_ttc', 'net_ttc', 'monthly_breakdown']
+          }
+        },
+        required: ['year', 'query_type', 'revenue']
+      },
+      {
+        title: 'Chiffre d\'affaires',
+        category: 'revenue'
       }
     );
   }
@@ -80,267 +160,44 @@ export class CalculateRevenueTool extends BaseTool {
         currentEndDate = `${calculatedYear}-12-31`;
       }
 
-      const dateField = filter_by_payment_date ? 'paid_on' : 'invoice_date';
-      let baseWhereClause;
-      let monthlyWhereClause;
-
-      if (filter_by_payment_date) {
-        // En mode encaissé, on utilisera de préférence la table payments si des écritures existent
-        baseWhereClause = '';
-        monthlyWhereClause = '';
-      } else {
-        // Pour le facturé, filtrer par invoice_date et statut
-        const statusFilter = status === 'paye' ? ' AND status = 1' : status === 'non_paye' ? ' AND status = 0' : '';
-        baseWhereClause = `WHERE invoice_date >= ? AND invoice_date <= ? ${statusFilter}`;
-        monthlyWhereClause = `WHERE invoice_date >= ? AND invoice_date <= ? ${statusFilter}`;
-      }
-
-      // Clauses pour le calcul des montants
-      const paidBalance = `IIF(balance IS NULL OR balance = '', 0.0, CAST(balance AS REAL))`;
-
-      // Expressions d'agrégation pour l'encaissé réel:
-      // - Facture totalement payée: montant total si paid_on dans la période
-      // - Facture partiellement payée: montant partiellement encaissé si COALESCE(payment_date, updated_at) dans la période
-      const paidDateExpr = `COALESCE(payment_date, updated_at)`;
-      const paidRatioExpr = `IIF(total_ttc = 0, 0.0, (total_ttc - ${paidBalance}) / total_ttc)`;
-
-      const sumCaseTTC = filter_by_payment_date
-        ? `SUM(CASE 
-              WHEN status = 1 AND paid_on >= ? AND paid_on <= ? THEN total_ttc
-              WHEN ((${paidBalance} > 0) AND (${paidBalance} < total_ttc)) AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ? THEN (total_ttc - ${paidBalance})
-              ELSE 0 END)`
-        : `SUM(total_ttc)`;
-
-      const sumCaseHT = filter_by_payment_date
-        ? `SUM(CASE 
-              WHEN status = 1 AND paid_on >= ? AND paid_on <= ? THEN total_ht
-              WHEN ((${paidBalance} > 0) AND (${paidBalance} < total_ttc)) AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ? THEN (total_ht * ${paidRatioExpr})
-              ELSE 0 END)`
-        : `SUM(total_ht)`;
-
-      const sumCaseVAT = filter_by_payment_date
-        ? `SUM(CASE 
-              WHEN status = 1 AND paid_on >= ? AND paid_on <= ? THEN vat_amount
-              WHEN ((${paidBalance} > 0) AND (${paidBalance} < total_ttc)) AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ? THEN (vat_amount * ${paidRatioExpr})
-              ELSE 0 END)`
-        : `SUM(vat_amount)`;
-
-      const avgCaseTTC = filter_by_payment_date
-        ? `AVG(CASE 
-              WHEN status = 1 AND paid_on >= ? AND paid_on <= ? THEN total_ttc
-              WHEN (${paidBalance} < total_ttc) AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ? THEN (total_ttc - ${paidBalance})
-              ELSE NULL END)`
-        : `AVG(total_ttc)`;
-
-
-      // 1. Calcul des totaux globaux pour la période
-      let sql;
-      let yearParams = [];
-      if (filter_by_payment_date) {
-        // Utiliser les paiements quand ils existent, et compléter avec les factures qui n'ont pas de paiements enregistrés
-        const paymentsCount = await database.getPaymentsCountBetween(currentStartDate, currentEndDate);
-
-        if (paymentsCount > 0) {
-          sql = `
-            WITH p AS (
-              SELECT p.invoice_id, i.customer_id, p.amount_ttc, p.amount_ht, p.amount_vat
-              FROM payments p
-              JOIN invoices i ON i.id = p.invoice_id
-              WHERE p.payment_date >= ? AND p.payment_date <= ?
-            )
-            SELECT
-              COUNT(DISTINCT all_rows.invoice_id) as total_invoices,
-              SUM(all_rows.amount_ttc) as total_invoiced_ttc,
-              SUM(all_rows.amount_ht) as total_invoiced_ht,
-              SUM(all_rows.amount_vat) as total_vat_amount,
-              AVG(all_rows.amount_ttc) as avg_invoice_amount,
-              COUNT(DISTINCT all_rows.customer_id) as unique_customers
-            FROM (
-              SELECT invoice_id, customer_id, amount_ttc, amount_ht, amount_vat FROM p
-              UNION ALL
-              SELECT id as invoice_id, customer_id, total_ttc as amount_ttc, total_ht as amount_ht, vat_amount as amount_vat
-              FROM invoices
-              WHERE status = 1 AND paid_on >= ? AND paid_on <= ? AND id NOT IN (SELECT invoice_id FROM p)
-              UNION ALL
-              SELECT id as invoice_id, customer_id,
-                     (total_ttc - ${paidBalance}) as amount_ttc,
-                     (total_ht * ${paidRatioExpr}) as amount_ht,
-                     (vat_amount * ${paidRatioExpr}) as amount_vat
-              FROM invoices
-              WHERE (${paidBalance} > 0) AND (${paidBalance} < total_ttc)
-                AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ?
-                AND id NOT IN (SELECT invoice_id FROM p)
-            ) all_rows
-          `;
-          yearParams = [currentStartDate, currentEndDate, currentStartDate, currentEndDate, currentStartDate, currentEndDate];
-        } else {
-          // Fallback: calcul à partir des factures et du solde
-          sql = `
-            SELECT
-              COUNT(id) as total_invoices,
-              ${sumCaseTTC} as total_invoiced_ttc,
-              ${sumCaseHT} as total_invoiced_ht,
-              ${sumCaseVAT} as total_vat_amount,
-              ${avgCaseTTC} as avg_invoice_amount,
-              COUNT(DISTINCT customer_id) as unique_customers
-            FROM invoices
-          `;
-          // Paramètres pour les 3 agrégats + avg (12)
-          yearParams = [currentStartDate, currentEndDate, currentStartDate, currentEndDate,
-                        currentStartDate, currentEndDate, currentStartDate, currentEndDate,
-                        currentStartDate, currentEndDate, currentStartDate, currentEndDate];
-        }
-      } else {
-        sql = `
-          SELECT
-            COUNT(id) as total_invoices,
-            ${sumCaseTTC} as total_invoiced_ttc,
-            ${sumCaseHT} as total_invoiced_ht,
-            ${sumCaseVAT} as total_vat_amount,
-            ${avgCaseTTC} as avg_invoice_amount,
-            COUNT(DISTINCT customer_id) as unique_customers
-          FROM invoices
-          ${baseWhereClause}
-        `;
-        yearParams = [currentStartDate, currentEndDate];
-      }
-      if (process.env.MCP_DEBUG === 'true') {
-        process.stderr.write(`[MCP DEBUG] SQL totaux annuels: ${sql}\n`);
-        process.stderr.write(`[MCP DEBUG] Params totaux annuels: ${JSON.stringify(yearParams)}\n`);
-      }
-      const yearSummary = await database.get(sql, yearParams);
-
-      // 2. Calcul de la répartition mensuelle pour l'année en cours (ou pour la période si start_date/end_date fournis)
-      let monthlySql;
-      let monthlyParams = [];
-      if (filter_by_payment_date) {
-        const yearStart = (start_date && end_date) ? currentStartDate : `${calculatedYear}-01-01`;
-        const yearEnd = (start_date && end_date) ? currentEndDate : `${calculatedYear}-12-31`;
-        const paymentsCountYear = await database.getPaymentsCountBetween(yearStart, yearEnd);
-
-        if (paymentsCountYear > 0) {
-          monthlySql = `
-            WITH p AS (
-              SELECT p.invoice_id, p.payment_date, p.amount_ttc, p.amount_ht, p.amount_vat
-              FROM payments p
-              WHERE p.payment_date >= ? AND p.payment_date <= ?
-            )
-            SELECT month,
-                   SUM(total_invoices) as total_invoices,
-                   SUM(total_invoiced_ttc) as total_invoiced_ttc,
-                   SUM(total_invoiced_ht) as total_invoiced_ht,
-                   SUM(total_vat_amount) as total_vat_amount
-            FROM (
-              SELECT
-                strftime('%m', payment_date) as month,
-                COUNT(DISTINCT invoice_id) as total_invoices,
-                SUM(amount_ttc) as total_invoiced_ttc,
-                SUM(amount_ht) as total_invoiced_ht,
-                SUM(amount_vat) as total_vat_amount
-              FROM p
-              GROUP BY month
-
-              UNION ALL
-
-              SELECT
-                strftime('%m', paid_on) as month,
-                COUNT(id) as total_invoices,
-                SUM(total_ttc) as total_invoiced_ttc,
-                SUM(total_ht) as total_invoiced_ht,
-                SUM(vat_amount) as total_vat_amount
-              FROM invoices
-              WHERE status = 1 AND paid_on >= ? AND paid_on <= ?
-                AND id NOT IN (SELECT invoice_id FROM p)
-              GROUP BY month
+      // Plage de la répartition mensuelle : période demandée en mode encaissé, sinon l'année affichée
+      const monthStart = filter_by_payment_date && start_date && end_date ? currentStartDate : `${calculatedYear}-01-01`;
+      const monthEnd = filter_by_payment_date && start_date && end_date ? currentEndDate : `${calculatedYear}-12-31`;
 
-              UNION ALL
+      // En mode encaissé, on utilise de préférence la table payments si des écritures existent ;
+      // factures et avoirs suivent la même règle pour rester comparables
+      const options = {
+        paid: filter_by_payment_date,
+        statusFilter: status === 'paye' ? ' AND status = 1' : status === 'non_paye' ? ' AND status = 0' : ''
+      };
+      const withSettlements = filter_by_payment_date && await database.getPaymentsCountBetween(currentStartDate, currentEndDate) > 0;
+      const withSettlementsMonthly = filter_by_payment_date && await database.getPaymentsCountBetween(monthStart, monthEnd) > 0;
 
-              SELECT
-                strftime('%m', ${paidDateExpr}) as month,
-                COUNT(id) as total_invoices,
-                SUM(total_ttc - ${paidBalance}) as total_invoiced_ttc,
-                SUM(total_ht * IIF(total_ttc = 0, 0.0, (total_ttc - ${paidBalance}) / total_ttc)) as total_invoiced_ht,
-                SUM(vat_amount * IIF(total_ttc = 0, 0.0, (total_ttc - ${paidBalance}) / total_ttc)) as total_vat_amount
-              FROM invoices
-              WHERE (${paidBalance} > 0) AND (${paidBalance} < total_ttc)
-                AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ?
-                AND id NOT IN (SELECT invoice_id FROM p)
-              GROUP BY month
-            ) t
-            GROUP BY month
-            ORDER BY month
-          `;
-          monthlyParams = [yearStart, yearEnd, yearStart, yearEnd, yearStart, yearEnd];
-        } else {
-          // Fallback sur la logique basée factures/solde — version UNION pour éviter les doublons et simplifier les paramètres
-          monthlySql = `
-            SELECT month,
-                   SUM(total_invoices) as total_invoices,
-                   SUM(total_invoiced_ttc) as total_invoiced_ttc,
-                   SUM(total_invoiced_ht) as total_invoiced_ht,
-                   SUM(total_vat_amount) as total_vat_amount
-            FROM (
-              SELECT
-                strftime('%m', paid_on) as month,
-                COUNT(id) as total_invoices,
-                SUM(total_ttc) as total_invoiced_ttc,
-                SUM(total_ht) as total_invoiced_ht,
-                SUM(vat_amount) as total_vat_amount
-              FROM invoices
-              WHERE status = 1 AND paid_on >= ? AND paid_on <= ?
-              GROUP BY month
+      // 1. Totaux de la période : factures (brut) et avoirs (déduits)
+      const yearSummary = await this.sumTotals(database, DOCUMENT_SOURCES.invoices, { ...options, withSettlements }, currentStartDate, currentEndDate);
+      const credited = await this.sumTotals(database, DOCUMENT_SOURCES.credit_notes, { ...options, withSettlements }, currentStartDate, currentEndDate);
 
-              UNION ALL
-
-              SELECT
-                strftime('%m', ${paidDateExpr}) as month,
-                COUNT(id) as total_invoices,
-                SUM(total_ttc - ${paidBalance}) as total_invoiced_ttc,
-                SUM(total_ht * IIF(total_ttc = 0, 0.0, (total_ttc - ${paidBalance}) / total_ttc)) as total_invoiced_ht,
-                SUM(vat_amount * IIF(total_ttc = 0, 0.0, (total_ttc - ${paidBalance}) / total_ttc)) as total_vat_amount
-              FROM invoices
-              WHERE (${paidBalance} > 0) AND (${paidBalance} < total_ttc)
-                AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ?
-              GROUP BY month
-            ) t
-            GROUP BY month
-            ORDER BY month
-          `;
-          monthlyParams = [yearStart, yearEnd, yearStart, yearEnd];
-        }
-      } else {
-        monthlySql = `
-          SELECT
-            strftime('%m', invoice_date) as month,
-            COUNT(id) as total_invoices,
-            ${sumCaseTTC} as total_invoiced_ttc,
-            ${sumCaseHT} as total_invoiced_ht,
-            ${sumCaseVAT} as total_vat_amount
-          FROM invoices
-          ${monthlyWhereClause}
-          GROUP BY month
-          ORDER BY month
-        `;
-        monthlyParams = [`${calculatedYear}-01-01`, `${calculatedYear}-12-31`];
-      }
-      if (process.env.MCP_DEBUG === 'true') {
-        process.stderr.write(`[MCP DEBUG] SQL mensuel: ${monthlySql}\n`);
-        process.stderr.write(`[MCP DEBUG] Params mensuel: ${JSON.stringify(monthlyParams)}\n`);
-      }
-      const monthlyResults = await database.all(monthlySql, monthlyParams);
+      // 2. Répartition mensuelle pour l'année en cours (ou pour la période si start_date/end_date fournis)
+      const monthlyResults = await this.sumMonthly(database, DOCUMENT_SOURCES.invoices, { ...options, withSettlements: withSettlementsMonthly }, monthStart, monthEnd);
+      const monthlyCredited = await this.sumMonthly(database, DOCUMENT_SOURCES.credit_notes, { ...options, withSettlements: withSettlementsMonthly }, monthStart, monthEnd);
 
       // Remplir les mois manquants
       const monthlyBreakdown = Array.from({ length: 12 }, (_, i) => {
         const month = i + 1;
-        const monthName = this.getMonthName(month);
-        const existingData = monthlyResults.find(m => parseInt(m.month) === month);
+        const gross = monthlyResults.find(m => parseInt(m.month) === month) || {};
+        const creditedData = monthlyCredited.find(m => parseInt(m.month) === month) || {};
         return {
           month: month,
-          month_name: monthName,
-          total_invoices: existingData ? existingData.total_invoices : 0,
-          total_invoiced_ttc: existingData ? existingData.total_invoiced_ttc : 0,
-          total_invoiced_ht: existingData ? existingData.total_invoiced_ht : 0,
-          total_vat_amount: existingData ? existingData.total_vat_amount : 0,
+          month_name: this.getMonthName(month),
+          total_invoices: gross.documents || 0,
+          total_invoiced_ttc: this.roundAmount(gross.ttc),
+          total_invoiced_ht: this.roundAmount(gross.ht),
+          total_vat_amount: this.roundAmount(gross.vat),
+          total_credit_notes: creditedData.documents || 0,
+          total_credited_ttc: this.roundAmount(creditedData.ttc),
+          total_credited_ht: this.roundAmount(creditedData.ht),
+          net_ttc: this.roundAmount((gross.ttc || 0) - (creditedData.ttc || 0)),
+          net_ht: this.roundAmount((gross.ht || 0) - (creditedData.ht || 0)),
         };
       });
 
@@ -348,12 +205,19 @@ export class CalculateRevenueTool extends BaseTool {
         year: calculatedYear,
         query_type: filter_by_payment_date ? 'paid' : 'invoiced',
         revenue: {
-          total_invoices: yearSummary.total_invoices || 0,
-          total_invoiced_ttc: yearSummary.total_invoiced_ttc || 0,
-          total_invoiced_ht: yearSummary.total_invoiced_ht || 0,
-          total_vat_amount: yearSummary.total_vat_amount || 0,
-          avg_invoice_amount: yearSummary.avg_invoice_amount || 0,
-          unique_customers: yearSummary.unique_customers || 0,
+          total_invoices: yearSummary.documents || 0,
+          total_invoiced_ttc: this.roundAmount(yearSummary.ttc),
+          total_invoiced_ht: this.roundAmount(yearSummary.ht),
+          total_vat_amount: this.roundAmount(yearSummary.vat),
+          avg_invoice_amount: this.roundAmount(yearSummary.avg_ttc),
+          unique_customers: yearSummary.customers || 0,
+          total_credit_notes: credited.documents || 0,
+          total_credited_ttc: this.roundAmount(credited.ttc),
+          total_credited_ht: this.roundAmount(credited.ht),
+          total_credited_vat: this.roundAmount(credited.vat),
+          net_ttc: this.roundAmount((yearSummary.ttc || 0) - (credited.ttc || 0)),
+          net_ht: this.roundAmount((yearSummary.ht || 0) - (credited.ht || 0)),
+          net_vat: this.roundAmount((yearSummary.vat || 0) - (credited.vat || 0)),
           monthly_breakdown: monthlyBreakdown,
         },
       });
@@ -363,6 +227,107 @@ export class CalculateRevenueTool extends BaseTool {
     }
   }
 
+  /**
+   * Lignes additionnées pour une source (factures ou avoirs) sur une période.
+   * - Facturé : un document par ligne, à sa date d'émission, filtré par statut
+   * - Encaissé : un règlement par ligne (si withSettlements), complété par les documents sans règlement enregistré :
+   *   document soldé à sa date de paiement, sinon part réglée d'un paiement partiel à COALESCE(payment_date, updated_at)
+   * @param {Object} source - Entrée de DOCUMENT_SOURCES
+   * @param {Object} options - { paid, withSettlements, statusFilter }
+   * @returns {{ sql: string, params: string[] }} Sous-requête (document_id, customer_id, period_date, amount_ttc, amount_ht, amount_vat)
+   */
+  documentRows(source, { paid, withSettlements, statusFilter }, startDate, endDate) {
+    if (!paid) {
+      return {
+        sql: `
+          SELECT id as document_id, customer_id, invoice_date as period_date,
+                 total_ttc as amount_ttc, total_ht as amount_ht, vat_amount as amount_vat
+          FROM ${source.table} docs
+          WHERE invoice_date >= ? AND invoice_date <= ? ${statusFilter}`,
+        params: [startDate, endDate]
+      };
+    }
+
+    const paidBalance = `IIF(balance IS NULL OR balance = '', 0.0, CAST(balance AS REAL))`;
+    const paidDateExpr = `COALESCE(payment_date, updated_at)`;
+    const paidRatioExpr = `IIF(total_ttc = 0, 0.0, (total_ttc - ${paidBalance}) / total_ttc)`;
+    // Documents déjà couverts par un règlement de la période
+    const withoutSettlement = withSettlements
+      ? 'AND id NOT IN (SELECT invoice_id FROM payments WHERE payment_date >= ? AND payment_date <= ?)'
+      : '';
+    const range = withSettlements ? [startDate, endDate, startDate, endDate] : [startDate, endDate];
+
+    const settlementRows = withSettlements ? `
+          SELECT p.invoice_id as document_id, d.customer_id, p.payment_date as period_date,
+                 ${source.settled('amount_ttc')} as amount_ttc, ${source.settled('amount_ht')} as amount_ht, ${source.settled('amount_vat')} as amount_vat
+          FROM payments p
+          JOIN ${source.table} d ON d.id = p.invoice_id
+          WHERE p.payment_date >= ? AND p.payment_date <= ?
+          UNION ALL` : '';
+
+    return {
+      sql: `${settlementRows}
+          SELECT id as document_id, customer_id, paid_on as period_date,
+                 total_ttc as amount_ttc, total_ht as amount_ht, vat_amount as amount_vat
+          FROM ${source.table} docs
+          WHERE status = 1 AND paid_on >= ? AND paid_on <= ? ${withoutSettlement}
+          UNION ALL
+          SELECT id as document_id, customer_id, ${paidDateExpr} as period_date,
+                 (total_ttc - ${paidBalance}) as amount_ttc,
+                 (total_ht * ${paidRatioExpr}) as amount_ht,
+                 (vat_amount * ${paidRatioExpr}) as amount_vat
+          FROM ${source.table} docs
+          WHERE (${paidBalance} > 0) AND (${paidBalance} < total_ttc)
+            AND ${paidDateExpr} >= ? AND ${paidDateExpr} <= ? ${withoutSettlement}`,
+      params: [...(withSettlements ? [startDate, endDate] : []), ...range, ...range]
+    };
+  }
+
+  /**
+   * Totaux d'une source sur la période
+   * @returns {Promise<Object>} { documents, ttc, ht, vat, avg_ttc, customers }
+   */
+  async sumTotals(database, source, options, startDate, endDate) {
+    const rows = this.documentRows(source, options, startDate, endDate);
+    const sql = `
+      SELECT
+        COUNT(DISTINCT document_id) as documents,
+        SUM(amount_ttc) as ttc,
+        SUM(amount_ht) as ht,
+        SUM(amount_vat) as vat,
+        AVG(amount_ttc) as avg_ttc,
+        COUNT(DISTINCT customer_id) as customers
+      FROM (${rows.sql}
+      ) all_rows
+    `;
+    logger.debug(`SQL totaux: ${sql}`);
+    logger.debug(`Params totaux: ${JSON.stringify(rows.params)}`);
+    return (await database.get(sql, rows.params)) || {};
+  }
+
+  /**
+   * Répartition mensuelle d'une source sur la période
+   * @returns {Promise<Array>} [{ month, documents, ttc, ht, vat }]
+   */
+  async sumMonthly(database, source, options, startDate, endDate) {
+    const rows = this.documentRows(source, options, startDate, endDate);
+    const sql = `
+      SELECT
+        strftime('%m', period_date) as month,
+        COUNT(DISTINCT document_id) as documents,
+        SUM(amount_ttc) as ttc,
+        SUM(amount_ht) as ht,
+        SUM(amount_vat) as vat
+      FROM (${rows.sql}
+      ) all_rows
+      GROUP BY month
+      ORDER BY month
+    `;
+    logger.debug(`SQL mensuel: ${sql}`);
+    logger.debug(`Params mensuel: ${JSON.stringify(rows.params)}`);
+    return database.all(sql, rows.params);
+  }
+
   getMonthName(month) {
     const months = [
       'Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin',
@@ -0,0 +1,154 @@
+import { BaseTool } from './BaseTool.js';
+
+// Moyennes recalculées après consolidation, pondérées par le compteur associé
+const AVERAGE_WEIGHTS = {
+  avg_invoice_amount: 'total_invoices',
+  avg_quote_amount: 'total_quotes'
+};
+
+// Champs numériques décrivant la période, identiques d'une société à l'autre (jamais additionnés)
+const KEY_FIELDS = ['year', 'month'];
+
+/**
+ * Additionne deux résultats de même forme : nombres sommés, tableaux fusionnés par mois,
+ * chaînes et champs de période conservés, moyennes recalculées.
+ */
+function mergeResults(target, source) {
+  if (target === undefined || target === null) return structuredClone(source);
+  if (source === undefined || source === null) return target;
+
+  if (Array.isArray(target) && Array.isArray(source)) {
+    for (const item of source) {
+      const existing = item && typeof item === 'object' && 'month' in item
+        ? target.find(candidate => candidate?.month === item.month)
+        : undefined;
+      if (existing) {
+        mergeResults(existing, item);
+      } else {
+        target.push(structuredClone(item));
+      }
+    }
+    return target;
+  }
+
+  if (typeof target === 'object' && typeof source === 'object') {
+    // Les moyennes se pondèrent avec les compteurs d'avant fusion
+    const averages = {};
+    for (const [avgKey, countKey] of Object.entries(AVERAGE_WEIGHTS)) {
+      if (avgKey in target && avgKey in source) {
+        const targetCount = Number(target[countKey]) || 0;
+        const sourceCount = Number(source[countKey]) || 0;
+        const count = targetCount + sourceCount;
+        averages[avgKey] = count > 0
+          ? ((Number(target[avgKey]) || 0) * targetCount + (Number(source[avgKey]) || 0) * sourceCount) / count
+          : 0;
+      }
+    }
+
+    for (const [key, value] of Object.entries(source)) {
+      if (key in averages || KEY_FIELDS.includes(key)) {
+        if (!(key in target)) target[key] = value;
+        continue;
+      }
+      if (typeof value === 'number' && (typeof target[key] === 'number' || target[key] === null || target[key] === undefined)) {
+        target[key] = (target[key] || 0) + value;
+      } else if (value && typeof value === 'object') {
+        target[key] = mergeResults(target[key], value);
+      } else if (!(key in target) || target[key] === null) {
+        target[key] = value;
+      }
+    }
+
+    Object.assign(target, averages);
+    return target;
+  }
+
+  return target;
+}
+
+/**
+ * Variante multi-sociétés d'un outil de chiffre d'affaires
+ * Exécute l'outil d'origine sur la base de chaque société puis additionne les résultats.
+ * Principe SOLID : Open/Closed - Réutilise les outils existants sans les modifier
+ */
+export class ConsolidatedRevenueTool extends BaseTool {
+  /**
+   * @param {BaseTool} innerTool - Outil de chiffre d'affaires d'une société (ex: calculate_revenue)
+   * @param {FirmRegistry} firms - Registre des sociétés
+   */
+  constructor(innerTool, firms) {
+    const firmKeys = firms.keys();
+    const resultSchema = innerTool.outputSchema || { type: 'object' };
+
+    super(
+      `${innerTool.name}_consolidated`,
+      `${innerTool.description} Version consolidée : détail par société et total toutes sociétés confondues.`,
+      {
+        ...innerTool.parameters,
+        firms: {
+          type: 'array',
+          description: `Sociétés à consolider (défaut: toutes — ${firmKeys.join(', ')})`,
+          items: { type: 'string', enum: firmKeys },
+          minItems: 1,
+          uniqueItems: true,
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          firms: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                firm: { type: 'string' },
+                name: { type: 'string' },
+                data: resultSchema
+              },
+              required: ['firm', 'name', 'data']
+            }
+          },
+          consolidated: resultSchema
+        },
+        required: ['firms', 'consolidated']
+      },
+      {
+        title: `${innerTool.title} (consolidé)`,
+        category: innerTool.category,
+        firmScoped: false
+      }
+    );
+    this.innerTool = innerTool;
+    this.firms = firms;
+  }
+
+  async execute(args, database, context = {}) {
+    try {
+      this.validateArgs(args);
+
+      const { firms: firmKeys = this.firms.keys(), ...innerArgs } = args || {};
+      const results = [];
+      let consolidated;
+
+      for (const key of firmKeys) {
+        const firm = this.firms.get(key);
+        const res = await this.innerTool.execute(
+          { ...innerArgs },
+          context.signal ? firm.database.withSignal(context.signal) : firm.database,
+          { ...context, firm }
+        );
+        if (!res.success) {
+          throw new Error(`${firm.name}: ${res.error}`);
+        }
+
+        results.push({ firm: firm.key, name: firm.name, data: res.data });
+        consolidated = mergeResults(consolidated, res.data);
+      }
+
+      return this.formatResult({ firms: results, consolidated });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+}
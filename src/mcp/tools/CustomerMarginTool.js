@@ -0,0 +1,153 @@
+import { BaseTool } from './BaseTool.js';
+import { GrossMarginTool } from './GrossMarginTool.js';
+
+/**
+ * Outil de marge par client (projet client) : facturé net des avoirs moins les achats affectés au client
+ * Principe SOLID : Single Responsibility - Rapproche ventes et achats par client
+ */
+export class CustomerMarginTool extends BaseTool {
+  constructor() {
+    super(
+      'customer_margin',
+      'Calcule la marge par client (projet client) sur une période : chiffre d\'affaires HT facturé net des avoirs moins les achats HT affectés à ce client dans Facturation.PRO. Indique aussi les achats non affectés, qui ne sont imputés à aucun client.',
+      {
+        year: {
+          type: 'integer',
+          description: 'Année analysée (défaut: année en cours, ignorée si start_date est fourni)',
+          minimum: 2000,
+          maximum: 2100,
+          required: false
+        },
+        start_date: {
+          type: 'string',
+          description: 'Date de début (YYYY-MM-DD)',
+          format: 'date',
+          required: false
+        },
+        end_date: {
+          type: 'string',
+          description: 'Date de fin (YYYY-MM-DD, défaut: aujourd\'hui)',
+          format: 'date',
+          required: false
+        },
+        customer_id: {
+          type: 'integer',
+          description: 'ID Facturation.PRO du client (optionnel)',
+          minimum: 1,
+          required: false
+        },
+        limit: {
+          type: 'integer',
+          description: 'Nombre maximum de clients, par chiffre d\'affaires net décroissant (défaut: 20)',
+          minimum: 1,
+          maximum: 200,
+          default: 20,
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          period: {
+            type: 'object',
+            properties: {
+              start_date: { type: 'string' },
+              end_date: { type: 'string' }
+            }
+          },
+          customers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                customer_id: { type: 'number' },
+                customer_name: { type: 'string' },
+                invoice_count: { type: 'number' },
+                purchase_count: { type: 'number' },
+                invoiced_ht: { type: 'number' },
+                credited_ht: { type: 'number' },
+                net_revenue_ht: { type: 'number' },
+                expenses_ht: { type: 'number' },
+                gross_margin_ht: { type: 'number' },
+                margin_rate: { type: ['number', 'null'] }
+              }
+            }
+          },
+          unassigned_expenses_ht: { type: 'number', description: 'Achats HT de la période sans client associé' }
+        },
+        required: ['period', 'customers', 'unassigned_expenses_ht']
+      },
+      {
+        title: 'Marge par client',
+        category: 'expenses'
+      }
+    );
+    this.marginTool = new GrossMarginTool();
+  }
+
+  async execute(args, database) {
+    try {
+      this.validateArgs(args);
+
+      const { customer_id, limit = 20 } = args || {};
+      const period = this.resolvePeriod(args || {});
+
+      let sql = `
+        SELECT t.customer_id, COALESCE(c.name, 'Client ' || t.customer_id) as customer_name,
+          SUM(t.invoice_count) as invoice_count,
+          SUM(t.purchase_count) as purchase_count,
+          SUM(t.invoiced_ht) as invoiced_ht,
+          SUM(t.credited_ht) as credited_ht,
+          SUM(t.expenses_ht) as expenses_ht
+        FROM (
+          SELECT customer_id,
+            CASE WHEN is_credit_note = 0 THEN 1 ELSE 0 END as invoice_count,
+            0 as purchase_count,
+            CASE WHEN is_credit_note = 0 THEN total_ht ELSE 0 END as invoiced_ht,
+            CASE WHEN is_credit_note = 1 THEN ABS(total_ht) ELSE 0 END as credited_ht,
+            0 as expenses_ht
+          FROM invoices
+          WHERE deleted_at IS NULL AND invoice_date >= ? AND invoice_date <= ?
+          UNION ALL
+          SELECT customer_id, 0, 1, 0, 0, total_ht
+          FROM purchases
+          WHERE customer_id IS NOT NULL AND purchase_date >= ? AND purchase_date <= ?
+        ) t
+        LEFT JOIN customers c ON c.facturation_id = t.customer_id
+      `;
+      const params = [period.start_date, period.end_date, period.start_date, period.end_date];
+
+      if (customer_id) {
+        sql += ' WHERE t.customer_id = ?';
+        params.push(customer_id);
+      }
+
+      sql += `
+        GROUP BY t.customer_id, c.name
+        ORDER BY (SUM(t.invoiced_ht) - SUM(t.credited_ht)) DESC
+        LIMIT ?
+      `;
+      params.push(limit);
+
+      const rows = await database.all(sql, params);
+      const unassigned = await database.get(`
+        SELECT SUM(total_ht) as total_ht FROM purchases
+        WHERE customer_id IS NULL AND purchase_date >= ? AND purchase_date <= ?
+      `, [period.start_date, period.end_date]);
+
+      return this.formatResult({
+        period,
+        customers: rows.map(row => ({
+          customer_id: row.customer_id,
+          customer_name: row.customer_name,
+          invoice_count: row.invoice_count || 0,
+          purchase_count: row.purchase_count || 0,
+          ...this.marginTool.computeMargin(row.invoiced_ht, row.credited_ht, row.expenses_ht)
+        })),
+        unassigned_expenses_ht: this.roundAmount(unassigned?.total_ht)
+      });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+}
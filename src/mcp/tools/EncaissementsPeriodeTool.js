@@ -15,16 +15,25 @@ export class EncaissementsPeriodeTool extends BaseTool {
         start_date: {
           type: 'string',
           description: 'Date de début au format YYYY-MM-DD',
+          format: 'date',
           required: true,
         },
         end_date: {
           type: 'string',
           description: "Date de fin au format YYYY-MM-DD (par défaut: aujourd'hui)",
+          format: 'date',
           required: false,
         },
+      },
+      null,
+      {
+        title: 'Encaissements sur une période',
+        category: 'revenue'
       }
     );
     this.revTool = new CalculateRevenueTool();
+    // Même forme de résultat que calculate_revenue
+    this.outputSchema = this.revTool.outputSchema;
   }
 
   async execute(args, database) {
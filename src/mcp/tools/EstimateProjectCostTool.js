@@ -13,23 +13,93 @@ export class EstimateProjectCostTool extends BaseTool {
         brief: {
           type: 'string',
           description: 'Brief de projet à analyser',
+          minLength: 1,
           required: true
         },
         similar_projects_limit: {
-          type: 'number',
+          type: 'integer',
           description: 'Nombre de projets similaires à retourner (défaut: 10)',
+          minimum: 1,
+          maximum: 50,
+          default: 10,
           required: false
         },
         min_amount: {
           type: 'number',
           description: 'Montant minimum des projets à considérer',
+          minimum: 0,
           required: false
         },
         max_amount: {
           type: 'number',
           description: 'Montant maximum des projets à considérer',
+          minimum: 0,
           required: false
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          brief_analysis: {
+            type: 'object',
+            properties: {
+              project_type: { type: 'string' },
+              complexity: { type: 'string' },
+              features: { type: 'array', items: { type: 'string' } },
+              technologies: { type: 'array', items: { type: 'string' } },
+              size: { type: 'string' },
+              keywords: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          similar_projects: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                quote_number: { type: 'string' },
+                display_id: { type: ['string', 'number'] },
+                quote_date: { type: 'string' },
+                total_ttc: { type: 'number' },
+                total_ht: { type: 'number' },
+                customer_name: { type: ['string', 'null'] },
+                similarity_score: { type: 'number' },
+                similarity_reasons: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          },
+          total_found: { type: 'number' },
+          pricing_insights: {
+            type: 'object',
+            properties: {
+              message: { type: 'string' },
+              pricing_range: {
+                type: 'object',
+                properties: {
+                  min: { type: 'number' },
+                  max: { type: 'number' },
+                  average: { type: 'number' },
+                  median: { type: 'number' }
+                }
+              },
+              recent_trend: {
+                type: 'object',
+                properties: {
+                  recent_average: { type: 'number' },
+                  recent_projects_count: { type: 'number' },
+                  trend_direction: { type: 'string', enum: ['hausse', 'baisse', 'stable'] }
+                }
+              },
+              project_breakdown: { type: 'array', items: { type: 'object' } },
+              recommendations: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          usage_note: { type: 'string' }
+        },
+        required: ['brief_analysis', 'similar_projects', 'total_found', 'pricing_insights']
+      },
+      {
+        title: 'Estimation de coût projet',
+        category: 'brief'
       }
     );
   }
@@ -247,7 +317,7 @@ export class EstimateProjectCostTool extends BaseTool {
         c.city as customer_city
       FROM quotes q
       LEFT JOIN customers c ON q.customer_id = c.id
-      WHERE q.total_ttc >= ? AND q.total_ttc <= ? AND q.total_ttc > 0
+      WHERE q.total_ttc >= ? AND q.total_ttc <= ? AND q.total_ttc > 0 AND q.deleted_at IS NULL
       ORDER BY q.quote_date DESC
       LIMIT ?
     `;
@@ -13,21 +13,27 @@ export class FindSimilarProjectsAdvancedTool extends BaseTool {
         brief: {
           type: 'string',
           description: 'Brief de projet à analyser',
+          minLength: 1,
           required: true
         },
         limit: {
-          type: 'number',
+          type: 'integer',
           description: 'Nombre maximum de résultats (défaut: 5)',
+          minimum: 1,
+          maximum: 50,
+          default: 5,
           required: false
         },
         min_amount: {
           type: 'number',
           description: 'Montant minimum des projets similaires',
+          minimum: 0,
           required: false
         },
         max_amount: {
           type: 'number',
           description: 'Montant maximum des projets similaires',
+          minimum: 0,
           required: false
         },
         project_type: {
@@ -35,11 +41,49 @@ export class FindSimilarProjectsAdvancedTool extends BaseTool {
           description: 'Type de projet à rechercher',
           required: false
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          brief_analysis: {
+            type: 'object',
+            properties: {
+              project_type: { type: 'string' },
+              complexity: { type: 'string' },
+              features: { type: 'array', items: { type: 'string' } },
+              technologies: { type: 'array', items: { type: 'string' } },
+              size: { type: 'string' },
+              keywords: { type: 'array', items: { type: 'string' } }
+            }
+          },
+          similar_projects: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                quote_number: { type: 'string' },
+                display_id: { type: ['string', 'number'] },
+                quote_date: { type: 'string' },
+                total_ttc: { type: 'number' },
+                total_ht: { type: 'number' },
+                customer_name: { type: ['string', 'null'] },
+                similarity_score: { type: 'number' },
+                similarity_reasons: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          },
+          total_found: { type: 'number' }
+        },
+        required: ['brief_analysis', 'similar_projects', 'total_found']
+      },
+      {
+        title: 'Projets similaires (avancé)',
+        category: 'brief'
       }
     );
   }
 
-  async execute(args, database) {
+  async execute(args, database, context = {}) {
     try {
       this.validateArgs(args);
 
@@ -52,7 +96,8 @@ export class FindSimilarProjectsAdvancedTool extends BaseTool {
       const similarProjects = await this.findSimilarProjects(
         database, 
         briefAnalysis, 
-        { limit, min_amount, max_amount, project_type }
+        { limit, min_amount, max_amount, project_type },
+        context
       );
       
       return this.formatResult({
@@ -211,7 +256,7 @@ export class FindSimilarProjectsAdvancedTool extends BaseTool {
     return stopWords.includes(word.toLowerCase());
   }
 
-  async findSimilarProjects(database, briefAnalysis, filters) {
+  async findSimilarProjects(database, briefAnalysis, filters, context = {}) {
     const { limit, min_amount, max_amount, project_type } = filters;
     
     // Construire la requête SQL
@@ -229,7 +274,7 @@ export class FindSimilarProjectsAdvancedTool extends BaseTool {
       FROM quotes q
       LEFT JOIN customers c ON q.customer_id = c.id
       LEFT JOIN quote_lines ql ON q.id = ql.quote_id
-      WHERE 1=1
+      WHERE q.deleted_at IS NULL
     `;
 
     const params = [];
@@ -252,18 +297,27 @@ export class FindSimilarProjectsAdvancedTool extends BaseTool {
 
     sql += ' GROUP BY q.id ORDER BY q.quote_date DESC';
 
+    this.reportProgress(context, 0, undefined, 'Chargement des devis...');
     const quotes = await database.all(sql, params);
 
-    // Calculer la similarité pour chaque projet
-    const projectsWithSimilarity = quotes.map(quote => {
-      const similarity = this.calculateSimilarity(briefAnalysis, quote);
-      return {
-        ...quote,
-        display_id: quote.quote_ref ?? quote.quote_number,
-        similarity_score: similarity.score,
-        similarity_reasons: similarity.reasons
-      };
-    });
+    // Calculer la similarité pour chaque projet (par lots, pour signaler l'avancement et permettre l'annulation)
+    const projectsWithSimilarity = [];
+    const batchSize = 200;
+    for (let i = 0; i < quotes.length; i += batchSize) {
+      this.throwIfCancelled(context);
+      for (const quote of quotes.slice(i, i + batchSize)) {
+        const similarity = this.calculateSimilarity(briefAnalysis, quote);
+        projectsWithSimilarity.push({
+          ...quote,
+          display_id: quote.quote_ref ?? quote.quote_number,
+          similarity_score: similarity.score,
+          similarity_reasons: similarity.reasons
+        });
+      }
+      this.reportProgress(context, projectsWithSimilarity.length, quotes.length, `${projectsWithSimilarity.length}/${quotes.length} devis analysés`);
+      // Rendre la main à la boucle d'événements (réception de notifications/cancelled)
+      await new Promise(resolve => setImmediate(resolve));
+    }
 
     // Trier par score de similarité et limiter
     return projectsWithSimilarity
@@ -0,0 +1,120 @@
+import { pathToFileURL } from 'url';
+import { readFile } from 'fs/promises';
+import { BaseTool } from './BaseTool.js';
+import { PDF_DOCUMENT_TYPES } from '../../sync/PdfCache.js';
+
+// Au-delà, le PDF n'est pas embarqué dans la réponse : seul le chemin est renvoyé
+const MAX_EMBEDDED_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Outil d'accès au PDF officiel d'une facture ou d'un devis (cache local, téléchargé si besoin)
+ * Principe SOLID : Single Responsibility - Fournit le fichier, sans l'analyser
+ */
+export class GetDocumentPdfTool extends BaseTool {
+  /**
+   * @param {FirmRegistry} firms - Sociétés (syncService : client API et cache des PDF de chacune)
+   */
+  constructor(firms) {
+    super(
+      'get_document_pdf',
+      'Fournit le PDF officiel d\'une facture ou d\'un devis (par son numéro), par exemple pour le joindre à un e-mail de relance. Le PDF vient du cache local ; il est téléchargé depuis Facturation.PRO s\'il est absent ou si le document a été modifié depuis. Renvoie le chemin du fichier et, sur demande, le PDF embarqué.',
+      {
+        document_type: {
+          type: 'string',
+          description: 'Type de document : facture (invoice) ou devis (quote)',
+          enum: PDF_DOCUMENT_TYPES,
+          required: true
+        },
+        number: {
+          type: 'string',
+          description: 'Numéro de la facture ou du devis',
+          required: true
+        },
+        embed: {
+          type: 'boolean',
+          description: 'Joindre le PDF à la réponse comme ressource embarquée (défaut: false, 5 Mo maximum)',
+          default: false,
+          required: false
+        },
+        refresh: {
+          type: 'boolean',
+          description: 'Télécharger de nouveau le PDF même si le cache est à jour (défaut: false)',
+          default: false,
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          document_type: { type: 'string' },
+          number: { type: 'string' },
+          file_path: { type: 'string' },
+          uri: { type: 'string', description: 'URI file:// du PDF' },
+          size: { type: 'number', description: 'Taille en octets' },
+          source_updated_at: { type: ['string', 'null'], description: 'Date de modification du document lors du téléchargement' },
+          fetched_at: { type: 'string' },
+          downloaded: { type: 'boolean', description: 'true si le PDF vient d\'être téléchargé' },
+          embedded: { type: 'boolean' }
+        },
+        required: ['document_type', 'number', 'file_path', 'uri', 'downloaded', 'embedded']
+      },
+      {
+        title: 'PDF d\'une facture ou d\'un devis',
+        category: 'search',
+        // Écrit dans le cache local (fichier PDF et table document_pdfs)
+        readOnlyHint: false,
+        openWorldHint: true
+      }
+    );
+    this.firms = firms;
+  }
+
+  async execute(args, database, context = {}) {
+    try {
+      this.validateArgs(args);
+
+      const { document_type, number, embed = false, refresh = false } = args || {};
+      const document = document_type === 'invoice'
+        ? await database.getInvoiceByNumber(number)
+        : await database.getQuoteByNumber(number);
+      if (!document || document.deleted_at) {
+        throw new Error(`${document_type === 'invoice' ? 'Facture' : 'Devis'} introuvable: ${number}`);
+      }
+
+      // Société ciblée par l'argument "firm"
+      const firm = context.firm || this.firms.get(args.firm);
+      const apiClient = context.signal
+        ? firm.syncService.apiClient.withSignal(context.signal)
+        : firm.syncService.apiClient;
+      const { pdf, downloaded } = await firm.syncService.pdfCache.get(apiClient, database, {
+        document_type,
+        facturation_id: document.facturation_id,
+        document_number: document_type === 'invoice' ? document.invoice_number : document.quote_number,
+        updated_at: document.updated_at
+      }, { refresh });
+
+      const uri = pathToFileURL(pdf.file_path).href;
+      const attachments = [];
+      if (embed && pdf.size <= MAX_EMBEDDED_BYTES) {
+        attachments.push({
+          type: 'resource',
+          resource: { uri, mimeType: 'application/pdf', blob: (await readFile(pdf.file_path)).toString('base64') }
+        });
+      }
+
+      return this.formatResult({
+        document_type,
+        number,
+        file_path: pdf.file_path,
+        uri,
+        size: pdf.size,
+        source_updated_at: pdf.source_updated_at,
+        fetched_at: pdf.fetched_at,
+        downloaded,
+        embedded: attachments.length > 0
+      }, attachments);
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+}
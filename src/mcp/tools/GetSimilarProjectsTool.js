@@ -13,23 +13,65 @@ export class GetSimilarProjectsTool extends BaseTool {
         keywords: {
           type: 'string',
           description: 'Mots-clés ou description du projet',
+          minLength: 1,
           required: true
         },
         limit: {
-          type: 'number',
+          type: 'integer',
           description: 'Nombre maximum de résultats (défaut: 10)',
+          minimum: 1,
+          maximum: 50,
+          default: 10,
           required: false
         },
         min_amount: {
           type: 'number',
           description: 'Montant minimum des projets similaires',
+          minimum: 0,
           required: false
         },
         max_amount: {
           type: 'number',
           description: 'Montant maximum des projets similaires',
+          minimum: 0,
           required: false
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          projects: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['quote', 'invoice'] },
+                relevance_score: { type: 'number' },
+                total_ttc: { type: 'number' },
+                customer_name: { type: ['string', 'null'] },
+                project_summary: {
+                  type: 'object',
+                  properties: {
+                    main_services: { type: 'array', items: { type: 'string' } },
+                    customer: { type: ['string', 'null'] },
+                    city: { type: ['string', 'null'] },
+                    amount: { type: 'number' },
+                    date: { type: ['string', 'null'] },
+                    line_count: { type: 'number' }
+                  }
+                }
+              }
+            }
+          },
+          total: { type: 'number' },
+          keywords: { type: 'string' },
+          search_criteria: { type: 'object' }
+        },
+        required: ['projects', 'total']
+      },
+      {
+        title: 'Projets similaires',
+        category: 'projects'
       }
     );
   }
@@ -76,7 +118,7 @@ export class GetSimilarProjectsTool extends BaseTool {
       FROM quotes q
       LEFT JOIN customers c ON q.customer_id = c.id
       LEFT JOIN quote_lines ql ON q.id = ql.quote_id
-      WHERE (
+      WHERE q.deleted_at IS NULL AND (
         q.notes LIKE ? OR
         ql.description LIKE ?
       )
@@ -125,7 +167,7 @@ export class GetSimilarProjectsTool extends BaseTool {
       FROM invoices i
       LEFT JOIN customers c ON i.customer_id = c.id
       LEFT JOIN invoice_lines il ON i.id = il.invoice_id
-      WHERE (
+      WHERE i.deleted_at IS NULL AND (
         i.notes LIKE ? OR
         il.description LIKE ?
       )
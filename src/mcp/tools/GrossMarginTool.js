@@ -0,0 +1,153 @@
+import { BaseTool } from './BaseTool.js';
+
+const marginSchema = {
+  type: 'object',
+  properties: {
+    invoiced_ht: { type: 'number', description: 'Facturé HT brut, hors avoirs' },
+    credited_ht: { type: 'number', description: 'Avoirs HT émis' },
+    net_revenue_ht: { type: 'number', description: 'Facturé HT net des avoirs' },
+    expenses_ht: { type: 'number', description: 'Achats HT' },
+    gross_margin_ht: { type: 'number' },
+    margin_rate: { type: ['number', 'null'], description: 'Marge / chiffre d\'affaires net, en % (null sans chiffre d\'affaires)' }
+  }
+};
+
+/**
+ * Mois (YYYY-MM) couverts par une période, dans l'ordre
+ */
+function monthsBetween(startDate, endDate) {
+  const months = [];
+  let [year, month] = startDate.split('-').map(Number);
+  const [endYear, endMonth] = endDate.split('-').map(Number);
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    months.push(`${year}-${String(month).padStart(2, '0')}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return months;
+}
+
+/**
+ * Outil de marge brute mensuelle : chiffre d'affaires facturé net des avoirs moins les achats
+ * Principe SOLID : Single Responsibility - Rapproche ventes et achats par mois
+ */
+export class GrossMarginTool extends BaseTool {
+  constructor() {
+    super(
+      'gross_margin',
+      'Calcule la marge brute mois par mois : chiffre d\'affaires HT facturé (date de facture, avoirs déduits) moins les achats HT (date de la facture fournisseur), avec le taux de marge.',
+      {
+        year: {
+          type: 'integer',
+          description: 'Année analysée (défaut: année en cours, ignorée si start_date est fourni)',
+          minimum: 2000,
+          maximum: 2100,
+          required: false
+        },
+        start_date: {
+          type: 'string',
+          description: 'Date de début (YYYY-MM-DD)',
+          format: 'date',
+          required: false
+        },
+        end_date: {
+          type: 'string',
+          description: 'Date de fin (YYYY-MM-DD, défaut: aujourd\'hui)',
+          format: 'date',
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          period: {
+            type: 'object',
+            properties: {
+              start_date: { type: 'string' },
+              end_date: { type: 'string' }
+            }
+          },
+          totals: marginSchema,
+          monthly: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                month: { type: 'string', description: 'YYYY-MM' },
+                ...marginSchema.properties
+              }
+            }
+          }
+        },
+        required: ['period', 'totals', 'monthly']
+      },
+      {
+        title: 'Marge brute mensuelle',
+        category: 'expenses'
+      }
+    );
+  }
+
+  async execute(args, database) {
+    try {
+      this.validateArgs(args);
+
+      const period = this.resolvePeriod(args || {});
+      const params = [period.start_date, period.end_date];
+
+      const sales = await database.all(`
+        SELECT strftime('%Y-%m', invoice_date) as month,
+          SUM(CASE WHEN is_credit_note = 0 THEN total_ht ELSE 0 END) as invoiced_ht,
+          SUM(CASE WHEN is_credit_note = 1 THEN ABS(total_ht) ELSE 0 END) as credited_ht
+        FROM invoices
+        WHERE deleted_at IS NULL AND invoice_date >= ? AND invoice_date <= ?
+        GROUP BY month
+      `, params);
+
+      const expenses = await database.all(`
+        SELECT strftime('%Y-%m', purchase_date) as month, SUM(total_ht) as expenses_ht
+        FROM purchases
+        WHERE purchase_date >= ? AND purchase_date <= ?
+        GROUP BY month
+      `, params);
+
+      const salesByMonth = new Map(sales.map(row => [row.month, row]));
+      const expensesByMonth = new Map(expenses.map(row => [row.month, row.expenses_ht]));
+
+      const monthly = monthsBetween(period.start_date, period.end_date).map(month => ({
+        month,
+        ...this.computeMargin(
+          salesByMonth.get(month)?.invoiced_ht,
+          salesByMonth.get(month)?.credited_ht,
+          expensesByMonth.get(month)
+        )
+      }));
+
+      const sum = (field) => monthly.reduce((total, row) => total + row[field], 0);
+      const totals = this.computeMargin(sum('invoiced_ht'), sum('credited_ht'), sum('expenses_ht'));
+
+      return this.formatResult({ period, totals, monthly });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Marge brute à partir du facturé, des avoirs et des achats (HT)
+   */
+  computeMargin(invoicedHt, creditedHt, expensesHt) {
+    const netRevenue = (invoicedHt || 0) - (creditedHt || 0);
+    const margin = netRevenue - (expensesHt || 0);
+    return {
+      invoiced_ht: this.roundAmount(invoicedHt),
+      credited_ht: this.roundAmount(creditedHt),
+      net_revenue_ht: this.roundAmount(netRevenue),
+      expenses_ht: this.roundAmount(expensesHt),
+      gross_margin_ht: this.roundAmount(margin),
+      margin_rate: netRevenue ? Math.round((margin / netRevenue) * 1000) / 10 : null
+    };
+  }
+}
@@ -0,0 +1,249 @@
+import { BaseTool } from './BaseTool.js';
+
+// Factures issues d'un devis (hors avoirs et documents supprimés)
+const QUOTE_INVOICES = '(SELECT * FROM invoices WHERE quote_id IS NOT NULL AND deleted_at IS NULL AND is_credit_note = 0)';
+
+/**
+ * Outil de suivi des devis transformés en factures : taux de conversion, délai de facturation et reste à facturer
+ * Principe SOLID : Single Responsibility - Exploite uniquement le lien devis → factures (invoices.quote_id)
+ */
+export class QuoteConversionTool extends BaseTool {
+  constructor() {
+    super(
+      'quote_conversion',
+      'Suit la transformation des devis en factures : taux d\'acceptation et de conversion des devis émis sur la période, délai moyen entre l\'acceptation et la première facture, et devis acceptés pas encore facturés (reste à facturer, toutes périodes confondues). Le lien devis → facture vient de Facturation.PRO ou, à défaut, d\'un rapprochement client : numéro cité, lignes ou montant.',
+      {
+        year: {
+          type: 'integer',
+          description: 'Année d\'émission des devis (défaut: année en cours, ignorée si start_date est fourni)',
+          minimum: 2000,
+          maximum: 2100,
+          required: false
+        },
+        start_date: {
+          type: 'string',
+          description: 'Date de début (YYYY-MM-DD)',
+          format: 'date',
+          required: false
+        },
+        end_date: {
+          type: 'string',
+          description: 'Date de fin (YYYY-MM-DD, défaut: aujourd\'hui)',
+          format: 'date',
+          required: false
+        },
+        customer_id: {
+          type: 'integer',
+          description: 'ID Facturation.PRO du client (optionnel)',
+          minimum: 1,
+          required: false
+        },
+        backlog_limit: {
+          type: 'integer',
+          description: 'Nombre maximum de devis listés dans le reste à facturer (défaut: 20)',
+          minimum: 0,
+          maximum: 200,
+          default: 20,
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          period: {
+            type: 'object',
+            properties: {
+              start_date: { type: 'string' },
+              end_date: { type: 'string' }
+            }
+          },
+          quotes: {
+            type: 'object',
+            properties: {
+              total: { type: 'number' },
+              accepted: { type: 'number' },
+              refused: { type: 'number' },
+              pending: { type: 'number' },
+              invoiced: { type: 'number', description: 'Devis ayant donné lieu à au moins une facture' },
+              quoted_ht: { type: 'number' },
+              invoiced_ht: { type: 'number', description: 'Montant HT des factures issues de ces devis' }
+            }
+          },
+          acceptance_rate: { type: ['number', 'null'], description: 'Devis acceptés / devis émis, en %' },
+          conversion_rate: { type: ['number', 'null'], description: 'Devis facturés / devis émis, en %' },
+          invoicing_rate: { type: ['number', 'null'], description: 'Devis facturés / devis acceptés, en %' },
+          delay_days: {
+            type: 'object',
+            description: 'Délai entre l\'acceptation et la première facture',
+            properties: {
+              count: { type: 'number' },
+              average: { type: ['number', 'null'] },
+              median: { type: ['number', 'null'] },
+              min: { type: ['number', 'null'] },
+              max: { type: ['number', 'null'] },
+              estimated: { type: 'number', description: 'Devis sans date d\'acceptation connue : délai compté depuis la date du devis' }
+            }
+          },
+          backlog: {
+            type: 'object',
+            properties: {
+              count: { type: 'number' },
+              total_ht: { type: 'number' },
+              total_ttc: { type: 'number' },
+              quotes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    quote_number: { type: 'string' },
+                    customer_name: { type: ['string', 'null'] },
+                    quote_date: { type: 'string' },
+                    accepted_on: { type: ['string', 'null'] },
+                    days_waiting: { type: 'number' },
+                    total_ht: { type: 'number' },
+                    total_ttc: { type: 'number' }
+                  }
+                }
+              }
+            }
+          },
+          link_sources: {
+            type: 'object',
+            description: 'Origine des liens devis → facture des factures de la période : api ou matched (rapprochement)',
+            properties: {
+              api: { type: 'number' },
+              matched: { type: 'number' }
+            }
+          }
+        },
+        required: ['period', 'quotes', 'conversion_rate', 'delay_days', 'backlog']
+      },
+      {
+        title: 'Conversion des devis en factures',
+        category: 'revenue'
+      }
+    );
+  }
+
+  async execute(args, database) {
+    try {
+      this.validateArgs(args);
+
+      const { customer_id, backlog_limit = 20 } = args || {};
+      const period = this.resolvePeriod(args || {});
+
+      let quotesFilter = 'q.deleted_at IS NULL AND q.quote_date >= ? AND q.quote_date <= ?';
+      const quotesParams = [period.start_date, period.end_date];
+      let customerFilter = '';
+      const customerParams = [];
+      if (customer_id) {
+        customerFilter = ' AND q.customer_id = ?';
+        customerParams.push(customer_id);
+      }
+      quotesFilter += customerFilter;
+      quotesParams.push(...customerParams);
+
+      const counts = await database.get(`
+        SELECT
+          COUNT(*) as total,
+          SUM(CASE WHEN q.status = 1 THEN 1 ELSE 0 END) as accepted,
+          SUM(CASE WHEN q.status = 9 THEN 1 ELSE 0 END) as refused,
+          SUM(CASE WHEN q.status = 0 THEN 1 ELSE 0 END) as pending,
+          SUM(CASE WHEN EXISTS (SELECT 1 FROM ${QUOTE_INVOICES} i WHERE i.quote_id = q.facturation_id) THEN 1 ELSE 0 END) as invoiced,
+          SUM(q.total_ht) as quoted_ht,
+          SUM((SELECT SUM(i.total_ht) FROM ${QUOTE_INVOICES} i WHERE i.quote_id = q.facturation_id)) as invoiced_ht
+        FROM quotes q
+        WHERE ${quotesFilter}
+      `, quotesParams);
+
+      const delays = await database.all(`
+        SELECT
+          julianday(MIN(i.invoice_date)) - julianday(COALESCE(q.accepted_on, q.quote_date)) as days,
+          q.accepted_on IS NULL as estimated
+        FROM quotes q
+        JOIN ${QUOTE_INVOICES} i ON i.quote_id = q.facturation_id
+        WHERE ${quotesFilter}
+        GROUP BY q.facturation_id
+      `, quotesParams);
+
+      const backlogSql = `
+        FROM quotes q
+        LEFT JOIN customers c ON c.facturation_id = q.customer_id
+        WHERE q.status = 1 AND q.deleted_at IS NULL${customerFilter}
+          AND NOT EXISTS (SELECT 1 FROM ${QUOTE_INVOICES} i WHERE i.quote_id = q.facturation_id)
+      `;
+      const backlogTotals = await database.get(`
+        SELECT COUNT(*) as count, SUM(q.total_ht) as total_ht, SUM(q.total_ttc) as total_ttc ${backlogSql}
+      `, customerParams);
+      const backlogQuotes = backlog_limit > 0 ? await database.all(`
+        SELECT q.quote_number, c.name as customer_name, q.quote_date, q.accepted_on,
+          CAST(julianday('now') - julianday(COALESCE(q.accepted_on, q.quote_date)) AS INTEGER) as days_waiting,
+          q.total_ht, q.total_ttc
+        ${backlogSql}
+        ORDER BY COALESCE(q.accepted_on, q.quote_date) ASC
+        LIMIT ?
+      `, [...customerParams, backlog_limit]) : [];
+
+      const linkSources = await database.all(`
+        SELECT quote_link, COUNT(*) as count
+        FROM ${QUOTE_INVOICES} invoices
+        WHERE invoice_date >= ? AND invoice_date <= ?${customer_id ? ' AND customer_id = ?' : ''}
+        GROUP BY quote_link
+      `, [period.start_date, period.end_date, ...customerParams]);
+
+      const total = counts?.total || 0;
+      const accepted = counts?.accepted || 0;
+      const invoiced = counts?.invoiced || 0;
+      const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : null);
+
+      return this.formatResult({
+        period,
+        quotes: {
+          total,
+          accepted,
+          refused: counts?.refused || 0,
+          pending: counts?.pending || 0,
+          invoiced,
+          quoted_ht: this.roundAmount(counts?.quoted_ht),
+          invoiced_ht: this.roundAmount(counts?.invoiced_ht)
+        },
+        acceptance_rate: rate(accepted, total),
+        conversion_rate: rate(invoiced, total),
+        invoicing_rate: rate(invoiced, accepted),
+        delay_days: this.summarizeDelays(delays),
+        backlog: {
+          count: backlogTotals?.count || 0,
+          total_ht: this.roundAmount(backlogTotals?.total_ht),
+          total_ttc: this.roundAmount(backlogTotals?.total_ttc),
+          quotes: backlogQuotes
+        },
+        link_sources: {
+          api: linkSources.find(row => row.quote_link === 'api')?.count || 0,
+          matched: linkSources.find(row => row.quote_link === 'matched')?.count || 0
+        }
+      });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Moyenne, médiane et extrêmes des délais de facturation (en jours)
+   * @param {Array<{days: number, estimated: number}>} delays
+   */
+  summarizeDelays(delays) {
+    const days = delays.map(row => Math.max(0, Math.round(row.days))).sort((a, b) => a - b);
+    if (days.length === 0) {
+      return { count: 0, average: null, median: null, min: null, max: null, estimated: 0 };
+    }
+    const middle = Math.floor(days.length / 2);
+    return {
+      count: days.length,
+      average: Math.round((days.reduce((sum, value) => sum + value, 0) / days.length) * 10) / 10,
+      median: days.length % 2 ? days[middle] : (days[middle - 1] + days[middle]) / 2,
+      min: days[0],
+      max: days[days.length - 1],
+      estimated: delays.filter(row => row.estimated).length
+    };
+  }
+}
@@ -8,7 +8,7 @@ export class SearchInvoicesTool extends BaseTool {
   constructor() {
     super(
       'search_invoices',
-      'Recherche des factures par critères (numéro, client, description, etc.)',
+      'Recherche des factures et avoirs par critères (numéro, client, description, etc.). Chaque facture indique ses avoirs et son montant net ; le total des résultats distingue brut, avoirs et net.',
       {
         query: {
           type: 'string',
@@ -16,30 +16,130 @@ export class SearchInvoicesTool extends BaseTool {
           required: true
         },
         limit: {
-          type: 'number',
+          type: 'integer',
           description: 'Nombre maximum de résultats (défaut: 20)',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
           required: false
         },
         status: {
           type: 'string',
           description: 'Filtrer par statut (non_paye, paye)',
+          enum: ['non_paye', 'paye'],
           required: false
         },
         payment_mode: {
           type: 'string',
-          description: 'Filtrer par mode de paiement',
+          description: 'Filtrer par mode de paiement (code numérique Facturation.PRO)',
+          pattern: '^[0-9]+$',
           required: false
         },
         date_from: {
           type: 'string',
           description: 'Date de début (YYYY-MM-DD)',
+          format: 'date',
           required: false
         },
         date_to: {
           type: 'string',
           description: 'Date de fin (YYYY-MM-DD)',
+          format: 'date',
+          required: false
+        },
+        include_deleted: {
+          type: 'boolean',
+          description: 'Inclure les factures supprimées sur Facturation.PRO (défaut: false)',
+          default: false,
+          required: false
+        },
+        document_type: {
+          type: 'string',
+          description: 'Type de document : factures, avoirs ou les deux (défaut: all)',
+          enum: ['invoice', 'credit_note', 'all'],
+          default: 'all',
           required: false
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          invoices: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                display_id: { type: ['string', 'number'] },
+                invoice_ref: { type: ['number', 'null'] },
+                invoice_number: { type: 'string' },
+                invoice_date: { type: 'string' },
+                due_date: { type: ['string', 'null'] },
+                status: { type: 'number', description: '0: Non payé, 1: Payé' },
+                total_ht: { type: 'number' },
+                total_ttc: { type: 'number' },
+                payment_mode: { type: ['number', 'null'] },
+                vat_amount: { type: 'number' },
+                notes: { type: ['string', 'null'] },
+                customer_name: { type: ['string', 'null'] },
+                customer_email: { type: ['string', 'null'] },
+                customer_city: { type: ['string', 'null'] },
+                deleted_at: { type: ['string', 'null'], description: 'Date de suppression constatée sur Facturation.PRO' },
+                is_credit_note: { type: 'boolean' },
+                credited_invoice_number: { type: ['string', 'null'], description: 'Avoir : numéro de la facture annulée' },
+                quote_number: { type: ['string', 'null'], description: 'Devis dont la facture est issue' },
+                quote_link: { type: ['string', 'null'], description: 'api ou matched (rapprochement client : numéro cité, lignes ou montant)' },
+                credit_notes: {
+                  type: 'array',
+                  description: 'Facture : avoirs qui l\'annulent (totalement ou partiellement)',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      invoice_number: { type: 'string' },
+                      invoice_date: { type: 'string' },
+                      total_ht: { type: 'number' },
+                      total_ttc: { type: 'number' }
+                    }
+                  }
+                },
+                credited_ttc: { type: 'number', description: 'Facture : montant TTC annulé par ses avoirs' },
+                net_ttc: { type: 'number', description: 'Facture : montant TTC après avoirs' },
+                lines: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      description: { type: 'string' },
+                      quantity: { type: 'number' },
+                      unit_price: { type: 'number' },
+                      total_ht: { type: 'number' },
+                      product_name: { type: ['string', 'null'] }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          total: { type: 'number' },
+          amounts: {
+            type: 'object',
+            description: 'Totaux des documents trouvés : factures (brut), avoirs et net',
+            properties: {
+              gross_ht: { type: 'number' },
+              gross_ttc: { type: 'number' },
+              credited_ht: { type: 'number' },
+              credited_ttc: { type: 'number' },
+              net_ht: { type: 'number' },
+              net_ttc: { type: 'number' }
+            }
+          },
+          query: { type: 'string' },
+          filters: { type: 'object' }
+        },
+        required: ['invoices', 'total']
+      },
+      {
+        title: 'Recherche de factures',
+        category: 'search'
       }
     );
   }
@@ -48,7 +148,7 @@ export class SearchInvoicesTool extends BaseTool {
     try {
       this.validateArgs(args);
 
-      const { query, limit = 20, status, payment_mode, date_from, date_to } = args;
+      const { query, limit = 20, status, payment_mode, date_from, date_to, include_deleted = false, document_type = 'all' } = args;
 
       // Construire la requête SQL avec filtres
       let sql = `
@@ -56,9 +156,13 @@ export class SearchInvoicesTool extends BaseTool {
           i.*,
           c.name as customer_name,
           c.email as customer_email,
-          c.city as customer_city
+          c.city as customer_city,
+          ci.invoice_number as credited_invoice_number,
+          qo.quote_number as quote_number
         FROM invoices i
         LEFT JOIN customers c ON i.customer_id = c.facturation_id
+        LEFT JOIN invoices ci ON ci.facturation_id = i.credited_invoice_id
+        LEFT JOIN quotes qo ON qo.facturation_id = i.quote_id
         LEFT JOIN invoice_lines il ON i.facturation_id = il.invoice_id
         WHERE (
           i.invoice_number LIKE ? OR 
@@ -71,6 +175,16 @@ export class SearchInvoicesTool extends BaseTool {
 
       const params = [`%${query}%`, `%${query}%`, `%${query}%`, `%${query}%`, `%${query}%`];
 
+      // Documents supprimés sur Facturation.PRO exclus par défaut
+      if (!include_deleted) {
+        sql += ' AND i.deleted_at IS NULL';
+      }
+
+      if (document_type !== 'all') {
+        sql += ' AND i.is_credit_note = ?';
+        params.push(document_type === 'credit_note' ? 1 : 0);
+      }
+
       // Ajouter les filtres optionnels
       if (status) {
         const statusMap = {
@@ -106,7 +220,10 @@ export class SearchInvoicesTool extends BaseTool {
       // Enrichir avec les lignes de facture pour tous les résultats demandés
       const enrichedInvoices = await Promise.all(
         invoices.slice(0, Math.min(limit, invoices.length)).map(async (invoice) => {
-          const lines = await database.getInvoiceLines(invoice.id);
+          const lines = await database.getInvoiceLines(invoice.facturation_id);
+          const isCreditNote = invoice.is_credit_note === 1;
+          const creditNotes = isCreditNote ? [] : await database.getCreditNotesForInvoice(invoice.facturation_id);
+          const creditedTtc = creditNotes.reduce((sum, creditNote) => sum + Math.abs(creditNote.total_ttc || 0), 0);
           return {
             // Identifiants (préférer le numéro séquentiel humain)
             display_id: invoice.invoice_ref ?? invoice.invoice_number,
@@ -127,6 +244,18 @@ export class SearchInvoicesTool extends BaseTool {
             customer_name: invoice.customer_name,
             customer_email: invoice.customer_email,
             customer_city: invoice.customer_city,
+            deleted_at: invoice.deleted_at ?? null,
+
+            // Avoirs : facture annulée, ou avoirs reçus par la facture
+            is_credit_note: isCreditNote,
+            credited_invoice_number: invoice.credited_invoice_number ?? null,
+            credit_notes: creditNotes,
+            credited_ttc: this.roundAmount(creditedTtc),
+            net_ttc: isCreditNote ? invoice.total_ttc : this.roundAmount(invoice.total_ttc - creditedTtc),
+
+            // Devis d'origine
+            quote_number: invoice.quote_number ?? null,
+            quote_link: invoice.quote_link ?? null,
             
             // Lignes de facture
             lines: lines.map(line => ({
@@ -140,11 +269,31 @@ export class SearchInvoicesTool extends BaseTool {
         })
       );
 
+      // Totaux : factures en brut, avoirs en valeur absolue
+      const amounts = { gross_ht: 0, gross_ttc: 0, credited_ht: 0, credited_ttc: 0 };
+      for (const invoice of invoices) {
+        if (invoice.is_credit_note === 1) {
+          amounts.credited_ht += Math.abs(invoice.total_ht || 0);
+          amounts.credited_ttc += Math.abs(invoice.total_ttc || 0);
+        } else {
+          amounts.gross_ht += invoice.total_ht || 0;
+          amounts.gross_ttc += invoice.total_ttc || 0;
+        }
+      }
+
       return this.formatResult({
         invoices: enrichedInvoices,
         total: invoices.length,
+        amounts: {
+          gross_ht: this.roundAmount(amounts.gross_ht),
+          gross_ttc: this.roundAmount(amounts.gross_ttc),
+          credited_ht: this.roundAmount(amounts.credited_ht),
+          credited_ttc: this.roundAmount(amounts.credited_ttc),
+          net_ht: this.roundAmount(amounts.gross_ht - amounts.credited_ht),
+          net_ttc: this.roundAmount(amounts.gross_ttc - amounts.credited_ttc)
+        },
         query: query,
-        filters: { status, payment_mode, date_from, date_to }
+        filters: { status, payment_mode, date_from, date_to, include_deleted, document_type }
       });
 
     } catch (error) {
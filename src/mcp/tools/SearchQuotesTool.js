@@ -16,25 +16,100 @@ export class SearchQuotesTool extends BaseTool {
           required: true
         },
         limit: {
-          type: 'number',
+          type: 'integer',
           description: 'Nombre maximum de résultats (défaut: 20)',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
           required: false
         },
         status: {
           type: 'string',
           description: 'Filtrer par statut (en_attente, accepte, refuse)',
+          enum: ['en_attente', 'accepte', 'refuse'],
           required: false
         },
         date_from: {
           type: 'string',
           description: 'Date de début (YYYY-MM-DD)',
+          format: 'date',
           required: false
         },
         date_to: {
           type: 'string',
           description: 'Date de fin (YYYY-MM-DD)',
+          format: 'date',
+          required: false
+        },
+        include_deleted: {
+          type: 'boolean',
+          description: 'Inclure les devis supprimés sur Facturation.PRO (défaut: false)',
+          default: false,
           required: false
         }
+      },
+      {
+        type: 'object',
+        properties: {
+          quotes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                display_id: { type: ['string', 'number'] },
+                quote_ref: { type: ['number', 'null'] },
+                quote_number: { type: 'string' },
+                quote_date: { type: 'string' },
+                due_date: { type: ['string', 'null'] },
+                status: { type: 'number', description: '0: En attente, 1: Accepté, 9: Refusé' },
+                total_ht: { type: 'number' },
+                total_ttc: { type: 'number' },
+                vat_amount: { type: 'number' },
+                notes: { type: ['string', 'null'] },
+                customer_name: { type: ['string', 'null'] },
+                customer_email: { type: ['string', 'null'] },
+                customer_city: { type: ['string', 'null'] },
+                deleted_at: { type: ['string', 'null'], description: 'Date de suppression constatée sur Facturation.PRO' },
+                accepted_on: { type: ['string', 'null'] },
+                invoices: {
+                  type: 'array',
+                  description: 'Factures issues du devis',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      invoice_number: { type: 'string' },
+                      invoice_date: { type: 'string' },
+                      total_ht: { type: 'number' },
+                      total_ttc: { type: 'number' },
+                      quote_link: { type: ['string', 'null'], description: 'api ou matched (rapprochement client : numéro cité, lignes ou montant)' }
+                    }
+                  }
+                },
+                lines: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      description: { type: 'string' },
+                      quantity: { type: 'number' },
+                      unit_price: { type: 'number' },
+                      total_ht: { type: 'number' },
+                      product_name: { type: ['string', 'null'] }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          total: { type: 'number' },
+          query: { type: 'string' },
+          filters: { type: 'object' }
+        },
+        required: ['quotes', 'total']
+      },
+      {
+        title: 'Recherche de devis',
+        category: 'search'
       }
     );
   }
@@ -43,7 +118,7 @@ export class SearchQuotesTool extends BaseTool {
     try {
       this.validateArgs(args);
 
-      const { query, limit = 20, status, date_from, date_to } = args;
+      const { query, limit = 20, status, date_from, date_to, include_deleted = false } = args;
 
       // Construire la requête SQL avec filtres
       let sql = `
@@ -66,6 +141,11 @@ export class SearchQuotesTool extends BaseTool {
 
       const params = [`%${query}%`, `%${query}%`, `%${query}%`, `%${query}%`, `%${query}%`];
 
+      // Documents supprimés sur Facturation.PRO exclus par défaut
+      if (!include_deleted) {
+        sql += ' AND q.deleted_at IS NULL';
+      }
+
       // Ajouter les filtres optionnels
       if (status) {
         const statusMap = {
@@ -97,7 +177,8 @@ export class SearchQuotesTool extends BaseTool {
       // Enrichir avec les lignes de devis pour tous les résultats demandés
       const enrichedQuotes = await Promise.all(
         quotes.slice(0, Math.min(limit, quotes.length)).map(async (quote) => {
-          const lines = await database.getQuoteLines(quote.id);
+          const lines = await database.getQuoteLines(quote.facturation_id);
+          const invoices = await database.getInvoicesForQuote(quote.facturation_id);
           return {
             // Identifiants (préférer le numéro séquentiel humain)
             display_id: quote.quote_ref ?? quote.quote_number,
@@ -117,6 +198,11 @@ export class SearchQuotesTool extends BaseTool {
             customer_name: quote.customer_name,
             customer_email: quote.customer_email,
             customer_city: quote.customer_city,
+            deleted_at: quote.deleted_at ?? null,
+
+            // Facturation du devis
+            accepted_on: quote.accepted_on ?? null,
+            invoices,
             
             // Lignes de devis
             lines: lines.map(line => ({
@@ -134,7 +220,7 @@ export class SearchQuotesTool extends BaseTool {
         quotes: enrichedQuotes,
         total: quotes.length,
         query: query,
-        filters: { status, date_from, date_to }
+        filters: { status, date_from, date_to, include_deleted }
       });
 
     } catch (error) {
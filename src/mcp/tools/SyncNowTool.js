@@ -0,0 +1,141 @@
+import { BaseTool } from './BaseTool.js';
+import { SYNC_SCOPES } from '../../sync/SyncService.js';
+
+const entityStatsSchema = {
+  type: 'object',
+  properties: {
+    created: { type: 'number' },
+    updated: { type: 'number' },
+    unchanged: { type: 'number' },
+    deleted: { type: 'number' },
+    restored: { type: 'number' },
+    deleted_items: { type: 'array', items: { type: ['string', 'number'] } },
+    restored_items: { type: 'array', items: { type: ['string', 'number'] } },
+    created_items: { type: 'array', items: { type: ['string', 'number'] } },
+    updated_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          key: { type: ['string', 'number'] },
+          changes: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Outil de synchronisation à la demande avec Facturation.PRO
+ * Principe SOLID : Single Responsibility - Déclenche la synchronisation et rapporte les changements
+ */
+export class SyncNowTool extends BaseTool {
+  /**
+   * @param {FirmRegistry} firms - Sociétés (service de synchronisation de chacune, partageant la base du serveur MCP)
+   */
+  constructor(firms) {
+    super(
+      'sync_now',
+      'Synchronise immédiatement les données depuis Facturation.PRO (tout, données récentes, une entité, rapprochement des documents supprimés, ou une facture/un devis par ID) et indique ce qui a changé',
+      {
+        scope: {
+          type: 'string',
+          description: 'Périmètre de synchronisation (défaut: recent)',
+          enum: SYNC_SCOPES,
+          default: 'recent',
+          required: false
+        },
+        id: {
+          type: 'integer',
+          description: 'ID Facturation.PRO de la facture ou du devis (requis pour scope=invoice ou scope=quote)',
+          minimum: 1,
+          required: false
+        },
+        full: {
+          type: 'boolean',
+          description: 'Tout relire au lieu de ne demander que les documents modifiés depuis la dernière synchronisation (défaut: false)',
+          default: false,
+          required: false
+        },
+        restart: {
+          type: 'boolean',
+          description: 'Abandonner la synchronisation interrompue au lieu de la reprendre après la dernière page reçue (défaut: false)',
+          default: false,
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          scope: { type: 'string' },
+          id: { type: 'number' },
+          duration_ms: { type: 'number' },
+          entities: {
+            type: 'object',
+            additionalProperties: entityStatsSchema
+          },
+          status_transitions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                entity: { type: 'string' },
+                key: { type: ['string', 'number'] },
+                from: { type: ['string', 'number', 'null'] },
+                to: { type: ['string', 'number', 'null'] }
+              }
+            }
+          },
+          amount_changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                entity: { type: 'string' },
+                key: { type: ['string', 'number'] },
+                field: { type: 'string' },
+                from: { type: ['string', 'number', 'null'] },
+                to: { type: ['string', 'number', 'null'] },
+                delta: { type: 'number' }
+              }
+            }
+          },
+          newly_paid_invoices: { type: 'array', items: { type: ['string', 'number'] } }
+        },
+        required: ['scope', 'duration_ms', 'entities', 'status_transitions', 'newly_paid_invoices']
+      },
+      {
+        title: 'Synchronisation Facturation.PRO',
+        category: 'sync',
+        readOnlyHint: false,
+        // Chaque appel relit l'API et peut rapporter d'autres changements
+        idempotentHint: false,
+        openWorldHint: true
+      }
+    );
+    this.firms = firms;
+  }
+
+  async execute(args, database, context = {}) {
+    try {
+      this.validateArgs(args);
+
+      const { scope = 'recent', id, full = false, restart = false } = args || {};
+
+      // Service de la société ciblée par l'argument "firm"
+      const { syncService } = context.firm || this.firms.get(args.firm);
+      const report = await syncService.syncScope({
+        scope,
+        id,
+        full,
+        restart,
+        signal: context.signal,
+        onProgress: (step, total, message) => this.reportProgress(context, step, total, message)
+      });
+
+      return this.formatResult(report);
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+}
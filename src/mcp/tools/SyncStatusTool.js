@@ -0,0 +1,166 @@
+import { BaseTool } from './BaseTool.js';
+import { readPendingSync } from '../../sync/SyncService.js';
+
+// Tables dont le nombre de lignes est rapporté
+const COUNTED_TABLES = ['categories', 'customers', 'suppliers', 'products', 'quotes', 'quote_lines', 'invoices', 'invoice_lines', 'payments', 'purchases'];
+
+const runSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'number' },
+    scope: { type: 'string' },
+    origin: { type: ['string', 'null'], description: 'cli, mcp ou schedule' },
+    status: { type: 'string', enum: ['success', 'error', 'cancelled'] },
+    started_at: { type: 'string' },
+    finished_at: { type: ['string', 'null'] },
+    duration_ms: { type: ['number', 'null'] },
+    changes: { type: 'object', description: 'Compteurs par table (created, updated, unchanged, deleted...)' },
+    error: { type: ['string', 'null'] }
+  }
+};
+
+/**
+ * Âge en heures d'une date ISO (null si absente)
+ */
+function ageInHours(isoDate, now) {
+  if (!isoDate) return null;
+  return Math.round((now - Date.parse(isoDate)) / 360000) / 10;
+}
+
+/**
+ * Durée lisible : "5 h", "3 jours"
+ */
+function describeAge(hours) {
+  return hours < 48 ? `${Math.round(hours)} h` : `${Math.floor(hours / 24)} jours`;
+}
+
+/**
+ * Outil d'état de la synchronisation : fraîcheur des données par entité, dernières exécutions et volumes
+ * Permet à l'assistant de prévenir que les chiffres datent avant de répondre.
+ * Principe SOLID : Single Responsibility - Lecture seule de sync_metadata et sync_runs
+ */
+export class SyncStatusTool extends BaseTool {
+  constructor() {
+    super(
+      'sync_status',
+      'Indique la fraîcheur des données locales (dernière synchronisation par entité), le résultat des dernières synchronisations et le nombre de lignes par table. À consulter avant de répondre sur des chiffres pour signaler des données anciennes.',
+      {
+        max_age_hours: {
+          type: 'number',
+          description: 'Âge au-delà duquel les données sont signalées comme anciennes, en heures (défaut: 24)',
+          minimum: 0,
+          default: 24,
+          required: false
+        },
+        limit: {
+          type: 'integer',
+          description: 'Nombre de synchronisations récentes à lister (défaut: 5)',
+          minimum: 1,
+          maximum: 50,
+          default: 5,
+          required: false
+        }
+      },
+      {
+        type: 'object',
+        properties: {
+          last_sync: { type: ['string', 'null'], description: 'Dernière synchronisation, toutes entités confondues (ISO 8601)' },
+          age_hours: { type: ['number', 'null'] },
+          stale: { type: 'boolean', description: 'Données plus anciennes que max_age_hours, ou jamais synchronisées' },
+          warning: { type: ['string', 'null'], description: 'Avertissement à relayer à l\'utilisateur' },
+          entities: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                table: { type: 'string' },
+                last_sync: { type: ['string', 'null'] },
+                age_hours: { type: ['number', 'null'] },
+                total_records: { type: 'number' },
+                high_water_mark: { type: ['string', 'null'] },
+                last_reconciled_at: { type: ['string', 'null'] },
+                resume_pending: { type: 'boolean', description: 'Synchronisation interrompue, reprise à la prochaine exécution' }
+              }
+            }
+          },
+          last_run: { ...runSchema, type: ['object', 'null'] },
+          recent_runs: { type: 'array', items: runSchema },
+          row_counts: { type: 'object', additionalProperties: { type: 'number' } }
+        },
+        required: ['last_sync', 'stale', 'entities', 'last_run', 'recent_runs', 'row_counts']
+      },
+      {
+        title: 'État de la synchronisation',
+        category: 'sync'
+      }
+    );
+  }
+
+  async execute(args, database) {
+    try {
+      this.validateArgs(args);
+
+      const { max_age_hours = 24, limit = 5 } = args || {};
+      const now = Date.now();
+
+      // Les points de reprise ne sont jamais publiés : ils restent dans la copie de staging d'une synchronisation interrompue
+      const pending = await readPendingSync(database.dbPath);
+      const metadata = await database.listSyncMetadata();
+      const entities = metadata.map(row => ({
+        table: row.table_name,
+        last_sync: row.last_sync,
+        age_hours: ageInHours(row.last_sync, now),
+        total_records: row.total_records || 0,
+        high_water_mark: row.high_water_mark,
+        last_reconciled_at: row.last_reconciled_at,
+        resume_pending: Boolean(pending?.pages[row.table_name])
+      }));
+      // Entité dont la première synchronisation a été interrompue : absente de la base publiée
+      for (const table of Object.keys(pending?.pages || {})) {
+        if (metadata.some(row => row.table_name === table)) continue;
+        entities.push({ table, last_sync: null, age_hours: null, total_records: 0, high_water_mark: null, last_reconciled_at: null, resume_pending: true });
+      }
+
+      const recentRuns = await database.listSyncRuns(limit);
+      const lastRun = recentRuns[0] || null;
+
+      const rowCounts = {};
+      for (const table of COUNTED_TABLES) {
+        rowCounts[table] = await database.countDocuments(table);
+      }
+
+      const lastSync = await database.getLastSyncTime();
+      const ageHours = ageInHours(lastSync, now);
+      const stale = ageHours === null || ageHours > max_age_hours;
+
+      const warnings = [];
+      if (lastSync === null) {
+        warnings.push('Aucune synchronisation enregistrée : les données locales sont vides ou inconnues (lancer sync_now ou npm run sync).');
+      } else if (stale) {
+        warnings.push(`Les données datent de ${describeAge(ageHours)} (dernière synchronisation le ${lastSync}) : les chiffres peuvent ne pas refléter Facturation.PRO.`);
+      }
+      // Une annulation n'est pas un échec : l'avertissement porte sur la dernière exécution menée à son terme
+      const lastOutcome = recentRuns.find(run => run.status !== 'cancelled');
+      if (lastOutcome?.status === 'error') {
+        warnings.push(`La dernière synchronisation (${lastOutcome.started_at}) a échoué : ${lastOutcome.error || lastOutcome.status}.`);
+      }
+      if (pending) {
+        const scope = pending.scope ? ` (${pending.scope})` : '';
+        warnings.push(`Une synchronisation${scope} a été interrompue : elle reprendra à la prochaine exécution du même périmètre.`);
+      }
+
+      return this.formatResult({
+        last_sync: lastSync,
+        age_hours: ageHours,
+        stale,
+        warning: warnings.length > 0 ? warnings.join(' ') : null,
+        entities,
+        last_run: lastRun,
+        recent_runs: recentRuns,
+        row_counts: rowCounts
+      });
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+}
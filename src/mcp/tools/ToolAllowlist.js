@@ -0,0 +1,54 @@
+import { readFileSync } from 'fs';
+import { config } from '../../config.js';
+
+/**
+ * Liste d'autorisation des outils MCP
+ * Chaque entrée désigne un outil par son nom (ex: calculate_revenue) ou une catégorie (ex: revenue).
+ * - enabled : si non vide, seuls les outils correspondants sont exposés
+ * - disabled : outils toujours masqués (prioritaire sur enabled)
+ */
+export class ToolAllowlist {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.enabled] - Noms ou catégories autorisés (vide = tous)
+   * @param {Array<string>} [options.disabled] - Noms ou catégories interdits
+   */
+  constructor({ enabled = [], disabled = [] } = {}) {
+    this.enabled = new Set(enabled);
+    this.disabled = new Set(disabled);
+  }
+
+  /**
+   * Construit la liste depuis la configuration : variables d'environnement complétées par le fichier éventuel
+   * @param {Object} toolsConfig - config.mcp.tools
+   * @returns {ToolAllowlist}
+   */
+  static fromConfig(toolsConfig = config.mcp.tools) {
+    const enabled = [...(toolsConfig.enabled || [])];
+    const disabled = [...(toolsConfig.disabled || [])];
+
+    if (toolsConfig.file) {
+      const content = JSON.parse(readFileSync(toolsConfig.file, 'utf8'));
+      for (const key of ['enabled', 'disabled']) {
+        if (content[key] !== undefined && !Array.isArray(content[key])) {
+          throw new Error(`Fichier d'outils invalide (${toolsConfig.file}): "${key}" doit être un tableau`);
+        }
+      }
+      enabled.push(...(content.enabled || []));
+      disabled.push(...(content.disabled || []));
+    }
+
+    return new ToolAllowlist({ enabled, disabled });
+  }
+
+  /**
+   * Indique si un outil doit être exposé
+   * @param {BaseTool} tool - Outil (name, category)
+   * @returns {boolean}
+   */
+  isEnabled(tool) {
+    const matches = (entries) => entries.has(tool.name) || (tool.category && entries.has(tool.category));
+    if (matches(this.disabled)) return false;
+    return this.enabled.size === 0 || matches(this.enabled);
+  }
+}
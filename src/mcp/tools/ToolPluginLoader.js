@@ -0,0 +1,93 @@
+import { readdir, stat } from 'fs/promises';
+import { join, resolve, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { BaseTool } from './BaseTool.js';
+import { getLogger } from '../../logging/index.js';
+
+const logger = getLogger('plugins');
+
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Chargeur d'outils personnalisés
+ * Découvre les sous-classes de BaseTool exportées par les modules d'un répertoire de plugins.
+ * Un plugin peut être un fichier .js/.mjs ou un sous-répertoire contenant un index.js.
+ */
+export class ToolPluginLoader {
+  /**
+   * @param {string} directory - Répertoire des plugins
+   */
+  constructor(directory) {
+    this.directory = resolve(directory);
+  }
+
+  /**
+   * Liste les modules candidats du répertoire (ordre alphabétique)
+   * @returns {Promise<Array<string>>} Chemins absolus
+   */
+  async findModules() {
+    let entries;
+    try {
+      entries = await readdir(this.directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.debug(`Aucun répertoire de plugins (${this.directory})`);
+        return [];
+      }
+      throw error;
+    }
+
+    const modules = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue;
+      const fullPath = join(this.directory, entry.name);
+
+      if (entry.isFile() && PLUGIN_EXTENSIONS.includes(extname(entry.name))) {
+        modules.push(fullPath);
+      } else if (entry.isDirectory()) {
+        const indexPath = join(fullPath, 'index.js');
+        const indexStat = await stat(indexPath).catch(() => null);
+        if (indexStat?.isFile()) modules.push(indexPath);
+      }
+    }
+    return modules;
+  }
+
+  /**
+   * Importe les plugins et instancie les outils qu'ils exportent.
+   * Chaque export peut être une sous-classe de BaseTool (instanciée avec les dépendances) ou une instance.
+   * Un plugin en erreur est ignoré sans empêcher le démarrage du serveur.
+   * @param {Object} dependencies - Transmises au constructeur des outils : { database, syncService }
+   * @returns {Promise<Array<BaseTool>>} Outils chargés
+   */
+  async load(dependencies = {}) {
+    const tools = [];
+
+    for (const modulePath of await this.findModules()) {
+      try {
+        const module = await import(pathToFileURL(modulePath).href);
+        const found = [];
+
+        for (const exported of new Set(Object.values(module))) {
+          if (typeof exported === 'function' && exported.prototype instanceof BaseTool) {
+            found.push(new exported(dependencies));
+          } else if (exported instanceof BaseTool) {
+            found.push(exported);
+          }
+        }
+
+        if (found.length === 0) {
+          logger.warning(`Aucun outil BaseTool exporté par ${modulePath}`);
+        }
+        for (const tool of found) {
+          logger.info(`Outil ${tool.name} chargé depuis ${modulePath}`);
+          tools.push(tool);
+        }
+      } catch (error) {
+        logger.error(`Chargement du plugin ${modulePath} impossible:`, error.message);
+      }
+    }
+
+    return tools;
+  }
+}
@@ -13,10 +13,42 @@ export class VentilerEncaissementsTool extends BaseTool {
       'Ventile les encaissements (HT/TTC/TVA) par mois pour une année (encaissé réel par date de paiement). Identique à calculate_revenue avec filter_by_payment_date=true. Pour du facturé (par date de facture), utilisez calculate_revenue avec filter_by_payment_date=false.',
       {
         year: {
-          type: 'number',
+          type: 'integer',
           description: 'Année à ventiler (ex: 2024)',
+          minimum: 1900,
+          maximum: 2100,
           required: true,
         },
+      },
+      {
+        type: 'object',
+        properties: {
+          year: { type: 'number' },
+          query_type: { type: 'string', enum: ['paid_monthly'] },
+          total_invoiced_ht: { type: 'number' },
+          total_invoiced_ttc: { type: 'number' },
+          total_vat_amount: { type: 'number' },
+          monthly: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                month: { type: 'number' },
+                month_name: { type: 'string' },
+                total_invoices: { type: 'number' },
+                total_invoiced_ttc: { type: ['number', 'null'] },
+                total_invoiced_ht: { type: ['number', 'null'] },
+                total_vat_amount: { type: ['number', 'null'] }
+              },
+              required: ['month', 'month_name']
+            }
+          }
+        },
+        required: ['year', 'query_type', 'total_invoiced_ht', 'total_invoiced_ttc', 'total_vat_amount', 'monthly']
+      },
+      {
+        title: 'Ventilation mensuelle des encaissements',
+        category: 'revenue'
       }
     );
     this.revTool = new CalculateRevenueTool();
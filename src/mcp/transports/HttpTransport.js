@@ -0,0 +1,394 @@
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+import { config } from '../../config.js';
+import { logging, getLogger } from '../../logging/index.js';
+
+const logger = getLogger('http');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1 Mo
+const SSE_KEEPALIVE_MS = 25000;
+
+/**
+ * Transport HTTP pour le serveur MCP
+ * - Streamable HTTP (spécification 2025-03-26) sur un point d'accès unique (POST/GET/DELETE)
+ * - Repli HTTP+SSE (spécification 2024-11-05) : GET /sse puis POST /messages?sessionId=...
+ * Une même instance peut ainsi servir plusieurs clients MCP, chacun avec sa session.
+ */
+export class HttpTransport {
+  /**
+   * @param {FunctionalFacturationMCPServer} mcpServer - Serveur MCP (handleRequest)
+   * @param {Object} options - Voir config.mcp.http
+   */
+  constructor(mcpServer, options = config.mcp.http) {
+    this.mcpServer = mcpServer;
+    this.options = options;
+    this.sessions = new Map();
+    this.httpServer = null;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Démarre l'écoute HTTP
+   */
+  async start() {
+    this.httpServer = createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        logger.error('Erreur non gérée:', error.message);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, null, -32603, `Erreur interne du serveur: ${error.message}`);
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.options.port, this.options.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+
+    // Expiration des sessions inactives
+    this.cleanupTimer = setInterval(() => this.expireSessions(), 60000);
+    this.cleanupTimer.unref();
+
+    logger.info(`Transport HTTP à l'écoute sur http://${this.options.host}:${this.options.port}${this.options.path}`);
+  }
+
+  /**
+   * Arrête le serveur HTTP et ferme les flux SSE ouverts
+   */
+  async stop() {
+    if (this.cleanupTimer) clearInterval(this.cleanupTimer);
+    for (const session of this.sessions.values()) {
+      this.closeSession(session);
+    }
+    if (this.httpServer) {
+      await new Promise(resolve => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * Aiguille une requête HTTP
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (!this.isOriginAllowed(req.headers.origin)) {
+      return this.sendJsonRpcError(res, 403, null, -32000, 'Origine non autorisée');
+    }
+    if (!this.isAuthorized(req.headers.authorization)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.sendJsonRpcError(res, 401, null, -32000, 'Jeton d\'accès invalide ou manquant');
+    }
+
+    if (url.pathname === this.options.path) {
+      if (req.method === 'POST') return this.handleStreamablePost(req, res);
+      if (req.method === 'GET') return this.handleStreamableGet(req, res);
+      if (req.method === 'DELETE') return this.handleStreamableDelete(req, res);
+      res.setHeader('Allow', 'GET, POST, DELETE');
+      return this.sendJsonRpcError(res, 405, null, -32000, 'Méthode HTTP non autorisée');
+    }
+
+    if (url.pathname === this.options.ssePath && req.method === 'GET') {
+      return this.handleLegacySseGet(req, res);
+    }
+    if (url.pathname === this.options.messagesPath && req.method === 'POST') {
+      return this.handleLegacyMessagesPost(req, res, url.searchParams.get('sessionId'));
+    }
+
+    return this.sendJsonRpcError(res, 404, null, -32000, 'Point d\'accès inconnu');
+  }
+
+  // --- Streamable HTTP ---
+
+  async handleStreamablePost(req, res) {
+    let payload;
+    try {
+      payload = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      const status = error.statusCode || 400;
+      return this.sendJsonRpcError(res, status, null, -32700, status === 413 ? 'Requête trop volumineuse' : 'Erreur de parsing JSON');
+    }
+
+    const messages = Array.isArray(payload) ? payload : [payload];
+    if (messages.length === 0) {
+      return this.sendJsonRpcError(res, 400, null, -32600, 'Requête invalide');
+    }
+
+    const isInitialize = messages.some(message => message?.method === 'initialize');
+    const sessionId = req.headers['mcp-session-id'];
+    let session;
+
+    if (isInitialize) {
+      if (messages.length > 1) {
+        return this.sendJsonRpcError(res, 400, null, -32600, 'initialize doit être envoyé seul');
+      }
+      session = this.createSession('streamable');
+    } else {
+      if (!sessionId) {
+        return this.sendJsonRpcError(res, 400, null, -32000, 'En-tête Mcp-Session-Id requis');
+      }
+      session = this.sessions.get(sessionId);
+      if (!session || session.protocol !== 'streamable') {
+        return this.sendJsonRpcError(res, 404, null, -32001, 'Session inconnue ou expirée');
+      }
+    }
+    session.lastActivity = Date.now();
+
+    const requests = messages.filter(message => message?.method && message.id !== undefined && message.id !== null);
+    // Client déconnecté avant la réponse : les outils en cours sont annulés
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) disconnect.abort('Client déconnecté');
+    });
+    const context = {
+      sessionId: session.id,
+      sendNotification: (notification) => this.send(session, notification),
+      signal: disconnect.signal
+    };
+
+    if (requests.length === 0) {
+      // Uniquement des notifications ou des réponses : pas de corps de réponse
+      await Promise.all(messages.map(message => this.mcpServer.handleRequest(message, context)));
+      res.writeHead(202, { 'Mcp-Session-Id': session.id });
+      return res.end();
+    }
+
+    const accept = req.headers.accept || '';
+    const headers = { 'Mcp-Session-Id': session.id };
+    const wantsProgress = requests.some(message => message.params?._meta?.progressToken !== undefined);
+    const useSse = accept.includes('text/event-stream') && (wantsProgress || !accept.includes('application/json'));
+
+    if (useSse) {
+      // Flux SSE propre à cette requête : notifications de progression puis réponse(s)
+      res.writeHead(200, { ...headers, ...this.sseHeaders() });
+      res.flushHeaders();
+      const streamContext = {
+        sessionId: session.id,
+        sendNotification: (notification) => {
+          if (!res.writableEnded) this.writeSseEvent(res, 'message', notification);
+        },
+        signal: disconnect.signal
+      };
+      await Promise.all(messages.map(async (message) => {
+        const response = await this.mcpServer.handleRequest(message, streamContext);
+        if (response !== null && response !== undefined && !res.writableEnded) {
+          this.writeSseEvent(res, 'message', response);
+        }
+      }));
+      return res.end();
+    }
+
+    const responses = (await Promise.all(messages.map(message => this.mcpServer.handleRequest(message, context))))
+      .filter(response => response !== null && response !== undefined);
+
+    if (isInitialize && responses[0]?.error) {
+      this.closeSession(session);
+    }
+
+    if (responses.length === 0) {
+      // Requête(s) annulée(s) : aucune réponse à renvoyer
+      res.writeHead(202, headers);
+      return res.end();
+    }
+
+    const body = Array.isArray(payload) ? responses : responses[0];
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  handleStreamableGet(req, res) {
+    const accept = req.headers.accept || '';
+    if (!accept.includes('text/event-stream')) {
+      res.setHeader('Allow', 'POST, DELETE');
+      return this.sendJsonRpcError(res, 405, null, -32000, 'Accept: text/event-stream requis');
+    }
+
+    const session = this.sessions.get(req.headers['mcp-session-id']);
+    if (!session || session.protocol !== 'streamable') {
+      return this.sendJsonRpcError(res, 404, null, -32001, 'Session inconnue ou expirée');
+    }
+
+    // Flux SSE pour les messages initiés par le serveur (notifications)
+    this.openSseStream(session, res);
+  }
+
+  handleStreamableDelete(req, res) {
+    const session = this.sessions.get(req.headers['mcp-session-id']);
+    if (!session || session.protocol !== 'streamable') {
+      return this.sendJsonRpcError(res, 404, null, -32001, 'Session inconnue ou expirée');
+    }
+    this.closeSession(session);
+    res.writeHead(204);
+    res.end();
+  }
+
+  // --- Repli HTTP+SSE (2024-11-05) ---
+
+  handleLegacySseGet(req, res) {
+    const session = this.createSession('sse');
+    this.openSseStream(session, res);
+    // Premier événement : l'adresse à laquelle le client doit poster ses messages
+    res.write(`event: endpoint\ndata: ${this.options.messagesPath}?sessionId=${session.id}\n\n`);
+    res.on('close', () => this.closeSession(session));
+  }
+
+  async handleLegacyMessagesPost(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || session.protocol !== 'sse') {
+      return this.sendJsonRpcError(res, 404, null, -32001, 'Session inconnue ou expirée');
+    }
+
+    let message;
+    try {
+      message = JSON.parse(await this.readBody(req));
+    } catch (error) {
+      const status = error.statusCode || 400;
+      return this.sendJsonRpcError(res, status, null, -32700, status === 413 ? 'Requête trop volumineuse' : 'Erreur de parsing JSON');
+    }
+
+    session.lastActivity = Date.now();
+    res.writeHead(202);
+    res.end('Accepted');
+
+    // Les réponses partent sur le flux SSE : sa fermeture annule les outils en cours
+    const context = {
+      sessionId: session.id,
+      sendNotification: (notification) => this.send(session, notification),
+      signal: session.disconnect.signal
+    };
+    const messages = Array.isArray(message) ? message : [message];
+    for (const item of messages) {
+      const response = await this.mcpServer.handleRequest(item, context);
+      if (response !== null && response !== undefined) {
+        this.send(session, response);
+      }
+    }
+  }
+
+  // --- Sessions et SSE ---
+
+  createSession(protocol) {
+    const session = {
+      id: randomUUID(),
+      protocol,
+      streams: new Set(),
+      disconnect: new AbortController(),
+      createdAt: Date.now(),
+      lastActivity: Date.now()
+    };
+    this.sessions.set(session.id, session);
+    // Logs MCP (notifications/message) diffusés sur les flux SSE de la session
+    logging.addClient(session.id, (message) => this.send(session, message));
+    logger.debug(`Session ${protocol} ouverte: ${session.id}`);
+    return session;
+  }
+
+  closeSession(session) {
+    for (const stream of session.streams) {
+      stream.end();
+    }
+    session.streams.clear();
+    session.disconnect.abort('Session fermée');
+    logging.removeClient(session.id);
+    if (this.sessions.delete(session.id)) {
+      logger.debug(`Session fermée: ${session.id}`);
+    }
+  }
+
+  expireSessions() {
+    const ttl = this.options.sessionTtlMinutes * 60000;
+    const now = Date.now();
+    for (const session of this.sessions.values()) {
+      if (session.streams.size === 0 && now - session.lastActivity > ttl) {
+        this.closeSession(session);
+      }
+    }
+  }
+
+  /**
+   * Envoie un message JSON-RPC sur les flux SSE ouverts d'une session
+   * @returns {boolean} True si au moins un flux a reçu le message
+   */
+  send(session, message) {
+    for (const stream of session.streams) {
+      this.writeSseEvent(stream, 'message', message);
+    }
+    return session.streams.size > 0;
+  }
+
+  openSseStream(session, res) {
+    res.writeHead(200, { ...this.sseHeaders(), 'Mcp-Session-Id': session.id });
+    res.flushHeaders();
+    session.streams.add(res);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+    keepAlive.unref();
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      session.streams.delete(res);
+      session.lastActivity = Date.now();
+    });
+  }
+
+  sseHeaders() {
+    return {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    };
+  }
+
+  writeSseEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // --- Utilitaires ---
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(Object.assign(new Error('Requête trop volumineuse'), { statusCode: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Protection contre le DNS rebinding : les navigateurs envoient toujours Origin
+   */
+  isOriginAllowed(origin) {
+    if (!origin) return true;
+    const allowed = this.options.allowedOrigins || [];
+    if (allowed.includes('*') || allowed.includes(origin)) return true;
+    try {
+      const { hostname } = new URL(origin);
+      return allowed.length === 0 && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+    } catch {
+      return false;
+    }
+  }
+
+  isAuthorized(authorization) {
+    if (!this.options.token) return true;
+    return authorization === `Bearer ${this.options.token}`;
+  }
+
+  sendJsonRpcError(res, status, id, code, message) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id, error: { code, message } }));
+  }
+}
@@ -4,6 +4,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import { validateConfig } from './config.js';
+import { getLogger } from './logging/index.js';
 import dotenv from 'dotenv';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -11,19 +12,10 @@ const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-const setupLogger = {
-  log: (...args) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      process.stderr.write(`[SETUP SCRIPT DEBUG] ${args.join(' ')}\n`);
-    }
-  },
-  error: (...args) => {
-    process.stderr.write(`[SETUP SCRIPT ERROR] ${args.join(' ')}\n`);
-  }
-};
+const logger = getLogger('setup');
 
 async function main() {
-  setupLogger.log(chalk.blue.bold('🚀 Configuration du serveur MCP Facturation.PRO\n'));
+  logger.info(chalk.blue.bold('🚀 Configuration du serveur MCP Facturation.PRO\n'));
 
   const questions = [
     {
@@ -69,22 +61,22 @@ async function main() {
 
     try {
       validateConfig();
-      setupLogger.log(chalk.green.bold('\n✅ Configuration terminée !'));
-      setupLogger.log(chalk.green('📁 Fichier .env créé avec vos paramètres'));
-      setupLogger.log(chalk.green('📊 Répertoire data/ créé pour la base SQLite'));
+      logger.info(chalk.green.bold('\n✅ Configuration terminée !'));
+      logger.info(chalk.green('📁 Fichier .env créé avec vos paramètres'));
+      logger.info(chalk.green('📊 Répertoire data/ créé pour la base SQLite'));
 
-      setupLogger.log(chalk.blue('\n📋 Prochaines étapes :'));
-      setupLogger.log(chalk.white('1. npm install          # Installer les dépendances'));
-      setupLogger.log(chalk.white('2. npm run sync         # Première synchronisation'));
-      setupLogger.log(chalk.white('3. npm start            # Démarrer le serveur MCP'));
+      logger.info(chalk.blue('\n📋 Prochaines étapes :'));
+      logger.info(chalk.white('1. npm install          # Installer les dépendances'));
+      logger.info(chalk.white('2. npm run sync         # Première synchronisation'));
+      logger.info(chalk.white('3. npm start            # Démarrer le serveur MCP'));
 
     } catch (error) {
-      setupLogger.error(chalk.red.bold('❌ Erreur lors de la configuration :'));
-      setupLogger.error(chalk.red(error.message));
+      logger.error(chalk.red.bold('❌ Erreur lors de la configuration :'));
+      logger.error(chalk.red(error.message));
       process.exit(1);
     }
   } else {
-    setupLogger.log(chalk.yellow('Configuration annulée.'));
+    logger.info(chalk.yellow('Configuration annulée.'));
   }
 }
 
@@ -1,8 +1,10 @@
 #!/usr/bin/env node
 
 import { SyncService } from './sync/SyncService.js';
+import { formatChangeReport } from './sync/ChangeReport.js';
 import chalk from 'chalk';
-import { validateConfig } from './config.js';
+import { validateConfig, config, getFirmConfig } from './config.js';
+import { getLogger } from './logging/index.js';
 import dotenv from 'dotenv';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -12,33 +14,76 @@ const __dirname = dirname(__filename);
 
 dotenv.config({ path: join(__dirname, '..', '.env') });
 
-const syncScriptLogger = {
-  log: (...args) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      process.stderr.write(`[SYNC SCRIPT DEBUG] ${args.join(' ')}\n`);
-    }
-  },
-  error: (...args) => {
-    process.stderr.write(`[SYNC SCRIPT ERROR] ${args.join(' ')}\n`);
-  }
-};
+const logger = getLogger('cli');
+
+/**
+ * Affiche les sociétés en échec et fixe le code de sortie du processus
+ * @param {Object} errors - Messages d'erreur par clé de société (voir SyncService.syncAllFirms)
+ * @param {string} label - Début du message
+ * @returns {boolean} true si au moins une société a échoué
+ */
+function reportFailures(errors, label) {
+  const failures = Object.entries(errors);
+  if (failures.length === 0) return false;
+  logger.error(chalk.red.bold(`\n❌ ${label} pour ${failures.length} société(s) :`));
+  failures.forEach(([key, message]) => logger.error(chalk.red(`  ${key}: ${message}`)));
+  process.exitCode = 1;
+  return true;
+}
 
 async function main() {
   try {
     validateConfig();
-    syncScriptLogger.log(chalk.blue.bold('🚀 Synchronisation Facturation.PRO MCP\n'));
+    logger.info(chalk.blue.bold('🚀 Synchronisation Facturation.PRO MCP\n'));
     
-    const syncService = new SyncService();
-    await syncService.syncAll();
+    // --firm <clé> : ne synchroniser qu'une société (par défaut: toutes)
+    const firmIndex = process.argv.indexOf('--firm');
+    const firms = firmIndex !== -1 ? [getFirmConfig(process.argv[firmIndex + 1])] : config.firms;
+
+    // --rollback : restaurer l'état sauvegardé avant la dernière synchronisation
+    if (process.argv.includes('--rollback')) {
+      for (const firm of firms) {
+        await new SyncService({ firm }).restorePreviousSnapshot();
+      }
+      return;
+    }
+
+    // --dry-run : tout relire et afficher ce qui changerait, sans rien écrire (--json : rapport JSON)
+    // Une société en échec n'empêche pas d'afficher les rapports des autres
+    if (process.argv.includes('--dry-run')) {
+      const { reports, errors } = await SyncService.syncAllFirms(true, firms, { dryRun: true });
+      if (process.argv.includes('--json')) {
+        const output = Object.fromEntries(firms.map(firm => [firm.key, reports[firm.key] ?? { error: errors[firm.key] }]));
+        process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+      } else {
+        for (const firm of firms.filter(firm => reports[firm.key])) {
+          process.stdout.write(`${formatChangeReport(reports[firm.key], `Simulation de synchronisation : ${firm.name}`)}\n\n`);
+        }
+      }
+      reportFailures(errors, 'Simulation échouée');
+      return;
+    }
+
+    // --full : ignorer la synchronisation incrémentale et tout relire
+    // --restart : abandonner une synchronisation interrompue au lieu de la reprendre
+    // --pdfs : mettre à jour le cache des PDF même sans SYNC_PDFS=true
+    const { errors } = await SyncService.syncAllFirms(true, firms, {
+      full: process.argv.includes('--full'),
+      restart: process.argv.includes('--restart'),
+      pdfs: process.argv.includes('--pdfs') || config.sync.pdfs
+    });
+    if (reportFailures(errors, 'Synchronisation échouée')) {
+      return;
+    }
     
-    syncScriptLogger.log(chalk.green.bold('\n🎉 Synchronisation terminée avec succès !'));
+    logger.info(chalk.green.bold('\n🎉 Synchronisation terminée avec succès !'));
   } catch (error) {
-    syncScriptLogger.error(chalk.red.bold('\n❌ Erreur lors de la synchronisation:'));
-    syncScriptLogger.error(chalk.red(error.message));
+    logger.error(chalk.red.bold('\n❌ Erreur lors de la synchronisation:'));
+    logger.error(chalk.red(error.message));
     
     if (error.message.includes('requis')) {
-      syncScriptLogger.log(chalk.yellow('\n💡 Pour configurer vos jetons API, exécutez:'));
-      syncScriptLogger.log(chalk.white('npm run setup'));
+      logger.info(chalk.yellow('\n💡 Pour configurer vos jetons API, exécutez:'));
+      logger.info(chalk.white('npm run setup'));
     }
     process.exit(1);
   }
@@ -0,0 +1,254 @@
+/**
+ * Champs comparés pour chaque type d'entité synchronisée
+ */
+export const TRACKED_FIELDS = {
+  categories: ['name', 'status'],
+  customers: ['name', 'email', 'phone', 'address', 'city', 'postal_code', 'country', 'vat_number'],
+  suppliers: ['name', 'email', 'phone', 'address', 'city', 'postal_code', 'country', 'vat_number'],
+  products: ['name', 'description', 'price', 'vat_rate', 'unit'],
+  quotes: ['quote_number', 'customer_id', 'quote_date', 'status', 'total_ht', 'total_ttc'],
+  invoices: ['invoice_number', 'customer_id', 'invoice_date', 'status', 'paid_on', 'balance', 'total_ht', 'total_ttc', 'is_credit_note'],
+  purchases: ['purchase_ref', 'supplier_id', 'category_id', 'customer_id', 'purchase_date', 'paid_on', 'total_ht', 'total_ttc'],
+  payments: ['payment_date', 'amount_ttc', 'amount_ht', 'payment_mode']
+};
+
+/**
+ * Montants suivis dans le rapport (liste amount_changes, avec l'écart)
+ */
+export const AMOUNT_FIELDS = {
+  quotes: ['total_ht', 'total_ttc'],
+  invoices: ['total_ht', 'total_ttc', 'balance'],
+  purchases: ['total_ht', 'total_ttc'],
+  payments: ['amount_ttc']
+};
+
+// Libellés du rapport texte (voir formatChangeReport)
+const ENTITY_LABELS = {
+  categories: 'Catégories',
+  customers: 'Clients',
+  suppliers: 'Fournisseurs',
+  products: 'Produits',
+  quotes: 'Devis',
+  invoices: 'Factures',
+  purchases: 'Achats',
+  payments: 'Règlements'
+};
+
+const COUNTER_LABELS = {
+  created: 'nouveaux',
+  updated: 'modifiés',
+  deleted: 'disparus',
+  restored: 'réapparus',
+  unchanged: 'inchangés'
+};
+
+/**
+ * Compare deux valeurs stockées (tolérance d'un demi-centime sur les montants)
+ */
+function sameValue(a, b) {
+  const emptyA = a === null || a === undefined || a === '';
+  const emptyB = b === null || b === undefined || b === '';
+  if (emptyA || emptyB) return emptyA && emptyB;
+
+  const numA = Number(a);
+  const numB = Number(b);
+  if (typeof a !== 'boolean' && typeof b !== 'boolean' && Number.isFinite(numA) && Number.isFinite(numB)) {
+    return Math.abs(numA - numB) < 0.005;
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Rapport des changements appliqués (ou à appliquer) lors d'une synchronisation
+ * Principe SOLID : Single Responsibility - Compare et agrège uniquement
+ */
+export class ChangeReport {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxItems=50] - Nombre maximum d'éléments détaillés par entité
+   */
+  constructor({ maxItems = 50 } = {}) {
+    this.maxItems = maxItems;
+    this.entities = {};
+    this.statusTransitions = [];
+    this.amountChanges = [];
+  }
+
+  /**
+   * Compteurs d'une entité (créés à la demande)
+   */
+  entity(name) {
+    if (!this.entities[name]) {
+      this.entities[name] = { created: 0, updated: 0, unchanged: 0, created_items: [], updated_items: [] };
+    }
+    return this.entities[name];
+  }
+
+  /**
+   * Enregistre la comparaison entre la ligne locale et la version reçue de l'API
+   * @param {string} entityName - categories, customers, suppliers, products, quotes, invoices, purchases, payments
+   * @param {string|number} key - Clé lisible (numéro de document, ID...)
+   * @param {Object|null} before - Ligne locale existante (null si nouvelle)
+   * @param {Object} after - Valeurs telles qu'elles seront stockées
+   * @returns {string} 'created' | 'updated' | 'unchanged'
+   */
+  record(entityName, key, before, after) {
+    const stats = this.entity(entityName);
+
+    if (!before) {
+      stats.created++;
+      if (stats.created_items.length < this.maxItems) stats.created_items.push(key);
+      return 'created';
+    }
+
+    const changes = {};
+    for (const field of TRACKED_FIELDS[entityName] || Object.keys(after)) {
+      if (!sameValue(before[field], after[field])) {
+        changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      stats.unchanged++;
+      return 'unchanged';
+    }
+
+    stats.updated++;
+    if (stats.updated_items.length < this.maxItems) {
+      stats.updated_items.push({ key, changes });
+    }
+    if (changes.status && this.statusTransitions.length < this.maxItems) {
+      this.statusTransitions.push({ entity: entityName, key, from: changes.status.from, to: changes.status.to });
+    }
+    for (const field of AMOUNT_FIELDS[entityName] || []) {
+      if (changes[field] && this.amountChanges.length < this.maxItems) {
+        const { from, to } = changes[field];
+        const delta = Math.round(((Number(to) || 0) - (Number(from) || 0)) * 100) / 100;
+        this.amountChanges.push({ entity: entityName, key, field, from, to, delta });
+      }
+    }
+    return 'updated';
+  }
+
+  /**
+   * Compare les règlements d'avant et d'après leur réécriture : sans ID Facturation.PRO stable, un règlement est
+   * retrouvé par sa facture, sa date et son montant TTC (à défaut, sa facture et sa date), puis comparé sur
+   * TRACKED_FIELDS.payments. Un règlement relu à l'identique est compté inchangé.
+   * @param {Array<Object>} before - Règlements avant réécriture (avec invoice_number)
+   * @param {Array<Object>} after - Règlements après réécriture (avec invoice_number)
+   */
+  recordPayments(before, after) {
+    const remaining = [...before];
+    const take = (predicate) => {
+      const index = remaining.findIndex(predicate);
+      return index === -1 ? null : remaining.splice(index, 1)[0];
+    };
+    const keyOf = (payment) => `${payment.invoice_number} ${payment.payment_date}`;
+    const sameDay = (a, b) => a.invoice_id === b.invoice_id && a.payment_date === b.payment_date;
+
+    const unmatched = after.filter(payment => {
+      const previous = take(candidate => sameDay(candidate, payment) && sameValue(candidate.amount_ttc, payment.amount_ttc));
+      if (previous) this.record('payments', keyOf(payment), previous, payment);
+      return !previous;
+    });
+    for (const payment of unmatched) {
+      this.record('payments', keyOf(payment), take(candidate => sameDay(candidate, payment)), payment);
+    }
+    remaining.forEach(payment => this.recordDeletion('payments', keyOf(payment)));
+  }
+
+  /**
+   * Enregistre un document supprimé (ou réapparu) sur Facturation.PRO depuis la dernière synchronisation
+   * @param {string} entityName - quotes, invoices (payments : règlement disparu, voir recordPayments)
+   * @param {string|number} key - Clé lisible (numéro de document)
+   * @param {string} [counter='deleted'] - 'deleted' | 'restored'
+   */
+  recordDeletion(entityName, key, counter = 'deleted') {
+    const stats = this.entity(entityName);
+    const items = `${counter}_items`;
+    stats[counter] = (stats[counter] || 0) + 1;
+    stats[items] = stats[items] || [];
+    if (stats[items].length < this.maxItems) stats[items].push(key);
+  }
+
+  /**
+   * Factures passées au statut payé pendant la synchronisation
+   */
+  get newlyPaidInvoices() {
+    return this.statusTransitions
+      .filter(t => t.entity === 'invoices' && Number(t.to) === 1)
+      .map(t => t.key);
+  }
+
+  /**
+   * Compteurs par entité, sans le détail des éléments (historique sync_runs)
+   * @returns {Object} { invoices: { created, updated, unchanged, ... }, ... }
+   */
+  counts() {
+    const counts = {};
+    for (const [name, stats] of Object.entries(this.entities)) {
+      counts[name] = Object.fromEntries(Object.entries(stats).filter(([, value]) => typeof value === 'number'));
+    }
+    return counts;
+  }
+
+  toJSON() {
+    return {
+      entities: this.entities,
+      status_transitions: this.statusTransitions,
+      amount_changes: this.amountChanges,
+      newly_paid_invoices: this.newlyPaidInvoices
+    };
+  }
+}
+
+function formatValue(value) {
+  return value === null || value === undefined || value === '' ? '∅' : String(value);
+}
+
+/**
+ * Rapport de changements lisible (sortie de npm run sync -- --dry-run)
+ * @param {Object|undefined} report - Rapport JSON (voir ChangeReport.toJSON), absent si la synchronisation n'a pas eu lieu
+ * @param {string} [title] - Titre du rapport (ex: nom de la société)
+ * @returns {string}
+ */
+export function formatChangeReport(report, title = 'Changements') {
+  const lines = [title, '='.repeat(title.length)];
+  if (!report) {
+    lines.push('', 'Aucun rapport : la synchronisation n\'a pas eu lieu.');
+    return lines.join('\n');
+  }
+  const entities = Object.entries(report.entities || {});
+
+  for (const [name, stats] of entities) {
+    const counters = Object.entries(stats)
+      .filter(([, value]) => typeof value === 'number' && value > 0)
+      .map(([counter, value]) => `${value} ${COUNTER_LABELS[counter] || counter}`);
+    lines.push('', `${ENTITY_LABELS[name] || name} : ${counters.join(', ') || 'aucun changement'}`);
+
+    (stats.created_items || []).forEach(key => lines.push(`  + ${key}`));
+    (stats.updated_items || []).forEach(({ key, changes }) => {
+      const fields = Object.entries(changes).map(([field, { from, to }]) => `${field} ${formatValue(from)} → ${formatValue(to)}`);
+      lines.push(`  ~ ${key} : ${fields.join(' ; ')}`);
+    });
+    (stats.deleted_items || []).forEach(key => lines.push(`  - ${key}`));
+    (stats.restored_items || []).forEach(key => lines.push(`  ↺ ${key}`));
+  }
+  if (entities.length === 0) {
+    lines.push('', 'Aucun changement.');
+  }
+
+  if (report.amount_changes?.length > 0) {
+    lines.push('', 'Montants modifiés :');
+    report.amount_changes.forEach(({ entity, key, field, from, to, delta }) => {
+      lines.push(`  ${ENTITY_LABELS[entity] || entity} ${key} ${field} : ${formatValue(from)} → ${formatValue(to)} (${delta > 0 ? '+' : ''}${delta})`);
+    });
+  }
+  if (report.status_transitions?.length > 0) {
+    lines.push('', 'Changements de statut :');
+    report.status_transitions.forEach(({ entity, key, from, to }) => {
+      lines.push(`  ${ENTITY_LABELS[entity] || entity} ${key} : ${formatValue(from)} → ${formatValue(to)}`);
+    });
+  }
+  return lines.join('\n');
+}
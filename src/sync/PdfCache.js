@@ -0,0 +1,119 @@
+import { mkdir, writeFile, rename, access, rm } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+
+// Documents dont le PDF officiel peut être mis en cache
+const PDF_DOCUMENTS = {
+  invoice: { directory: 'invoices', download: (apiClient, id) => apiClient.getInvoicePdf(id) },
+  quote: { directory: 'quotes', download: (apiClient, id) => apiClient.getQuotePdf(id) }
+};
+
+export const PDF_DOCUMENT_TYPES = Object.keys(PDF_DOCUMENTS);
+
+/**
+ * Nom de fichier d'un document : son numéro sans caractères risqués, suivi de son ID Facturation.PRO
+ * pour que deux numéros assainis de la même façon ne se confondent pas (F/2024/001, ID 42 -> F_2024_001-42.pdf)
+ * @param {string} documentNumber - Numéro de facture ou de devis
+ * @param {number} facturationId - ID Facturation.PRO du document
+ */
+function pdfFileName(documentNumber, facturationId) {
+  return `${String(documentNumber).replace(/[^A-Za-z0-9._-]/g, '_')}-${facturationId}.pdf`;
+}
+
+async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Cache disque des PDF officiels des factures et devis, rangés par numéro et ID Facturation.PRO :
+ * <pdfDir>/invoices/F-2024-001-601.pdf, <pdfDir>/quotes/D-2024-001-501.pdf
+ * La table document_pdfs retient l'updated_at du document au moment du téléchargement : un document
+ * modifié depuis sur Facturation.PRO est téléchargé de nouveau.
+ */
+export class PdfCache {
+  /**
+   * @param {string} dir - Répertoire du cache (firm.pdfDir)
+   */
+  constructor(dir) {
+    this.dir = resolve(dir);
+  }
+
+  /**
+   * Fichier du PDF d'un document
+   * @param {string} documentType - invoice ou quote
+   * @param {string} documentNumber - Numéro du document
+   * @param {number} facturationId - ID Facturation.PRO du document
+   */
+  pathFor(documentType, documentNumber, facturationId) {
+    return join(this.dir, PDF_DOCUMENTS[documentType].directory, pdfFileName(documentNumber, facturationId));
+  }
+
+  /**
+   * Le PDF en cache correspond-il à la dernière version connue du document ?
+   * Un fichier rangé sous un autre numéro (document renuméroté) ou supprimé du disque est téléchargé de nouveau.
+   * @param {Object|null} cached - Ligne document_pdfs
+   * @param {Object} document - { document_type, facturation_id, document_number, updated_at }
+   */
+  async isFresh(cached, document) {
+    if (!cached || cached.source_updated_at !== (document.updated_at ?? null)) return false;
+    if (cached.file_path !== this.pathFor(document.document_type, document.document_number, document.facturation_id)) return false;
+    return fileExists(cached.file_path);
+  }
+
+  /**
+   * Télécharge le PDF d'un document et l'enregistre dans le cache
+   * @param {FacturationApiClient} apiClient - Client API de la société
+   * @param {Database} database - Base où noter le téléchargement
+   * @param {Object} document - { document_type, facturation_id, document_number, updated_at }
+   * @returns {Promise<Object>} Ligne document_pdfs
+   */
+  async download(apiClient, database, document) {
+    const { document_type: documentType, facturation_id: facturationId, document_number: documentNumber } = document;
+    const content = await PDF_DOCUMENTS[documentType].download(apiClient, facturationId);
+    if (content.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new Error(`Réponse inattendue pour le PDF de ${documentNumber} (pas un fichier PDF)`);
+    }
+
+    // Fichier temporaire puis renommage : un lecteur ne voit jamais un PDF à moitié écrit
+    const filePath = this.pathFor(documentType, documentNumber, facturationId);
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(`${filePath}.tmp`, content);
+    await rename(`${filePath}.tmp`, filePath);
+
+    // Fichier précédent sous un autre numéro : il n'est plus référencé
+    const previous = await database.getDocumentPdf(documentType, facturationId);
+    if (previous?.file_path && previous.file_path !== filePath) {
+      await rm(previous.file_path, { force: true });
+    }
+
+    await database.saveDocumentPdf({
+      documentType,
+      facturationId,
+      documentNumber,
+      filePath,
+      sourceUpdatedAt: document.updated_at ?? null,
+      size: content.length
+    });
+    return database.getDocumentPdf(documentType, facturationId);
+  }
+
+  /**
+   * PDF d'un document : celui du cache s'il est à jour, sinon téléchargé
+   * @param {FacturationApiClient} apiClient - Client API de la société
+   * @param {Database} database - Base de la société
+   * @param {Object} document - { document_type, facturation_id, document_number, updated_at }
+   * @param {Object} [options] - { refresh } : télécharger même si le cache est à jour
+   * @returns {Promise<{pdf: Object, downloaded: boolean}>}
+   */
+  async get(apiClient, database, document, { refresh = false } = {}) {
+    const cached = await database.getDocumentPdf(document.document_type, document.facturation_id);
+    if (!refresh && await this.isFresh(cached, document)) {
+      return { pdf: cached, downloaded: false };
+    }
+    return { pdf: await this.download(apiClient, database, document), downloaded: true };
+  }
+}
@@ -0,0 +1,166 @@
+import cron from 'node-cron';
+import { config } from '../config.js';
+import { getLogger } from '../logging/index.js';
+
+const logger = getLogger('sync');
+
+/**
+ * Expression cron correspondant à un intervalle en minutes (SYNC_INTERVAL)
+ * Les intervalles non exprimables en cron sont arrondis à l'heure.
+ * @param {number} interval - Intervalle en minutes
+ * @returns {string} Expression cron
+ */
+export function intervalToCron(interval) {
+  if (interval > 0 && interval < 60 && 60 % interval === 0) {
+    return `*/${interval} * * * *`;
+  }
+  const hours = Math.min(Math.max(Math.round(interval / 60), 1), 24);
+  if (hours * 60 !== interval) {
+    logger.warning(`SYNC_INTERVAL=${interval} non exprimable en cron : synchronisation toutes les ${hours}h`);
+  }
+  return hours === 24 ? '0 0 * * *' : `0 */${hours} * * *`;
+}
+
+/**
+ * Analyse une plage d'heures creuses "22-7" (de 22h à 7h, peut passer minuit)
+ * @param {string|null} value - Plage configurée
+ * @returns {{start: number, end: number}|null}
+ */
+export function parseQuietHours(value) {
+  if (!value) return null;
+  const match = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 24) {
+    throw new Error(`SYNC_QUIET_HOURS invalide: "${value}" (attendu: "22-7")`);
+  }
+  return { start: Number(match[1]), end: Number(match[2]) };
+}
+
+/**
+ * Attente interruptible par un AbortSignal (résolue à false si interrompue)
+ */
+function wait(ms, signal) {
+  return new Promise(resolve => {
+    if (signal.aborted) return resolve(false);
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(false);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Synchronisation planifiée dans le processus du serveur MCP
+ * Déclenche une synchronisation incrémentale de chaque société selon une expression cron,
+ * avec un délai aléatoire (jitter), sans chevauchement (isSyncing) et hors des heures creuses.
+ */
+export class SyncScheduler {
+  /**
+   * @param {Array<Object>} firms - Sociétés ({ key, name, syncService }), voir FirmRegistry
+   * @param {Object} [options] - config.sync.schedule
+   */
+  constructor(firms, options = config.sync.schedule) {
+    this.firms = firms;
+    this.expression = options.cron || intervalToCron(config.sync.interval);
+    if (!cron.validate(this.expression)) {
+      throw new Error(`Expression cron invalide: "${this.expression}"`);
+    }
+    this.jitter = Math.max(options.jitter || 0, 0);
+    this.quietHours = parseQuietHours(options.quietHours);
+    this.timezone = options.timezone;
+    this.task = null;
+    this.controller = null;
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Démarre la planification
+   */
+  start() {
+    this.controller = new AbortController();
+    this.task = cron.schedule(this.expression, () => this.tick(), {
+      scheduled: true,
+      ...(this.timezone ? { timezone: this.timezone } : {})
+    });
+    logger.info(`Synchronisation planifiée: "${this.expression}"` +
+      (this.quietHours ? `, sauf de ${this.quietHours.start}h à ${this.quietHours.end}h` : ''));
+  }
+
+  /**
+   * Arrête la planification ; une synchronisation en cours est annulée (la base n'est pas modifiée)
+   */
+  async stop() {
+    this.task?.stop();
+    this.task = null;
+    this.controller?.abort();
+    await this.running;
+  }
+
+  /**
+   * Indique si l'heure courante est dans la plage d'heures creuses
+   * @param {Date} [date]
+   * @returns {boolean}
+   */
+  isQuietTime(date = new Date()) {
+    if (!this.quietHours) return false;
+    const hour = Number(new Intl.DateTimeFormat('en-GB', {
+      hour: 'numeric',
+      hourCycle: 'h23',
+      ...(this.timezone ? { timeZone: this.timezone } : {})
+    }).format(date));
+    const { start, end } = this.quietHours;
+    return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+  }
+
+  /**
+   * Déclenchement cron : une seule exécution à la fois
+   */
+  async tick() {
+    if (this.running) {
+      logger.info('Synchronisation planifiée ignorée: la précédente est toujours en cours');
+      return;
+    }
+    if (this.isQuietTime()) {
+      logger.debug('Synchronisation planifiée ignorée: heures creuses');
+      return;
+    }
+
+    this.running = this.run().finally(() => {
+      this.running = null;
+    });
+    await this.running;
+  }
+
+  /**
+   * Synchronisation incrémentale de chaque société, après le délai aléatoire
+   */
+  async run() {
+    const signal = this.controller.signal;
+    if (this.jitter > 0 && !(await wait(Math.random() * this.jitter * 1000, signal))) return;
+
+    for (const firm of this.firms) {
+      if (signal.aborted) return;
+      // Synchronisation déjà lancée autrement (sync_now) : ne pas la chevaucher
+      if (firm.syncService.isSyncing) {
+        logger.info(`Synchronisation planifiée de ${firm.name} ignorée: synchronisation déjà en cours`);
+        continue;
+      }
+
+      try {
+        const report = await firm.syncService.syncScope({ scope: 'full', signal, origin: 'schedule' });
+        const changed = Object.values(report.entities)
+          .reduce((sum, stats) => sum + (stats.created || 0) + (stats.updated || 0) + (stats.deleted || 0), 0);
+        logger.info(`Synchronisation planifiée de ${firm.name} terminée en ${report.duration_ms} ms (${changed} changement(s))`);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        logger.error(`Synchronisation planifiée de ${firm.name} échouée:`, error.message);
+      }
+    }
+    this.lastRun = new Date();
+  }
+}
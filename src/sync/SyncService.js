@@ -1,31 +1,208 @@
 import { FacturationApiClient } from '../api/FacturationApiClient.js';
-import Database from '../database/index.js';
+import Database, { removeDatabaseFiles } from '../database/index.js';
 import chalk from 'chalk';
-import { config } from '../config.js';
-import { mkdir } from 'fs/promises';
+import { config, getFirmConfig } from '../config.js';
+import { randomBytes } from 'crypto';
+import { mkdir, access, open, readFile, writeFile, rm } from 'fs/promises';
 import { dirname } from 'path';
+import { ChangeReport } from './ChangeReport.js';
+import { PdfCache } from './PdfCache.js';
+import { getLogger } from '../logging/index.js';
 
-// Logger pour SyncService
-const syncServiceLogger = {
-  log: (...args) => {
-    if (process.env.MCP_DEBUG === 'true') {
-      process.stderr.write(`[SYNC SERVICE DEBUG] ${args.join(' ')}\n`);
+const logger = getLogger('sync');
+
+// Tables dont le nombre de lignes ne peut pas baisser lors d'une synchronisation (suppressions logiques uniquement)
+const NON_SHRINKING_TABLES = ['categories', 'customers', 'suppliers', 'products', 'quotes', 'invoices', 'purchases'];
+
+/**
+ * Fichier voisin de la base : facturation.db -> facturation.staging.db
+ * @param {string} dbPath - Base de données
+ * @param {string} suffix - staging, previous...
+ */
+export function siblingDatabasePath(dbPath, suffix) {
+  return dbPath.endsWith('.db') ? `${dbPath.slice(0, -3)}.${suffix}.db` : `${dbPath}.${suffix}`;
+}
+
+async function fileExists(path) {
+  try {
+    await access(path);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Le processus existe-t-il encore ? (verrou laissé par un processus arrêté brutalement)
+ */
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Verrou de synchronisation partagé entre processus (npm run sync, serveur MCP, planificateur) :
+ * fichier facturation.db.lock contenant le PID du détenteur. Un verrou dont le processus n'existe plus est repris.
+ * @param {string} dbPath - Base synchronisée
+ * @param {string} scope - Périmètre de la synchronisation (noté dans le verrou)
+ * @returns {Promise<Function>} Libération du verrou
+ */
+async function acquireSyncLock(dbPath, scope) {
+  const lockPath = `${dbPath}.lock`;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const handle = await open(lockPath, 'wx');
+      await handle.writeFile(JSON.stringify({ pid: process.pid, scope, started_at: new Date().toISOString() }));
+      await handle.close();
+      return () => rm(lockPath, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
     }
-  },
-  error: (...args) => {
-    process.stderr.write(`[SYNC SERVICE ERROR] ${args.join(' ')}\n`);
+
+    let holder = null;
+    try {
+      holder = JSON.parse(await readFile(lockPath, 'utf8'));
+    } catch {
+      holder = null;
+    }
+    if (holder?.pid && processAlive(holder.pid)) {
+      throw new Error(`Synchronisation déjà en cours (${holder.scope || 'périmètre inconnu'}, processus ${holder.pid}, depuis ${holder.started_at})`);
+    }
+    logger.warning(`Verrou de synchronisation abandonné retiré (${lockPath})`);
+    await rm(lockPath, { force: true });
+  }
+  throw new Error(`Verrou de synchronisation impossible à obtenir (${lockPath})`);
+}
+
+/**
+ * Périmètre ayant créé une base de staging (fichier voisin facturation.staging.db.json)
+ * @returns {Promise<string|null>} null si la base n'a pas de marqueur
+ */
+async function readStagingScope(stagingPath) {
+  try {
+    return JSON.parse(await readFile(`${stagingPath}.json`, 'utf8')).scope || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Synchronisation interrompue en attente de reprise : copie de staging conservée (voir runStaged)
+ * et points de reprise qu'elle contient encore
+ * @param {string} dbPath - Base publiée
+ * @returns {Promise<Object|null>} { scope, pages: { table: dernière page enregistrée } }, ou null si rien n'est à reprendre
+ */
+export async function readPendingSync(dbPath) {
+  const stagingPath = siblingDatabasePath(dbPath, 'staging');
+  if (!(await fileExists(stagingPath))) return null;
+
+  // Lecture seule : la copie peut être reprise ou supprimée à tout moment par une synchronisation
+  const staging = new Database(stagingPath, { readOnly: true });
+  try {
+    await staging.connect();
+    const rows = await staging.all('SELECT table_name, last_page FROM sync_metadata WHERE last_page > 0');
+    if (rows.length === 0) return null;
+    return {
+      scope: await readStagingScope(stagingPath),
+      pages: Object.fromEntries(rows.map(row => [row.table_name, row.last_page]))
+    };
+  } catch (error) {
+    logger.debug('Copie de staging illisible:', error.message);
+    return null;
+  } finally {
+    await staging.close().catch(() => {});
+  }
+}
+
+async function removeStaging(stagingPath) {
+  await removeDatabaseFiles(stagingPath);
+  await rm(`${stagingPath}.json`, { force: true });
+}
+
+/**
+ * updated_at le plus récent d'une liste de documents
+ * @param {Array<Object>} records - Documents reçus de l'API
+ * @param {string|null} current - Valeur déjà connue
+ * @returns {string|null}
+ */
+function latestUpdatedAt(records, current = null) {
+  let latest = current;
+  for (const record of records) {
+    if (record.updated_at && (!latest || Date.parse(record.updated_at) > Date.parse(latest))) {
+      latest = record.updated_at;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Nom d'un client ou d'un fournisseur (priorité: company_name > first_name + last_name > short_name)
+ * @param {Object} party - Client ou fournisseur brut
+ * @param {string} fallback - Libellé par défaut, suivi de l'ID (ex: "Client")
+ * @returns {string}
+ */
+function partyName(party, fallback) {
+  if (party.company_name && party.company_name.trim() !== '') {
+    return party.company_name.trim();
+  }
+  if (party.first_name || party.last_name) {
+    return `${party.first_name || ''} ${party.last_name || ''}`.trim();
+  }
+  if (party.short_name && party.short_name.trim() !== '') {
+    return party.short_name.trim();
   }
-};
+  return `${fallback} ${party.id}`;
+}
+
+/**
+ * Coordonnées nettoyées d'un client ou d'un fournisseur
+ * @param {Object} party - Client ou fournisseur brut
+ * @param {string} name - Nom retenu (voir partyName)
+ * @returns {Object}
+ */
+function cleanParty(party, name) {
+  return {
+    ...party,
+    name,
+    email: party.email ? party.email.trim() : null,
+    phone: party.phone ? party.phone.trim() : null,
+    address: party.street ? party.street.trim() : null,
+    city: party.city ? party.city.trim() : null,
+    postal_code: party.zip_code ? party.zip_code.trim() : null,
+    country: party.country ? party.country.trim() : null,
+    vat_number: party.vat_number ? party.vat_number.trim() : null,
+    raw_json: JSON.stringify(party)
+  };
+}
+
+// Périmètres acceptés par syncScope()
+export const SYNC_SCOPES = ['full', 'recent', 'categories', 'customers', 'suppliers', 'products', 'quotes', 'invoices', 'purchases', 'payments', 'reconcile', 'pdfs', 'invoice', 'quote'];
 
 /**
  * Service de synchronisation des données
  * Principe SOLID : Single Responsibility - Gère uniquement la synchronisation
  */
 export class SyncService {
-  constructor() {
-    this.apiClient = new FacturationApiClient();
-    this.database = new Database();
+  /**
+   * @param {Object} [options]
+   * @param {Database} [options.database] - Base déjà connectée (ex: celle du serveur MCP). Elle n'est alors ni ouverte ni fermée ici.
+   * @param {FacturationApiClient} [options.apiClient] - Client API
+   * @param {Object} [options.firm] - Société synchronisée (défaut: société par défaut)
+   */
+  constructor({ database = null, apiClient = null, firm = getFirmConfig() } = {}) {
+    this.firm = firm;
+    this.apiClient = apiClient || new FacturationApiClient(firm);
+    this.database = database || new Database(firm.dbPath);
+    this.ownsDatabase = !database;
+    this.pdfCache = new PdfCache(firm.pdfDir || './data/pdf');
+    // Base publiée pendant une synchronisation (this.database désigne alors la copie de staging, voir runStaged)
+    this.publishedDatabase = null;
     this.isSyncing = false;
+    this.changeReport = null;
   }
 
   /**
@@ -37,74 +214,452 @@ export class SyncService {
   }
 
   /**
-   * Synchronise toutes les données depuis l'API
+   * Synchronise toutes les données depuis l'API.
+   * Incrémentale par défaut : seuls les documents modifiés depuis la dernière synchronisation sont relus.
    * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options]
+   * @param {boolean} [options.full=false] - Ignorer les high-water marks et tout relire
+   * @param {boolean} [options.restart=false] - Abandonner une synchronisation interrompue au lieu de la reprendre
+   * @param {boolean} [options.pdfs] - Mettre à jour le cache des PDF (défaut: SYNC_PDFS)
+   * @param {string} [options.origin='cli'] - Déclencheur, enregistré dans l'historique sync_runs
+   * @param {boolean} [options.dryRun=false] - Simulation : tout relire et rapporter les changements sans rien écrire
+   *   (ni publication, ni historique, ni PDF), voir runDryRun
+   * @returns {Promise<Object>} Rapport des changements (appliqués, ou à appliquer en simulation)
    */
-  async syncAll(verbose = true) {
+  async syncAll(verbose = true, { full = false, restart = false, pdfs = config.sync.pdfs, origin = 'cli', dryRun = false } = {}) {
     if (this.isSyncing) {
-      syncServiceLogger.log(chalk.yellow('⚠️  Synchronisation déjà en cours...'));
+      logger.info(chalk.yellow('⚠️  Synchronisation déjà en cours...'));
       return;
     }
 
     this.isSyncing = true;
+    // Simulation : rapport complet, sans limite d'éléments détaillés
+    this.changeReport = new ChangeReport(dryRun ? { maxItems: Infinity } : {});
     const startTime = Date.now();
 
     try {
-      syncServiceLogger.log(chalk.blue.bold('🔄 Début de la synchronisation...'));
+      logger.info(chalk.blue.bold(`🔄 Début de la ${dryRun ? 'simulation de ' : ''}synchronisation (${this.firm.name})...`));
 
-      // Assurer que le répertoire data existe
-      await mkdir(dirname(config.database.path), { recursive: true });
+      if (this.ownsDatabase) {
+        // Assurer que le répertoire data existe
+        await mkdir(dirname(this.database.dbPath), { recursive: true });
 
-      // Connecter et initialiser la base de données
-      await this.database.connect();
-      await this.database.initialize();
+        // Connecter et initialiser la base de données
+        await this.database.connect();
+        await this.database.initialize();
+      }
 
       // Test de connexion API
-      if (verbose) syncServiceLogger.log(chalk.blue('🔍 Test de connexion à l\'API...'));
+      if (verbose) logger.info(chalk.blue('🔍 Test de connexion à l\'API...'));
       const apiConnected = await this.apiClient.testConnection();
       if (!apiConnected) {
         throw new Error('Impossible de se connecter à l\'API Facturation.PRO. Vérifiez vos identifiants.');
       }
-      if (verbose) syncServiceLogger.log(chalk.green('✅ Connexion API établie'));
-
-      await this.syncCategories(verbose);
-      await this.syncCustomers(verbose);
-      await this.syncProducts(verbose);
-      await this.syncQuotes(verbose);
-      await this.syncInvoices(verbose);
-      // Paiements: selon le mode choisi
-      const paymentsMode = config.sync.payments_mode || 'bulk';
-      if (paymentsMode === 'bulk') {
-        const today = new Date();
-        const startBulk = new Date();
-        startBulk.setFullYear(today.getFullYear() - (config.sync.payments_years || 2));
-        await this.syncSettlementsBulk(startBulk.toISOString().split('T')[0], today.toISOString().split('T')[0], verbose);
-      } else if (paymentsMode === 'per_invoice') {
-        // déjà géré dans syncInvoices/syncRecentData (appel par facture)
-      } else if (paymentsMode === 'none') {
-        if (verbose) syncServiceLogger.log(chalk.yellow('⏭️  Synchronisation des paiements désactivée (mode=none).'));
+      if (verbose) logger.info(chalk.green('✅ Connexion API établie'));
+
+      if (dryRun) {
+        // Tout relire (y compris le rapprochement des suppressions) pour comparer l'ensemble des documents
+        await this.runDryRun(async () => {
+          for (const step of this.getSyncSteps('full', { verbose, full: true, pdfs: false })) {
+            await step.run();
+          }
+        }, { verbose });
+        logger.info(chalk.green.bold(`✅ Simulation terminée en ${((Date.now() - startTime) / 1000).toFixed(2)}s`));
+        return { dry_run: true, ...this.changeReport.toJSON() };
       }
 
-      await this.syncRecentData(verbose);
+      await this.runStaged(async () => {
+        for (const step of this.getSyncSteps('full', { verbose, full, pdfs })) {
+          await step.run();
+        }
+      }, { verbose, restart, scope: 'full' });
 
-      syncServiceLogger.log(chalk.green.bold(`✅ Synchronisation terminée en ${((Date.now() - startTime) / 1000).toFixed(2)}s`));
+      logger.info(chalk.green.bold(`✅ Synchronisation terminée en ${((Date.now() - startTime) / 1000).toFixed(2)}s`));
+      await this.recordRun({ scope: 'full', origin, startTime });
+      return this.changeReport.toJSON();
 
     } catch (error) {
-      syncServiceLogger.error(chalk.red.bold('❌ Erreur lors de la synchronisation:'));
-      syncServiceLogger.error(chalk.red(error.message));
+      logger.error(chalk.red.bold('❌ Erreur lors de la synchronisation:'));
+      logger.error(chalk.red(error.message));
+      if (!dryRun) {
+        await this.recordRun({ scope: 'full', origin, startTime, error });
+      }
       throw error;
     } finally {
-      await this.database.close();
+      if (this.ownsDatabase) {
+        await this.database.close();
+      }
+      this.changeReport = null;
       this.isSyncing = false;
     }
   }
 
+  /**
+   * Synchronise un périmètre donné et rapporte les changements (utilisé par l'outil MCP sync_now).
+   * La base doit déjà être connectée.
+   * @param {Object} options
+   * @param {string} [options.scope='full'] - Voir SYNC_SCOPES
+   * @param {number} [options.id] - ID Facturation.PRO du document (scopes invoice et quote)
+   * @param {AbortSignal} [options.signal] - Annulation (requêtes API et SQLite en cours)
+   * @param {Function} [options.onProgress] - (étape, total, message)
+   * @param {boolean} [options.full=false] - Ignorer les high-water marks et tout relire
+   * @param {boolean} [options.restart=false] - Abandonner une synchronisation interrompue au lieu de la reprendre
+   * @param {string} [options.origin='mcp'] - Déclencheur, enregistré dans l'historique sync_runs
+   * @returns {Promise<Object>} Rapport des changements
+   */
+  async syncScope({ scope = 'full', id, signal, onProgress, full = false, restart = false, origin = 'mcp' } = {}) {
+    if (!SYNC_SCOPES.includes(scope)) {
+      throw new Error(`Périmètre de synchronisation inconnu: ${scope} (attendu: ${SYNC_SCOPES.join(', ')})`);
+    }
+    if ((scope === 'invoice' || scope === 'quote') && !id) {
+      throw new Error(`Le périmètre ${scope} nécessite l'ID Facturation.PRO du document`);
+    }
+    if (this.isSyncing) {
+      throw new Error('Synchronisation déjà en cours');
+    }
+
+    this.isSyncing = true;
+    this.changeReport = new ChangeReport();
+    const startTime = Date.now();
+    const baseApiClient = this.apiClient;
+
+    // Les étapes utilisent this.apiClient : le lier au signal le temps de la synchronisation
+    if (signal) {
+      this.apiClient = baseApiClient.withSignal(signal);
+    }
+
+    try {
+      const steps = this.getSyncSteps(scope, { id, verbose: false, full });
+      // Une synchronisation annulée ne modifie pas la base : le staging est abandonné
+      await this.runStaged(async () => {
+        for (let i = 0; i < steps.length; i++) {
+          if (signal?.aborted) {
+            throw Object.assign(new Error('Synchronisation annulée'), { name: 'AbortError' });
+          }
+          if (onProgress) onProgress(i, steps.length, steps[i].label);
+          await steps[i].run();
+        }
+      }, { signal, verbose: false, restart, scope });
+      if (onProgress) onProgress(steps.length, steps.length, 'Synchronisation terminée');
+      await this.recordRun({ scope, origin, startTime });
+
+      return {
+        scope,
+        ...(id ? { id } : {}),
+        duration_ms: Date.now() - startTime,
+        ...this.changeReport.toJSON()
+      };
+    } catch (error) {
+      await this.recordRun({ scope, origin, startTime, error, cancelled: Boolean(signal?.aborted) });
+      throw error;
+    } finally {
+      this.apiClient = baseApiClient;
+      this.changeReport = null;
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Enregistre l'exécution dans l'historique sync_runs de la base publiée.
+   * Une synchronisation annulée (par le client MCP) est notée cancelled, sans erreur : ce n'est pas un échec.
+   * Un échec d'écriture de l'historique ne fait pas échouer la synchronisation.
+   * @param {Object} run - { scope, origin, startTime, error, cancelled } ; cancelled : signal d'annulation déclenché
+   */
+  async recordRun({ scope, origin, startTime, error = null, cancelled = false }) {
+    const isCancelled = Boolean(error) && (cancelled || error.name === 'AbortError');
+    try {
+      await this.database.recordSyncRun({
+        scope,
+        origin,
+        status: !error ? 'success' : isCancelled ? 'cancelled' : 'error',
+        startedAt: new Date(startTime).toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startTime,
+        changes: this.changeReport?.counts() || null,
+        error: isCancelled ? null : error?.message || null
+      });
+    } catch (recordError) {
+      logger.warning('Historique de synchronisation non enregistré:', recordError.message);
+    }
+  }
+
+  /**
+   * Exécute une synchronisation sur une copie de la base (staging) puis la publie atomiquement :
+   * 1. copie cohérente de la base dans facturation.staging.db ; les étapes écrivent dans cette copie
+   * 2. validation de la copie (intégrité, aucune ligne perdue, aucun point de reprise restant)
+   * 3. sauvegarde de l'état courant dans facturation.previous.db (voir restorePreviousSnapshot)
+   * 4. remplacement du contenu de la base en une transaction
+   * En cas d'erreur ou d'annulation, la base n'est pas modifiée. La copie est alors conservée si des pages
+   * y ont été enregistrées (points de reprise, voir syncPages) : la synchronisation suivante du même périmètre
+   * la reprend ; celle d'un autre périmètre l'abandonne.
+   * Un verrou (facturation.db.lock) empêche deux processus de synchroniser la même base en même temps.
+   * @param {Function} run - Étapes de synchronisation (utilisent this.database)
+   * @param {Object} [options] - { signal, verbose, restart, scope } ; restart : abandonner la synchronisation interrompue
+   */
+  async runStaged(run, { signal, verbose = true, restart = false, scope = 'full' } = {}) {
+    const live = this.database;
+    const stagingPath = siblingDatabasePath(live.dbPath, 'staging');
+    const releaseLock = await acquireSyncLock(live.dbPath, scope);
+    let staging = null;
+    let keepStaging = false;
+
+    try {
+      if (restart) {
+        await removeStaging(stagingPath);
+      }
+      let resuming = await fileExists(stagingPath);
+      if (resuming) {
+        const stagingScope = await readStagingScope(stagingPath);
+        if (stagingScope !== scope) {
+          logger.warning(`Synchronisation interrompue (${stagingScope || 'périmètre inconnu'}) abandonnée : elle ne peut pas être reprise par une synchronisation ${scope}`);
+          await removeStaging(stagingPath);
+          resuming = false;
+        }
+      }
+      if (resuming) {
+        logger.info(chalk.yellow(`↪️  Reprise de la synchronisation interrompue (${this.firm.name})`));
+      } else {
+        await live.snapshotTo(stagingPath);
+        await writeFile(`${stagingPath}.json`, JSON.stringify({ scope, created_at: new Date().toISOString() }));
+      }
+
+      staging = new Database(stagingPath);
+      await staging.connect();
+      this.database = signal ? staging.withSignal(signal) : staging;
+      this.publishedDatabase = live;
+
+      if (restart) {
+        await staging.clearSyncCheckpoints();
+      }
+      try {
+        await run();
+      } catch (error) {
+        keepStaging = await staging.hasSyncCheckpoints();
+        throw error;
+      }
+      await this.validateStaging(staging, live);
+
+      await live.snapshotTo(siblingDatabasePath(live.dbPath, 'previous'));
+      await live.replaceContentsFrom(stagingPath);
+      if (verbose) logger.info(chalk.green('✅ Données publiées (état précédent sauvegardé)'));
+    } finally {
+      this.database = live;
+      this.publishedDatabase = null;
+      if (staging) await staging.close();
+      if (keepStaging) {
+        logger.info(chalk.yellow('💾 Pages déjà reçues conservées : la prochaine synchronisation reprendra où celle-ci s\'est arrêtée'));
+      } else {
+        await removeStaging(stagingPath);
+      }
+      await releaseLock();
+    }
+  }
+
+  /**
+   * Exécute une synchronisation sur une copie jetable de la base (facturation.dryrun-<pid>-<aléa>.db), supprimée
+   * ensuite et jamais publiée : le rapport de changements décrit ce que la synchronisation modifierait.
+   * Sans verrou, pour ne pas bloquer une vraie synchronisation : le nom unique de la copie évite que deux simulations
+   * simultanées (CLI et sync_now, ou deux terminaux) partagent et suppriment le même fichier.
+   * Une synchronisation interrompue (staging conservé) n'est ni reprise ni modifiée.
+   * @param {Function} run - Étapes de synchronisation (utilisent this.database)
+   * @param {Object} [options] - { verbose }
+   */
+  async runDryRun(run, { verbose = true } = {}) {
+    const live = this.database;
+    const dryRunPath = siblingDatabasePath(live.dbPath, `dryrun-${process.pid}-${randomBytes(4).toString('hex')}`);
+    await live.snapshotTo(dryRunPath);
+
+    const copy = new Database(dryRunPath);
+    await copy.connect();
+    this.database = copy;
+    try {
+      await run();
+      if (verbose) logger.info(chalk.yellow('🧪 Simulation : aucune donnée modifiée'));
+    } finally {
+      this.database = live;
+      await copy.close();
+      await removeDatabaseFiles(dryRunPath);
+    }
+  }
+
+  /**
+   * Vérifie la base de staging avant publication
+   * @param {Database} staging - Base synchronisée
+   * @param {Database} live - Base publiée
+   */
+  async validateStaging(staging, live) {
+    const integrity = await staging.get('PRAGMA integrity_check');
+    if (integrity?.integrity_check !== 'ok') {
+      throw new Error(`Base de staging corrompue: ${integrity?.integrity_check}`);
+    }
+
+    // Une lecture paginée inachevée ne doit jamais être publiée
+    if (await staging.hasSyncCheckpoints()) {
+      throw new Error('Synchronisation rejetée: des lectures paginées sont inachevées (points de reprise restants)');
+    }
+
+    // Les documents supprimés en amont sont marqués, jamais effacés : une table qui rétrécit signale un problème
+    for (const table of NON_SHRINKING_TABLES) {
+      const before = (await live.get(`SELECT COUNT(1) as c FROM ${table}`))?.c || 0;
+      const after = (await staging.get(`SELECT COUNT(1) as c FROM ${table}`))?.c || 0;
+      if (after < before) {
+        throw new Error(`Synchronisation rejetée: ${table} passe de ${before} à ${after} lignes`);
+      }
+    }
+  }
+
+  /**
+   * Restaure l'état sauvegardé avant la dernière synchronisation publiée (facturation.previous.db)
+   * La base doit être connectée si elle n'appartient pas au service.
+   */
+  async restorePreviousSnapshot() {
+    const previousPath = siblingDatabasePath(this.database.dbPath, 'previous');
+    if (!(await fileExists(previousPath))) {
+      throw new Error(`Aucune sauvegarde à restaurer (${previousPath})`);
+    }
+    const releaseLock = await acquireSyncLock(this.database.dbPath, 'rollback');
+    try {
+      // Une synchronisation interrompue ne doit pas être reprise par-dessus l'état restauré
+      await removeStaging(siblingDatabasePath(this.database.dbPath, 'staging'));
+
+      if (this.ownsDatabase) {
+        await this.database.connect();
+        await this.database.initialize();
+      }
+      try {
+        await this.database.replaceContentsFrom(previousPath);
+        logger.info(chalk.green(`✅ État précédent restauré depuis ${previousPath} (${this.firm.name})`));
+      } finally {
+        if (this.ownsDatabase) {
+          await this.database.close();
+        }
+      }
+    } finally {
+      await releaseLock();
+    }
+  }
+
+  /**
+   * Étapes de synchronisation pour un périmètre
+   * @returns {Array<{label: string, run: Function}>}
+   */
+  getSyncSteps(scope, { id, verbose = true, full = false, pdfs = config.sync.pdfs } = {}) {
+    const steps = {
+      categories: { label: 'Catégories', run: () => this.syncCategories(verbose) },
+      customers: { label: 'Clients', run: () => this.syncCustomers(verbose, { full }) },
+      suppliers: { label: 'Fournisseurs', run: () => this.syncSuppliers(verbose, { full }) },
+      products: { label: 'Produits', run: () => this.syncProducts(verbose, { full }) },
+      quotes: { label: 'Devis', run: () => this.syncQuotes(verbose, { full }) },
+      invoices: { label: 'Factures', run: () => this.syncInvoices(verbose, { full }) },
+      purchases: { label: 'Achats', run: () => this.syncPurchases(verbose, { full }) },
+      payments: { label: 'Règlements', run: () => this.syncPayments(verbose, { full }) },
+      recent: { label: 'Données récentes', run: () => this.syncRecentData(verbose) },
+      pdfs: { label: 'PDF des documents', run: () => this.syncPdfs(verbose) },
+      reconcile: {
+        label: 'Rapprochement des suppressions',
+        run: () => this.reconcileDeletions(verbose, { force: full || scope === 'reconcile' })
+      }
+    };
+
+    switch (scope) {
+      case 'full':
+        // Les documents modifiés récemment sont couverts par la synchronisation incrémentale : pas d'étape "recent"
+        // PDF en dernier : le rapprochement a écarté les documents supprimés
+        return [
+          steps.categories, steps.customers, steps.suppliers, steps.products,
+          steps.quotes, steps.invoices, steps.purchases, steps.payments, steps.reconcile,
+          ...(pdfs ? [steps.pdfs] : [])
+        ];
+      case 'invoice':
+        return [{ label: `Facture ${id}`, run: () => this.syncInvoiceById(id, verbose) }];
+      case 'quote':
+        return [{ label: `Devis ${id}`, run: () => this.syncQuoteById(id, verbose) }];
+      default:
+        return [steps[scope]];
+    }
+  }
+
+  /**
+   * Enregistre dans le rapport la différence entre la ligne locale et la version de l'API
+   * @param {string} table - Table (et entité du rapport)
+   * @param {string|number} key - Clé lisible pour le rapport
+   * @param {number} facturationId - ID Facturation.PRO
+   * @param {Object} stored - Valeurs telles qu'elles seront stockées
+   */
+  async trackChange(table, key, facturationId, stored) {
+    if (!this.changeReport) return;
+    const before = await this.database.getRowByFacturationId(table, facturationId);
+    this.changeReport.record(table, key, before, stored);
+  }
+
+  /**
+   * Filtres de synchronisation incrémentale : seuls les documents modifiés depuis le high-water mark
+   * enregistré dans sync_metadata sont demandés à l'API. La première synchronisation d'une table reste complète.
+   * @param {string} table - Table synchronisée
+   * @param {boolean} full - Ignorer le high-water mark
+   * @returns {Promise<Object>} Filtres API ({} pour une synchronisation complète)
+   */
+  async getIncrementalFilters(table, full = false) {
+    if (full) return {};
+    const metadata = await this.database.getSyncMetadata(table);
+    if (!metadata?.high_water_mark) return {};
+    // Filtre à la journée : les documents du jour du mark sont relus (upsert idempotent)
+    return { updated_at_from: metadata.high_water_mark.split('T')[0] };
+  }
+
+  /**
+   * Lit une entité page par page et enregistre un point de reprise (sync_metadata.last_page) après chaque page.
+   * Après une interruption (erreur réseau, rate limiting, annulation, arrêt du processus), la lecture reprend
+   * après la dernière page enregistrée, à condition que les filtres soient les mêmes.
+   * En fin de lecture, sync_metadata reçoit le high-water mark : l'updated_at le plus récent des documents reçus
+   * (le précédent est conservé s'il n'y en a aucun).
+   * @param {string} table - Table synchronisée
+   * @param {Function} fetchPages - (filters, pageOptions) => méthode paginée du client API
+   * @param {Object} filters - Filtres API (voir getIncrementalFilters)
+   * @param {Function} processPage - async (records) : enregistre les documents d'une page
+   * @param {boolean} verbose - Mode verbeux
+   * @returns {Promise<number>} Nombre de documents reçus
+   */
+  async syncPages(table, fetchPages, filters, processPage, verbose = true) {
+    const signature = JSON.stringify(filters);
+    const metadata = await this.database.getSyncMetadata(table);
+    const resumeAfter = metadata?.last_page > 0 && metadata.checkpoint_filters === signature ? metadata.last_page : 0;
+    if (resumeAfter && verbose) logger.info(chalk.yellow(`↪️  Reprise après la page ${resumeAfter}`));
+
+    let received = 0;
+    let highWaterMark = null;
+    await fetchPages(filters, {
+      startPage: resumeAfter + 1,
+      onPage: async (records, { page }) => {
+        await processPage(records);
+        received += records.length;
+        highWaterMark = latestUpdatedAt(records, highWaterMark);
+        await this.database.saveSyncCheckpoint(table, page, signature);
+      }
+    });
+
+    // Après une reprise, les pages ont pu se décaler entre les deux exécutions :
+    // l'ancien high-water mark est conservé pour que la synchronisation suivante relise la période
+    await this.database.saveSyncMetadata(table, {
+      highWaterMark: resumeAfter ? null : highWaterMark,
+      totalRecords: await this.database.countDocuments(table)
+    });
+    return received;
+  }
+
+  /**
+   * Message de log décrivant le mode de synchronisation d'une table
+   */
+  describeIncremental(filters) {
+    return filters.updated_at_from ? ` (modifiés depuis le ${filters.updated_at_from})` : '';
+  }
+
   /**
    * Synchronise les catégories
    * @param {boolean} verbose - Mode verbeux
    */
   async syncCategories(verbose = true) {
-    if (verbose) syncServiceLogger.log(chalk.blue('📁 Synchronisation des catégories...'));
+    if (verbose) logger.info(chalk.blue('📁 Synchronisation des catégories...'));
     
     const categories = await this.apiClient.getCategories();
     let count = 0;
@@ -115,169 +670,225 @@ export class SyncService {
         ? category.name.trim() 
         : `Catégorie ${category.id}`;
 
+      await this.trackChange('categories', categoryName, category.id, { name: categoryName, status: category.status || 0 });
       await this.database.run(`
-        INSERT OR REPLACE INTO categories 
-        (facturation_id, name, status, created_at, updated_at, last_sync)
-        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        INSERT INTO categories
+        (facturation_id, name, status, raw_json, created_at, updated_at, last_sync)
+        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(facturation_id) DO UPDATE SET
+          name = excluded.name,
+          status = excluded.status,
+          raw_json = excluded.raw_json,
+          created_at = excluded.created_at,
+          updated_at = excluded.updated_at,
+          last_sync = CURRENT_TIMESTAMP
       `, [
         category.id,
         categoryName,
         category.status || 0,
+        JSON.stringify(category),
         category.created_at || null,
         category.updated_at || null
       ]);
       count++;
     }
 
-    if (verbose) syncServiceLogger.log(chalk.green(`✅ ${count} catégories synchronisées`));
+    // Peu nombreuses : toujours relues entièrement
+    await this.database.saveSyncMetadata('categories', { totalRecords: await this.database.countDocuments('categories') });
+
+    if (verbose) logger.info(chalk.green(`✅ ${count} catégories synchronisées`));
     return categories.length;
   }
 
   /**
    * Synchronise les clients
    * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { full } : ignorer le high-water mark
    */
-  async syncCustomers(verbose = true) {
-    if (verbose) syncServiceLogger.log(chalk.blue('👥 Synchronisation des clients...'));
+  async syncCustomers(verbose = true, { full = false } = {}) {
+    const filters = await this.getIncrementalFilters('customers', full);
+    if (verbose) logger.info(chalk.blue(`👥 Synchronisation des clients${this.describeIncremental(filters)}...`));
     
-    const customers = await this.apiClient.getCustomers();
     let count = 0;
+    const received = await this.syncPages('customers', (f, paging) => this.apiClient.getCustomers(f, paging), filters, async (customers) => {
+      for (const customer of customers) {
+        const customerName = partyName(customer, 'Client');
+        const cleanCustomer = cleanParty(customer, customerName);
+
+        await this.trackChange('customers', customerName, customer.id, cleanCustomer);
+        await this.database.upsertCustomer(cleanCustomer);
+        count++;
+      }
+    }, verbose);
 
-    for (const customer of customers) {
-      // Construire le nom du client (priorité: company_name > first_name + last_name > short_name)
-      let customerName = '';
-      if (customer.company_name && customer.company_name.trim() !== '') {
-        customerName = customer.company_name.trim();
-      } else if (customer.first_name || customer.last_name) {
-        customerName = `${customer.first_name || ''} ${customer.last_name || ''}`.trim();
-      } else if (customer.short_name && customer.short_name.trim() !== '') {
-        customerName = customer.short_name.trim();
-      } else {
-        customerName = `Client ${customer.id}`;
-      }
-
-      // Nettoyer les données du client
-      const cleanCustomer = {
-        ...customer,
-        name: customerName,
-        email: customer.email ? customer.email.trim() : null,
-        phone: customer.phone ? customer.phone.trim() : null,
-        address: customer.street ? customer.street.trim() : null,
-        city: customer.city ? customer.city.trim() : null,
-        postal_code: customer.zip_code ? customer.zip_code.trim() : null,
-        country: customer.country ? customer.country.trim() : null,
-        vat_number: customer.vat_number ? customer.vat_number.trim() : null
-      };
+    if (verbose) logger.info(chalk.green(`✅ ${count} clients synchronisés`));
+    return received;
+  }
 
-      await this.database.upsertCustomer(cleanCustomer);
-      count++;
-    }
+  /**
+   * Synchronise les fournisseurs
+   * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { full } : ignorer le high-water mark
+   */
+  async syncSuppliers(verbose = true, { full = false } = {}) {
+    const filters = await this.getIncrementalFilters('suppliers', full);
+    if (verbose) logger.info(chalk.blue(`🏭 Synchronisation des fournisseurs${this.describeIncremental(filters)}...`));
+
+    let count = 0;
+    const received = await this.syncPages('suppliers', (f, paging) => this.apiClient.getSuppliers(f, paging), filters, async (suppliers) => {
+      for (const supplier of suppliers) {
+        const supplierName = partyName(supplier, 'Fournisseur');
+        const cleanSupplier = cleanParty(supplier, supplierName);
+
+        await this.trackChange('suppliers', supplierName, supplier.id, cleanSupplier);
+        await this.database.upsertSupplier(cleanSupplier);
+        count++;
+      }
+    }, verbose);
 
-    if (verbose) syncServiceLogger.log(chalk.green(`✅ ${count} clients synchronisés`));
-    return customers.length;
+    if (verbose) logger.info(chalk.green(`✅ ${count} fournisseurs synchronisés`));
+    return received;
   }
 
   /**
    * Synchronise les produits
    * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { full } : ignorer le high-water mark
    */
-  async syncProducts(verbose = true) {
-    if (verbose) syncServiceLogger.log(chalk.blue('📦 Synchronisation des produits...'));
+  async syncProducts(verbose = true, { full = false } = {}) {
+    const filters = await this.getIncrementalFilters('products', full);
+    if (verbose) logger.info(chalk.blue(`📦 Synchronisation des produits${this.describeIncremental(filters)}...`));
     
-    const products = await this.apiClient.getProducts();
     let count = 0;
+    const received = await this.syncPages('products', (f, paging) => this.apiClient.getProducts(f, paging), filters, async (products) => {
+      for (const product of products) {
+        // Utiliser un nom par défaut si manquant
+        const productName = product.name && product.name.trim() !== '' 
+          ? product.name.trim() 
+          : `Produit ${product.id}`;
+
+        // Nettoyer les données du produit
+        const cleanProduct = {
+          ...product,
+          name: productName,
+          description: product.description ? product.description.trim() : null,
+          price: parseFloat(product.price) || 0,
+          vat_rate: parseFloat(product.vat_rate) || 0,
+          unit: product.unit ? product.unit.trim() : null,
+          raw_json: JSON.stringify(product)
+        };
+
+        await this.trackChange('products', productName, product.id, cleanProduct);
+        await this.database.upsertProduct(cleanProduct);
+        count++;
+      }
+    }, verbose);
 
-    for (const product of products) {
-      // Utiliser un nom par défaut si manquant
-      const productName = product.name && product.name.trim() !== '' 
-        ? product.name.trim() 
-        : `Produit ${product.id}`;
-
-      // Nettoyer les données du produit
-      const cleanProduct = {
-        ...product,
-        name: productName,
-        description: product.description ? product.description.trim() : null,
-        price: parseFloat(product.price) || 0,
-        vat_rate: parseFloat(product.vat_rate) || 0,
-        unit: product.unit ? product.unit.trim() : null
-      };
+    if (verbose) logger.info(chalk.green(`✅ ${count} produits synchronisés`));
+    return received;
+  }
 
-      await this.database.upsertProduct(cleanProduct);
-      count++;
+  /**
+   * Nettoie un devis reçu de l'API
+   * @param {Object} quote - Devis brut
+   * @returns {Object|null} Devis prêt à être stocké, null s'il doit être ignoré
+   */
+  normalizeQuote(quote) {
+    // Vérifier que l'ID existe
+    if (!quote.id) {
+      logger.warning('Devis sans ID ignoré:', JSON.stringify(quote));
+      return null;
     }
 
-    if (verbose) syncServiceLogger.log(chalk.green(`✅ ${count} produits synchronisés`));
-    return products.length;
+    // Utiliser un numéro par défaut si manquant
+    const quoteNumber = quote.quote_number && quote.quote_number.trim() !== '' 
+      ? quote.quote_number.trim() 
+      : `DEV-${quote.id}`;
+
+    return {
+      ...quote,
+      quote_number: quoteNumber,
+      quote_ref: quote.quote_ref || null, // Numéro séquentiel du devis
+      quote_date: quote.created_at ? quote.created_at.split('T')[0] : new Date().toISOString().split('T')[0],
+      total_ht: quote.total || 0,
+      total_ttc: quote.total_with_vat || 0,
+      vat_amount: (quote.total_with_vat || 0) - (quote.total || 0),
+      notes: quote.information ? quote.information.trim() : null,
+      accepted_on: quote.accepted_on ? quote.accepted_on.split('T')[0] : null,
+      raw_json: JSON.stringify(quote)
+    };
+  }
+
+  /**
+   * Enregistre un devis nettoyé (et note le changement dans le rapport en cours)
+   * @param {Object} cleanQuote - Devis issu de normalizeQuote
+   */
+  async saveQuote(cleanQuote) {
+    // Le statut est stocké depuis quote_status (voir upsertQuote)
+    await this.trackChange('quotes', cleanQuote.quote_number, cleanQuote.id, { ...cleanQuote, status: cleanQuote.quote_status || 0 });
+    try {
+      await this.database.upsertQuote(cleanQuote);
+    } catch (error) {
+      logger.error('Erreur lors de l\'insertion du devis:', JSON.stringify({
+        id: cleanQuote.id,
+        quote_number: cleanQuote.quote_number,
+        error: error.message
+      }));
+      throw error;
+    }
   }
 
   /**
    * Synchronise les devis
    * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { full } : ignorer le high-water mark
    */
-  async syncQuotes(verbose = true) {
-    if (verbose) syncServiceLogger.log(chalk.blue('📋 Synchronisation des devis...'));
+  async syncQuotes(verbose = true, { full = false } = {}) {
+    const filters = await this.getIncrementalFilters('quotes', full);
+    if (verbose) logger.info(chalk.blue(`📋 Synchronisation des devis${this.describeIncremental(filters)}...`));
     
-    const quotes = await this.apiClient.getQuotes();
     let count = 0;
+    const received = await this.syncPages('quotes', (f, paging) => this.apiClient.getQuotes(f, paging), filters, async (quotes) => {
+      for (const quote of quotes) {
+        const cleanQuote = this.normalizeQuote(quote);
+        if (!cleanQuote) continue;
 
-    for (const quote of quotes) {
-      // Vérifier que l'ID existe
-      if (!quote.id) {
-        console.warn('Devis sans ID ignoré:', quote);
-        continue;
+        await this.saveQuote(cleanQuote);
+      
+        // Synchroniser les lignes du devis si elles sont incluses dans la réponse
+        if (quote.items && Array.isArray(quote.items) && quote.items.length > 0) {
+          await this.syncQuoteLines(quote.id, quote.items);
+        }
+      
+        count++;
       }
+    }, verbose);
 
-      // Utiliser un numéro par défaut si manquant
-      const quoteNumber = quote.quote_number && quote.quote_number.trim() !== '' 
-        ? quote.quote_number.trim() 
-        : `DEV-${quote.id}`;
-
-      // Vérification finale du quote_number
-      if (!quoteNumber || quoteNumber.trim() === '') {
-        console.warn('Devis avec quote_number invalide ignoré:', {
-          id: quote.id,
-          quote_number: quote.quote_number,
-          generated: quoteNumber
-        });
-        continue;
-      }
+    await this.linkQuotes(verbose);
+    if (verbose) logger.info(chalk.green(`✅ ${count} devis synchronisés`));
+    return received;
+  }
 
-      // Nettoyer les données du devis
-      const cleanQuote = {
-        ...quote,
-        quote_number: quoteNumber,
-        quote_ref: quote.quote_ref || null, // Numéro séquentiel du devis
-        quote_date: quote.created_at ? quote.created_at.split('T')[0] : new Date().toISOString().split('T')[0],
-        total_ht: quote.total || 0,
-        total_ttc: quote.total_with_vat || 0,
-        vat_amount: (quote.total_with_vat || 0) - (quote.total || 0),
-        notes: quote.information ? quote.information.trim() : null
-      };
+  /**
+   * Synchronise un devis unique (et ses lignes)
+   * @param {number} quoteId - ID Facturation.PRO du devis
+   * @param {boolean} verbose - Mode verbeux
+   */
+  async syncQuoteById(quoteId, verbose = true) {
+    if (verbose) logger.info(chalk.blue(`📋 Synchronisation du devis ${quoteId}...`));
 
-      // Synchroniser le devis
-      try {
-        await this.database.upsertQuote(cleanQuote);
-      } catch (error) {
-        console.error('Erreur lors de l\'insertion du devis:', {
-          id: quote.id,
-          quote_number: cleanQuote.quote_number,
-          error: error.message,
-          cleanQuote: JSON.stringify(cleanQuote, null, 2)
-        });
-        throw error;
-      }
-      
-      // Synchroniser les lignes du devis si elles sont incluses dans la réponse
-      if (quote.items && Array.isArray(quote.items) && quote.items.length > 0) {
-        await this.syncQuoteLines(quote.id, quote.items);
-      }
-      
-      count++;
+    const quote = await this.apiClient.getQuote(quoteId);
+    const cleanQuote = quote && this.normalizeQuote(quote);
+    if (!cleanQuote) {
+      throw new Error(`Devis ${quoteId} introuvable sur Facturation.PRO`);
     }
 
-    if (verbose) syncServiceLogger.log(chalk.green(`✅ ${count} devis synchronisés`));
-    return quotes.length;
+    await this.saveQuote(cleanQuote);
+    if (Array.isArray(quote.items)) {
+      await this.syncQuoteLines(quote.id, quote.items);
+    }
+    await this.linkQuotes(verbose);
+    return 1;
   }
 
   /**
@@ -318,96 +929,162 @@ export class SyncService {
     }
   }
 
+  /**
+   * Nettoie une facture reçue de l'API
+   * @param {Object} invoice - Facture brute
+   * @returns {Object|null} Facture prête à être stockée, null si elle doit être ignorée
+   */
+  normalizeInvoice(invoice) {
+    // Vérifier que l'ID existe
+    if (!invoice.id) {
+      logger.warning('Facture sans ID ignorée:', JSON.stringify(invoice));
+      return null;
+    }
+
+    // Utiliser un numéro par défaut si manquant
+    const invoiceNumber = invoice.invoice_number && invoice.invoice_number.trim() !== '' 
+      ? invoice.invoice_number.trim() 
+      : `FAC-${invoice.id}`;
+
+    const balance = parseFloat(invoice.balance || 0);
+    const totalTtc = parseFloat(invoice.total_with_vat || 0);
+    // Avoir : Facturation.PRO le renvoie comme une facture aux montants négatifs
+    const isCreditNote = totalTtc < 0 || parseFloat(invoice.total || 0) < 0;
+
+    return {
+      ...invoice,
+      invoice_number: invoiceNumber,
+      invoice_ref: invoice.invoice_ref || null, // Numéro séquentiel de la facture
+      invoice_date: invoice.created_at ? invoice.created_at.split('T')[0] : new Date().toISOString().split('T')[0],
+      total_ht: invoice.total || 0,
+      total_ttc: invoice.total_with_vat || 0,
+      vat_amount: (invoice.total_with_vat || 0) - (invoice.total || 0),
+      notes: invoice.information ? invoice.information.trim() : null,
+      is_credit_note: isCreditNote ? 1 : 0,
+      // Devis d'origine quand la facture a été créée depuis un devis (sinon rapprochement, voir linkQuotes)
+      quote_id: invoice.quote_id || null,
+      // Statut de paiement basé sur le balance : 1 = payée (avoir : soldé), 0 = non payée (tolérance de 1 centime pour les arrondis)
+      status: (isCreditNote ? Math.abs(balance) : balance) <= 0.01 ? 1 : 0,
+      payment_mode: invoice.payment_mode || 0,
+      paid_on: (() => {
+        if (invoice.paid_on) return invoice.paid_on;
+        // Un avoir n'est pas un encaissement : pas de date de paiement déduite du solde
+        if (isCreditNote) return null;
+        if (invoice.payment_date && (balance <= 0.01 || (balance > 0 && balance < totalTtc))) {
+          return invoice.payment_date;
+        }
+        return null;
+      })(),
+      balance: invoice.balance || 0,
+      raw_json: JSON.stringify(invoice)
+    };
+  }
+
+  /**
+   * Enregistre une facture nettoyée (et note le changement dans le rapport en cours)
+   * @param {Object} cleanInvoice - Facture issue de normalizeInvoice
+   */
+  async saveInvoice(cleanInvoice) {
+    await this.trackChange('invoices', cleanInvoice.invoice_number, cleanInvoice.id, cleanInvoice);
+    await this.database.upsertInvoice(cleanInvoice);
+  }
+
   /**
    * Synchronise les factures
    * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { full } : ignorer le high-water mark
    */
-  async syncInvoices(verbose = true) {
-    if (verbose) syncServiceLogger.log(chalk.blue('🧾 Synchronisation des factures...'));
+  async syncInvoices(verbose = true, { full = false } = {}) {
+    const filters = await this.getIncrementalFilters('invoices', full);
+    if (verbose) logger.info(chalk.blue(`🧾 Synchronisation des factures${this.describeIncremental(filters)}...`));
     
-    const invoices = await this.apiClient.getInvoices();
     let count = 0;
+    const received = await this.syncPages('invoices', (f, paging) => this.apiClient.getInvoices(f, paging), filters, async (invoices) => {
+      for (const invoice of invoices) {
+        const cleanInvoice = this.normalizeInvoice(invoice);
+        if (!cleanInvoice) continue;
+
+        if (count < 3) { // Log les 3 premières pour voir tous les champs
+          logger.debug(`Facture ${invoice.id} - Champs disponibles:`, JSON.stringify({
+            id: invoice.id,
+            balance: invoice.balance,
+            total_ttc: cleanInvoice.total_ttc,
+            isPaid: cleanInvoice.status === 1,
+            paid_on: invoice.paid_on,
+            payment_date: invoice.payment_date,
+            payment_mode: invoice.payment_mode,
+            created_at: invoice.created_at,
+            updated_at: invoice.updated_at,
+            // Afficher tous les champs pour diagnostic
+            all_fields: Object.keys(invoice).join(', ')
+          }));
+        }
 
-    for (const invoice of invoices) {
-      // Vérifier que l'ID existe
-      if (!invoice.id) {
-        console.warn('Facture sans ID ignorée:', invoice);
-        continue;
+        // Synchroniser la facture
+        await this.saveInvoice(cleanInvoice);
+
+        // Synchroniser les règlements de la facture (si mode per_invoice)
+        if ((config.sync.payments_mode || 'bulk') === 'per_invoice') {
+          await this.syncPaymentsForInvoice(cleanInvoice);
+        }
+      
+        // Synchroniser les lignes de la facture si elles sont incluses dans la réponse
+        if (invoice.items && Array.isArray(invoice.items) && invoice.items.length > 0) {
+          await this.syncInvoiceLines(invoice.id, invoice.items);
+        }
+      
+        count++;
       }
+    }, verbose);
 
-      // Utiliser un numéro par défaut si manquant
-      const invoiceNumber = invoice.invoice_number && invoice.invoice_number.trim() !== '' 
-        ? invoice.invoice_number.trim() 
-        : `FAC-${invoice.id}`;
-
-      // Nettoyer les données de la facture
-      const cleanInvoice = {
-        ...invoice,
-        invoice_number: invoiceNumber,
-        invoice_ref: invoice.invoice_ref || null, // Numéro séquentiel de la facture
-        invoice_date: invoice.created_at ? invoice.created_at.split('T')[0] : new Date().toISOString().split('T')[0],
-        total_ht: invoice.total || 0,
-        total_ttc: invoice.total_with_vat || 0,
-        vat_amount: (invoice.total_with_vat || 0) - (invoice.total || 0),
-        notes: invoice.information ? invoice.information.trim() : null,
-        // Mapper le statut de paiement basé sur le balance
-        status: (() => {
-          const balance = parseFloat(invoice.balance || 0);
-          const totalTtc = parseFloat(invoice.total_with_vat || 0);
-          
-          // Si le balance est 0 ou très proche de 0, la facture est payée
-          // Si le balance égale le total TTC, elle n'est pas payée
-          const isPaid = balance <= 0.01; // Tolérance de 1 centime pour les arrondis
-          
-          if (count < 3) { // Log les 3 premières pour voir tous les champs
-            console.log(`Facture ${invoice.id} - Champs disponibles:`, {
-              id: invoice.id,
-              balance: invoice.balance,
-              total_ttc: totalTtc,
-              isPaid: isPaid,
-              paid_on: invoice.paid_on,
-              payment_date: invoice.payment_date,
-              payment_mode: invoice.payment_mode,
-              created_at: invoice.created_at,
-              updated_at: invoice.updated_at,
-              // Afficher tous les champs pour diagnostic
-              all_fields: Object.keys(invoice).join(', ')
-            });
-          }
-          
-          return isPaid ? 1 : 0; // 1 = payée, 0 = non payée
-        })(),
-        payment_mode: invoice.payment_mode || 0,
-        paid_on: (() => {
-          const balance = parseFloat(invoice.balance || 0);
-          const totalTtc = parseFloat(invoice.total_with_vat || 0);
-          if (invoice.paid_on) return invoice.paid_on;
-          if (invoice.payment_date && (balance <= 0.01 || (balance > 0 && balance < totalTtc))) {
-            return invoice.payment_date;
-          }
-          return null;
-        })(),
-        balance: invoice.balance || 0
-      };
+    await this.linkCreditNotes(verbose);
+    await this.linkQuotes(verbose);
+    if (verbose) logger.info(chalk.green(`✅ ${count} factures synchronisées`));
+    return received;
+  }
 
-      // Synchroniser la facture
-      await this.database.upsertInvoice(cleanInvoice);
+  /**
+   * Rattache les nouveaux avoirs à la facture qu'ils annulent (voir Database.linkCreditNotes)
+   * @param {boolean} verbose - Mode verbeux
+   */
+  async linkCreditNotes(verbose = true) {
+    const linked = await this.database.linkCreditNotes();
+    if (linked > 0 && verbose) logger.info(chalk.green(`🔗 ${linked} avoir(s) rattaché(s) à leur facture`));
+  }
 
-      // Synchroniser les règlements de la facture (si mode per_invoice)
-      if ((config.sync.payments_mode || 'bulk') === 'per_invoice') {
-        await this.syncPaymentsForInvoice(cleanInvoice);
-      }
-      
-      // Synchroniser les lignes de la facture si elles sont incluses dans la réponse
-      if (invoice.items && Array.isArray(invoice.items) && invoice.items.length > 0) {
-        await this.syncInvoiceLines(invoice.id, invoice.items);
-      }
-      
-      count++;
+  /**
+   * Rattache les factures sans devis d'origine au devis accepté correspondant (voir Database.linkQuotesToInvoices)
+   * @param {boolean} verbose - Mode verbeux
+   */
+  async linkQuotes(verbose = true) {
+    const linked = await this.database.linkQuotesToInvoices();
+    if (linked > 0 && verbose) logger.info(chalk.green(`🔗 ${linked} facture(s) rattachée(s) à leur devis`));
+  }
+
+  /**
+   * Synchronise une facture unique (lignes et règlements compris)
+   * @param {number} invoiceId - ID Facturation.PRO de la facture
+   * @param {boolean} verbose - Mode verbeux
+   */
+  async syncInvoiceById(invoiceId, verbose = true) {
+    if (verbose) logger.info(chalk.blue(`🧾 Synchronisation de la facture ${invoiceId}...`));
+
+    const invoice = await this.apiClient.getInvoice(invoiceId);
+    const cleanInvoice = invoice && this.normalizeInvoice(invoice);
+    if (!cleanInvoice) {
+      throw new Error(`Facture ${invoiceId} introuvable sur Facturation.PRO`);
     }
 
-    if (verbose) syncServiceLogger.log(chalk.green(`✅ ${count} factures synchronisées`));
-    return invoices.length;
+    await this.saveInvoice(cleanInvoice);
+    if (Array.isArray(invoice.items)) {
+      await this.syncInvoiceLines(invoice.id, invoice.items);
+    }
+    if ((config.sync.payments_mode || 'bulk') !== 'none') {
+      await this.syncPaymentsForInvoice(cleanInvoice);
+    }
+    await this.linkCreditNotes(verbose);
+    await this.linkQuotes(verbose);
+    return 1;
   }
 
   /**
@@ -449,124 +1126,165 @@ export class SyncService {
   }
 
   /**
-   * Synchronise uniquement les données récentes
+   * Nettoie un achat reçu de l'API
+   * @param {Object} purchase - Achat brut
+   * @returns {Object|null} Achat prêt à être stocké, null s'il doit être ignoré
+   */
+  normalizePurchase(purchase) {
+    if (!purchase.id) {
+      logger.warning('Achat sans ID ignoré:', JSON.stringify(purchase));
+      return null;
+    }
+
+    const totalHt = parseFloat(purchase.total || 0) || 0;
+    const vatAmount = parseFloat(purchase.vat || 0) || 0;
+    const totalTtc = purchase.total_with_vat !== undefined && purchase.total_with_vat !== null
+      ? parseFloat(purchase.total_with_vat) || 0
+      : totalHt + vatAmount;
+
+    return {
+      ...purchase,
+      purchase_ref: purchase.ref ? String(purchase.ref).trim() : null,
+      title: purchase.title ? purchase.title.trim() : null,
+      // Date de la facture fournisseur, à défaut date de saisie
+      purchase_date: (purchase.invoiced_on || purchase.created_at || new Date().toISOString()).split('T')[0],
+      paid_on: purchase.paid_on ? purchase.paid_on.split('T')[0] : null,
+      total_ht: totalHt,
+      total_ttc: totalTtc,
+      vat_amount: totalTtc - totalHt,
+      raw_json: JSON.stringify(purchase)
+    };
+  }
+
+  /**
+   * Synchronise les achats (factures fournisseurs), rattachés à leur catégorie, leur fournisseur
+   * et éventuellement au client dont ils relèvent
    * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { full } : ignorer le high-water mark
    */
-  async syncRecentData(verbose = true) {
-    if (verbose) syncServiceLogger.log(chalk.blue('🔄 Synchronisation des données récentes...'));
-    
-    const recentQuotes = await this.apiClient.getRecentQuotes();
-    const recentInvoices = await this.apiClient.getRecentInvoices();
+  async syncPurchases(verbose = true, { full = false } = {}) {
+    const filters = await this.getIncrementalFilters('purchases', full);
+    if (verbose) logger.info(chalk.blue(`🛒 Synchronisation des achats${this.describeIncremental(filters)}...`));
 
-    for (const quote of recentQuotes) {
-      // Vérifier que l'ID existe
-      if (!quote.id) {
-        console.warn('Devis récent sans ID ignoré:', quote);
-        continue;
+    let count = 0;
+    const received = await this.syncPages('purchases', (f, paging) => this.apiClient.getPurchases(f, paging), filters, async (purchases) => {
+      for (const purchase of purchases) {
+        const cleanPurchase = this.normalizePurchase(purchase);
+        if (!cleanPurchase) continue;
+
+        await this.trackChange('purchases', cleanPurchase.purchase_ref || cleanPurchase.title || purchase.id, purchase.id, cleanPurchase);
+        await this.database.upsertPurchase(cleanPurchase);
+        count++;
       }
+    }, verbose);
 
-      // Utiliser un numéro par défaut si manquant
-      const quoteNumber = quote.quote_number && quote.quote_number.trim() !== '' 
-        ? quote.quote_number.trim() 
-        : `DEV-${quote.id}`;
+    if (verbose) logger.info(chalk.green(`✅ ${count} achats synchronisés`));
+    return received;
+  }
 
-      // Vérification finale du quote_number
-      if (!quoteNumber || quoteNumber.trim() === '') {
-        console.warn('Devis récent avec quote_number invalide ignoré:', {
-          id: quote.id,
-          quote_number: quote.quote_number,
-          generated: quoteNumber
-        });
-        continue;
+  /**
+   * Synchronise les règlements selon le mode configuré (config.sync.payments_mode)
+   * En mode bulk, une fois l'historique chargé, seuls les 90 derniers jours sont relus.
+   * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { full } : relire tout l'historique (config.sync.payments_years)
+   */
+  async syncPayments(verbose = true, { full = false } = {}) {
+    const paymentsMode = config.sync.payments_mode || 'bulk';
+    if (paymentsMode === 'bulk') {
+      const today = new Date();
+      const startBulk = new Date();
+      const alreadySynced = !full && await this.database.getSyncMetadata('payments');
+      if (alreadySynced) {
+        startBulk.setDate(today.getDate() - 90);
+      } else {
+        startBulk.setFullYear(today.getFullYear() - (config.sync.payments_years || 2));
+      }
+      const inserted = await this.syncSettlementsBulk(startBulk.toISOString().split('T')[0], today.toISOString().split('T')[0], verbose);
+      // En cas d'échec, l'historique complet sera retenté à la prochaine synchronisation
+      if (inserted !== null) {
+        await this.database.saveSyncMetadata('payments', { totalRecords: await this.database.countDocuments('payments') });
       }
+      return inserted || 0;
+    }
+    if (paymentsMode === 'per_invoice') {
+      // déjà géré dans syncInvoices/syncRecentData (appel par facture)
+      if (verbose) logger.info(chalk.yellow('⏭️  Règlements synchronisés avec chaque facture (mode=per_invoice).'));
+    } else if (paymentsMode === 'none') {
+      if (verbose) logger.info(chalk.yellow('⏭️  Synchronisation des paiements désactivée (mode=none).'));
+    }
+    return 0;
+  }
 
-      // Nettoyer les données du devis récent
-      const cleanQuote = {
-        ...quote,
-        quote_number: quoteNumber,
-        quote_ref: quote.quote_ref || null,
-        quote_date: quote.created_at ? quote.created_at.split('T')[0] : new Date().toISOString().split('T')[0],
-        total_ht: quote.total || 0,
-        total_ttc: quote.total_with_vat || 0,
-        vat_amount: (quote.total_with_vat || 0) - (quote.total || 0),
-        notes: quote.information ? quote.information.trim() : null
-      };
+  /**
+   * Met à jour le cache des PDF : télécharge ceux des factures et devis récents absents du cache
+   * ou modifiés depuis leur téléchargement (voir PdfCache)
+   * Les documents sont ceux de la synchronisation en cours ; le cache (document_pdfs) est celui de la base publiée,
+   * que la publication ne remplace pas : les PDF téléchargés entre-temps par get_document_pdf y restent notés.
+   * @param {boolean} verbose - Mode verbeux
+   */
+  async syncPdfs(verbose = true) {
+    const since = new Date();
+    since.setFullYear(since.getFullYear() - (config.sync.pdfs_years || 2));
+    const published = this.publishedDatabase || this.database;
+    const cached = await published.getDocumentPdfs();
+    const documents = [];
+    for (const document of await this.database.listPdfDocuments(since.toISOString().split('T')[0])) {
+      if (!(await this.pdfCache.isFresh(cached.get(`${document.document_type}:${document.facturation_id}`), document))) {
+        documents.push(document);
+      }
+    }
+    if (verbose) logger.info(chalk.blue(`📄 ${documents.length} PDF à télécharger...`));
 
+    let downloaded = 0;
+    for (const document of documents) {
       try {
-        await this.database.upsertQuote(cleanQuote);
+        await this.pdfCache.download(this.apiClient, published, document);
+        downloaded++;
       } catch (error) {
-        console.error('Erreur lors de l\'insertion du devis récent:', {
-          id: quote.id,
-          quote_number: cleanQuote.quote_number,
-          error: error.message
-        });
-        throw error;
+        if (error.name === 'AbortError') throw error;
+        // Un PDF manquant ne bloque pas la synchronisation : il sera retenté la prochaine fois
+        logger.warning(`PDF de ${document.document_number} non téléchargé:`, error.message);
       }
     }
-    for (const invoice of recentInvoices) {
-      // Vérifier que l'ID existe
-      if (!invoice.id) {
-        console.warn('Facture récente sans ID ignorée:', invoice);
-        continue;
-      }
 
-      // Utiliser un numéro par défaut si manquant
-      const invoiceNumber = invoice.invoice_number && invoice.invoice_number.trim() !== '' 
-        ? invoice.invoice_number.trim() 
-        : `FAC-${invoice.id}`;
+    if (verbose) logger.info(chalk.green(`✅ ${downloaded}/${documents.length} PDF téléchargés`));
+    return downloaded;
+  }
 
-      // Vérification finale du invoice_number
-      if (!invoiceNumber || invoiceNumber.trim() === '') {
-        console.warn('Facture récente avec invoice_number invalide ignorée:', {
-          id: invoice.id,
-          invoice_number: invoice.invoice_number,
-          generated: invoiceNumber
-        });
-        continue;
-      }
+  /**
+   * Synchronise uniquement les données récentes
+   * @param {boolean} verbose - Mode verbeux
+   */
+  async syncRecentData(verbose = true) {
+    if (verbose) logger.info(chalk.blue('🔄 Synchronisation des données récentes...'));
+    
+    const recentQuotes = await this.apiClient.getRecentQuotes();
+    const recentInvoices = await this.apiClient.getRecentInvoices();
 
-      // Nettoyer les données de la facture récente
-      const cleanInvoice = {
-        ...invoice,
-        invoice_number: invoiceNumber,
-        invoice_ref: invoice.invoice_ref || null,
-        invoice_date: invoice.created_at ? invoice.created_at.split('T')[0] : new Date().toISOString().split('T')[0],
-        total_ht: invoice.total || 0,
-        total_ttc: invoice.total_with_vat || 0,
-        vat_amount: (invoice.total_with_vat || 0) - (invoice.total || 0),
-        notes: invoice.information ? invoice.information.trim() : null,
-        // Mapper le statut de paiement basé sur le balance
-        status: (() => {
-          const balance = parseFloat(invoice.balance || 0);
-          const isPaid = balance <= 0.01; // Tolérance de 1 centime
-          return isPaid ? 1 : 0;
-        })(),
-        payment_mode: invoice.payment_mode || 0,
-        paid_on: (() => {
-          const balance = parseFloat(invoice.balance || 0);
-          const totalTtc = parseFloat(invoice.total_with_vat || 0);
-          if (invoice.paid_on) return invoice.paid_on;
-          if (invoice.payment_date && (balance <= 0.01 || (balance > 0 && balance < totalTtc))) {
-            return invoice.payment_date;
-          }
-          return null;
-        })(),
-        balance: invoice.balance || 0
-      };
+    for (const quote of recentQuotes) {
+      const cleanQuote = this.normalizeQuote(quote);
+      if (!cleanQuote) continue;
+      await this.saveQuote(cleanQuote);
+    }
+    for (const invoice of recentInvoices) {
+      const cleanInvoice = this.normalizeInvoice(invoice);
+      if (!cleanInvoice) continue;
 
       try {
-        await this.database.upsertInvoice(cleanInvoice);
+        await this.saveInvoice(cleanInvoice);
         await this.syncPaymentsForInvoice(cleanInvoice);
       } catch (error) {
-        console.error('Erreur lors de l\'insertion de la facture récente:', {
+        logger.error('Erreur lors de l\'insertion de la facture récente:', JSON.stringify({
           id: invoice.id,
           invoice_number: cleanInvoice.invoice_number,
           error: error.message
-        });
+        }));
         throw error;
       }
     }
-    if (verbose) syncServiceLogger.log(chalk.green(`✅ ${recentQuotes.length} devis et ${recentInvoices.length} factures récents synchronisés`));
+    await this.linkCreditNotes(verbose);
+    await this.linkQuotes(verbose);
+    if (verbose) logger.info(chalk.green(`✅ ${recentQuotes.length} devis et ${recentInvoices.length} factures récents synchronisés`));
 
     // Bulk règlements récents (90 jours) si mode bulk
     if ((config.sync.payments_mode || 'bulk') === 'bulk') {
@@ -588,103 +1306,122 @@ export class SyncService {
       const localInvoiceId = await this.database.getInvoiceLocalIdByFacturationId(invoice.id);
       if (!localInvoiceId) return; // facture pas (encore) en base
 
-      // Nettoyer les paiements dérivés existants pour éviter les doublons
-      await this.database.deletePaymentsForInvoice(localInvoiceId, 'derived');
-
-      // 1) Essayer de récupérer les règlements depuis l'API
-      const apiPayments = await this.apiClient.getInvoiceSettlements(invoice.id);
-      if (Array.isArray(apiPayments) && apiPayments.length > 0) {
-        // Supprimer tous les paiements existants (API + dérivés) puis insérer ceux de l'API
-        await this.database.deletePaymentsForInvoice(localInvoiceId);
-        for (const p of apiPayments) {
-          const paidTtc = parseFloat(p.amount_with_vat || p.amount_ttc || p.amount || 0) || 0;
-          // Autoriser les remboursements (montants négatifs)
-          if (paidTtc === 0) continue;
-          const ratio = (() => {
-            const totalTtc = parseFloat(invoice.total_ttc || 0);
-            const totalHt = parseFloat(invoice.total_ht || 0);
-            if (totalTtc <= 0) return { ht: 0, vat: 0 };
-            const amount_ht = paidTtc * (totalHt / totalTtc);
-            const amount_vat = paidTtc - amount_ht;
-            return { ht: amount_ht, vat: amount_vat };
-          })();
-          await this.database.insertPayment({
-            invoice_id: localInvoiceId,
-            payment_date: (p.payment_date || p.date || p.paid_on || invoice.paid_on || invoice.payment_date || invoice.updated_at || invoice.invoice_date).split('T')[0],
-            amount_ttc: paidTtc,
-            amount_ht: parseFloat(p.amount_ht || p.amount_excl_vat || ratio.ht),
-            amount_vat: parseFloat(p.amount_vat || (paidTtc - (parseFloat(p.amount_ht || p.amount_excl_vat || ratio.ht)))),
-            payment_mode: p.payment_mode || p.mode || invoice.payment_mode || null,
-            note: p.note || p.notes || 'API',
-            source: 'api',
-            created_at: p.created_at || null,
-            updated_at: p.updated_at || null,
-          });
-        }
-        return;
-      }
-
-      // 2) Fallback dérivé (fiable uniquement si une date de paiement explicite existe)
-      const totalTtc = parseFloat(invoice.total_ttc || 0);
-      const totalHt = parseFloat(invoice.total_ht || 0);
-      const balance = parseFloat(invoice.balance || 0);
-
-      // Cas A: facture soldée avec paid_on -> enregistrer le montant total (positif ou négatif)
-      if (invoice.status === 1 && invoice.paid_on) {
-        await this.database.insertPayment({
-          invoice_id: localInvoiceId,
-          payment_date: invoice.paid_on.split('T')[0],
-          amount_ttc: totalTtc,
-          amount_ht: totalHt,
-          amount_vat: totalTtc - totalHt,
-          payment_mode: invoice.payment_mode || null,
-          note: 'derived-paid_on',
-          source: 'derived',
-          created_at: null,
-          updated_at: null,
-        });
-        return;
+      // Règlements réécrits : comparés ensuite pour ne rapporter que les nouveaux, modifiés ou disparus
+      const previous = this.changeReport ? await this.database.listPaymentsWithInvoiceNumber(localInvoiceId) : null;
+      await this.writeInvoicePayments(invoice, localInvoiceId);
+      if (previous) {
+        this.changeReport.recordPayments(previous, await this.database.listPaymentsWithInvoiceNumber(localInvoiceId));
       }
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      logger.error('Erreur syncPaymentsForInvoice:', error.message);
+    }
+  }
 
-      // Cas B: paiement partiel avec payment_date connue -> enregistrer le montant réglé actuel (positif seulement)
-      const paidTtc = totalTtc - balance;
-      if (paidTtc > 0 && invoice.payment_date) {
-        const amount_ht = totalTtc !== 0 ? paidTtc * (totalHt / totalTtc) : 0;
-        const amount_vat = paidTtc - amount_ht;
+  /**
+   * Réécrit les règlements d'une facture (voir syncPaymentsForInvoice)
+   * @param {Object} invoice - Facture telle que stockée
+   * @param {number} localInvoiceId - ID local de la facture
+   */
+  async writeInvoicePayments(invoice, localInvoiceId) {
+    // Nettoyer les paiements dérivés existants pour éviter les doublons
+    await this.database.deletePaymentsForInvoice(localInvoiceId, 'derived');
+
+    // 1) Essayer de récupérer les règlements depuis l'API
+    const apiPayments = await this.apiClient.getInvoiceSettlements(invoice.id);
+    if (Array.isArray(apiPayments) && apiPayments.length > 0) {
+      // Supprimer tous les paiements existants (API + dérivés) puis insérer ceux de l'API
+      await this.database.deletePaymentsForInvoice(localInvoiceId);
+      for (const p of apiPayments) {
+        const paidTtc = parseFloat(p.amount_with_vat || p.amount_ttc || p.amount || 0) || 0;
+        // Autoriser les remboursements (montants négatifs)
+        if (paidTtc === 0) continue;
+        const ratio = (() => {
+          const totalTtc = parseFloat(invoice.total_ttc || 0);
+          const totalHt = parseFloat(invoice.total_ht || 0);
+          // Avoirs inclus : le ratio HT/TTC reste valable pour des montants négatifs
+          if (totalTtc === 0) return { ht: 0, vat: 0 };
+          const amount_ht = paidTtc * (totalHt / totalTtc);
+          const amount_vat = paidTtc - amount_ht;
+          return { ht: amount_ht, vat: amount_vat };
+        })();
         await this.database.insertPayment({
           invoice_id: localInvoiceId,
-          payment_date: invoice.payment_date.split('T')[0],
+          payment_date: (p.payment_date || p.date || p.paid_on || invoice.paid_on || invoice.payment_date || invoice.updated_at || invoice.invoice_date).split('T')[0],
           amount_ttc: paidTtc,
-          amount_ht,
-          amount_vat,
-          payment_mode: invoice.payment_mode || null,
-          note: 'derived-payment_date',
-          source: 'derived',
-          created_at: null,
-          updated_at: null,
+          amount_ht: parseFloat(p.amount_ht || p.amount_excl_vat || ratio.ht),
+          amount_vat: parseFloat(p.amount_vat || (paidTtc - (parseFloat(p.amount_ht || p.amount_excl_vat || ratio.ht)))),
+          payment_mode: p.payment_mode || p.mode || invoice.payment_mode || null,
+          note: p.note || p.notes || 'API',
+          source: 'api',
+          created_at: p.created_at || null,
+          updated_at: p.updated_at || null,
         });
-        return;
       }
+      return;
+    }
 
-      // Sinon, s'abstenir (pas de date de paiement fiable)
+    // 2) Fallback dérivé (fiable uniquement si une date de paiement explicite existe)
+    const totalTtc = parseFloat(invoice.total_ttc || 0);
+    const totalHt = parseFloat(invoice.total_ht || 0);
+    const balance = parseFloat(invoice.balance || 0);
+
+    // Cas A: facture soldée avec paid_on -> enregistrer le montant total (positif ou négatif)
+    if (invoice.status === 1 && invoice.paid_on) {
+      await this.database.insertPayment({
+        invoice_id: localInvoiceId,
+        payment_date: invoice.paid_on.split('T')[0],
+        amount_ttc: totalTtc,
+        amount_ht: totalHt,
+        amount_vat: totalTtc - totalHt,
+        payment_mode: invoice.payment_mode || null,
+        note: 'derived-paid_on',
+        source: 'derived',
+        created_at: null,
+        updated_at: null,
+      });
+      return;
+    }
+
+    // Cas B: paiement partiel avec payment_date connue -> enregistrer le montant réglé actuel (positif seulement)
+    const paidTtc = totalTtc - balance;
+    if (paidTtc > 0 && invoice.payment_date) {
+      const amount_ht = totalTtc !== 0 ? paidTtc * (totalHt / totalTtc) : 0;
+      const amount_vat = paidTtc - amount_ht;
+      await this.database.insertPayment({
+        invoice_id: localInvoiceId,
+        payment_date: invoice.payment_date.split('T')[0],
+        amount_ttc: paidTtc,
+        amount_ht,
+        amount_vat,
+        payment_mode: invoice.payment_mode || null,
+        note: 'derived-payment_date',
+        source: 'derived',
+        created_at: null,
+        updated_at: null,
+      });
       return;
-    } catch (error) {
-      console.error('Erreur syncPaymentsForInvoice:', error.message);
     }
+
+    // Sinon, s'abstenir (pas de date de paiement fiable)
   }
 
   /**
    * Synchronise les règlements en bulk via settlements/find (ou reglements/find)
+   * @returns {Promise<number|null>} Nombre de règlements insérés, null en cas d'erreur
    */
   async syncSettlementsBulk(startDate, endDate, verbose = true) {
     try {
-      if (verbose) syncServiceLogger.log(chalk.blue(`💳 Synchronisation des règlements du ${startDate} au ${endDate}...`));
+      if (verbose) logger.info(chalk.blue(`💳 Synchronisation des règlements du ${startDate} au ${endDate}...`));
       const settlements = await this.apiClient.findSettlements({ payment_date_from: startDate, payment_date_to: endDate });
       if (!Array.isArray(settlements) || settlements.length === 0) {
-        if (verbose) syncServiceLogger.log(chalk.yellow('Aucun règlement trouvé via l’API pour la période.'));
+        if (verbose) logger.info(chalk.yellow('Aucun règlement trouvé via l’API pour la période.'));
         return 0;
       }
 
+      // Règlements réécrits : comparés ensuite pour ne rapporter que les nouveaux, modifiés ou disparus
+      const previous = this.changeReport ? await this.database.listPaymentsWithInvoiceNumber() : null;
+
       // Option: supprimer d’abord tous les paiements API dans la plage de dates
       await this.database.deletePaymentsByDateRange(startDate, endDate, 'api');
 
@@ -717,7 +1454,7 @@ export class SyncService {
         }
 
         let amount_ht = parseFloat(amountHtRaw || 0) || 0;
-        let amount_vat = parseFloat(amountVatRaw || 0);
+        let amount_vat = parseFloat(amountVatRaw);
         if (!Number.isFinite(amount_ht) || amount_ht === 0) {
           // Calculer au prorata si HT manquant
           const totalTtc = parseFloat(invRow.total_ttc || 0);
@@ -741,12 +1478,111 @@ export class SyncService {
         inserted++;
       }
 
-      if (verbose) syncServiceLogger.log(chalk.green(`✅ ${inserted} règlements synchronisés (bulk)`));
+      if (previous) {
+        // Seuls les règlements de la plage et ceux des factures purgées ont pu changer
+        const rewritten = (payment) => clearedInvoices.has(payment.invoice_id)
+          || (payment.source === 'api' && payment.payment_date >= startDate && payment.payment_date <= endDate);
+        const current = await this.database.listPaymentsWithInvoiceNumber();
+        this.changeReport.recordPayments(previous.filter(rewritten), current.filter(rewritten));
+      }
+      if (verbose) logger.info(chalk.green(`✅ ${inserted} règlements synchronisés (bulk)`));
       return inserted;
     } catch (error) {
-      syncServiceLogger.error('Erreur lors de la synchronisation bulk des règlements:', error.message);
-      return 0;
+      if (error.name === 'AbortError') throw error;
+      logger.error('Erreur lors de la synchronisation bulk des règlements:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Indique si le rapprochement des suppressions d'une table est dû (config.sync.reconcile_hours)
+   * @param {string} table - quotes ou invoices
+   * @returns {Promise<boolean>}
+   */
+  async isReconciliationDue(table) {
+    const metadata = await this.database.getSyncMetadata(table);
+    if (!metadata?.last_reconciled_at) return true;
+    // CURRENT_TIMESTAMP SQLite : UTC sans fuseau
+    const lastReconciled = Date.parse(`${metadata.last_reconciled_at.replace(' ', 'T')}Z`);
+    return Date.now() - lastReconciled >= (config.sync.reconcile_hours || 24) * 3600 * 1000;
+  }
+
+  /**
+   * Rapproche les devis et factures locaux des IDs existant sur Facturation.PRO.
+   * Les documents absents en amont sont marqués supprimés (deleted_at) et exclus des outils ;
+   * ceux qui réapparaissent sont restaurés. La synchronisation incrémentale ne voyant pas les suppressions,
+   * ce passage relit la liste complète des IDs, au plus une fois toutes les config.sync.reconcile_hours heures.
+   * @param {boolean} verbose - Mode verbeux
+   * @param {Object} [options] - { force } : ignorer le délai entre deux rapprochements
+   * @returns {Promise<number>} Nombre de documents marqués supprimés
+   */
+  async reconcileDeletions(verbose = true, { force = false } = {}) {
+    // Libellés accordés au genre du document (devis supprimés, factures supprimées)
+    const sources = {
+      quotes: { label: 'devis', deleted: 'supprimés', marked: 'marqués supprimés', restored: 'restaurés', fetchIds: () => this.apiClient.getQuoteIds() },
+      invoices: { label: 'factures', deleted: 'supprimées', marked: 'marquées supprimées', restored: 'restaurées', fetchIds: () => this.apiClient.getInvoiceIds() }
+    };
+    let totalDeleted = 0;
+
+    for (const [table, { label, deleted, marked, restored: restoredLabel, fetchIds }] of Object.entries(sources)) {
+      if (!force && !(await this.isReconciliationDue(table))) {
+        logger.debug(`Rapprochement des ${label} non dû`);
+        continue;
+      }
+      if (verbose) logger.info(chalk.blue(`🗑️  Rapprochement des ${label} ${deleted} sur Facturation.PRO...`));
+
+      const remoteIds = await fetchIds();
+      const localRows = await this.database.listActiveDocumentIds(table);
+
+      // Une liste vide alors que des documents existent localement signale plus probablement un problème d'API
+      if (remoteIds.length === 0 && localRows.length > 0) {
+        logger.warning(`Rapprochement des ${label} ignoré: aucun document renvoyé par l'API`);
+        continue;
+      }
+
+      const remote = new Set(remoteIds.map(Number));
+      const missing = localRows.filter(row => !remote.has(Number(row.facturation_id)));
+      await this.database.markDocumentsDeleted(table, missing.map(row => row.facturation_id));
+      const restored = await this.database.restoreDocuments(table, remoteIds);
+      await this.database.saveReconciliation(table);
+
+      if (this.changeReport) {
+        missing.forEach(row => this.changeReport.recordDeletion(table, row.number));
+        restored.forEach(row => this.changeReport.recordDeletion(table, row.number, 'restored'));
+      }
+      totalDeleted += missing.length;
+      if (verbose) logger.info(chalk.green(`✅ ${missing.length} ${label} ${marked}, ${restored.length} ${restoredLabel}`));
     }
+
+    return totalDeleted;
+  }
+
+  /**
+   * Synchronise successivement toutes les sociétés configurées (une base SQLite par société).
+   * L'échec d'une société n'empêche pas la synchronisation des suivantes : les rapports obtenus sont conservés.
+   * @param {boolean} verbose - Mode verbeux
+   * @param {Array<Object>} [firms] - Sociétés à synchroniser (défaut: toutes)
+   * @param {Object} [options] - Options de syncAll ({ full, restart, pdfs, dryRun })
+   * @returns {Promise<{reports: Object, errors: Object}>} Rapports de changements et messages d'erreur, par clé de société
+   */
+  static async syncAllFirms(verbose = true, firms = config.firms, options = {}) {
+    const reports = {};
+    const errors = {};
+
+    for (const firm of firms) {
+      try {
+        const report = await new SyncService({ firm }).syncAll(verbose, options);
+        if (report) {
+          reports[firm.key] = report;
+        } else {
+          errors[firm.key] = 'Synchronisation déjà en cours';
+        }
+      } catch (error) {
+        errors[firm.key] = error.message;
+      }
+    }
+
+    return { reports, errors };
   }
 
   /**
@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { setupTestEnv } from './helpers.js';
+
+let env;
+let server;
+let ToolAllowlist;
+
+before(async () => {
+  env = await setupTestEnv({
+    MCP_TOOLS_ENABLED: 'revenue, search_invoices, sync',
+    MCP_TOOLS_DISABLED: 'encaissements_periode'
+  });
+  ({ ToolAllowlist } = await import('../src/mcp/tools/ToolAllowlist.js'));
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+const listTools = async () => (await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' })).result.tools;
+
+test('seuls les outils autorisés par nom ou catégorie sont exposés', async () => {
+  const names = (await listTools()).map(tool => tool.name).sort();
+  assert.deepEqual(names, ['calculate_quotes_revenue', 'calculate_revenue', 'quote_conversion', 'search_invoices', 'sync_now', 'sync_status', 'ventiler_encaissements']);
+
+  const response = await server.handleRequest({
+    jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'encaissements_periode', arguments: {} }
+  });
+  assert.equal(response.error.code, -32601);
+  assert.match(response.error.message, /Outil inconnu/);
+});
+
+test('les annotations distinguent les outils en lecture seule de sync_now', async () => {
+  const tools = await listTools();
+  const annotations = Object.fromEntries(tools.map(tool => [tool.name, tool.annotations]));
+
+  assert.deepEqual(annotations.search_invoices, {
+    title: tools.find(tool => tool.name === 'search_invoices').title,
+    readOnlyHint: true,
+    idempotentHint: true,
+    openWorldHint: false
+  });
+  assert.equal(annotations.sync_now.readOnlyHint, false);
+  assert.equal(annotations.sync_now.idempotentHint, false);
+  assert.equal(annotations.sync_now.destructiveHint, false);
+  assert.equal(annotations.sync_now.openWorldHint, true);
+});
+
+test('le fichier d\'outils complète les listes et disabled reste prioritaire', async () => {
+  const file = join(env.dir, 'tools.json');
+  await writeFile(file, JSON.stringify({ enabled: ['search'], disabled: ['search_quotes'] }));
+  const allowlist = ToolAllowlist.fromConfig({ enabled: ['pricing'], disabled: [], file });
+
+  const isEnabled = (name, category) => allowlist.isEnabled({ name, category });
+  assert.equal(isEnabled('search_invoices', 'search'), true);
+  assert.equal(isEnabled('analyze_pricing', 'pricing'), true);
+  assert.equal(isEnabled('search_quotes', 'search'), false);
+  assert.equal(isEnabled('calculate_revenue', 'revenue'), false);
+  // Sans liste enabled, tout est exposé sauf disabled
+  assert.equal(new ToolAllowlist({ disabled: ['brief'] }).isEnabled({ name: 'calculate_revenue', category: 'revenue' }), true);
+
+  await writeFile(file, JSON.stringify({ enabled: 'search' }));
+  assert.throws(() => ToolAllowlist.fromConfig({ file }), /"enabled" doit être un tableau/);
+});
@@ -0,0 +1,107 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import axios from 'axios';
+import { setupTestEnv } from './helpers.js';
+
+const FIRM = { key: 'default', apiId: 'api-id-secret', apiKey: 'api-key-secret' };
+
+// Réponse de l'API : coordonnées, textes libres et identifiants API à ne pas retrouver dans les fixtures
+const INVOICE = {
+  id: 601,
+  invoice_ref: 'F-2026-001',
+  total: '1200.0',
+  information: 'Tarif négocié avec Mme Dupont',
+  notes: 'Suite au devis D-2026-001',
+  customer_identity: { company_name: 'Atelier Dupont', email: 'contact@dupont.test' },
+  items: [
+    { title: 'Refonte du site de la clinique Martin', description: 'Accès api-key-secret fourni par le client', quantity: '1.0' }
+  ],
+  payments: [{ amount: '1200.0', comment: 'Virement de M. Dupont' }]
+};
+
+let env;
+let ApiRecorder;
+let recordings = 0;
+
+before(async () => {
+  env = await setupTestEnv();
+  ({ ApiRecorder } = await import('../src/api/ApiRecorder.js'));
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+/**
+ * Enregistre une requête GET servie par un adaptateur local, renvoie la fixture écrite
+ */
+async function recordInvoice(options) {
+  const dir = join(env.dir, 'fixtures', String(++recordings));
+  const client = axios.create({
+    adapter: async (requestConfig) => ({
+      data: JSON.stringify(INVOICE),
+      status: 200,
+      statusText: 'OK',
+      headers: { 'content-type': 'application/json' },
+      config: requestConfig,
+      request: {}
+    })
+  });
+  new ApiRecorder({ mode: 'record', dir, firm: FIRM, ...options }).install(client);
+  await client.get('/firms/42/invoices/601.json');
+
+  const [file] = await readdir(dir);
+  return { dir, raw: await readFile(join(dir, file), 'utf8') };
+}
+
+test('les coordonnées et les textes libres sont masqués par défaut', async () => {
+  const { raw } = await recordInvoice();
+  const fixture = JSON.parse(raw);
+  assert.equal(fixture.request.path, '/firms/{firm}/invoices/601.json');
+
+  const body = fixture.response.body;
+  assert.equal(body.invoice_ref, 'F-2026-001');
+  assert.equal(body.total, '1200.0');
+  assert.equal(body.items[0].quantity, '1.0');
+  for (const value of [body.information, body.notes, body.items[0].title, body.items[0].description, body.payments[0].comment]) {
+    assert.match(value, /^redacted-[0-9a-f]{8}$/);
+  }
+  assert.match(body.customer_identity.email, /@example\.invalid$/);
+  for (const secret of ['Dupont', 'Martin', 'api-key-secret', 'api-id-secret']) {
+    assert.doesNotMatch(raw, new RegExp(secret));
+  }
+});
+
+test('keepFreeText conserve les textes libres, pas les coordonnées ni les identifiants', async () => {
+  const { raw } = await recordInvoice({ keepFreeText: true, redact: ['invoice_ref'] });
+  const body = JSON.parse(raw).response.body;
+  assert.equal(body.notes, INVOICE.notes);
+  assert.equal(body.items[0].title, INVOICE.items[0].title);
+  assert.equal(body.payments[0].comment, INVOICE.payments[0].comment);
+  assert.equal(body.items[0].description, 'Accès [credentials] fourni par le client');
+  assert.match(body.customer_identity.company_name, /^redacted-/);
+  // Champ masqué en plus à la demande
+  assert.match(body.invoice_ref, /^redacted-/);
+});
+
+test('le rejeu sert la fixture enregistrée sans requête réseau', async () => {
+  const { dir } = await recordInvoice();
+  const client = axios.create({ baseURL: 'http://127.0.0.1:9' });
+  new ApiRecorder({ mode: 'replay', dir, firm: { key: 'default' } }).install(client);
+
+  const response = await client.get('/firms/7/invoices/601.json');
+  assert.equal(response.data.invoice_ref, 'F-2026-001');
+  assert.match(response.data.notes, /^redacted-/);
+  await assert.rejects(client.get('/firms/7/invoices/602.json'), /Aucune fixture pour GET \/firms\/\{firm\}\/invoices\/602\.json/);
+});
+
+test('fromConfig transmet les champs masqués et l\'option keepFreeText', () => {
+  assert.equal(ApiRecorder.fromConfig(FIRM, { mode: null }), null);
+  const recorder = ApiRecorder.fromConfig(FIRM, { mode: 'record', dir: env.dir, redact: ['ref'], keepFreeText: true });
+  assert.ok(recorder.redactedFields.has('ref'));
+  assert.ok(recorder.redactedFields.has('email'));
+  assert.ok(!recorder.redactedFields.has('notes'));
+  assert.ok(ApiRecorder.fromConfig(FIRM, { mode: 'record', dir: env.dir }).redactedFields.has('notes'));
+});
@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, seedDatabase } from './helpers.js';
+
+// Requête SQLite volontairement interminable, seulement interrompue par l'annulation
+const ENDLESS_SQL = 'WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n) SELECT COUNT(*) AS c FROM n';
+
+let env;
+let server;
+
+before(async () => {
+  env = await setupTestEnv();
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  const { BaseTool } = await import('../src/mcp/tools/BaseTool.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+  await seedDatabase(server.firms.default.database);
+
+  class EndlessQueryTool extends BaseTool {
+    constructor() {
+      super('endless_query', 'Requête SQLite sans fin', {});
+    }
+
+    async execute(args, database, context) {
+      this.reportProgress(context, 1, undefined, 'Requête lancée');
+      await database.get(ENDLESS_SQL);
+      return this.formatResult({});
+    }
+  }
+  server.tools.set('endless_query', new EndlessQueryTool());
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+/**
+ * Contexte transport de test : les notifications émises sont conservées, onNotification est rappelé à chaque envoi
+ */
+const createContext = (onNotification = () => {}) => {
+  const notifications = [];
+  return {
+    notifications,
+    sessionId: 'test',
+    sendNotification: (message) => {
+      notifications.push(message);
+      onNotification(message);
+    }
+  };
+};
+
+/**
+ * Attend que condition() devienne vraie (échec au bout de 5 secondes)
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 5000;
+  while (!condition()) {
+    assert.ok(Date.now() < deadline, 'délai dépassé');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+const callTool = (id, name, args, context, meta) => server.handleRequest({
+  jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: args, ...(meta ? { _meta: meta } : {}) }
+}, context);
+
+test('un progressToken déclenche des notifications/progress croissantes', async () => {
+  const context = createContext();
+  const response = await callTool(1, 'find_similar_projects_advanced', { brief: 'Site vitrine' }, context, { progressToken: 'p1' });
+  assert.equal(response.result.isError, undefined);
+
+  const progress = context.notifications.map(notification => notification.params);
+  assert.ok(context.notifications.every(notification => notification.method === 'notifications/progress'));
+  assert.ok(progress.every(params => params.progressToken === 'p1'));
+  assert.deepEqual(progress.map(params => params.progress), [0, 3]);
+  assert.equal(progress.at(-1).total, 3);
+
+  // Sans progressToken, aucune notification
+  const silent = createContext();
+  await callTool(2, 'find_similar_projects_advanced', { brief: 'Site vitrine' }, silent);
+  assert.deepEqual(silent.notifications, []);
+});
+
+test('notifications/cancelled interrompt la requête SQLite et supprime la réponse', async () => {
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const context = createContext(started);
+
+  const pending = callTool(3, 'endless_query', {}, context, { progressToken: 'p2' });
+  await running;
+  await server.handleRequest({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 3, reason: 'test' } }, context);
+
+  assert.equal(await pending, null);
+  assert.equal(server.inFlightRequests.size, 0);
+  // La requête SQLite est réellement interrompue, pas seulement abandonnée
+  await waitFor(() => server.firms.default.database.queryState.active === 0);
+  // La connexion reste utilisable après l'interruption
+  assert.equal((await server.firms.default.database.get('SELECT COUNT(*) AS c FROM invoices')).c, 3);
+});
+
+test('l\'annulation ne vise que la requête de la même session', async () => {
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const context = createContext(started);
+
+  const pending = callTool(4, 'endless_query', {}, context, { progressToken: 'p3' });
+  await running;
+  const cancel = (sessionContext) => server.handleRequest(
+    { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 4 } },
+    sessionContext
+  );
+
+  // Même id JSON-RPC, autre session : la requête continue
+  assert.equal(await cancel({ sessionId: 'autre' }), null);
+  assert.equal(server.inFlightRequests.size, 1);
+
+  await cancel(context);
+  assert.equal(await pending, null);
+  await waitFor(() => server.firms.default.database.queryState.active === 0);
+});
+
+test('le signal de déconnexion du transport annule l\'outil en cours', async () => {
+  const disconnect = new AbortController();
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const context = { ...createContext(started), signal: disconnect.signal };
+
+  const pending = callTool(5, 'endless_query', {}, context, { progressToken: 'p4' });
+  await running;
+  disconnect.abort('Client déconnecté');
+
+  assert.equal(await pending, null);
+  assert.equal(server.inFlightRequests.size, 0);
+  await waitFor(() => server.firms.default.database.queryState.active === 0);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let data;
+
+before(async () => {
+  env = await setupTestEnv();
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+
+  data = apiDataset();
+  const creditNote = (id, customerId, date, total, information) => ({
+    id, customer_id: customerId, invoice_number: `F-2026-${String(id - 600).padStart(3, '0')}`,
+    total: String(total), total_with_vat: String(total * 1.2), information,
+    items: [{ product_id: null, title: information, quantity: '1', unit_price: String(total), vat: '0.2', position: 1 }],
+    created_at: `${date}T09:00:00.000+01:00`, updated_at: `${date}T09:00:00.000+01:00`
+  });
+  data.invoices.push(
+    // Rattaché par le numéro cité dans ses notes
+    { ...creditNote(604, 102, '2026-04-01', -2000, 'Annulation de la facture F-2026-002'), balance: '0.0', paid_on: null },
+    // Rattaché par le client et le montant TTC
+    { ...creditNote(605, 103, '2026-06-10', -240, 'Geste commercial'), balance: '-288.0', paid_on: null }
+  );
+  // Remboursement de l'avoir, négatif comme le renvoie l'API
+  data.settlements.push({ id: 703, invoice_id: 604, payment_date: '2026-04-05', amount: '-2400.0', payment_mode: 2 });
+  server.firms.default.syncService.apiClient = createApiStub(data);
+
+  const synced = await call('sync_now', { scope: 'full' });
+  assert.notEqual(synced.isError, true, synced.content?.[0]?.text);
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = async (name, args = {}) => (await server.handleRequest({
+  jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+})).result;
+
+const creditNotes = () => server.firms.default.database.all(
+  'SELECT facturation_id, credited_invoice_id, status, paid_on FROM invoices WHERE is_credit_note = 1 ORDER BY facturation_id'
+);
+
+test('les avoirs sont repérés et rattachés à la facture qu\'ils annulent', async () => {
+  assert.deepEqual((await creditNotes()).map(row => ({ ...row })), [
+    { facturation_id: 604, credited_invoice_id: 602, status: 1, paid_on: null },
+    { facturation_id: 605, credited_invoice_id: 603, status: 0, paid_on: null }
+  ]);
+});
+
+test('calculate_revenue distingue brut, avoirs et net', async () => {
+  const invoiced = (await call('calculate_revenue', { year: 2026, filter_by_payment_date: false })).structuredContent.revenue;
+  assert.equal(invoiced.total_invoices, 3);
+  assert.equal(invoiced.total_invoiced_ht, 4990);
+  assert.equal(invoiced.total_credit_notes, 2);
+  assert.equal(invoiced.total_credited_ht, 2240);
+  assert.equal(invoiced.net_ht, 2750);
+  assert.equal(invoiced.net_ttc, 3300);
+  assert.equal(invoiced.monthly_breakdown[3].total_credited_ttc, 2400);
+
+  // Encaissé : l'avoir compte à la date de son remboursement, l'avoir non remboursé n'est pas déduit
+  const paid = (await call('calculate_revenue', { year: 2026 })).structuredContent.revenue;
+  assert.equal(paid.total_invoiced_ttc, 5700);
+  assert.equal(paid.total_credited_ttc, 2400);
+  assert.equal(paid.net_ttc, 3300);
+});
+
+test('search_invoices présente les avoirs de chaque facture et les totaux nets', async () => {
+  const all = (await call('search_invoices', { query: 'F-2026' })).structuredContent;
+  const cancelled = all.invoices.find(invoice => invoice.invoice_number === 'F-2026-002');
+  assert.deepEqual(cancelled.credit_notes.map(creditNote => creditNote.invoice_number), ['F-2026-004']);
+  assert.equal(cancelled.credited_ttc, 2400);
+  assert.equal(cancelled.net_ttc, 0);
+  assert.deepEqual(all.amounts, { gross_ht: 4990, gross_ttc: 5988, credited_ht: 2240, credited_ttc: 2688, net_ht: 2750, net_ttc: 3300 });
+
+  const onlyCreditNotes = (await call('search_invoices', { query: 'F-2026', document_type: 'credit_note' })).structuredContent;
+  assert.deepEqual(
+    onlyCreditNotes.invoices.map(invoice => [invoice.invoice_number, invoice.is_credit_note, invoice.credited_invoice_number]).sort(),
+    [['F-2026-004', true, 'F-2026-002'], ['F-2026-005', true, 'F-2026-003']]
+  );
+});
+
+test('le rattachement survit à une nouvelle synchronisation de l\'avoir', async () => {
+  // Notes modifiées en amont : le numéro de la facture n'y figure plus
+  const creditNote = data.invoices.find(invoice => invoice.id === 604);
+  creditNote.information = 'Avoir';
+  creditNote.updated_at = '2026-07-01T09:00:00.000+01:00';
+
+  assert.notEqual((await call('sync_now', { scope: 'invoices' })).isError, true);
+  const row = await server.firms.default.database.get('SELECT notes, credited_invoice_id FROM invoices WHERE facturation_id = 604');
+  assert.deepEqual({ ...row }, { notes: 'Avoir', credited_invoice_id: 602 });
+});
@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let database;
+let api;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_PAYMENTS_MODE: 'bulk', SYNC_PAYMENTS_YEARS: '100' });
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+  ({ database } = server.firms.default);
+  api = createApiStub(apiDataset());
+  server.firms.default.syncService.apiClient = api;
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = async (name, args) => (await server.handleRequest({
+  jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+})).result.structuredContent;
+
+const calledIds = () => api.calls.filter(([method]) => method === 'getInvoiceIds').length;
+
+test('le rapprochement n\'a lieu qu\'une fois par délai configuré', async () => {
+  await call('sync_now', { scope: 'full' });
+  assert.equal(calledIds(), 1);
+  assert.ok((await database.getSyncMetadata('invoices')).last_reconciled_at);
+
+  await call('sync_now', { scope: 'full' });
+  assert.equal(calledIds(), 1);
+});
+
+test('une facture supprimée en amont est marquée supprimée et exclue des outils', async () => {
+  api.data.invoices = api.data.invoices.filter(invoice => invoice.id !== 602);
+
+  const report = await call('sync_now', { scope: 'reconcile' });
+  assert.deepEqual(report.entities.invoices.deleted_items, ['F-2026-002']);
+
+  const row = await database.get('SELECT deleted_at FROM invoices WHERE facturation_id = 602');
+  assert.ok(row.deleted_at, 'suppression logique : la ligne est conservée');
+
+  assert.deepEqual((await call('search_invoices', { query: 'F-2026' })).invoices.map(invoice => invoice.invoice_number).sort(), ['F-2026-001', 'F-2026-003']);
+  const withDeleted = await call('search_invoices', { query: 'F-2026', include_deleted: true });
+  assert.equal(withDeleted.invoices.length, 3);
+  assert.equal((await call('calculate_revenue', { year: 2026 })).revenue.total_invoiced_ttc, 3300);
+  assert.equal(await server.readResource('facturation://invoice/F-2026-002'), null);
+});
+
+test('une liste vide renvoyée par l\'API ne supprime rien', async () => {
+  const invoices = api.data.invoices;
+  api.data.invoices = [];
+  const report = await call('sync_now', { scope: 'reconcile' });
+  assert.equal(report.entities.invoices?.deleted, undefined);
+  assert.equal(await database.countDocuments('invoices'), 2);
+  api.data.invoices = invoices;
+});
+
+test('une facture réapparue est restaurée', async () => {
+  api.data.invoices.push(apiDataset().invoices.find(invoice => invoice.id === 602));
+
+  const report = await call('sync_now', { scope: 'reconcile' });
+  assert.deepEqual(report.entities.invoices.restored_items, ['F-2026-002']);
+  assert.equal(await database.countDocuments('invoices'), 3);
+
+  // Relue par la synchronisation, une facture supprimée redevient active sans attendre le rapprochement
+  await database.markDocumentsDeleted('invoices', [602]);
+  await call('sync_now', { scope: 'invoice', id: 602 });
+  assert.equal(await database.countDocuments('invoices'), 3);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let data;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_PAYMENTS_MODE: 'none' });
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+
+  data = apiDataset();
+  // Avoir partiel sur la facture de mars : déduit du chiffre d'affaires des marges
+  data.invoices.push({
+    id: 604, customer_id: 102, invoice_number: 'F-2026-004', total: '-500', total_with_vat: '-600',
+    information: 'Remise sur F-2026-002', balance: '0.0', paid_on: null, items: [],
+    created_at: '2026-03-20T09:00:00.000+01:00', updated_at: '2026-03-20T09:00:00.000+01:00'
+  });
+  server.firms.default.syncService.apiClient = createApiStub(data);
+  assert.notEqual((await call('sync_now', { scope: 'full' })).isError, true);
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = async (name, args = {}) => (await server.handleRequest({
+  jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+})).result;
+
+test('analyze_expenses ventile les achats par catégorie, mois et fournisseur', async () => {
+  const report = (await call('analyze_expenses', { year: 2026 })).structuredContent;
+  assert.deepEqual(report.totals, { purchase_count: 3, total_ht: 960, total_ttc: 1152, total_vat: 192 });
+  assert.deepEqual(
+    report.by_category.map(category => [category.category_name, category.total_ht, category.share]),
+    [['Développement', 800, 83.3], ['Hébergement', 160, 16.7]]
+  );
+  assert.deepEqual(report.by_month.map(month => [month.month, month.total_ht]), [['2026-01', 100], ['2026-02', 800], ['2026-06', 60]]);
+  assert.deepEqual(report.top_suppliers.map(supplier => [supplier.supplier_name, supplier.purchase_count]), [['Léa Bernard', 1], ['Nuage Hébergement', 2]]);
+
+  const hosting = (await call('analyze_expenses', { year: 2026, category_id: 2 })).structuredContent;
+  assert.equal(hosting.totals.total_ht, 160);
+  const february = (await call('analyze_expenses', { start_date: '2026-02-01', end_date: '2026-02-28', supplier_id: 801 })).structuredContent;
+  assert.equal(february.totals.purchase_count, 0);
+});
+
+test('gross_margin déduit avoirs et achats du chiffre d\'affaires, mois par mois', async () => {
+  const report = (await call('gross_margin', { year: 2026 })).structuredContent;
+  assert.deepEqual(report.totals, {
+    invoiced_ht: 4990, credited_ht: 500, net_revenue_ht: 4490, expenses_ht: 960, gross_margin_ht: 3530, margin_rate: 78.6
+  });
+  const month = (key) => report.monthly.find(item => item.month === key);
+  // Mois sans chiffre d'affaires : marge négative, taux non défini
+  assert.equal(month('2026-01').gross_margin_ht, -100);
+  assert.equal(month('2026-01').margin_rate, null);
+  assert.equal(month('2026-03').net_revenue_ht, 1500);
+  assert.equal(month('2026-06').gross_margin_ht, 180);
+});
+
+test('customer_margin rapproche facturé net et achats affectés à chaque client', async () => {
+  const report = (await call('customer_margin', { year: 2026 })).structuredContent;
+  assert.deepEqual(
+    report.customers.map(customer => [customer.customer_name, customer.net_revenue_ht, customer.expenses_ht, customer.gross_margin_ht]),
+    [['Boulangerie Martin', 2750, 800, 1950], ['Studio Horizon', 1500, 0, 1500], ['Sophie Durand', 240, 60, 180]]
+  );
+  assert.equal(report.unassigned_expenses_ht, 100);
+
+  const single = (await call('customer_margin', { year: 2026, customer_id: 103 })).structuredContent;
+  assert.deepEqual(single.customers.map(customer => customer.customer_id), [103]);
+});
+
+test('un achat ou un fournisseur modifié en amont garde son id local', async () => {
+  const { database } = server.firms.default;
+  const localIds = () => database.all(`
+    SELECT 'purchase' AS kind, id FROM purchases WHERE facturation_id = 902
+    UNION ALL SELECT 'supplier', id FROM suppliers WHERE facturation_id = 802
+  `);
+  const before = await localIds();
+
+  const purchase = data.purchases.find(item => item.id === 902);
+  purchase.total = '900';
+  purchase.updated_at = '2026-07-01T09:00:00.000+01:00';
+  const supplier = data.suppliers.find(item => item.id === 802);
+  supplier.email = 'lea@bernard.example';
+  supplier.updated_at = '2026-07-01T09:00:00.000+01:00';
+  for (const scope of ['purchases', 'suppliers']) {
+    assert.notEqual((await call('sync_now', { scope })).isError, true);
+  }
+
+  assert.deepEqual(await localIds(), before);
+  assert.equal((await database.get('SELECT total_ht FROM purchases WHERE facturation_id = 902')).total_ht, 900);
+  assert.equal((await database.get('SELECT email FROM suppliers WHERE facturation_id = 802')).email, 'lea@bernard.example');
+});
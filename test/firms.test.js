@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { setupTestEnv, seedDatabase } from './helpers.js';
+
+let env;
+let server;
+
+before(async () => {
+  env = await setupTestEnv((dir) => ({
+    FACTURATION_FIRMS: 'holding,studio',
+    FACTURATION_DEFAULT_FIRM: 'studio',
+    FACTURATION_HOLDING_FIRM_ID: '1',
+    FACTURATION_HOLDING_NAME: 'Holding SAS',
+    FACTURATION_HOLDING_DB_PATH: join(dir, 'holding.db'),
+    FACTURATION_STUDIO_FIRM_ID: '2',
+    FACTURATION_STUDIO_NAME: 'Studio SARL',
+    FACTURATION_STUDIO_DB_PATH: join(dir, 'studio.db')
+  }));
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+
+  await seedDatabase(server.firms.get('holding').database);
+  // Studio : une seule facture de 1 000 € HT réglée en mars
+  const studio = server.firms.get('studio').database;
+  await studio.upsertCustomer({ id: 201, name: 'Agence Nord' });
+  await studio.upsertInvoice({
+    id: 801, customer_id: 201, invoice_number: 'S-2026-001', invoice_date: '2026-03-05',
+    status: 1, paid_on: '2026-03-20', payment_date: '2026-03-20', balance: 0,
+    total_ht: 1000, total_ttc: 1200, vat_amount: 200
+  });
+  await studio.insertPayment({
+    invoice_id: await studio.getInvoiceLocalIdByFacturationId(801),
+    payment_date: '2026-03-20', amount_ht: 1000, amount_ttc: 1200, amount_vat: 200, payment_mode: 2, source: 'api'
+  });
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = (name, args) => server.handleRequest({
+  jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+});
+
+test('l\'argument firm choisit la base interrogée, la société par défaut sinon', async () => {
+  const studio = (await call('calculate_revenue', { year: 2026 })).result.structuredContent;
+  assert.equal(studio.revenue.total_invoiced_ttc, 1200);
+
+  const holding = (await call('calculate_revenue', { year: 2026, firm: 'holding' })).result.structuredContent;
+  assert.equal(holding.revenue.total_invoiced_ttc, 5700);
+
+  const unknown = await call('calculate_revenue', { year: 2026, firm: 'inconnue' });
+  assert.equal(unknown.error.code, -32602);
+});
+
+test('la variante consolidée détaille chaque société et additionne les totaux', async () => {
+  const { result } = await call('calculate_revenue_consolidated', { year: 2026 });
+  const { firms, consolidated } = result.structuredContent;
+
+  assert.deepEqual(firms.map(firm => [firm.firm, firm.name, firm.data.revenue.total_invoiced_ttc]), [
+    ['holding', 'Holding SAS', 5700],
+    ['studio', 'Studio SARL', 1200]
+  ]);
+  // Période conservée, montants additionnés, moyenne pondérée par le nombre de factures
+  assert.equal(consolidated.year, 2026);
+  assert.equal(consolidated.revenue.total_invoices, 3);
+  assert.equal(consolidated.revenue.total_invoiced_ttc, 6900);
+  assert.equal(consolidated.revenue.avg_invoice_amount, 2300);
+  const march = consolidated.revenue.monthly_breakdown.find(month => month.month === 3);
+  assert.deepEqual([march.month_name, march.total_invoices, march.total_invoiced_ttc], ['Mars', 2, 3600]);
+
+  const restricted = (await call('calculate_revenue_consolidated', { year: 2026, firms: ['studio'] })).result.structuredContent;
+  assert.deepEqual(restricted.firms.map(firm => firm.firm), ['studio']);
+  assert.equal(restricted.consolidated.revenue.total_invoiced_ttc, 1200);
+});
+
+test('les ressources de chaque société portent leur société dans l\'URI', async () => {
+  const { resources } = await server.listResources();
+  const invoices = resources.filter(resource => resource.uri.startsWith('facturation://invoice/')).map(resource => resource.uri);
+  assert.ok(invoices.includes('facturation://invoice/F-2026-001?firm=holding'));
+  assert.ok(invoices.includes('facturation://invoice/S-2026-001?firm=studio'));
+
+  // Sans ?firm, l'URI désigne la société par défaut
+  assert.ok(await server.readResource('facturation://invoice/S-2026-001'));
+  assert.equal(await server.readResource('facturation://invoice/F-2026-001'), null);
+  assert.ok(await server.readResource('facturation://invoice/F-2026-001?firm=holding'));
+});
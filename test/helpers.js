@@ -0,0 +1,338 @@
+import { createServer } from 'net';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Prépare l'environnement d'un fichier de test : dossier temporaire et base SQLite dédiée.
+ * La configuration est lue à l'import des modules : les variables d'environnement sont posées avant le premier
+ * import du projet, d'où un seul appel par fichier (node --test lance chaque fichier dans son propre processus).
+ * Les variables sont fixées explicitement pour qu'un fichier .env local ne change pas le résultat des tests
+ * (les répertoires de plugins et de PDF pointent dans le dossier temporaire, vides tant que le test n'y écrit rien).
+ * @param {Object|Function} [env] - Variables d'environnement propres au fichier de test, ou fonction (dir) => variables
+ *   pour celles qui désignent des fichiers du dossier temporaire
+ * @returns {Promise<Object>} { dir, cleanup }
+ */
+export async function setupTestEnv(env = {}) {
+  const dir = await mkdtemp(join(tmpdir(), 'facturation-mcp-test-'));
+
+  Object.assign(process.env, {
+    FACTURATION_API_ID: 'demo',
+    FACTURATION_API_KEY: 'demo',
+    FACTURATION_FIRM_ID: '1',
+    FACTURATION_FIRMS: '',
+    FACTURATION_DEFAULT_FIRM: '',
+    FACTURATION_API_MODE: '',
+    DB_PATH: join(dir, 'facturation.db'),
+    PDF_DIR: join(dir, 'pdf'),
+    SYNC_PDFS: '',
+    MCP_TOOLS_ENABLED: '',
+    MCP_TOOLS_DISABLED: '',
+    MCP_TOOLS_FILE: '',
+    PROMOTED_FIELDS_FILE: '',
+    MCP_PLUGINS_DIR: join(dir, 'plugins'),
+    LOG_LEVEL: 'error',
+    LOG_MODULES: '',
+    LOG_FILE: '',
+    MCP_LOG_LEVEL: 'info',
+    ...(typeof env === 'function' ? env(dir) : env)
+  });
+
+  const cleanup = () => rm(dir, { recursive: true, force: true });
+
+  return { dir, cleanup };
+}
+
+/**
+ * Jeu de données minimal écrit directement en base : trois clients, deux produits, trois devis,
+ * trois factures 2026 avec leurs lignes et deux règlements
+ * @param {Database} database - Base connectée et initialisée
+ */
+export async function seedDatabase(database) {
+  const customers = [
+    { id: 101, name: 'Boulangerie Martin', email: 'contact@boulangerie-martin.example', city: 'Lyon' },
+    { id: 102, name: 'Studio Horizon', email: 'karim@studio-horizon.example', city: 'Marseille' },
+    { id: 103, name: 'Sophie Durand', city: 'Nantes' }
+  ];
+  for (const customer of customers) await database.upsertCustomer(customer);
+
+  await database.upsertProduct({ id: 301, name: 'Journée de développement', price: 550, vat_rate: 20, unit: 'jour' });
+  await database.upsertProduct({ id: 302, name: 'Hébergement annuel', price: 240, vat_rate: 20, unit: 'an' });
+
+  // [id, client, numéro, date, statut, HT, notes, lignes [produit, libellé, quantité, prix unitaire]]
+  const quotes = [
+    [501, 101, 'D-2026-001', '2026-01-10', 1, 2750, 'Site vitrine', [[301, 'Journée de développement', 5, 550]]],
+    [502, 102, 'D-2026-002', '2026-02-01', 1, 4990, 'Refonte application', [[301, 'Journée de développement', 8, 550], [null, 'Hébergement et maintenance', 1, 590]]],
+    [503, 103, 'D-2026-003', '2026-05-15', 0, 240, 'Hébergement', [[302, 'Hébergement annuel', 1, 240]]]
+  ];
+  for (const [id, customerId, number, date, status, totalHt, notes, lines] of quotes) {
+    await database.upsertQuote({
+      id, customer_id: customerId, quote_number: number, quote_date: date, quote_status: status, notes,
+      total_ht: totalHt, total_ttc: totalHt * 1.2, vat_amount: totalHt * 0.2
+    });
+    await insertLines(database, 'quote_lines', 'quote_id', id, lines);
+  }
+
+  // [id, client, numéro, date, payée le, HT, notes, lignes]
+  const invoices = [
+    [601, 101, 'F-2026-001', '2026-02-01', '2026-02-20', 2750, 'Site vitrine', [[301, 'Journée de développement', 5, 550]]],
+    [602, 102, 'F-2026-002', '2026-03-01', '2026-03-15', 2000, 'Acompte refonte application', [[null, 'Acompte', 1, 2000]]],
+    [603, 103, 'F-2026-003', '2026-06-01', null, 240, 'Hébergement', [[302, 'Hébergement annuel', 1, 240]]]
+  ];
+  for (const [id, customerId, number, date, paidOn, totalHt, notes, lines] of invoices) {
+    const totalTtc = totalHt * 1.2;
+    await database.upsertInvoice({
+      id, customer_id: customerId, invoice_number: number, invoice_date: date, notes,
+      status: paidOn ? 1 : 0, paid_on: paidOn, payment_date: paidOn, balance: paidOn ? 0 : totalTtc,
+      total_ht: totalHt, total_ttc: totalTtc, vat_amount: totalTtc - totalHt
+    });
+    await insertLines(database, 'invoice_lines', 'invoice_id', id, lines);
+
+    if (paidOn) {
+      await database.insertPayment({
+        invoice_id: await database.getInvoiceLocalIdByFacturationId(id),
+        payment_date: paidOn,
+        amount_ht: totalHt,
+        amount_ttc: totalTtc,
+        amount_vat: totalTtc - totalHt,
+        payment_mode: 2,
+        source: 'api'
+      });
+    }
+  }
+}
+
+async function insertLines(database, table, column, documentId, lines) {
+  for (const [index, [productId, description, quantity, unitPrice]] of lines.entries()) {
+    await database.run(
+      `INSERT INTO ${table} (${column}, product_id, description, quantity, unit_price, vat_rate, total_ht, total_ttc, line_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [documentId, productId, description, quantity, unitPrice, 0.2, quantity * unitPrice, quantity * unitPrice * 1.2, index + 1]
+    );
+  }
+}
+
+/**
+ * Données au format de l'API Facturation.PRO (mêmes documents que seedDatabase)
+ * ainsi que deux fournisseurs et trois achats, dont deux affectés à un client
+ * @returns {Object} { categories, customers, suppliers, products, quotes, invoices, purchases, settlements }, modifiable par le test
+ */
+export function apiDataset() {
+  const item = (productId, title, quantity, unitPrice) => ({
+    product_id: productId, title, quantity: String(quantity), unit_price: String(unitPrice), vat: '0.2', position: 1
+  });
+  const document = (id, customerId, createdAt, total, information, items) => ({
+    id, customer_id: customerId, total: String(total), total_with_vat: String(total * 1.2), information, items,
+    created_at: `${createdAt}T09:00:00.000+01:00`, updated_at: `${createdAt}T09:00:00.000+01:00`
+  });
+  const purchase = (id, supplierId, categoryId, customerId, title, invoicedOn, total) => ({
+    id, supplier_id: supplierId, category_id: categoryId, customer_id: customerId, ref: `A-${id}`, title,
+    invoiced_on: invoicedOn, paid_on: invoicedOn, total: String(total), vat: String(total * 0.2),
+    created_at: `${invoicedOn}T09:00:00.000+01:00`, updated_at: `${invoicedOn}T09:00:00.000+01:00`
+  });
+
+  return {
+    categories: [{ id: 1, name: 'Développement', status: 0 }, { id: 2, name: 'Hébergement', status: 2 }],
+    customers: [
+      { id: 101, company_name: 'Boulangerie Martin', email: 'contact@boulangerie-martin.example', city: 'Lyon' },
+      { id: 102, company_name: 'Studio Horizon', email: 'karim@studio-horizon.example', city: 'Marseille' },
+      { id: 103, first_name: 'Sophie', last_name: 'Durand', city: 'Nantes' }
+    ],
+    suppliers: [
+      { id: 801, company_name: 'Nuage Hébergement', email: 'factures@nuage.example', city: 'Roubaix' },
+      { id: 802, first_name: 'Léa', last_name: 'Bernard', city: 'Lyon' }
+    ],
+    products: [
+      { id: 301, name: 'Journée de développement', price: '550.0', vat_rate: '20.0', unit: 'jour' },
+      { id: 302, name: 'Hébergement annuel', price: '240.0', vat_rate: '20.0', unit: 'an' }
+    ],
+    quotes: [
+      { ...document(501, 101, '2026-01-10', 2750, 'Site vitrine', [item(301, 'Journée de développement', 5, 550)]), quote_number: 'D-2026-001', quote_status: 1 },
+      { ...document(502, 102, '2026-02-01', 4990, 'Refonte application', [item(301, 'Journée de développement', 8, 550), item(null, 'Hébergement et maintenance', 1, 590)]), quote_number: 'D-2026-002', quote_status: 1 },
+      { ...document(503, 103, '2026-05-15', 240, 'Hébergement', [item(302, 'Hébergement annuel', 1, 240)]), quote_number: 'D-2026-003', quote_status: 0 }
+    ],
+    invoices: [
+      { ...document(601, 101, '2026-02-01', 2750, 'Site vitrine', [item(301, 'Journée de développement', 5, 550)]), invoice_number: 'F-2026-001', balance: '0.0', paid_on: '2026-02-20' },
+      { ...document(602, 102, '2026-03-01', 2000, 'Acompte refonte application', [item(null, 'Acompte', 1, 2000)]), invoice_number: 'F-2026-002', balance: '0.0', paid_on: '2026-03-15' },
+      { ...document(603, 103, '2026-06-01', 240, 'Hébergement', [item(302, 'Hébergement annuel', 1, 240)]), invoice_number: 'F-2026-003', balance: '288.0', paid_on: null }
+    ],
+    // Achats : catégorie, fournisseur et, pour les deux derniers, client refacturé
+    purchases: [
+      purchase(901, 801, 2, null, 'Serveurs mutualisés', '2026-01-15', 100),
+      purchase(902, 802, 1, 101, 'Maquettes site vitrine', '2026-02-10', 800),
+      purchase(903, 801, 2, 103, 'Nom de domaine client', '2026-06-05', 60)
+    ],
+    settlements: [
+      { id: 701, invoice_id: 601, payment_date: '2026-02-20', amount: '3300.0', payment_mode: 2 },
+      { id: 702, invoice_id: 602, payment_date: '2026-03-15', amount: '2400.0', payment_mode: 2 }
+    ]
+  };
+}
+
+/**
+ * Client API en mémoire, aux méthodes de FacturationApiClient, servant les listes de `data` (voir apiDataset).
+ * Les appels sont journalisés dans `calls` ([méthode, argument]).
+ * Les PDF sont de petits fichiers PDF portant le numéro du document.
+ * Les listes paginées sont découpées en pages de `pageSize` documents (modifiable par le test).
+ * @param {Object} data - Données au format de l'API
+ * @returns {Object} Client à passer à SyncService
+ */
+export function createApiStub(data) {
+  const stub = {
+    data,
+    calls: [],
+    pageSize: 100,
+    withSignal: () => stub
+  };
+  const log = (method, handler) => async (arg, pageOptions) => {
+    stub.calls.push([method, arg]);
+    return handler(arg, pageOptions);
+  };
+  // Comme getPaginated : avec onPage, chaque page est transmise dès sa lecture et rien n'est renvoyé
+  const paginate = async (items, { startPage = 1, onPage = null } = {}) => {
+    if (!onPage) return items;
+    const totalPages = Math.max(Math.ceil(items.length / stub.pageSize), 1);
+    for (let page = startPage; page <= totalPages; page++) {
+      await onPage(items.slice((page - 1) * stub.pageSize, page * stub.pageSize), { page, totalPages });
+    }
+    return [];
+  };
+  // Comme getFile : contenu binaire, erreur si le document est inconnu
+  const pdf = (document, number) => {
+    if (!document) throw new Error('Document introuvable');
+    return Buffer.from(`%PDF-1.4\n% ${number}\n%%EOF\n`);
+  };
+  const thirtyDaysAgo = () => new Date(Date.now() - 30 * 86400000).toISOString().split('T')[0];
+  const since = (documents, filters = {}) => documents.filter(document =>
+    (!filters.created_at_from || document.created_at.split('T')[0] >= filters.created_at_from) &&
+    (!filters.updated_at_from || (document.updated_at || '').split('T')[0] >= filters.updated_at_from)
+  );
+
+  Object.assign(stub, {
+    testConnection: log('testConnection', () => true),
+    getCategories: log('getCategories', () => data.categories),
+    getCustomers: log('getCustomers', (filters, pageOptions) => paginate(since(data.customers, filters), pageOptions)),
+    getSuppliers: log('getSuppliers', (filters, pageOptions) => paginate(since(data.suppliers, filters), pageOptions)),
+    getProducts: log('getProducts', (filters, pageOptions) => paginate(since(data.products, filters), pageOptions)),
+    getQuotes: log('getQuotes', (filters, pageOptions) => paginate(since(data.quotes, filters), pageOptions)),
+    getQuoteIds: log('getQuoteIds', () => data.quotes.map(quote => quote.id)),
+    getQuote: log('getQuote', (id) => data.quotes.find(quote => quote.id === id) || null),
+    getQuotePdf: log('getQuotePdf', (id) => {
+      const quote = data.quotes.find(item => item.id === id);
+      return pdf(quote, quote?.quote_number);
+    }),
+    getInvoices: log('getInvoices', (filters, pageOptions) => paginate(since(data.invoices, filters), pageOptions)),
+    getInvoiceIds: log('getInvoiceIds', () => data.invoices.map(invoice => invoice.id)),
+    getInvoice: log('getInvoice', (id) => data.invoices.find(invoice => invoice.id === id) || null),
+    getInvoicePdf: log('getInvoicePdf', (id) => {
+      const invoice = data.invoices.find(item => item.id === id);
+      return pdf(invoice, invoice?.invoice_number);
+    }),
+    getPurchases: log('getPurchases', (filters, pageOptions) => paginate(since(data.purchases, filters), pageOptions)),
+    getRecentQuotes: log('getRecentQuotes', () => since(data.quotes, { created_at_from: thirtyDaysAgo() })),
+    getRecentInvoices: log('getRecentInvoices', () => since(data.invoices, { created_at_from: thirtyDaysAgo() })),
+    getInvoiceSettlements: log('getInvoiceSettlements', (id) => data.settlements.filter(settlement => settlement.invoice_id === id)),
+    findSettlements: log('findSettlements', (filters = {}) => data.settlements.filter(settlement =>
+      (!filters.payment_date_from || settlement.payment_date >= filters.payment_date_from) &&
+      (!filters.payment_date_to || settlement.payment_date <= filters.payment_date_to)
+    ))
+  });
+  return stub;
+}
+
+/**
+ * Port TCP libre sur 127.0.0.1
+ */
+async function freePort() {
+  const server = createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Variante de setupTestEnv pour les tests de bout en bout : l'API Facturation.PRO simulée est démarrée
+ * et config.facturation.baseUrl pointe sur elle (un seul appel par fichier, comme setupTestEnv).
+ * @param {Object} [options] - { perPage } : éléments par page des listes de l'API simulée
+ * @returns {Promise<Object>} { server, dir, url, loadDataset, createFirm, cleanup }
+ */
+export async function setupFakeApi({ perPage = 30 } = {}) {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}/`;
+
+  const env = await setupTestEnv({
+    FACTURATION_BASE_URL: url,
+    // Les échecs provoqués par les tests ne doivent pas encombrer la sortie
+    LOG_LEVEL: 'emergency',
+    SYNC_SCHEDULE: 'false',
+    SYNC_PAYMENTS_MODE: 'bulk',
+    // Le jeu de données est daté : tout l'historique des règlements doit rester dans la fenêtre lue
+    SYNC_PAYMENTS_YEARS: '100'
+  });
+  const { dir } = env;
+
+  const { FakeFacturationServer, DEFAULT_DATASET } = await import('../src/api/fake/FakeFacturationServer.js');
+  const { SyncService } = await import('../src/sync/SyncService.js');
+  const { default: Database } = await import('../src/database/index.js');
+
+  /**
+   * Copie modifiable du jeu de données fourni
+   */
+  const loadDataset = async () => JSON.parse(await readFile(DEFAULT_DATASET, 'utf8'));
+
+  const server = new FakeFacturationServer({ dataset: await loadDataset(), perPage });
+  await server.start(port);
+
+  /**
+   * Société de test avec sa propre base SQLite (connectée) dans le dossier temporaire
+   * @param {string} [key='default'] - Clé de la société, sert aussi de nom de fichier
+   * @returns {Promise<Object>} Société au format de FirmRegistry ({ key, name, ..., database, syncService })
+   */
+  const createFirm = async (key = 'default') => {
+    const firm = {
+      key,
+      name: `Société ${key}`,
+      apiId: 'demo',
+      apiKey: 'demo',
+      firmId: '1',
+      dbPath: join(dir, `${key}.db`),
+      pdfDir: join(dir, `pdf-${key}`)
+    };
+    const database = new Database(firm.dbPath);
+    await database.connect();
+    await database.initialize();
+    const syncService = new SyncService({ database, firm });
+    // L'API simulée n'impose pas la limite de requêtes de l'API réelle
+    syncService.apiClient.maxRequestsPerMinute = Infinity;
+    return { ...firm, database, syncService };
+  };
+
+  const cleanup = async () => {
+    await server.stop();
+    await env.cleanup();
+  };
+
+  return { server, dir, url, loadDataset, createFirm, cleanup };
+}
+
+/**
+ * Intercepte les requêtes reçues par l'API simulée : journal des chemins demandés, et réponse d'erreur
+ * injectée pour les requêtes désignées par fail(req) (qui renvoie le statut HTTP, ou false pour laisser passer)
+ * @param {FakeFacturationServer} server
+ * @returns {{ requests: Array<string>, fail: Function|null }}
+ */
+export function interceptRequests(server) {
+  const handle = server.handle.bind(server);
+  const interceptor = { requests: [], fail: null };
+  server.handle = (req, res) => {
+    interceptor.requests.push(req.url);
+    const status = interceptor.fail?.(req);
+    if (status) return server.sendJson(res, status, { error: 'Erreur simulée' });
+    return handle(req, res);
+  };
+  return interceptor;
+}
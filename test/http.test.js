@@ -0,0 +1,214 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers.js';
+
+const TOKEN = 'secret';
+
+let env;
+let transport;
+let baseUrl;
+// Signaux reçus par l'outil bloquant, dans l'ordre des appels
+const blockingCalls = [];
+
+before(async () => {
+  env = await setupTestEnv();
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  const { HttpTransport } = await import('../src/mcp/transports/HttpTransport.js');
+  const { BaseTool } = await import('../src/mcp/tools/BaseTool.js');
+
+  // Outil qui ne rend la main qu'à son annulation
+  class BlockingTool extends BaseTool {
+    constructor() {
+      super('blocking', 'Attend son annulation', {});
+    }
+
+    async execute(args, database, context) {
+      blockingCalls.push(context.signal);
+      await new Promise(resolve => context.signal.addEventListener('abort', resolve, { once: true }));
+      this.throwIfCancelled(context);
+    }
+  }
+
+  const mcpServer = new FunctionalFacturationMCPServer();
+  mcpServer.tools.set('blocking', new BlockingTool());
+  transport = new HttpTransport(mcpServer, {
+    host: '127.0.0.1',
+    port: 0,
+    path: '/mcp',
+    ssePath: '/sse',
+    messagesPath: '/messages',
+    token: TOKEN,
+    allowedOrigins: [],
+    sessionTtlMinutes: 60
+  });
+  await transport.start();
+  baseUrl = `http://127.0.0.1:${transport.httpServer.address().port}`;
+});
+
+after(async () => {
+  await transport?.stop();
+  await env.cleanup();
+});
+
+const post = (path, body, headers = {}) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+    Authorization: `Bearer ${TOKEN}`,
+    ...headers
+  },
+  body: JSON.stringify(body)
+});
+
+const initialize = async () => {
+  const response = await post('/mcp', {
+    jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {} }
+  });
+  assert.equal(response.status, 200);
+  const { result } = await response.json();
+  assert.equal(result.protocolVersion, '2025-03-26');
+  return response.headers.get('mcp-session-id');
+};
+
+/**
+ * Attend l'appel numéro index de l'outil bloquant et renvoie son signal
+ */
+async function waitForBlockingCall(index) {
+  while (blockingCalls.length <= index) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return blockingCalls[index];
+}
+
+const waitForAbort = (signal) => new Promise(resolve => {
+  if (signal.aborted) return resolve();
+  signal.addEventListener('abort', resolve, { once: true });
+});
+
+/**
+ * Lit les événements SSE d'un flux jusqu'à ce que predicate(événement) soit vrai
+ */
+async function readSseUntil(reader, predicate) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) throw new Error('Flux SSE fermé');
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      if (event && predicate({ event, data })) return { event, data };
+    }
+  }
+}
+
+test('initialize ouvre une session exigée par les requêtes suivantes', async () => {
+  const sessionId = await initialize();
+  assert.ok(sessionId);
+
+  const listed = await post('/mcp', { jsonrpc: '2.0', id: 2, method: 'prompts/list' }, { 'Mcp-Session-Id': sessionId });
+  assert.equal(listed.status, 200);
+  assert.ok((await listed.json()).result.prompts.length > 0);
+
+  const notification = await post('/mcp', { jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+  assert.equal(notification.status, 202);
+
+  assert.equal((await post('/mcp', { jsonrpc: '2.0', id: 3, method: 'prompts/list' })).status, 400);
+  assert.equal((await post('/mcp', { jsonrpc: '2.0', id: 3, method: 'prompts/list' }, { 'Mcp-Session-Id': 'inconnue' })).status, 404);
+
+  const closed = await fetch(`${baseUrl}/mcp`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Mcp-Session-Id': sessionId }
+  });
+  assert.equal(closed.status, 204);
+  assert.equal((await post('/mcp', { jsonrpc: '2.0', id: 4, method: 'prompts/list' }, { 'Mcp-Session-Id': sessionId })).status, 404);
+});
+
+test('les origines non locales et les jetons invalides sont refusés', async () => {
+  const foreign = await post('/mcp', { jsonrpc: '2.0', id: 1, method: 'initialize' }, { Origin: 'https://attaquant.example' });
+  assert.equal(foreign.status, 403);
+
+  const local = await post('/mcp', { jsonrpc: '2.0', id: 1, method: 'initialize' }, { Origin: 'http://localhost:5173' });
+  assert.equal(local.status, 200);
+
+  for (const authorization of [undefined, 'Bearer autre']) {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+    if (authorization) headers.Authorization = authorization;
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize' })
+    });
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  }
+});
+
+test('le repli HTTP+SSE renvoie les réponses sur le flux de la session', async () => {
+  const controller = new AbortController();
+  const stream = await fetch(`${baseUrl}/sse`, {
+    headers: { Accept: 'text/event-stream', Authorization: `Bearer ${TOKEN}` },
+    signal: controller.signal
+  });
+  assert.equal(stream.status, 200);
+  const reader = stream.body.getReader();
+
+  try {
+    const endpoint = await readSseUntil(reader, ({ event }) => event === 'endpoint');
+    assert.match(endpoint.data, /^\/messages\?sessionId=/);
+
+    const accepted = await post(endpoint.data, { jsonrpc: '2.0', id: 7, method: 'prompts/list' });
+    assert.equal(accepted.status, 202);
+
+    const message = await readSseUntil(reader, ({ event }) => event === 'message');
+    const response = JSON.parse(message.data);
+    assert.equal(response.id, 7);
+    assert.ok(response.result.prompts.length > 0);
+  } finally {
+    controller.abort();
+  }
+});
+
+test('la déconnexion du client annule l\'outil en cours', async () => {
+  const sessionId = await initialize();
+  const controller = new AbortController();
+  const pending = fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      Authorization: `Bearer ${TOKEN}`,
+      'Mcp-Session-Id': sessionId
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 9, method: 'tools/call', params: { name: 'blocking', arguments: {} } }),
+    signal: controller.signal
+  });
+
+  const signal = await waitForBlockingCall(0);
+  controller.abort();
+  await assert.rejects(pending);
+  await waitForAbort(signal);
+  assert.equal(signal.reason, 'Client déconnecté');
+});
+
+test('la fermeture du flux SSE annule les outils de la session', async () => {
+  const controller = new AbortController();
+  const stream = await fetch(`${baseUrl}/sse`, {
+    headers: { Accept: 'text/event-stream', Authorization: `Bearer ${TOKEN}` },
+    signal: controller.signal
+  });
+  const endpoint = await readSseUntil(stream.body.getReader(), ({ event }) => event === 'endpoint');
+
+  const accepted = await post(endpoint.data, { jsonrpc: '2.0', id: 10, method: 'tools/call', params: { name: 'blocking', arguments: {} } });
+  assert.equal(accepted.status, 202);
+
+  const signal = await waitForBlockingCall(1);
+  controller.abort();
+  await waitForAbort(signal);
+  assert.equal(signal.reason, 'Session fermée');
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let database;
+let api;
+let syncService;
+
+before(async () => {
+  env = await setupTestEnv({
+    SYNC_PAYMENTS_MODE: 'bulk',
+    SYNC_PAYMENTS_YEARS: '100'
+  });
+  const { default: Database } = await import('../src/database/index.js');
+  const { SyncService } = await import('../src/sync/SyncService.js');
+  database = new Database();
+  await database.connect();
+  await database.initialize();
+  api = createApiStub(apiDataset());
+  syncService = new SyncService({ database, apiClient: api });
+});
+
+after(async () => {
+  await database?.close();
+  await env.cleanup();
+});
+
+const invoiceFilters = () => api.calls.filter(([method]) => method === 'getInvoices').map(([, filters]) => filters);
+
+test('seule la première synchronisation relit tout, les suivantes partent du high-water mark', async () => {
+  await syncService.syncAll(false);
+  await syncService.syncAll(false);
+  await syncService.syncAll(false, { full: true });
+
+  assert.deepEqual(invoiceFilters(), [{}, { updated_at_from: '2026-06-01' }, {}]);
+  assert.equal((await database.getSyncMetadata('invoices')).high_water_mark, '2026-06-01T09:00:00.000+01:00');
+  assert.equal((await database.get('SELECT COUNT(*) AS c FROM invoices')).c, 3);
+});
+
+test('une facture modifiée garde son id local et ses règlements', async () => {
+  const before = await database.get('SELECT id FROM invoices WHERE facturation_id = 601');
+  assert.equal((await database.getPaymentsForInvoice(before.id)).length, 1);
+
+  // Modifiée après la fenêtre de relecture des règlements : seuls la facture et ses lignes sont relues
+  Object.assign(api.data.invoices.find(invoice => invoice.id === 601), {
+    information: 'Site vitrine et maintenance',
+    updated_at: '2026-09-01T10:00:00.000+02:00'
+  });
+  api.calls.length = 0;
+  await syncService.syncAll(false);
+  assert.deepEqual(invoiceFilters(), [{ updated_at_from: '2026-06-01' }]);
+
+  const after = await database.get('SELECT id, notes FROM invoices WHERE facturation_id = 601');
+  assert.deepEqual(after, { id: before.id, notes: 'Site vitrine et maintenance' });
+  assert.equal((await database.getPaymentsForInvoice(after.id)).length, 1);
+  const orphans = await database.get('SELECT COUNT(*) AS c FROM payments WHERE invoice_id NOT IN (SELECT id FROM invoices)');
+  assert.equal(orphans.c, 0);
+});
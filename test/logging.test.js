@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { setupTestEnv } from './helpers.js';
+
+let env;
+let server;
+let LogManager;
+let logging;
+let getLogger;
+
+before(async () => {
+  env = await setupTestEnv();
+  ({ LogManager, logging, getLogger } = await import('../src/logging/index.js'));
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+/**
+ * Capture les lignes écrites sur stderr pendant fn()
+ */
+function captureStderr(fn) {
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  try {
+    fn();
+  } finally {
+    process.stderr.write = write;
+  }
+  return lines;
+}
+
+test('la sortie locale respecte le niveau global et les surcharges par module', () => {
+  const manager = new LogManager({ level: 'error', modules: { sync: 'info' } });
+
+  const lines = captureStderr(() => {
+    manager.getLogger('api').info('ignoré');
+    manager.getLogger('api').error('\u001b[31mÉchec\u001b[0m', new Error('délai dépassé'));
+    manager.getLogger('sync').info('Synchronisation', { invoices: 3 });
+    manager.getLogger('sync').debug('ignoré');
+  });
+
+  assert.deepEqual(lines, [
+    '[API ERROR] Échec délai dépassé\n',
+    '[SYNC INFO] Synchronisation {"invoices":3}\n'
+  ]);
+  assert.throws(() => manager.setModuleLevel('api', 'verbeux'), /Niveau de log invalide/);
+});
+
+test('les logs sont aussi écrits dans le fichier configuré', async () => {
+  const file = join(env.dir, 'logs', 'mcp.log');
+  const manager = new LogManager({ level: 'warning', file });
+  captureStderr(() => manager.getLogger('db').warning('Base verrouillée'));
+  await new Promise(resolve => manager.fileStream.end(resolve));
+
+  assert.match(await readFile(file, 'utf8'), /^\d{4}-\d{2}-\d{2}T[^ ]+ \[DB WARNING\] Base verrouillée\n$/);
+});
+
+test('un client reçoit les notifications/message après son initialisation, au niveau qu\'il a choisi', async () => {
+  const received = [];
+  logging.addClient('session-log', (message) => received.push(message));
+  const context = { sessionId: 'session-log', sendNotification: () => {} };
+  const logger = getLogger('test');
+
+  captureStderr(() => logger.warning('avant initialisation'));
+  assert.deepEqual(received, []);
+
+  await server.handleRequest({ jsonrpc: '2.0', method: 'notifications/initialized' }, context);
+  const response = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'logging/setLevel', params: { level: 'warning' } }, context);
+  assert.deepEqual(response.result, {});
+
+  captureStderr(() => {
+    logger.info('trop détaillé');
+    logger.warning('Quota API bientôt atteint');
+  });
+  assert.deepEqual(received, [{
+    jsonrpc: '2.0',
+    method: 'notifications/message',
+    params: { level: 'warning', logger: 'test', data: 'Quota API bientôt atteint' }
+  }]);
+
+  const invalid = await server.handleRequest({ jsonrpc: '2.0', id: 2, method: 'logging/setLevel', params: { level: 'bavard' } }, context);
+  assert.equal(invalid.error.code, -32602);
+  logging.removeClient('session-log');
+});
@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, readFile } from 'fs/promises';
+import { basename } from 'path';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let api;
+let data;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_PAYMENTS_MODE: 'none' });
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+
+  data = apiDataset();
+  api = createApiStub(data);
+  server.firms.default.syncService.apiClient = api;
+  assert.notEqual((await call('sync_now', { scope: 'full' })).isError, true);
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = async (name, args = {}) => (await server.handleRequest({
+  jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+})).result;
+
+const downloads = () => api.calls.filter(([method]) => method === 'getInvoicePdf' || method === 'getQuotePdf');
+const exists = (path) => access(path).then(() => true, () => false);
+const cachedPdfs = async () => (await server.firms.default.database.all(
+  'SELECT document_type, facturation_id, file_path FROM document_pdfs ORDER BY document_type, facturation_id'
+)).map(row => `${row.document_type}:${basename(row.file_path)}`);
+
+test('get_document_pdf télécharge une fois puis sert le cache', async () => {
+  const first = (await call('get_document_pdf', { document_type: 'invoice', number: 'F-2026-001' })).structuredContent;
+  assert.equal(first.downloaded, true);
+  assert.equal(basename(first.file_path), 'F-2026-001-601.pdf');
+  assert.match(await readFile(first.file_path, 'latin1'), /^%PDF-.*\n% F-2026-001/);
+
+  const cached = await call('get_document_pdf', { document_type: 'invoice', number: 'F-2026-001', embed: true });
+  assert.equal(cached.structuredContent.downloaded, false);
+  assert.equal(cached.structuredContent.embedded, true);
+  assert.equal(cached.content.at(-1).resource.mimeType, 'application/pdf');
+  assert.equal(downloads().length, 1);
+
+  const refreshed = (await call('get_document_pdf', { document_type: 'invoice', number: 'F-2026-001', refresh: true })).structuredContent;
+  assert.equal(refreshed.downloaded, true);
+
+  const missing = await call('get_document_pdf', { document_type: 'quote', number: 'D-2099-001' });
+  assert.equal(missing.isError, true);
+  assert.match(missing.content[0].text, /Devis introuvable/);
+});
+
+test('get_document_pdf est annoncé comme écrivant dans le cache', async () => {
+  const { tools } = (await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' })).result;
+  const { annotations } = tools.find(tool => tool.name === 'get_document_pdf');
+  assert.equal(annotations.readOnlyHint, false);
+  assert.equal(annotations.destructiveHint, false);
+});
+
+test('la synchronisation ne télécharge que les PDF absents ou périmés', async () => {
+  const { syncService } = server.firms.default;
+  api.calls.length = 0;
+  await syncService.syncAll(false, { pdfs: true });
+  // F-2026-001 est déjà en cache
+  assert.equal(downloads().length, 5);
+  assert.deepEqual(await cachedPdfs(), [
+    'invoice:F-2026-001-601.pdf', 'invoice:F-2026-002-602.pdf', 'invoice:F-2026-003-603.pdf',
+    'quote:D-2026-001-501.pdf', 'quote:D-2026-002-502.pdf', 'quote:D-2026-003-503.pdf'
+  ]);
+
+  api.calls.length = 0;
+  await syncService.syncAll(false, { pdfs: true });
+  assert.equal(downloads().length, 0);
+
+  // Facture modifiée et renumérotée : nouveau PDF, l'ancien fichier est supprimé
+  const { file_path: previousPath } = await syncService.database.getDocumentPdf('invoice', 602);
+  Object.assign(data.invoices[1], { invoice_number: 'F-2026-002B', updated_at: '2026-07-01T09:00:00.000+01:00' });
+  await syncService.syncAll(false, { pdfs: true });
+  assert.deepEqual(downloads().map(([method, id]) => [method, id]), [['getInvoicePdf', 602]]);
+  assert.ok((await cachedPdfs()).includes('invoice:F-2026-002B-602.pdf'));
+  assert.equal(await exists(previousPath), false);
+});
+
+test('un PDF obtenu pendant une synchronisation reste en cache après publication et retour arrière', async () => {
+  const { syncService, database } = server.firms.default;
+  await database.run('DELETE FROM document_pdfs');
+  const getQuotes = api.getQuotes;
+  // L'outil est appelé pendant que la synchronisation écrit dans sa copie de staging
+  api.getQuotes = async (filters, pageOptions) => {
+    assert.equal((await call('get_document_pdf', { document_type: 'quote', number: 'D-2026-002' })).structuredContent.downloaded, true);
+    return getQuotes(filters, pageOptions);
+  };
+  try {
+    assert.notEqual((await call('sync_now', { scope: 'full', full: true })).isError, true);
+  } finally {
+    api.getQuotes = getQuotes;
+  }
+  assert.deepEqual(await cachedPdfs(), ['quote:D-2026-002-502.pdf']);
+
+  // Le fichier est toujours sur le disque : le retour arrière ne l'oublie pas
+  await syncService.restorePreviousSnapshot();
+  assert.deepEqual(await cachedPdfs(), ['quote:D-2026-002-502.pdf']);
+});
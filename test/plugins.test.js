@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { setupTestEnv, seedDatabase } from './helpers.js';
+
+const BASE_TOOL_URL = pathToFileURL(join(import.meta.dirname, '..', 'src', 'mcp', 'tools', 'BaseTool.js')).href;
+
+/**
+ * Source d'un plugin exportant un outil nommé name
+ */
+const pluginSource = (className, name, body = 'return this.formatResult({ plugin: true });') => `
+import { BaseTool } from '${BASE_TOOL_URL}';
+
+export class ${className} extends BaseTool {
+  constructor({ database }) {
+    super('${name}', 'Outil de test', {}, null, { category: 'plugins' });
+    this.injected = database;
+  }
+
+  async execute(args, database) {
+    ${body}
+  }
+}
+`;
+
+let env;
+let server;
+
+before(async () => {
+  env = await setupTestEnv({ MCP_TOOLS_DISABLED: 'plugin_masque' });
+  const pluginsDir = join(env.dir, 'plugins');
+
+  await mkdir(join(pluginsDir, 'dossier'), { recursive: true });
+  await writeFile(join(pluginsDir, 'compteur.mjs'), pluginSource(
+    'CompteurTool', 'compteur_factures',
+    'const { c } = await database.get(\'SELECT COUNT(*) AS c FROM invoices\'); return this.formatResult({ count: c });'
+  ));
+  await writeFile(join(pluginsDir, 'dossier', 'index.js'), pluginSource('DossierTool', 'plugin_dossier'));
+  await writeFile(join(pluginsDir, 'masque.js'), pluginSource('MasqueTool', 'plugin_masque'));
+  // Même nom qu'un outil fourni : ignoré
+  await writeFile(join(pluginsDir, 'doublon.js'), pluginSource('DoublonTool', 'search_invoices'));
+  await writeFile(join(pluginsDir, 'casse.js'), 'export const x = ;');
+  await writeFile(join(pluginsDir, 'vide.js'), 'export const version = 1;');
+  await writeFile(join(pluginsDir, '_brouillon.js'), pluginSource('BrouillonTool', 'plugin_brouillon'));
+
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+  await seedDatabase(server.firms.default.database);
+  await server.loadPlugins();
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+test('les plugins valides sont chargés, les autres ignorés sans bloquer le serveur', async () => {
+  const { result } = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  const names = result.tools.map(tool => tool.name);
+
+  assert.ok(names.includes('compteur_factures'));
+  assert.ok(names.includes('plugin_dossier'));
+  assert.ok(!names.includes('plugin_brouillon'));
+  // La liste d'autorisation s'applique aussi aux plugins
+  assert.ok(!names.includes('plugin_masque'));
+  // L'outil fourni n'est pas remplacé par le plugin homonyme
+  assert.notEqual(server.tools.get('search_invoices').constructor.name, 'DoublonTool');
+});
+
+test('un outil de plugin reçoit la base et s\'exécute comme les outils fournis', async () => {
+  assert.equal(server.tools.get('compteur_factures').injected, server.firms.default.database);
+
+  const response = await server.handleRequest({
+    jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'compteur_factures', arguments: {} }
+  });
+  // Sans outputSchema, le résultat n'est fourni qu'en texte
+  assert.equal(response.result.structuredContent, undefined);
+  assert.deepEqual(JSON.parse(response.result.content[0].text).data, { count: 3 });
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let database;
+let FieldPromotions;
+
+before(async () => {
+  env = await setupTestEnv(dir => ({ SYNC_PAYMENTS_MODE: 'none', PROMOTED_FIELDS_FILE: join(dir, 'promoted.json') }));
+  await writeFile(join(env.dir, 'promoted.json'), JSON.stringify({
+    columns: { customers: { siret: '$.siret' } },
+    views: { customer_terms: { table: 'customers', fields: { payment_terms: '$.term', contact: '$.contacts[0].email' } } }
+  }));
+  ({ FieldPromotions } = await import('../src/database/FieldPromotions.js'));
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+  database = server.firms.default.database;
+
+  const data = apiDataset();
+  Object.assign(data.customers[0], { siret: '12345678900011', term: 30, contacts: [{ email: 'paul@boulangerie-martin.example' }] });
+  data.invoices[0].currency = 'EUR';
+  server.firms.default.syncService.apiClient = createApiStub(data);
+  const synced = await server.handleRequest({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'sync_now', arguments: { scope: 'full' } }
+  });
+  assert.notEqual(synced.result.isError, true);
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+test('la réponse de l\'API est conservée et exposée décodée par les ressources', async () => {
+  const row = await database.get('SELECT raw_json FROM invoices WHERE facturation_id = 601');
+  assert.equal(JSON.parse(row.raw_json).currency, 'EUR');
+
+  const resource = await server.readResource('facturation://customer/101');
+  const customer = JSON.parse(resource.contents[0].text);
+  assert.equal(customer.raw.siret, '12345678900011');
+  assert.equal(customer.raw_json, undefined);
+});
+
+test('les champs du fichier PROMOTED_FIELDS_FILE deviennent colonnes et vues', async () => {
+  const customers = await database.all('SELECT facturation_id, siret FROM customers ORDER BY facturation_id');
+  assert.deepEqual(customers.map(row => [row.facturation_id, row.siret]), [[101, '12345678900011'], [102, null], [103, null]]);
+
+  const terms = await database.get('SELECT name, payment_terms, contact FROM customer_terms WHERE facturation_id = 101');
+  assert.deepEqual({ ...terms }, { name: 'Boulangerie Martin', payment_terms: 30, contact: 'paul@boulangerie-martin.example' });
+
+  // Réappliquée au démarrage suivant : la colonne déjà promue est conservée
+  await database.applyFieldPromotions();
+  assert.equal((await database.get('SELECT siret FROM customers WHERE facturation_id = 101')).siret, '12345678900011');
+});
+
+test('un champ promu après coup est rempli sans resynchronisation', async () => {
+  await database.applyFieldPromotions(new FieldPromotions({ columns: { invoices: { currency: '$.currency' } } }));
+  assert.equal((await database.get('SELECT currency FROM invoices WHERE facturation_id = 601')).currency, 'EUR');
+});
+
+test('les définitions invalides sont refusées', async () => {
+  assert.throws(() => new FieldPromotions({ columns: { customers: { siret: 'siret' } } }), /chemin JSON invalide/);
+  assert.throws(() => new FieldPromotions({ columns: { customers: { 'siret; DROP': '$.siret' } } }), /nom de colonne invalide/);
+  assert.throws(() => new FieldPromotions({ views: { conditions: { fields: {} } } }), /"table" manquant/);
+
+  await assert.rejects(
+    database.applyFieldPromotions(new FieldPromotions({ columns: { customers: { email: '$.email' } } })),
+    /existe déjà et n'est pas un champ promu/
+  );
+  await assert.rejects(
+    database.applyFieldPromotions(new FieldPromotions({ columns: { payments: { mode: '$.mode' } } })),
+    /n'est pas une table synchronisée/
+  );
+  await assert.rejects(
+    database.applyFieldPromotions(new FieldPromotions({ views: { invoices: { table: 'customers', fields: {} } } })),
+    /déjà pris par un objet de type table/
+  );
+});
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile } from 'fs/promises';
+import { join } from 'path';
+import { setupTestEnv } from './helpers.js';
+
+let env;
+let PromptRegistry;
+let server;
+
+before(async () => {
+  env = await setupTestEnv({ MCP_PROMPTS_FILE: '' });
+  ({ PromptRegistry } = await import('../src/mcp/prompts/PromptRegistry.js'));
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+const request = (method, params) => server.handleRequest({ jsonrpc: '2.0', id: 1, method, params });
+
+test('prompts/list publie les prompts fournis avec leurs arguments', async () => {
+  const { result } = await request('prompts/list');
+  const closing = result.prompts.find(prompt => prompt.name === 'cloture_mensuelle');
+  assert.deepEqual(closing.arguments, [
+    { name: 'month', description: 'Mois à clôturer au format YYYY-MM (ex: 2025-03)', required: true }
+  ]);
+  assert.equal(closing.messages, undefined);
+});
+
+test('prompts/get substitue les arguments et les valeurs par défaut', async () => {
+  const { result } = await request('prompts/get', { name: 'cloture_mensuelle', arguments: { month: '2026-03' } });
+  const text = result.messages[0].content.text;
+  assert.match(text, /start_date=2026-03-01/);
+  assert.doesNotMatch(text, /\{\{month\}\}/);
+
+  const reminder = await request('prompts/get', { name: 'relance_impayes' });
+  const today = new Date().toISOString().split('T')[0];
+  assert.match(reminder.result.messages[0].content.text, new RegExp(today));
+});
+
+test('un argument requis manquant ou un prompt inconnu renvoie -32602', async () => {
+  const missing = await request('prompts/get', { name: 'cloture_mensuelle', arguments: {} });
+  assert.equal(missing.error.code, -32602);
+  assert.match(missing.error.message, /month/);
+
+  const unknown = await request('prompts/get', { name: 'inconnu' });
+  assert.equal(unknown.error.code, -32602);
+});
+
+test('un fichier de prompts personnalisé remplace les prompts fournis', async () => {
+  const file = join(env.dir, 'prompts.json');
+  await writeFile(file, JSON.stringify({
+    prompts: [{
+      name: 'bilan_client',
+      arguments: [{ name: 'customer', required: true }],
+      messages: [{ text: 'Bilan de {{customer}} au {{inconnu}}' }]
+    }]
+  }));
+
+  const registry = new PromptRegistry(file);
+  assert.deepEqual(registry.list().map(prompt => prompt.name), ['bilan_client']);
+  const { messages } = registry.get('bilan_client', { customer: 'Atelier Dupont' });
+  // Les placeholders inconnus sont laissés tels quels, le rôle par défaut est "user"
+  assert.deepEqual(messages, [{ role: 'user', content: { type: 'text', text: 'Bilan de Atelier Dupont au {{inconnu}}' } }]);
+
+  await writeFile(file, JSON.stringify({ prompts: [{ name: 'sans_message' }] }));
+  assert.throws(() => new PromptRegistry(file), /"name" et "messages" sont requis/);
+});
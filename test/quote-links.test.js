@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let data;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_PAYMENTS_MODE: 'none', SYNC_QUOTE_LINK_DAYS: '90' });
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+
+  data = apiDataset();
+  const [, refonte] = data.quotes;
+  refonte.accepted_on = '2026-02-05';
+  // F-2026-001 reprend les lignes de D-2026-001, F-2026-002 cite D-2026-002, F-2026-003 vient de l'API
+  data.invoices[1].information = 'Acompte devis D-2026-002';
+  data.invoices[2].quote_id = 503;
+  data.invoices.push({
+    // Solde de D-2026-002 : reste à facturer, 55 jours après l'acceptation
+    id: 604, customer_id: 102, invoice_number: 'F-2026-004', total: '2990', total_with_vat: '3588',
+    information: 'Solde', balance: '3588.0', paid_on: null,
+    items: [{ product_id: null, title: 'Solde refonte', quantity: '1', unit_price: '2990', vat: '0.2', position: 1 }],
+    created_at: '2026-04-01T09:00:00.000+01:00', updated_at: '2026-04-01T09:00:00.000+01:00'
+  });
+  data.quotes.push({
+    // Accepté, pas encore facturé
+    id: 504, customer_id: 101, quote_number: 'D-2026-004', quote_status: 1, accepted_on: '2026-05-25',
+    total: '1100', total_with_vat: '1320', information: 'Évolutions',
+    items: [{ product_id: 301, title: 'Journée de développement', quantity: '2', unit_price: '550', vat: '0.2', position: 1 }],
+    created_at: '2026-05-20T09:00:00.000+01:00', updated_at: '2026-05-20T09:00:00.000+01:00'
+  });
+  server.firms.default.syncService.apiClient = createApiStub(data);
+  assert.notEqual((await call('sync_now', { scope: 'full' })).isError, true);
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = async (name, args = {}) => (await server.handleRequest({
+  jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+})).result;
+
+const links = async () => (await server.firms.default.database.all(
+  'SELECT facturation_id, quote_id, quote_link FROM invoices ORDER BY facturation_id'
+)).map(row => [row.facturation_id, row.quote_id, row.quote_link]);
+
+test('les factures sont rattachées à leur devis : API, numéro cité, lignes ou reste à facturer', async () => {
+  assert.deepEqual(await links(), [
+    [601, 501, 'matched'],
+    [602, 502, 'matched'],
+    [603, 503, 'api'],
+    [604, 502, 'matched']
+  ]);
+
+  const quotes = (await call('search_quotes', { query: 'D-2026-002' })).structuredContent.quotes;
+  assert.equal(quotes[0].accepted_on, '2026-02-05');
+  assert.deepEqual(quotes[0].invoices.map(invoice => invoice.invoice_number), ['F-2026-002', 'F-2026-004']);
+  const invoices = (await call('search_invoices', { query: 'F-2026-003' })).structuredContent.invoices;
+  assert.deepEqual([invoices[0].quote_number, invoices[0].quote_link], ['D-2026-003', 'api']);
+});
+
+test('quote_conversion mesure la conversion, les délais et le reste à facturer', async () => {
+  const report = (await call('quote_conversion', { year: 2026 })).structuredContent;
+  assert.deepEqual(report.quotes, {
+    total: 4, accepted: 3, refused: 0, pending: 1, invoiced: 3, quoted_ht: 9080, invoiced_ht: 7980
+  });
+  assert.equal(report.acceptance_rate, 75);
+  assert.equal(report.conversion_rate, 75);
+  // Délais jusqu'à la première facture : 24 jours (date d'acceptation de l'API), 22 et 17 jours estimés depuis la date du devis
+  assert.deepEqual(report.delay_days, { count: 3, average: 21, median: 22, min: 17, max: 24, estimated: 2 });
+  assert.equal(report.backlog.count, 1);
+  assert.equal(report.backlog.total_ht, 1100);
+  assert.deepEqual(report.backlog.quotes.map(quote => [quote.quote_number, quote.accepted_on]), [['D-2026-004', '2026-05-25']]);
+  assert.deepEqual(report.link_sources, { api: 1, matched: 3 });
+});
+
+test('les liens et dates d\'acceptation survivent aux synchronisations suivantes', async () => {
+  const updatedAt = '2026-07-01T09:00:00.000+01:00';
+  const invoice = data.invoices.find(item => item.id === 601);
+  invoice.balance = '0.0';
+  invoice.updated_at = updatedAt;
+  // D-2026-003, en attente, est accepté : l'API ne fournit pas la date
+  const quote = data.quotes.find(item => item.id === 503);
+  quote.quote_status = 1;
+  quote.updated_at = updatedAt;
+  // D-2026-002 relu sans date d'acceptation : celle déjà connue est conservée
+  const known = data.quotes.find(item => item.id === 502);
+  delete known.accepted_on;
+  known.updated_at = updatedAt;
+  for (const scope of ['quotes', 'invoices']) {
+    assert.notEqual((await call('sync_now', { scope })).isError, true);
+  }
+
+  assert.deepEqual((await links())[0], [601, 501, 'matched']);
+  const acceptance = await server.firms.default.database.all(
+    'SELECT facturation_id, accepted_on FROM quotes WHERE facturation_id IN (502, 503) ORDER BY facturation_id'
+  );
+  const today = new Date().toISOString().split('T')[0];
+  assert.deepEqual(acceptance.map(row => [row.facturation_id, row.accepted_on]), [[502, '2026-02-05'], [503, today]]);
+});
@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { setupFakeApi, interceptRequests } from './helpers.js';
+
+let env;
+let api;
+let ApiRecorder;
+
+before(async () => {
+  env = await setupFakeApi({ perPage: 2 });
+  api = interceptRequests(env.server);
+  ({ ApiRecorder } = await import('../src/api/ApiRecorder.js'));
+});
+
+after(() => env.cleanup());
+
+/**
+ * Société dont le client API enregistre ou rejoue les échanges dans le dossier de fixtures
+ */
+const firmWithRecorder = async (key, mode) => {
+  const firm = await env.createFirm(key);
+  new ApiRecorder({ mode, dir: join(env.dir, 'fixtures'), firm }).install(firm.syncService.apiClient.client);
+  return firm;
+};
+
+const snapshot = (database) => database.all(`
+  SELECT invoice_number, total_ht, balance, quote_id FROM invoices ORDER BY facturation_id
+`);
+
+test('une synchronisation enregistrée se rejoue sans appeler l\'API', async () => {
+  const recorded = await firmWithRecorder('record', 'record');
+  await recorded.syncService.syncAll(false, { full: true });
+  assert.ok(api.requests.length > 0);
+
+  api.requests = [];
+  const replayed = await firmWithRecorder('replay', 'replay');
+  await replayed.syncService.syncAll(false, { full: true });
+
+  assert.deepEqual(api.requests, []);
+  assert.deepEqual(await snapshot(replayed.database), await snapshot(recorded.database));
+  assert.equal(
+    (await replayed.database.get('SELECT COUNT(*) as n FROM payments')).n,
+    (await recorded.database.get('SELECT COUNT(*) as n FROM payments')).n
+  );
+
+  // Une synchronisation incrémentale demande d'autres pages (updated_at_from) : pas de fixture approchée
+  await assert.rejects(replayed.syncService.syncAll(false), /Aucune fixture/);
+  assert.deepEqual(api.requests, []);
+
+  await recorded.database.close();
+  await replayed.database.close();
+});
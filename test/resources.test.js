@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv } from './helpers.js';
+
+let env;
+let server;
+
+before(async () => {
+  env = await setupTestEnv({ MCP_RESOURCES_PAGE_SIZE: '2' });
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  const database = server.firms.default.database;
+  await database.connect();
+  await database.initialize();
+
+  await database.upsertCustomer({ id: 101, name: 'Atelier Dupont', city: 'Nantes', email: 'contact@dupont.test' });
+  await database.upsertCustomer({ id: 102, name: 'Boulangerie Martin' });
+  await database.upsertQuote({ id: 501, customer_id: 101, quote_number: 'D-2026-001', quote_date: '2026-01-10', total_ht: 2750, total_ttc: 3300, vat_amount: 550 });
+  for (const [id, number, date] of [[601, 'F-2026-001', '2026-02-01'], [602, 'F-2026-002', '2026-03-01'], [603, 'F/2026/003', '2026-04-01']]) {
+    await database.upsertInvoice({ id, customer_id: 101, invoice_number: number, invoice_date: date, total_ht: 100, total_ttc: 120, vat_amount: 20 });
+  }
+  await database.run(
+    'INSERT INTO invoice_lines (invoice_id, description, quantity, unit_price, vat_rate, total_ht, total_ttc, line_order) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [601, 'Journée de développement', 1, 100, 20, 100, 120, 1]
+  );
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const request = (method, params) => server.handleRequest({ jsonrpc: '2.0', id: 1, method, params });
+
+test('resources/list parcourt tous les types page par page avec le curseur', async () => {
+  const uris = [];
+  let cursor;
+  let pages = 0;
+  do {
+    const { result } = await request('resources/list', cursor ? { cursor } : {});
+    assert.ok(result.resources.length <= 2);
+    uris.push(...result.resources.map(resource => resource.uri));
+    cursor = result.nextCursor;
+    pages++;
+  } while (cursor);
+
+  assert.equal(pages, 3);
+  assert.deepEqual(uris, [
+    'facturation://invoice/F%2F2026%2F003',
+    'facturation://invoice/F-2026-002',
+    'facturation://invoice/F-2026-001',
+    'facturation://quote/D-2026-001',
+    'facturation://customer/101',
+    'facturation://customer/102'
+  ]);
+});
+
+test('un curseur invalide est refusé', async () => {
+  const response = await request('resources/list', { cursor: 'pas-un-curseur' });
+  assert.equal(response.error.code, -32602);
+});
+
+test('une page vide passe au type suivant même si count() annonce davantage', async () => {
+  const resources = server.resources;
+  // Documents supprimés entre count() et list() : le décompte reste supérieur au décalage
+  server.resources = [{ list: async () => [], count: async () => 5 }, resources[2]];
+  try {
+    const { result } = await request('resources/list');
+    assert.deepEqual(result.resources.map(resource => resource.uri), ['facturation://customer/101', 'facturation://customer/102']);
+    assert.equal(result.nextCursor, undefined);
+  } finally {
+    server.resources = resources;
+  }
+});
+
+test('resources/read renvoie le document avec son client et ses lignes', async () => {
+  const { result } = await request('resources/read', { uri: 'facturation://invoice/F-2026-001' });
+  assert.equal(result.contents[0].mimeType, 'application/json');
+  const invoice = JSON.parse(result.contents[0].text);
+  assert.equal(invoice.customer.name, 'Atelier Dupont');
+  assert.deepEqual(invoice.lines.map(line => line.description), ['Journée de développement']);
+
+  const escaped = await request('resources/read', { uri: 'facturation://invoice/F%2F2026%2F003' });
+  assert.equal(JSON.parse(escaped.result.contents[0].text).invoice_number, 'F/2026/003');
+});
+
+test('une ressource inconnue renvoie une erreur -32002', async () => {
+  for (const uri of ['facturation://invoice/F-1999-999', 'facturation://customer/1a', 'facturation://autre/1']) {
+    const response = await request('resources/read', { uri });
+    assert.equal(response.error.code, -32002, uri);
+    assert.deepEqual(response.error.data, { uri });
+  }
+});
@@ -0,0 +1,114 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, readFile } from 'fs/promises';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let Database;
+let database;
+let api;
+let syncService;
+let stagingPath;
+// Pages de factures demandées à l'API (startPage de chaque appel)
+const startPages = [];
+let failOnPage = null;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_PAYMENTS_MODE: 'none' });
+  ({ default: Database } = await import('../src/database/index.js'));
+  const { SyncService, siblingDatabasePath } = await import('../src/sync/SyncService.js');
+  database = new Database();
+  await database.connect();
+  await database.initialize();
+  stagingPath = siblingDatabasePath(database.dbPath, 'staging');
+
+  api = createApiStub(apiDataset());
+  api.pageSize = 1;
+  const getInvoices = api.getInvoices;
+  // Coupure réseau simulée à la page failOnPage
+  api.getInvoices = (filters, { startPage = 1, onPage } = {}) => {
+    startPages.push(startPage);
+    return getInvoices(filters, {
+      startPage,
+      onPage: async (items, info) => {
+        if (info.page === failOnPage) throw new Error('Connexion interrompue');
+        await onPage(items, info);
+      }
+    });
+  };
+  syncService = new SyncService({ database, apiClient: api });
+});
+
+after(async () => {
+  await database?.close();
+  await env.cleanup();
+});
+
+beforeEach(() => {
+  startPages.length = 0;
+  failOnPage = null;
+});
+
+const exists = (path) => access(path).then(() => true, () => false);
+const count = async (db, table) => (await db.get(`SELECT COUNT(*) AS c FROM ${table}`)).c;
+
+/**
+ * Interrompt une synchronisation complète (toutes les factures relues) à la deuxième page de factures
+ */
+async function interruptedSync() {
+  failOnPage = 2;
+  await assert.rejects(syncService.syncAll(false, { full: true }), /Connexion interrompue/);
+  failOnPage = null;
+}
+
+test('une synchronisation interrompue conserve ses pages et reprend après la dernière enregistrée', async () => {
+  await interruptedSync();
+
+  // Rien n'est publié, mais la copie de travail garde la première page et son point de reprise
+  assert.equal(await count(database, 'invoices'), 0);
+  assert.deepEqual(JSON.parse(await readFile(`${stagingPath}.json`, 'utf8')).scope, 'full');
+  const staging = new Database(stagingPath);
+  await staging.connect();
+  try {
+    assert.equal(await count(staging, 'invoices'), 1);
+    assert.equal((await staging.getSyncMetadata('invoices')).last_page, 1);
+  } finally {
+    await staging.close();
+  }
+
+  startPages.length = 0;
+  await syncService.syncAll(false, { full: true });
+  assert.deepEqual(startPages, [2]);
+  assert.equal(await count(database, 'invoices'), 3);
+  assert.equal(await database.hasSyncCheckpoints(), false);
+  assert.equal(await exists(stagingPath), false);
+});
+
+test('--restart abandonne la synchronisation interrompue', async () => {
+  await interruptedSync();
+  startPages.length = 0;
+
+  await syncService.syncAll(false, { full: true, restart: true });
+  assert.deepEqual(startPages, [1]);
+  assert.equal(await exists(stagingPath), false);
+});
+
+test('une synchronisation d\'un autre périmètre ne reprend pas la copie interrompue', async () => {
+  await interruptedSync();
+  startPages.length = 0;
+
+  await syncService.syncScope({ scope: 'invoices', full: true });
+  assert.deepEqual(startPages, [1]);
+  assert.equal(await exists(stagingPath), false);
+  assert.equal(await exists(`${stagingPath}.json`), false);
+});
+
+test('les filtres modifiés invalident le point de reprise', async () => {
+  await interruptedSync();
+  startPages.length = 0;
+
+  // Reprise en mode incrémental : les pages de la lecture complète interrompue ne correspondent plus
+  await syncService.syncAll(false);
+  assert.deepEqual(startPages, [1]);
+  assert.equal(await exists(stagingPath), false);
+});
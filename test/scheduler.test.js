@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, seedDatabase } from './helpers.js';
+
+let env;
+let intervalToCron;
+let parseQuietHours;
+let SyncScheduler;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_INTERVAL: '60' });
+  ({ intervalToCron, parseQuietHours, SyncScheduler } = await import('../src/sync/SyncScheduler.js'));
+});
+
+after(async () => {
+  await env.cleanup();
+});
+
+/**
+ * Société de test dont la synchronisation est simulée
+ */
+const fakeFirm = (key, { isSyncing = false } = {}) => {
+  const calls = [];
+  return {
+    key,
+    name: key,
+    calls,
+    syncService: {
+      isSyncing,
+      syncScope: async ({ scope }) => {
+        calls.push(scope);
+        return { duration_ms: 1, entities: { invoices: { created: 1 } } };
+      }
+    }
+  };
+};
+
+const createScheduler = (firms, options = {}) => {
+  const scheduler = new SyncScheduler(firms, { jitter: 0, timezone: 'UTC', ...options });
+  // Sans start() : pas de tâche cron, tick() est appelé directement
+  scheduler.controller = new AbortController();
+  return scheduler;
+};
+
+test('SYNC_INTERVAL est converti en expression cron', () => {
+  assert.equal(intervalToCron(15), '*/15 * * * *');
+  assert.equal(intervalToCron(60), '0 */1 * * *');
+  assert.equal(intervalToCron(180), '0 */3 * * *');
+  assert.equal(intervalToCron(1440), '0 0 * * *');
+  // Non exprimable : arrondi à l'heure
+  assert.equal(intervalToCron(45), '0 */1 * * *');
+  assert.equal(intervalToCron(100), '0 */2 * * *');
+});
+
+test('les heures creuses peuvent passer minuit', () => {
+  assert.deepEqual(parseQuietHours('22-7'), { start: 22, end: 7 });
+  assert.equal(parseQuietHours(''), null);
+  assert.throws(() => parseQuietHours('22h-7h'), /SYNC_QUIET_HOURS invalide/);
+  assert.throws(() => parseQuietHours('25-7'), /SYNC_QUIET_HOURS invalide/);
+
+  const overnight = createScheduler([], { quietHours: '22-7' });
+  assert.equal(overnight.isQuietTime(new Date('2026-03-10T23:30:00Z')), true);
+  assert.equal(overnight.isQuietTime(new Date('2026-03-10T03:00:00Z')), true);
+  assert.equal(overnight.isQuietTime(new Date('2026-03-10T07:00:00Z')), false);
+  assert.equal(overnight.isQuietTime(new Date('2026-03-10T12:00:00Z')), false);
+
+  const daytime = createScheduler([], { quietHours: '12-14' });
+  assert.equal(daytime.isQuietTime(new Date('2026-03-10T13:59:00Z')), true);
+  assert.equal(daytime.isQuietTime(new Date('2026-03-10T14:00:00Z')), false);
+
+  assert.throws(() => createScheduler([], { cron: 'toutes les heures' }), /Expression cron invalide/);
+});
+
+test('chaque société est synchronisée, sauf celle déjà en cours de synchronisation', async () => {
+  const firms = [fakeFirm('holding'), fakeFirm('studio', { isSyncing: true })];
+  const scheduler = createScheduler(firms);
+
+  await scheduler.tick();
+  assert.deepEqual(firms.map(firm => firm.calls), [['full'], []]);
+  assert.ok(scheduler.lastRun);
+});
+
+test('aucune synchronisation pendant les heures creuses ni pendant la précédente', async () => {
+  const firm = fakeFirm('holding');
+  const quiet = createScheduler([firm], { quietHours: '0-24' });
+  await quiet.tick();
+  assert.deepEqual(firm.calls, []);
+
+  const busy = createScheduler([firm]);
+  busy.running = Promise.resolve();
+  await busy.tick();
+  assert.deepEqual(firm.calls, []);
+});
+
+test('l\'arrêt interrompt l\'attente aléatoire sans synchroniser', async () => {
+  const firm = fakeFirm('holding');
+  const scheduler = createScheduler([firm], { jitter: 3600 });
+
+  const pending = scheduler.tick();
+  await scheduler.stop();
+  await pending;
+  assert.deepEqual(firm.calls, []);
+  assert.equal(scheduler.lastRun, null);
+});
+
+test('les résultats d\'outils indiquent la date de dernière synchronisation', async () => {
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  const server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+  try {
+    const { database } = server.firms.default;
+    await seedDatabase(database);
+    const call = () => server.handleRequest({
+      jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'calculate_revenue', arguments: { year: 2026 } }
+    });
+
+    assert.deepEqual((await call()).result._meta, { last_sync: null });
+
+    await database.saveSyncMetadata('invoices', { totalRecords: 3 });
+    // Date mise en cache pendant une minute
+    assert.deepEqual((await call()).result._meta, { last_sync: null });
+    server.lastSyncCache.clear();
+    assert.match((await call()).result._meta.last_sync, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/);
+  } finally {
+    await server.firms.closeAll();
+  }
+});
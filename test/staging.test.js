@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, writeFile } from 'fs/promises';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let database;
+let api;
+let syncService;
+let siblingDatabasePath;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_PAYMENTS_MODE: 'bulk', SYNC_PAYMENTS_YEARS: '100' });
+  const { default: Database } = await import('../src/database/index.js');
+  let SyncService;
+  ({ SyncService, siblingDatabasePath } = await import('../src/sync/SyncService.js'));
+  database = new Database();
+  await database.connect();
+  await database.initialize();
+  api = createApiStub(apiDataset());
+  syncService = new SyncService({ database, apiClient: api });
+});
+
+after(async () => {
+  await database?.close();
+  await env.cleanup();
+});
+
+const exists = (path) => access(path).then(() => true, () => false);
+const count = async (table) => (await database.get(`SELECT COUNT(*) AS c FROM ${table}`)).c;
+
+test('une synchronisation réussie est publiée et l\'état précédent sauvegardé', async () => {
+  await syncService.syncAll(false);
+
+  assert.equal(await count('invoices'), 3);
+  assert.ok(await exists(siblingDatabasePath(database.dbPath, 'previous')));
+  assert.equal(await exists(siblingDatabasePath(database.dbPath, 'staging')), false);
+  assert.equal(await exists(`${database.dbPath}.lock`), false);
+});
+
+test('une erreur en cours de synchronisation laisse la base intacte', async () => {
+  api.data.customers.push({ id: 104, company_name: 'Nouveau client' });
+  const getInvoices = api.getInvoices;
+  api.getInvoices = async () => { throw new Error('Limite de l\'API atteinte'); };
+
+  try {
+    await assert.rejects(syncService.syncAll(false), /Limite de l'API atteinte/);
+  } finally {
+    api.getInvoices = getInvoices;
+  }
+  // Les clients synchronisés avant l'erreur ne sont pas publiés
+  assert.equal(await count('customers'), 3);
+  assert.equal(await exists(siblingDatabasePath(database.dbPath, 'staging')), false);
+  assert.equal(await exists(`${database.dbPath}.lock`), false);
+});
+
+test('une copie qui perd des lignes est rejetée', async () => {
+  await assert.rejects(
+    syncService.runStaged(() => syncService.database.run('DELETE FROM invoices WHERE facturation_id = 603'), { verbose: false }),
+    /invoices passe de 3 à 2 lignes/
+  );
+  assert.equal(await count('invoices'), 3);
+});
+
+test('le retour arrière restaure l\'état d\'avant la dernière synchronisation', async () => {
+  await syncService.syncAll(false);
+  assert.equal(await count('customers'), 4);
+
+  await syncService.restorePreviousSnapshot();
+  assert.equal(await count('customers'), 3);
+});
+
+test('le verrou d\'un processus actif bloque la synchronisation, celui d\'un processus arrêté est repris', async () => {
+  const lockPath = `${database.dbPath}.lock`;
+  await writeFile(lockPath, JSON.stringify({ pid: process.pid, scope: 'full', started_at: '2026-01-01T00:00:00.000Z' }));
+  await assert.rejects(syncService.syncAll(false), /Synchronisation déjà en cours \(full, processus/);
+
+  // PID hors de la plage des processus : verrou abandonné
+  await writeFile(lockPath, JSON.stringify({ pid: 2 ** 31 - 1, scope: 'full', started_at: '2026-01-01T00:00:00.000Z' }));
+  await syncService.syncAll(false);
+  assert.equal(await exists(lockPath), false);
+});
@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let database;
+let api;
+
+before(async () => {
+  env = await setupTestEnv({
+    SYNC_PAYMENTS_MODE: 'bulk',
+    // Le jeu de données est daté : tout l'historique des règlements doit rester dans la fenêtre lue
+    SYNC_PAYMENTS_YEARS: '100'
+  });
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+  ({ database } = server.firms.default);
+  api = createApiStub(apiDataset());
+  server.firms.default.syncService.apiClient = api;
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const notifications = [];
+const syncNow = async (args, meta) => {
+  const response = await server.handleRequest({
+    jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'sync_now', arguments: args, ...(meta ? { _meta: meta } : {}) }
+  }, { sessionId: 'test', sendNotification: (message) => notifications.push(message) });
+  return response.result;
+};
+
+test('une synchronisation complète rapporte les documents créés', async () => {
+  const result = await syncNow({ scope: 'full' });
+  assert.notEqual(result.isError, true, result.content[0].text);
+
+  const { entities } = result.structuredContent;
+  assert.deepEqual(entities.invoices.created_items, ['F-2026-001', 'F-2026-002', 'F-2026-003']);
+  assert.equal(entities.quotes.created, 3);
+  assert.equal(entities.customers.created, 3);
+  assert.equal((await database.get('SELECT COUNT(*) AS c FROM payments')).c, 2);
+
+  // Deuxième passage incrémental : seule la facture du jour du high-water mark est relue, inchangée
+  const again = (await syncNow({ scope: 'invoices' })).structuredContent;
+  assert.equal(again.entities.invoices.unchanged, 1);
+  assert.deepEqual(again.status_transitions, []);
+});
+
+test('une facture réglée depuis la dernière synchronisation est signalée', async () => {
+  const invoice = api.data.invoices.find(item => item.id === 603);
+  Object.assign(invoice, { balance: '0.0', paid_on: '2026-07-01' });
+  api.data.settlements.push({ id: 703, invoice_id: 603, payment_date: '2026-07-01', amount: '288.0', payment_mode: 2 });
+
+  notifications.length = 0;
+  const report = (await syncNow({ scope: 'invoice', id: 603 }, { progressToken: 'sync' })).structuredContent;
+  assert.equal(report.scope, 'invoice');
+  assert.deepEqual(report.status_transitions, [{ entity: 'invoices', key: 'F-2026-003', from: 0, to: 1 }]);
+  assert.deepEqual(report.newly_paid_invoices, ['F-2026-003']);
+  assert.deepEqual(report.entities.invoices.updated_items[0].changes.paid_on, { from: null, to: '2026-07-01' });
+  assert.deepEqual(report.entities.payments.created_items, ['F-2026-003 2026-07-01']);
+  assert.deepEqual(notifications.map(notification => notification.params.progress), [0, 1]);
+
+  const payments = await database.getPaymentsForInvoice(await database.getInvoiceLocalIdByFacturationId(603));
+  assert.deepEqual(payments.map(payment => [payment.payment_date, payment.amount_ttc]), [['2026-07-01', 288]]);
+});
+
+test('un document sans ID ou introuvable est une erreur d\'outil', async () => {
+  const withoutId = await syncNow({ scope: 'quote' });
+  assert.equal(withoutId.isError, true);
+  assert.equal(JSON.parse(withoutId.content[0].text).success, false);
+
+  const missing = await syncNow({ scope: 'invoice', id: 999 });
+  assert.equal(missing.isError, true);
+  assert.match(JSON.parse(missing.content[0].text).error, /introuvable/);
+  assert.equal(server.firms.default.syncService.isSyncing, false);
+});
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnv, apiDataset, createApiStub } from './helpers.js';
+
+let env;
+let server;
+let api;
+let failOnPage = null;
+
+before(async () => {
+  env = await setupTestEnv({ SYNC_PAYMENTS_MODE: 'none' });
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+
+  api = createApiStub(apiDataset());
+  api.pageSize = 1;
+  const getInvoices = api.getInvoices;
+  // Coupure réseau simulée à la page failOnPage des factures
+  api.getInvoices = (filters, { startPage, onPage } = {}) => getInvoices(filters, {
+    startPage,
+    onPage: async (items, info) => {
+      if (info.page === failOnPage) throw new Error('Connexion interrompue');
+      await onPage(items, info);
+    }
+  });
+  server.firms.default.syncService.apiClient = api;
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = async (name, args = {}) => (await server.handleRequest({
+  jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args }
+})).result;
+
+const status = async () => (await call('sync_status')).structuredContent;
+const entity = (report, table) => report.entities.find(item => item.table === table);
+
+test('sans synchronisation, les données sont signalées comme inconnues', async () => {
+  const report = await status();
+  assert.equal(report.last_sync, null);
+  assert.equal(report.stale, true);
+  assert.match(report.warning, /Aucune synchronisation enregistrée/);
+  assert.deepEqual(report.recent_runs, []);
+});
+
+test('une synchronisation réussie est datée, comptée et historisée', async () => {
+  assert.notEqual((await call('sync_now', { scope: 'full' })).isError, true);
+
+  const report = await status();
+  assert.equal(report.stale, false);
+  assert.equal(report.warning, null);
+  assert.equal(entity(report, 'invoices').total_records, 3);
+  assert.equal(entity(report, 'invoices').resume_pending, false);
+  assert.equal(report.row_counts.invoice_lines, 3);
+  assert.deepEqual([report.last_run.scope, report.last_run.origin, report.last_run.status], ['full', 'mcp', 'success']);
+  assert.equal(report.last_run.changes.invoices.created, 3);
+});
+
+test('une synchronisation annulée n\'est pas un échec', async () => {
+  const { syncService } = server.firms.default;
+  await assert.rejects(syncService.syncScope({ scope: 'full', signal: AbortSignal.abort() }), { name: 'AbortError' });
+
+  const report = await status();
+  assert.equal(report.last_run.status, 'cancelled');
+  assert.equal(report.last_run.error, null);
+  assert.equal(report.warning, null);
+});
+
+test('une synchronisation interrompue signale l\'échec et la reprise en attente', async () => {
+  failOnPage = 2;
+  const failed = await call('sync_now', { scope: 'full', full: true });
+  failOnPage = null;
+  assert.equal(failed.isError, true);
+
+  const report = await status();
+  assert.equal(report.last_run.status, 'error');
+  assert.match(report.warning, /a échoué : Connexion interrompue/);
+  assert.match(report.warning, /synchronisation \(full\) a été interrompue/);
+  // Clients lus jusqu'au bout, factures arrêtées après la première page
+  assert.equal(entity(report, 'customers').resume_pending, false);
+  assert.equal(entity(report, 'invoices').resume_pending, true);
+  // Rien n'est publié : les chiffres restent ceux de la synchronisation précédente
+  assert.equal(report.row_counts.invoices, 3);
+
+  // Reprise menée à son terme : plus rien en attente
+  assert.notEqual((await call('sync_now', { scope: 'full', full: true })).isError, true);
+  const resumed = await status();
+  assert.equal(resumed.warning, null);
+  assert.ok(resumed.entities.every(item => !item.resume_pending));
+});
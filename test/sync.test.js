@@ -0,0 +1,210 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, readdir, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { setupFakeApi, interceptRequests } from './helpers.js';
+
+let env;
+let api;
+
+before(async () => {
+  env = await setupFakeApi();
+  api = interceptRequests(env.server);
+});
+
+after(() => env.cleanup());
+
+beforeEach(async () => {
+  env.server.dataset = await env.loadDataset();
+  env.server.perPage = 30;
+  api.requests = [];
+  api.fail = null;
+});
+
+const count = async (database, table, where = '1 = 1') =>
+  (await database.get(`SELECT COUNT(*) as n FROM ${table} WHERE ${where}`)).n;
+
+const invoice = (id) => env.server.dataset.invoices.find(item => item.id === id);
+
+const exists = async (path) => access(path).then(() => true, () => false);
+
+test('synchronisation complète puis incrémentale', async () => {
+  const firm = await env.createFirm('incremental');
+  const first = await firm.syncService.syncAll(false, { full: true });
+
+  assert.equal(await count(firm.database, 'customers'), 4);
+  assert.equal(await count(firm.database, 'quotes'), 3);
+  assert.equal(await count(firm.database, 'invoices'), 4);
+  assert.equal(await count(firm.database, 'payments'), 2);
+  assert.equal(first.entities.invoices.created, 4);
+
+  // Facture modifiée en amont après la synchronisation
+  Object.assign(invoice(603), { total: '300.0', total_with_vat: '360.0', balance: '360.0', updated_at: '2026-10-15T10:00:00.000+02:00' });
+  api.requests = [];
+  const second = await firm.syncService.syncAll(false);
+
+  // Seuls les documents modifiés depuis le high-water mark sont demandés
+  const invoiceList = api.requests.find(url => url.includes('/invoices.json') && url.includes('with_details'));
+  assert.match(invoiceList, /updated_at_from=2026-10-01/);
+  assert.equal(second.entities.invoices.updated, 1);
+  assert.deepEqual(
+    second.amount_changes.filter(change => change.field === 'total_ht').map(({ key, from, to }) => ({ key, from, to: Number(to) })),
+    [{ key: 'F-2026-003', from: 240, to: 300 }]
+  );
+  assert.equal((await firm.database.getInvoiceByNumber('F-2026-003')).total_ht, 300);
+  await firm.database.close();
+});
+
+test('une synchronisation interrompue reprend après la dernière page reçue', async () => {
+  const firm = await env.createFirm('resume');
+  env.server.perPage = 2;
+  api.fail = (req) => req.url.includes('/invoices.json') && req.url.includes('page=2') ? 500 : false;
+
+  await assert.rejects(firm.syncService.syncAll(false, { full: true }));
+  // Rien n'est publié, mais la copie de staging et son point de reprise sont conservés
+  assert.equal(await count(firm.database, 'invoices'), 0);
+  assert.ok(await exists(firm.dbPath.replace(/\.db$/, '.staging.db')));
+
+  api.fail = null;
+  api.requests = [];
+  await firm.syncService.syncAll(false, { full: true });
+
+  // Lecture détaillée des factures (le rapprochement relit la liste des IDs à part)
+  const invoicePages = api.requests.filter(url => url.includes('/invoices.json') && url.includes('with_details'));
+  assert.equal(invoicePages.length, 1, 'seule la page manquante est relue');
+  assert.match(invoicePages[0], /page=2/);
+  assert.equal(await count(firm.database, 'invoices'), 4);
+  assert.equal(await firm.database.hasSyncCheckpoints(), false);
+  assert.equal(await exists(firm.dbPath.replace(/\.db$/, '.staging.db')), false);
+
+  const runs = await firm.database.listSyncRuns(2);
+  assert.deepEqual(runs.map(run => run.status), ['success', 'error']);
+  await firm.database.close();
+});
+
+test('le rapprochement marque les documents supprimés en amont puis les restaure', async () => {
+  const firm = await env.createFirm('reconcile');
+  await firm.syncService.syncAll(false, { full: true });
+
+  const removed = invoice(603);
+  env.server.dataset.invoices = env.server.dataset.invoices.filter(item => item.id !== 603);
+  const report = await firm.syncService.syncScope({ scope: 'reconcile' });
+
+  assert.equal(report.entities.invoices.deleted, 1);
+  assert.deepEqual(report.entities.invoices.deleted_items, ['F-2026-003']);
+  // Marquée, jamais effacée
+  assert.equal(await count(firm.database, 'invoices'), 4);
+  assert.ok((await firm.database.get('SELECT deleted_at FROM invoices WHERE invoice_number = ?', ['F-2026-003'])).deleted_at);
+  assert.equal(await firm.database.getInvoiceByNumber('F-2026-003'), undefined);
+
+  env.server.dataset.invoices.push(removed);
+  const restored = await firm.syncService.syncScope({ scope: 'reconcile' });
+  assert.equal(restored.entities.invoices.restored, 1);
+  assert.equal((await firm.database.getInvoiceByNumber('F-2026-003')).deleted_at, null);
+  await firm.database.close();
+});
+
+test('une synchronisation en échec ne modifie pas la base publiée', async () => {
+  const firm = await env.createFirm('rollback');
+  await firm.syncService.syncAll(false, { full: true });
+
+  Object.assign(invoice(603), { total: '999.0', total_with_vat: '1198.8', updated_at: '2026-10-16T10:00:00.000+02:00' });
+  // Échec après la mise à jour des factures, avant la fin de la synchronisation
+  api.fail = (req) => req.url.includes('/purchases.json') ? 500 : false;
+  await assert.rejects(firm.syncService.syncAll(false, { full: true }));
+  assert.equal((await firm.database.getInvoiceByNumber('F-2026-003')).total_ht, 240);
+
+  // Publiée, puis annulée : l'état précédent est restauré
+  api.fail = null;
+  await firm.syncService.syncAll(false, { full: true });
+  assert.equal((await firm.database.getInvoiceByNumber('F-2026-003')).total_ht, 999);
+  await firm.syncService.restorePreviousSnapshot();
+  assert.equal((await firm.database.getInvoiceByNumber('F-2026-003')).total_ht, 240);
+  await firm.database.close();
+});
+
+test('une synchronisation en cours dans un autre processus bloque la suivante', async () => {
+  const firm = await env.createFirm('locked');
+  await writeFile(`${firm.dbPath}.lock`, JSON.stringify({ pid: process.pid, scope: 'full', started_at: new Date().toISOString() }));
+  await assert.rejects(firm.syncService.syncAll(false, { full: true }), /Synchronisation déjà en cours/);
+
+  // Verrou d'un processus disparu : repris
+  await writeFile(`${firm.dbPath}.lock`, JSON.stringify({ pid: 2 ** 22 + 1, scope: 'full', started_at: new Date().toISOString() }));
+  await firm.syncService.syncAll(false, { full: true });
+  assert.equal(await exists(`${firm.dbPath}.lock`), false);
+  await firm.database.close();
+});
+
+test('la simulation rapporte les changements sans rien écrire', async () => {
+  const firm = await env.createFirm('dryrun');
+  await firm.syncService.syncAll(false, { full: true });
+  const runsBefore = await count(firm.database, 'sync_runs');
+
+  Object.assign(invoice(602), { balance: '0.0', paid_on: '2026-08-01', updated_at: '2026-08-01T10:00:00.000+02:00' });
+  env.server.dataset.customers.push({ id: 105, company_name: 'Nouvelle Agence', city: 'Lille', created_at: '2026-10-02T10:00:00.000+02:00', updated_at: '2026-10-02T10:00:00.000+02:00' });
+  const report = await firm.syncService.syncAll(false, { dryRun: true });
+
+  assert.equal(report.dry_run, true);
+  assert.equal(report.entities.customers.created, 1);
+  assert.ok(report.amount_changes.some(change => change.key === 'F-2026-002' && change.field === 'balance'));
+  // Base, historique et copie de simulation intacts
+  assert.equal(await count(firm.database, 'customers'), 4);
+  assert.equal((await firm.database.getInvoiceByNumber('F-2026-002')).balance, 1300);
+  assert.equal(await count(firm.database, 'sync_runs'), runsBefore);
+  assert.deepEqual((await readdir(env.dir)).filter(file => file.includes('.dryrun-')), []);
+  await firm.database.close();
+});
+
+test('les règlements relus à l\'identique ne sont pas rapportés', async () => {
+  const firm = await env.createFirm('dryrun-payments');
+  await firm.syncService.syncAll(false, { full: true });
+
+  const unchanged = await firm.syncService.syncAll(false, { dryRun: true });
+  assert.equal(unchanged.entities.payments.created, 0);
+  assert.equal(unchanged.entities.payments.updated, 0);
+  assert.equal(unchanged.entities.payments.deleted, undefined);
+  assert.equal(unchanged.entities.payments.unchanged, 2);
+
+  // Règlement corrigé en amont, un autre ajouté
+  const [settlement] = env.server.dataset.settlements;
+  settlement.payment_mode = 3;
+  env.server.dataset.settlements.push({ ...settlement, id: 799, payment_date: '2026-10-05', amount: '10.0' });
+  const report = await firm.syncService.syncAll(false, { dryRun: true });
+  assert.equal(report.entities.payments.created, 1);
+  assert.equal(report.entities.payments.updated, 1);
+  assert.deepEqual(Object.keys(report.entities.payments.updated_items[0].changes), ['payment_mode']);
+  await firm.database.close();
+});
+
+test('deux simulations simultanées utilisent chacune leur copie', async () => {
+  const firm = await env.createFirm('dryrun-parallel');
+  await firm.syncService.syncAll(false, { full: true });
+  const { SyncService } = await import('../src/sync/SyncService.js');
+  const other = new SyncService({ database: firm.database, firm });
+  other.apiClient.maxRequestsPerMinute = Infinity;
+
+  const reports = await Promise.all([
+    firm.syncService.syncAll(false, { dryRun: true }),
+    other.syncAll(false, { dryRun: true })
+  ]);
+  assert.deepEqual(reports.map(report => report.dry_run), [true, true]);
+  assert.deepEqual((await readdir(env.dir)).filter(file => file.includes('.dryrun-')), []);
+  await firm.database.close();
+});
+
+test('la simulation multi-sociétés garde les rapports des sociétés qui réussissent', async () => {
+  const { SyncService } = await import('../src/sync/SyncService.js');
+  const { formatChangeReport } = await import('../src/sync/ChangeReport.js');
+  const firm = (key, apiId) => ({ key, name: `Société ${key}`, apiId, apiKey: 'demo', firmId: '1', dbPath: join(env.dir, `${key}.db`), pdfDir: join(env.dir, `pdf-${key}`) });
+  // Identifiants refusés pour la seconde société
+  const rejected = `Basic ${Buffer.from('refuse:demo').toString('base64')}`;
+  api.fail = (req) => req.headers.authorization === rejected ? 401 : false;
+
+  const { reports, errors } = await SyncService.syncAllFirms(false, [firm('multi-ok', 'demo'), firm('multi-ko', 'refuse')], { dryRun: true });
+
+  assert.deepEqual(Object.keys(reports), ['multi-ok']);
+  assert.equal(reports['multi-ok'].entities.invoices.created, 4);
+  assert.deepEqual(Object.keys(errors), ['multi-ko']);
+  assert.match(errors['multi-ko'], /401/);
+  assert.match(formatChangeReport(undefined, 'multi-ko'), /Aucun rapport/);
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { setupTestEnv, seedDatabase, apiDataset, createApiStub } from './helpers.js';
+
+// Arguments d'exemple de chaque outil (les outils sans argument obligatoire peuvent être absents)
+const SAMPLE_ARGS = {
+  search_quotes: { query: 'Refonte' },
+  search_invoices: { query: 'F-2026' },
+  get_similar_projects: { keywords: 'site' },
+  calculate_revenue: { year: 2026 },
+  calculate_quotes_revenue: { year: 2026 },
+  quote_conversion: { year: 2026 },
+  ventiler_encaissements: { year: 2026 },
+  encaissements_periode: { start_date: '2026-01-01', end_date: '2026-12-31' },
+  analyze_pricing: { period_months: 120 },
+  analyze_project_brief: { brief: 'Refonte d\'une application avec hébergement annuel' },
+  find_similar_projects_advanced: { brief: 'Site vitrine avec journées de développement' },
+  estimate_project_cost: { brief: 'Site vitrine avec journées de développement' },
+  get_document_pdf: { document_type: 'invoice', number: 'F-2026-001' },
+  sync_now: { scope: 'invoices' }
+};
+
+let env;
+let server;
+let tools;
+
+before(async () => {
+  env = await setupTestEnv();
+  const { FunctionalFacturationMCPServer } = await import('../src/mcp/FunctionalMCPServer.js');
+  server = new FunctionalFacturationMCPServer();
+  await server.firms.connectAll();
+  await seedDatabase(server.firms.default.database);
+  server.firms.default.syncService.apiClient = createApiStub(apiDataset());
+
+  tools = (await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' })).result.tools;
+});
+
+after(async () => {
+  await server?.firms.closeAll();
+  await env.cleanup();
+});
+
+const call = (name, args) => server.handleRequest({
+  jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name, arguments: args }
+});
+
+test('chaque outil publie un outputSchema et renvoie un structuredContent conforme', async () => {
+  const ajv = new Ajv({ strict: false });
+  addFormats(ajv);
+  assert.deepEqual(Object.keys(SAMPLE_ARGS).filter(name => !tools.some(tool => tool.name === name)), []);
+
+  for (const tool of tools) {
+    const args = SAMPLE_ARGS[tool.name];
+    assert.ok(args || !tool.inputSchema.required?.length, `arguments d'exemple manquants pour ${tool.name}`);
+    assert.equal(tool.outputSchema?.type, 'object', `${tool.name} sans outputSchema`);
+
+    const response = await call(tool.name, args || {});
+    assert.equal(response.error, undefined, `${tool.name}: ${response.error?.message}`);
+    assert.notEqual(response.result.isError, true, `${tool.name}: ${response.result.content?.[0]?.text}`);
+    assert.ok(
+      ajv.validate(tool.outputSchema, response.result.structuredContent),
+      `${tool.name}: ${ajv.errorsText(ajv.errors)}`
+    );
+    // Le texte reste fourni pour les clients qui ignorent structuredContent
+    assert.deepEqual(
+      JSON.parse(response.result.content[0].text).data,
+      JSON.parse(JSON.stringify(response.result.structuredContent))
+    );
+  }
+});
+
+test('des arguments invalides sont refusés avant exécution', async () => {
+  const cases = [
+    ['calculate_revenue', { year: 'deux mille' }, /year/],
+    ['search_invoices', { query: 'F', inconnu: true }, /inconnu/],
+    ['search_invoices', { query: 'F', date_from: '01/03/2026' }, /date_from/],
+    ['sync_now', { scope: 'tout' }, /scope/],
+    ['get_document_pdf', { document_type: 'invoice' }, /number/]
+  ];
+
+  for (const [name, args, pattern] of cases) {
+    const response = await call(name, args);
+    assert.equal(response.error?.code, -32602, name);
+    assert.match(response.error.message, new RegExp(`Arguments invalides pour ${name}`));
+    assert.match(response.error.message, pattern);
+    assert.ok(response.error.data.errors.length > 0, name);
+  }
+});